@@ -1,3 +1,4 @@
+#!/usr/bin/env node
 /**
  * Comprehensive SendPost JavaScript SDK Example for Email Service Providers (ESPs)
  * 
@@ -14,11 +15,15 @@
  * 1. Set environment variables:
  *    - SENDPOST_SUB_ACCOUNT_API_KEY: Your sub-account API key
  *    - SENDPOST_ACCOUNT_API_KEY: Your account API key
- * 2. Or modify the API_KEY constants below
+ * 2. Or put them in esp.config.json / esp.config.yaml (see src/config.js)
  * 3. Update email addresses and domain names with your verified values
- * 4. Run: npm start
+ * 4. Run: npm start (complete workflow) or node ESPExample.js --help (individual steps)
  */
 
+import { realpathSync } from 'node:fs';
+import { basename, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
 import {
     ApiClient,
     SubAccountApi,
@@ -39,24 +44,145 @@ import {
     IPPoolCreateRequest,
     EIP
 } from 'sendpost-js-sdk';
+import { attachFiles, formatBytes } from './src/attachments.js';
+import { readRecipients, sendBatch } from './src/batch.js';
+import { campaignReport, Campaigns, findCampaign, formatCampaignReport, NO_CAMPAIGN, progressFromJobs, resolveCampaign } from './src/campaigns.js';
+import { run } from './src/cli.js';
+import { formatPlan, planClient } from './src/clients.js';
+import { mapWithConcurrency } from './src/concurrency.js';
+import { isHttpUrl, loadConfig, PLACEHOLDER_ACCOUNT_API_KEY, WEBHOOK_EVENTS } from './src/config.js';
+import { CredentialError, CredentialStore } from './src/credentials.js';
+import { checkRecords, createResolver, expectedRecords, findDomain, formatZone } from './src/domains.js';
+import { ConflictError, EspError, EXIT_CODES, NotFoundError, PrerequisiteError, toEspError } from './src/errors.js';
+import { FANOUT_TASKS, fanOut, formatTable, selectSubAccounts } from './src/fanout.js';
+import { ledgerEntries, SendLedger } from './src/ledger.js';
+import { Logger, maskSecret } from './src/logger.js';
+import { inDeleteOrder, KIND_LABELS, newRunId, RunManifest } from './src/manifest.js';
+import { buildTimeline, formatTimeline } from './src/messages.js';
+import { findPool, overflowDependents, poolDiff, resolvePoolSettings, strategyLabel } from './src/pools.js';
+import { applyJobAction, attachmentPaths, groupByTimeZone, JOB_ACTIONS, JobQueue, newJobId, resolveSendTime } from './src/queue.js';
+import { pollUntil, pollUntilFound, withRetry } from './src/retry.js';
+import { addDays, buildStatsReport, dateIn, resolveRange, sumStats } from './src/stats.js';
+import { SuppressedRecipientError, SuppressionList } from './src/suppressions.js';
+import { Template, TemplateError } from './src/templates.js';
+import { ipSchedule, planPool, poolCap, WARMUP_HISTORY_DAYS, WarmupGate, WarmupPlans, warmupStatus } from './src/warmup.js';
+import { eventStore } from './src/webhooks/listen.js';
+import {
+    applyEventList,
+    enabledEvents,
+    findDuplicates,
+    findWebhook,
+    fireTestEvent,
+    resolveWebhookSettings,
+    testEvent,
+    webhookDiff,
+    WebhookSettingsError
+} from './src/webhooks/manage.js';
+
+/**
+ * Names the workflow generates for sub-accounts and IP pools, ending in a
+ * Date.now() timestamp; `cleanup --sweep` recognizes leftovers by them
+ */
+const GENERATED_NAMES = {
+    subAccount: /^ESP Client - (\d{13})$/,
+    ipPool: /^Marketing Pool - (\d{13})$/
+};
 
-// API Configuration
-const BASE_PATH = 'https://api.sendpost.io/api/v1';
+/**
+ * SendPost request for IP pool settings (see resolvePoolSettings in src/pools.js)
+ */
+function toPoolRequest(settings) {
+    const request = new IPPoolCreateRequest();
+    request.name = settings.name;
+    request.routingStrategy = settings.routingStrategy; // 0 = RoundRobin, 1 = EmailProviderStrategy
+    request.warmupInterval = settings.warmupInterval; // hours, must be > 0
+    request.overflowStrategy = settings.overflowStrategy; // 0 = None, 1 = Use overflow pool
+    if (settings.overflowPoolName) {
+        request.overflowPoolName = settings.overflowPoolName;
+    }
+    if (settings.providers && Object.keys(settings.providers).length > 0) {
+        request.routingMetaData = JSON.stringify(settings.providers);
+    }
+    request.ips = settings.ips.map((publicIP) => {
+        const eip = new EIP();
+        eip.publicIP = publicIP;
+        return eip;
+    });
+    return request;
+}
 
-// API Keys - Set these or use environment variables
-const SUB_ACCOUNT_API_KEY = process.env.SENDPOST_SUB_ACCOUNT_API_KEY || 'YOUR_SUB_ACCOUNT_API_KEY_HERE';
-const ACCOUNT_API_KEY = process.env.SENDPOST_ACCOUNT_API_KEY || 'YOUR_ACCOUNT_API_KEY_HERE';
+/**
+ * SendPost request for webhook settings (see resolveWebhookSettings in
+ * src/webhooks/manage.js); updates take the same fields as creates
+ */
+function toWebhookRequest(settings) {
+    const request = new CreateWebhookRequest();
+    request.url = settings.url;
+    request.enabled = settings.enabled;
+    // processed, delivered, dropped, softBounced, hardBounced, opened,
+    // clicked, unsubscribed, spam
+    for (const event of WEBHOOK_EVENTS) {
+        request[event] = settings.events.includes(event);
+    }
+    return request;
+}
 
-// Configuration - Update these with your values
-const TEST_FROM_EMAIL = 'sender@yourdomain.com';
-const TEST_TO_EMAIL = 'recipient@example.com';
-const TEST_DOMAIN_NAME = 'yourdomain.com';
-const WEBHOOK_URL = 'https://your-webhook-endpoint.com/webhook';
+/**
+ * Steps of the complete workflow, in order. A fatal step that fails stops the
+ * workflow; `fatal` may also be a function deciding from the error.
+ */
+const WORKFLOW_STEPS = [
+    // Everything below needs a sub-account and valid account credentials
+    { method: 'listSubAccounts', fatal: true },
+    // Webhooks for event notifications
+    { method: 'createWebhook', fatal: false },
+    { method: 'listWebhooks', fatal: false },
+    // Sending requires the domain; it already existing is fine
+    { method: 'addDomain', fatal: (error) => !(error instanceof ConflictError) },
+    { method: 'listDomains', fatal: false },
+    // IPs and IP pools (before sending emails)
+    { method: 'listIPs', fatal: false },
+    { method: 'createIPPool', fatal: false },
+    { method: 'listIPPools', fatal: false },
+    // Send emails (using the created IP pool)
+    { method: 'sendTransactionalEmail', fatal: false },
+    { method: 'sendMarketingEmail', fatal: false },
+    // Monitor statistics
+    { method: 'getSubAccountStats', fatal: false },
+    { method: 'getAggregateStats', fatal: false },
+    // Account-level overview
+    { method: 'getAccountStats', fatal: false },
+    // Message details at the end; waits until the sent message has been stored
+    { method: 'getMessageDetails', fatal: false }
+];
 
-class ESPExample {
-    constructor() {
+export class ESPExample {
+    /**
+     * @param {object} [config] - Resolved configuration (see src/config.js); loaded from file and environment when omitted
+     */
+    constructor(config = loadConfig()) {
+        this.config = config;
+        this.logger = Logger.forConfig(config);
+        this.suppressions = SuppressionList.forConfig(config);
+        // Sub-account API keys, encrypted under credentials.passphrase
+        this.credentials = CredentialStore.forConfig(config);
+        // Set by actAs(): { id, name, apiKey } of the sub-account whose key is used
+        this.actingSubAccount = null;
+        // Every resource this run creates is recorded for `cleanup`
+        this.runId = newRunId();
+        this.manifest = RunManifest.forConfig(config);
+        // IP warmup plans and the sends counted against them
+        this.warmup = WarmupPlans.forConfig(config);
+        // Every message sent, with the sub-account, campaign and order it belongs to
+        this.ledger = SendLedger.forConfig(config);
+        // Sends scheduled for later, drained by `queue work`
+        this.queue = JobQueue.forConfig(config);
+        // Marketing campaigns: audience, template, groups, pool and schedule
+        this.campaigns = Campaigns.forConfig(config);
+        // DNS lookups for domain verification; anything with resolveTxt/resolveCname will do
+        this.resolver = createResolver(config.dns);
         // Initialize API client
-        this.apiClient = new ApiClient(BASE_PATH);
+        this.apiClient = new ApiClient(config.basePath);
         this.createdSubAccountId = null;
         this.createdSubAccountApiKey = null;
         this.createdWebhookId = null;
@@ -66,57 +192,305 @@ class ESPExample {
         this.sentMessageId = null;
     }
 
+    /**
+     * Call the SDK, retrying transient failures and turning any failure into a typed EspError
+     *
+     * @param {string} action - What is being attempted, used in error messages
+     * @param {function(): Promise} request - Performs the SDK call
+     * @param {object} [options]
+     * @param {boolean} [options.idempotent=true] - Whether the call may be repeated; pass false for creates, updates and
+     *   deletes, and for sends without an idempotency key, which could take effect twice when a failed attempt got through
+     */
+    async callApi(action, request, { idempotent = true } = {}) {
+        return withRetry(async () => {
+            try {
+                return await request();
+            } catch (error) {
+                throw toEspError(error, action);
+            }
+        }, {
+            ...this.config.retry,
+            idempotent,
+            onRetry: ({ attempt, delayMs, error }) => {
+                this.logger.warn(`  ↻ ${error.name} while trying to ${action}; retrying in ${(delayMs / 1000).toFixed(1)}s (attempt ${attempt + 1}/${this.config.retry.maxAttempts})`);
+            }
+        });
+    }
+
+    /**
+     * Drop suppressed recipients from a message before it is sent
+     *
+     * @throws {SuppressedRecipientError} When no recipient is left
+     */
+    async applySuppressions(emailMessage) {
+        const { allowed, suppressed } = await this.suppressions.filter(emailMessage.to, this.createdSubAccountId);
+        for (const { recipient, entry } of suppressed) {
+            this.logger.info(`  ⊘ Skipping suppressed recipient ${recipient.email} (${entry.reason} since ${entry.createdAt})`);
+        }
+        if (allowed.length === 0) {
+            throw new SuppressedRecipientError(suppressed.map(({ recipient }) => recipient.email));
+        }
+        emailMessage.to = allowed;
+    }
+
+    /**
+     * Send a message with the sub-account key, through the created IP pool if there is one
+     *
+     * Sends are only retried when they carry an idempotency key, which is
+     * passed to SendPost as the X-Idempotency-Key header.
+     *
+     * @param {EmailMessageObject} emailMessage
+     * @param {object} [options]
+     * @param {string} [options.idempotencyKey]
+     * @returns {Promise<object[]>} One response (messageId, to) per recipient
+     */
+    async sendMessage(emailMessage, { idempotencyKey } = {}) {
+        this.configureSubAccountAuth();
+        const emailApi = new EmailApi(this.apiClient);
+        
+        if (idempotencyKey) {
+            emailMessage.headers = { ...emailMessage.headers, 'X-Idempotency-Key': idempotencyKey };
+        }
+        if (this.createdIPPoolName && !emailMessage.ippool) {
+            emailMessage.ippool = this.createdIPPoolName;
+        }
+        
+        const sentAt = new Date();
+        const responses = await this.callApi('send email', () => emailApi.sendEmail(emailMessage), {
+            idempotent: Boolean(idempotencyKey)
+        });
+        
+        if (!responses || responses.length === 0) {
+            throw new EspError('SendPost accepted the request but returned no message', { action: 'send email' });
+        }
+        await this.ledger.append(...ledgerEntries(emailMessage, responses, {
+            subAccountId: this.actingSubAccount ? this.actingSubAccount.id : this.createdSubAccountId,
+            sentAt
+        }));
+        return responses;
+    }
+
+    /**
+     * Set subject, HTML and text body from a template
+     *
+     * Local merging renders the content for the message's single recipient;
+     * server merging keeps the merge tags and gives every recipient the
+     * custom fields SendPost needs to fill them in.
+     *
+     * @param {EmailMessageObject} emailMessage - Message with its recipients set
+     * @param {string} name - Template under templates.dir
+     * @param {string} [merge] - 'local' or 'server'
+     * @throws {TemplateError} When a recipient lacks a field the template uses
+     */
+    async applyTemplate(emailMessage, name, merge = this.config.templates.merge) {
+        const template = await Template.load(this.config.templates.dir, name);
+        template.validate(emailMessage.to);
+        
+        let content;
+        if (merge === 'server') {
+            content = template.passThrough();
+            for (const recipient of emailMessage.to) {
+                recipient.customFields = template.serverFields(recipient);
+            }
+        } else if (emailMessage.to.length === 1) {
+            content = template.render(emailMessage.to[0]);
+        } else {
+            throw new TemplateError(`Local merging renders one recipient per message, this one has ${emailMessage.to.length}`, {
+                hint: 'Use server merging (--merge server or templates.merge: server) for messages with several recipients.'
+            });
+        }
+        emailMessage.subject = content.subject;
+        emailMessage.htmlBody = content.htmlBody;
+        emailMessage.textBody = content.textBody;
+    }
+
+    /**
+     * Attach files, and the local images the template's HTML refers to as inline images
+     *
+     * @param {EmailMessageObject} emailMessage - Message with its content set
+     * @param {string} template - Template name; local img srcs are relative to its directory
+     * @param {Array<string|object>} [attachments] - File paths or { filename, content } (see src/attachments.js)
+     * @returns {Promise<object[]>} What was attached
+     */
+    async applyAttachments(emailMessage, template, attachments = []) {
+        const attached = await attachFiles(emailMessage, attachments, {
+            baseDir: join(this.config.templates.dir, template),
+            ...this.config.attachments
+        });
+        for (const file of attached) {
+            this.logger.info(`  ${file.contentId ? `Inline image: ${file.filename} (cid:${file.contentId})` : `Attachment: ${file.filename}`}, ${file.contentType}, ${formatBytes(file.size)}`);
+        }
+        return attached;
+    }
+
     /**
      * Configure sub-account authentication
+     *
+     * @param {string} [apiKey] - Key of the sub-account to act as; by default the one selected with actAs(), else the configured one
      */
-    configureSubAccountAuth() {
-        this.apiClient.authentications['subAccountAuth'].apiKey = SUB_ACCOUNT_API_KEY;
+    configureSubAccountAuth(apiKey = this.actingSubAccount ? this.actingSubAccount.apiKey : this.config.subAccountApiKey) {
+        this.apiClient.authentications['subAccountAuth'].apiKey = apiKey;
     }
 
     /**
      * Configure account authentication
      */
     configureAccountAuth() {
-        this.apiClient.authentications['accountAuth'].apiKey = ACCOUNT_API_KEY;
+        this.apiClient.authentications['accountAuth'].apiKey = this.config.accountApiKey;
+    }
+
+    /**
+     * Act as a sub-account: later sub-account calls use its key from the
+     * credential store and stats/suppressions use its ID
+     *
+     * A key that is not stored yet is looked up with the account key and
+     * saved, so it only has to be fetched once.
+     *
+     * @param {number} subAccountId
+     * @throws {CredentialError} When the store is unavailable or the sub-account does not exist
+     */
+    async actAs(subAccountId) {
+        let entry = await this.credentials.get(subAccountId);
+        if (!entry) {
+            const [imported] = await this.importCredentials([subAccountId]);
+            if (!imported) {
+                throw new CredentialError(`No API key stored for sub-account ${subAccountId}, and the account has no such sub-account`, {
+                    action: 'act as sub-account',
+                    hint: 'Check the ID with "subaccounts list".'
+                });
+            }
+            entry = imported;
+        }
+        this.actingSubAccount = { id: entry.subAccountId, name: entry.name, apiKey: entry.apiKey };
+        this.createdSubAccountId = entry.subAccountId;
+        this.logger.info(`Acting as sub-account ${entry.subAccountId}${entry.name ? ` (${entry.name})` : ''}`);
+        return this.actingSubAccount;
+    }
+
+    /**
+     * Save a sub-account's key in the credential store, if a passphrase is set
+     *
+     * @returns {Promise<boolean>} Whether the key was saved
+     */
+    async storeCredential(subAccount) {
+        if (!this.credentials.available) {
+            return false;
+        }
+        await this.credentials.save(subAccount.id, { apiKey: subAccount.apiKey, name: subAccount.name });
+        return true;
+    }
+
+    /**
+     * Fetch sub-account keys with the account key and save them in the credential store
+     *
+     * @param {number[]} [subAccountIds] - Only these sub-accounts; all of them when empty
+     * @returns {Promise<object[]>} The saved entries
+     */
+    async importCredentials(subAccountIds = []) {
+        this.credentials.requirePassphrase('import API keys');
+        this.configureAccountAuth();
+        const subAccountApi = new SubAccountApi(this.apiClient);
+        const subAccounts = await this.callApi('list sub-accounts', () => subAccountApi.getAllSubAccounts());
+        const wanted = subAccountIds.map(Number);
+        
+        const saved = [];
+        for (const subAccount of subAccounts) {
+            if (wanted.length > 0 && !wanted.includes(subAccount.id)) {
+                continue;
+            }
+            await this.credentials.save(subAccount.id, { apiKey: subAccount.apiKey, name: subAccount.name });
+            saved.push(await this.credentials.get(subAccount.id));
+        }
+        return saved;
+    }
+
+    /**
+     * A separate instance acting as another sub-account, for running several
+     * sub-accounts side by side (each needs its own API client)
+     *
+     * It belongs to the same run and logs warnings and errors only, unless
+     * log.level asks for more detail.
+     *
+     * @param {{id: number, name?: string, apiKey: string}} subAccount
+     */
+    forSubAccount(subAccount) {
+        const level = this.config.log.level === 'info' ? 'warn' : this.config.log.level;
+        const client = new ESPExample({ ...this.config, log: { ...this.config.log, level } });
+        client.runId = this.runId;
+        client.actingSubAccount = { id: subAccount.id, name: subAccount.name, apiKey: subAccount.apiKey };
+        client.createdSubAccountId = subAccount.id;
+        return client;
+    }
+
+    /**
+     * Run a task for every sub-account, or a selection, each with its own key
+     *
+     * @param {string} taskName - Key of FANOUT_TASKS: 'domains', 'stats' or 'send'
+     * @param {object} [options]
+     * @param {number[]} [options.ids] - Only these sub-accounts
+     * @param {string} [options.match] - Only sub-accounts whose name matches (see selectSubAccounts)
+     * @param {number} [options.concurrency] - Sub-accounts in progress at once, fanout.concurrency by default
+     * @param {object} [options.params] - Task parameters, e.g. { from, to } for stats
+     * @returns {Promise<object[]>} One row per sub-account
+     */
+    async fanOut(taskName, { ids = [], match, concurrency = this.config.fanout.concurrency, params = {} } = {}) {
+        const task = FANOUT_TASKS[taskName];
+        this.logger.info(`\n=== Running "${taskName}" Across Sub-Accounts ===`);
+        
+        this.configureAccountAuth();
+        const subAccountApi = new SubAccountApi(this.apiClient);
+        const subAccounts = selectSubAccounts(
+            await this.callApi('list sub-accounts', () => subAccountApi.getAllSubAccounts()),
+            { ids, match }
+        );
+        this.logger.info(`Running for ${subAccounts.length} sub-account(s), ${concurrency} at a time...`);
+        
+        const rows = await fanOut(subAccounts, task, (subAccount) => this.forSubAccount(subAccount), { concurrency, params });
+        
+        const failed = rows.filter((row) => row.status !== 'ok').length;
+        this.logger.info(formatTable(rows, task));
+        if (failed > 0) {
+            this.logger.warn(`⚠️  ${failed} of ${rows.length} sub-account(s) failed`);
+        } else {
+            this.logger.info(`✓ Done for all ${rows.length} sub-account(s)`);
+        }
+        return rows;
     }
 
     /**
      * Step 1: Create a new sub-account
      * Sub-accounts allow you to segregate email sending by client, product, or use case
      */
-    async createSubAccount() {
-        console.log('\n=== Step 1: Creating Sub-Account ===');
+    async createSubAccount(name = `ESP Client - ${Date.now()}`) {
+        this.logger.info('\n=== Step 1: Creating Sub-Account ===');
         
-        try {
-            this.configureAccountAuth();
-            const subAccountApi = new SubAccountApi(this.apiClient);
-            
-            // Create new sub-account request
-            const newSubAccount = new CreateSubAccountRequest();
-            newSubAccount.name = `ESP Client - ${Date.now()}`;
-            
-            console.log(`Creating sub-account: ${newSubAccount.name}`);
-            
-            const subAccount = await subAccountApi.createSubAccount(newSubAccount);
-            
-            this.createdSubAccountId = subAccount.id;
-            this.createdSubAccountApiKey = subAccount.apiKey;
-            
-            console.log('✓ Sub-account created successfully!');
-            console.log(`  ID: ${this.createdSubAccountId}`);
-            console.log(`  Name: ${subAccount.name}`);
-            console.log(`  API Key: ${this.createdSubAccountApiKey}`);
-            console.log(`  Type: ${subAccount.type?.value === 1 ? 'Plus' : 'Regular'}`);
-            
-        } catch (error) {
-            console.error('✗ Failed to create sub-account:');
-            if (error.response) {
-                console.error(`  Status code: ${error.response.status}`);
-                console.error(`  Response body: ${JSON.stringify(error.response.body, null, 2)}`);
-            } else {
-                console.error(`  Error: ${error.message}`);
-            }
+        this.configureAccountAuth();
+        const subAccountApi = new SubAccountApi(this.apiClient);
+        
+        // Create new sub-account request
+        const newSubAccount = new CreateSubAccountRequest();
+        newSubAccount.name = name;
+        
+        this.logger.info(`Creating sub-account: ${newSubAccount.name}`);
+        
+        const subAccount = await this.callApi('create sub-account', () => subAccountApi.createSubAccount(newSubAccount), { idempotent: false });
+        
+        this.createdSubAccountId = subAccount.id;
+        this.createdSubAccountApiKey = subAccount.apiKey;
+        await this.manifest.record({ runId: this.runId, kind: 'subAccount', id: subAccount.id, name: subAccount.name });
+        
+        this.logger.info('✓ Sub-account created successfully!');
+        this.logger.info(`  ID: ${this.createdSubAccountId}`);
+        this.logger.info(`  Name: ${subAccount.name}`);
+        if (await this.storeCredential(subAccount)) {
+            this.logger.info(`  API Key: saved to the credential store (use --as ${subAccount.id})`);
+        } else {
+            this.logger.info(`  API Key: ${maskSecret(this.createdSubAccountApiKey)}`);
+            this.logger.warn('⚠️  Set credentials.passphrase to keep new API keys in the credential store');
         }
+        this.logger.info(`  Type: ${subAccount.type?.value === 1 ? 'Plus' : 'Regular'}`);
+        
+        return subAccount;
     }
 
     /**
@@ -124,563 +498,1079 @@ class ESPExample {
      * Useful for managing multiple clients or use cases
      */
     async listSubAccounts() {
-        console.log('\n=== Step 2: Listing All Sub-Accounts ===');
+        this.logger.info('\n=== Step 2: Listing All Sub-Accounts ===');
         
-        try {
-            this.configureAccountAuth();
-            const subAccountApi = new SubAccountApi(this.apiClient);
-            
-            console.log('Retrieving all sub-accounts...');
-            const subAccounts = await subAccountApi.getAllSubAccounts();
-            
-            console.log(`✓ Retrieved ${subAccounts.length} sub-account(s)`);
-            for (const subAccount of subAccounts) {
-                console.log(`  - ID: ${subAccount.id}`);
-                console.log(`    Name: ${subAccount.name}`);
-                console.log(`    API Key: ${subAccount.apiKey}`);
-                console.log(`    Type: ${subAccount.type?.value === 1 ? 'Plus' : 'Regular'}`);
-                console.log(`    Blocked: ${subAccount.blocked ? 'Yes' : 'No'}`);
-                if (subAccount.created) {
-                    console.log(`    Created: ${subAccount.created}`);
-                }
-                console.log();
-                
-                // Use first sub-account if none selected
-                if (!this.createdSubAccountId && subAccount.id) {
-                    this.createdSubAccountId = subAccount.id;
-                    this.createdSubAccountApiKey = subAccount.apiKey;
-                }
+        this.configureAccountAuth();
+        const subAccountApi = new SubAccountApi(this.apiClient);
+        
+        this.logger.info('Retrieving all sub-accounts...');
+        const subAccounts = await this.callApi('list sub-accounts', () => subAccountApi.getAllSubAccounts());
+        
+        this.logger.info(`✓ Retrieved ${subAccounts.length} sub-account(s)`);
+        for (const subAccount of subAccounts) {
+            this.logger.info(`  - ID: ${subAccount.id}`);
+            this.logger.info(`    Name: ${subAccount.name}`);
+            this.logger.info(`    API Key: ${maskSecret(subAccount.apiKey)}`);
+            this.logger.info(`    Type: ${subAccount.type?.value === 1 ? 'Plus' : 'Regular'}`);
+            this.logger.info(`    Blocked: ${subAccount.blocked ? 'Yes' : 'No'}`);
+            if (subAccount.created) {
+                this.logger.info(`    Created: ${subAccount.created}`);
             }
+            this.logger.info();
             
-        } catch (error) {
-            console.error('✗ Failed to list sub-accounts:');
-            if (error.response) {
-                console.error(`  Status code: ${error.response.status}`);
-                console.error(`  Response body: ${JSON.stringify(error.response.body, null, 2)}`);
-            } else {
-                console.error(`  Error: ${error.message}`);
+            // Use first sub-account if none selected
+            if (!this.createdSubAccountId && subAccount.id) {
+                this.createdSubAccountId = subAccount.id;
+                this.createdSubAccountApiKey = subAccount.apiKey;
             }
         }
+        
+        return subAccounts;
     }
 
     /**
      * Step 3: Create a webhook
      * Webhooks allow you to receive real-time notifications about email events
+     *
+     * @param {string} [url] - Defaults to webhook.url
+     * @param {string} [events] - Event list applied to the webhook.events.* settings (see applyEventList)
      */
-    async createWebhook() {
-        console.log('\n=== Step 3: Creating Webhook ===');
+    async createWebhook(url = this.config.webhook.url, events) {
+        this.logger.info('\n=== Step 3: Creating Webhook ===');
         
-        try {
-            this.configureAccountAuth();
-            const webhookApi = new WebhookApi(this.apiClient);
-            
-            // Create new webhook
-            const newWebhook = new CreateWebhookRequest();
-            newWebhook.url = WEBHOOK_URL;
-            newWebhook.enabled = true;
-            
-            // Configure which events to receive
-            newWebhook.processed = true;      // Email processed
-            newWebhook.delivered = true;       // Email delivered
-            newWebhook.dropped = true;        // Email dropped
-            newWebhook.softBounced = true;    // Soft bounce
-            newWebhook.hardBounced = true;     // Hard bounce
-            newWebhook.opened = true;          // Email opened
-            newWebhook.clicked = true;         // Link clicked
-            newWebhook.unsubscribed = true;    // Unsubscribed
-            newWebhook.spam = true;            // Marked as spam
-            
-            console.log('Creating webhook...');
-            console.log(`  URL: ${newWebhook.url}`);
-            
-            const webhook = await webhookApi.createWebhook(newWebhook);
-            this.createdWebhookId = webhook.id;
-            
-            console.log('✓ Webhook created successfully!');
-            console.log(`  ID: ${this.createdWebhookId}`);
-            console.log(`  URL: ${webhook.url}`);
-            console.log(`  Enabled: ${webhook.enabled}`);
-            
-        } catch (error) {
-            console.error('✗ Failed to create webhook:');
-            if (error.response) {
-                console.error(`  Status code: ${error.response.status}`);
-                console.error(`  Response body: ${JSON.stringify(error.response.body, null, 2)}`);
-            } else {
-                console.error(`  Error: ${error.message}`);
-            }
+        this.configureAccountAuth();
+        const webhookApi = new WebhookApi(this.apiClient);
+        
+        // Configure which events to receive
+        const configured = WEBHOOK_EVENTS.filter((event) => this.config.webhook.events[event]);
+        const applied = events === undefined ? { events: configured, issues: [] } : applyEventList(configured, events);
+        if (!isHttpUrl(url)) {
+            applied.issues.unshift(`URL must be an http(s) URL, got "${url}"`);
         }
+        if (applied.issues.length > 0) {
+            throw new WebhookSettingsError('new webhook', applied.issues);
+        }
+        const newWebhook = toWebhookRequest({ url, enabled: this.config.webhook.enabled, events: applied.events });
+        
+        this.logger.info('Creating webhook...');
+        this.logger.info(`  URL: ${newWebhook.url}`);
+        this.logger.info(`  Events: ${applied.events.join(', ') || 'none'}`);
+        
+        const webhook = await this.callApi('create webhook', () => webhookApi.createWebhook(newWebhook), { idempotent: false });
+        this.createdWebhookId = webhook.id;
+        await this.manifest.record({ runId: this.runId, kind: 'webhook', id: webhook.id, name: webhook.url });
+        
+        this.logger.info('✓ Webhook created successfully!');
+        this.logger.info(`  ID: ${this.createdWebhookId}`);
+        this.logger.info(`  URL: ${webhook.url}`);
+        this.logger.info(`  Enabled: ${webhook.enabled}`);
+        
+        return webhook;
     }
 
     /**
      * Step 4: List all webhooks
      */
     async listWebhooks() {
-        console.log('\n=== Step 4: Listing All Webhooks ===');
+        this.logger.info('\n=== Step 4: Listing All Webhooks ===');
         
-        try {
-            this.configureAccountAuth();
-            const webhookApi = new WebhookApi(this.apiClient);
-            
-            console.log('Retrieving all webhooks...');
-            const webhooks = await webhookApi.getAllWebhooks();
-            
-            console.log(`✓ Retrieved ${webhooks.length} webhook(s)`);
-            for (const webhook of webhooks) {
-                console.log(`  - ID: ${webhook.id}`);
-                console.log(`    URL: ${webhook.url}`);
-                console.log(`    Enabled: ${webhook.enabled}`);
-                console.log();
-            }
-            
-        } catch (error) {
-            console.error('✗ Failed to list webhooks:');
-            if (error.response) {
-                console.error(`  Status code: ${error.response.status}`);
-                console.error(`  Response body: ${JSON.stringify(error.response.body, null, 2)}`);
-            } else {
-                console.error(`  Error: ${error.message}`);
-            }
+        this.configureAccountAuth();
+        const webhookApi = new WebhookApi(this.apiClient);
+        
+        this.logger.info('Retrieving all webhooks...');
+        const webhooks = await this.callApi('list webhooks', () => webhookApi.getAllWebhooks());
+        
+        this.logger.info(`✓ Retrieved ${webhooks.length} webhook(s)`);
+        for (const webhook of webhooks) {
+            this.logger.info(`  - ID: ${webhook.id}`);
+            this.logger.info(`    URL: ${webhook.url}`);
+            this.logger.info(`    Enabled: ${webhook.enabled}`);
+            this.logger.info(`    Events: ${enabledEvents(webhook).join(', ') || 'none'}`);
+            this.logger.info();
         }
+        
+        return webhooks;
     }
 
     /**
-     * Step 5: Add a sending domain
-     * Domains must be verified before they can be used for sending
+     * Change a webhook's URL, event types or whether it is enabled
+     *
+     * @param {string|number} ref - Webhook ID, or its URL when only one webhook has it
+     * @param {object} change - { url, enabled, events } (see resolveWebhookSettings in src/webhooks/manage.js)
+     * @returns {Promise<object>} The webhook
      */
-    async addDomain() {
-        console.log('\n=== Step 5: Adding Domain ===');
+    async updateWebhook(ref, change) {
+        this.logger.info(`\n=== Updating Webhook ${ref} ===`);
         
-        try {
-            this.configureSubAccountAuth();
-            const domainApi = new DomainApi(this.apiClient);
-            
-            // Create domain request
-            const domainRequest = new CreateDomainRequest();
-            domainRequest.name = TEST_DOMAIN_NAME;
-            
-            console.log(`Adding domain: ${TEST_DOMAIN_NAME}`);
-            
-            const domain = await domainApi.subaccountDomainPost(domainRequest);
-            this.createdDomainId = domain.id ? domain.id.toString() : null;
-            
-            console.log('✓ Domain added successfully!');
-            console.log(`  ID: ${this.createdDomainId}`);
-            console.log(`  Domain: ${domain.name}`);
-            console.log(`  Verified: ${domain.verified ? 'Yes' : 'No'}`);
-            
-            if (domain.dkim) {
-                console.log(`  DKIM Record: ${domain.dkim.textValue}`);
-            }
-            
-            console.log('\n⚠️  IMPORTANT: Add the DNS records shown above to your domain\'s DNS settings to verify the domain.');
-            
-        } catch (error) {
-            console.error('✗ Failed to add domain:');
-            if (error.response) {
-                console.error(`  Status code: ${error.response.status}`);
-                console.error(`  Response body: ${JSON.stringify(error.response.body, null, 2)}`);
-            } else {
-                console.error(`  Error: ${error.message}`);
-            }
+        this.configureAccountAuth();
+        const webhookApi = new WebhookApi(this.apiClient);
+        const current = findWebhook(await this.callApi('list webhooks', () => webhookApi.getAllWebhooks()), ref);
+        const settings = resolveWebhookSettings(current, change);
+        
+        const diff = webhookDiff(current, settings);
+        if (diff.length === 0) {
+            this.logger.info(`✓ Webhook ${current.id} already has these settings`);
+            return current;
+        }
+        const webhook = await this.callApi('update webhook', () => webhookApi.updateWebhook(current.id, toWebhookRequest(settings)), { idempotent: false });
+        
+        this.logger.info(`✓ Updated webhook ${current.id}`);
+        for (const { field, from, to } of diff) {
+            const show = (value) => (Array.isArray(value) ? value.join(', ') || 'none' : String(value));
+            this.logger.info(`  ${field}: ${show(from)} → ${show(to)}`);
         }
+        return webhook;
     }
 
     /**
-     * Step 6: List all domains
+     * Delete a webhook
+     *
+     * @param {string|number} ref - Webhook ID, or its URL when only one webhook has it
+     * @returns {Promise<object>} The deleted webhook
      */
-    async listDomains() {
-        console.log('\n=== Step 6: Listing All Domains ===');
+    async deleteWebhook(ref) {
+        this.logger.info(`\n=== Deleting Webhook ${ref} ===`);
         
-        try {
-            this.configureSubAccountAuth();
-            const domainApi = new DomainApi(this.apiClient);
-            
-            console.log('Retrieving all domains...');
-            const domains = await domainApi.getAllDomains();
-            
-            console.log(`✓ Retrieved ${domains.length} domain(s)`);
-            for (const domain of domains) {
-                console.log(`  - ID: ${domain.id}`);
-                console.log(`    Domain: ${domain.name}`);
-                console.log(`    Verified: ${domain.verified ? 'Yes' : 'No'}`);
-                console.log();
-            }
-            
-        } catch (error) {
-            console.error('✗ Failed to list domains:');
-            if (error.response) {
-                console.error(`  Status code: ${error.response.status}`);
-                console.error(`  Response body: ${JSON.stringify(error.response.body, null, 2)}`);
-            } else {
-                console.error(`  Error: ${error.message}`);
-            }
-        }
+        this.configureAccountAuth();
+        const webhookApi = new WebhookApi(this.apiClient);
+        const webhook = findWebhook(await this.callApi('list webhooks', () => webhookApi.getAllWebhooks()), ref);
+        await this.callApi('delete webhook', () => webhookApi.deleteWebhook(webhook.id), { idempotent: false });
+        await this.forgetWebhook(webhook.id);
+        
+        this.logger.info(`✓ Deleted webhook ${webhook.id} (${webhook.url})`);
+        return webhook;
     }
 
     /**
-     * Step 7: Send a transactional email
-     * Transactional emails are typically triggered by user actions
+     * Mark a deleted webhook as such in the run manifest
      */
-    async sendTransactionalEmail() {
-        console.log('\n=== Step 7: Sending Transactional Email ===');
-        
-        try {
-            this.configureSubAccountAuth();
-            const emailApi = new EmailApi(this.apiClient);
-            
-            // Create email message
-            const emailMessage = new EmailMessageObject();
-            
-            // Set sender
-            const from = new EmailAddress();
-            from.email = TEST_FROM_EMAIL;
-            from.name = 'Your Company';
-            emailMessage.from = from;
-            
-            // Set recipient
-            const recipient = new Recipient();
-            recipient.email = TEST_TO_EMAIL;
-            recipient.name = 'Customer';
-            
-            // Add custom fields
-            recipient.customFields = {
-                customer_id: '67890',
-                order_value: '99.99'
-            };
-            
-            emailMessage.to = [recipient];
-            
-            // Set email content
-            emailMessage.subject = 'Order Confirmation - Transactional Email';
-            emailMessage.htmlBody = '<h1>Thank you for your order!</h1><p>Your order has been confirmed and will be processed shortly.</p>';
-            emailMessage.textBody = 'Thank you for your order! Your order has been confirmed and will be processed shortly.';
-            
-            // Enable tracking
-            emailMessage.trackOpens = true;
-            emailMessage.trackClicks = true;
-            
-            // Add custom headers for tracking
-            emailMessage.headers = {
-                'X-Order-ID': '12345',
-                'X-Email-Type': 'transactional'
-            };
-            
-            // Use IP pool if available
-            if (this.createdIPPoolName) {
-                emailMessage.ippool = this.createdIPPoolName;
-                console.log(`  Using IP Pool: ${this.createdIPPoolName}`);
-            }
-            
-            console.log('Sending transactional email...');
-            console.log(`  From: ${TEST_FROM_EMAIL}`);
-            console.log(`  To: ${TEST_TO_EMAIL}`);
-            console.log(`  Subject: ${emailMessage.subject}`);
-            
-            const responses = await emailApi.sendEmail(emailMessage);
-            
-            if (responses && responses.length > 0) {
-                const response = responses[0];
-                this.sentMessageId = response.messageId;
-                
-                console.log('✓ Transactional email sent successfully!');
-                console.log(`  Message ID: ${this.sentMessageId}`);
-                console.log(`  To: ${response.to}`);
-            }
-            
-        } catch (error) {
-            console.error('✗ Failed to send email:');
-            if (error.response) {
-                console.error(`  Status code: ${error.response.status}`);
-                console.error(`  Response body: ${JSON.stringify(error.response.body, null, 2)}`);
-            } else {
-                console.error(`  Error: ${error.message}`);
-            }
+    async forgetWebhook(id) {
+        await this.manifest.markDeleted('webhook', id);
+        if (this.createdWebhookId === id) {
+            this.createdWebhookId = null;
         }
     }
 
     /**
-     * Step 8: Send a marketing email
-     * Marketing emails are typically sent to multiple recipients
+     * POST a synthetic event to a webhook's URL, as SendPost would
+     *
+     * The event is marked `test: true` and its message ID starts with "test-",
+     * so receivers can tell it apart from real events.
+     *
+     * @param {string|number} ref - Webhook ID, or its URL when only one webhook has it
+     * @param {object} [options]
+     * @param {string} [options.event='delivered'] - Event type to send
+     * @returns {Promise<object>} { webhookId, url, event, status, ms }
      */
-    async sendMarketingEmail() {
-        console.log('\n=== Step 8: Sending Marketing Email ===');
+    async testWebhook(ref, { event = 'delivered' } = {}) {
+        this.logger.info(`\n=== Testing Webhook ${ref} ===`);
         
-        try {
-            this.configureSubAccountAuth();
-            const emailApi = new EmailApi(this.apiClient);
-            
-            // Create email message
-            const emailMessage = new EmailMessageObject();
-            
-            // Set sender
-            const from = new EmailAddress();
-            from.email = TEST_FROM_EMAIL;
-            from.name = 'Marketing Team';
-            emailMessage.from = from;
-            
-            // Set recipient
-            const recipient = new Recipient();
-            recipient.email = TEST_TO_EMAIL;
-            recipient.name = 'Customer 1';
-            emailMessage.to = [recipient];
-            
-            // Set email content
-            emailMessage.subject = 'Special Offer - 20% Off Everything!';
-            emailMessage.htmlBody = `
-                <html>
-                <body>
-                    <h1>Special Offer!</h1>
-                    <p>Get 20% off on all products. Use code: <strong>SAVE20</strong></p>
-                    <p><a href="https://example.com/shop">Shop Now</a></p>
-                </body>
-                </html>
-            `;
-            emailMessage.textBody = 'Special Offer! Get 20% off on all products. Use code: SAVE20. Visit: https://example.com/shop';
-            
-            // Enable tracking
-            emailMessage.trackOpens = true;
-            emailMessage.trackClicks = true;
-            
-            // Add group for analytics
-            emailMessage.groups = ['marketing', 'promotional'];
-            
-            // Add custom headers
-            emailMessage.headers = {
-                'X-Email-Type': 'marketing',
-                'X-Campaign-ID': 'campaign-001'
-            };
-            
-            // Use IP pool if available
-            if (this.createdIPPoolName) {
-                emailMessage.ippool = this.createdIPPoolName;
-                console.log(`  Using IP Pool: ${this.createdIPPoolName}`);
-            }
-            
-            console.log('Sending marketing email...');
-            console.log(`  From: ${TEST_FROM_EMAIL}`);
-            console.log(`  To: ${TEST_TO_EMAIL}`);
-            console.log(`  Subject: ${emailMessage.subject}`);
-            
-            const responses = await emailApi.sendEmail(emailMessage);
-            
-            if (responses && responses.length > 0) {
-                const response = responses[0];
-                if (!this.sentMessageId) {
-                    this.sentMessageId = response.messageId;
-                }
-                
-                console.log('✓ Marketing email sent successfully!');
-                console.log(`  Message ID: ${response.messageId}`);
-                console.log(`  To: ${response.to}`);
-            }
-            
-        } catch (error) {
-            console.error('✗ Failed to send email:');
-            if (error.response) {
-                console.error(`  Status code: ${error.response.status}`);
-                console.error(`  Response body: ${JSON.stringify(error.response.body, null, 2)}`);
-            } else {
-                console.error(`  Error: ${error.message}`);
-            }
+        this.configureAccountAuth();
+        const webhookApi = new WebhookApi(this.apiClient);
+        const webhook = findWebhook(await this.callApi('list webhooks', () => webhookApi.getAllWebhooks()), ref);
+        if (!webhook.enabled) {
+            this.logger.warn(`⚠️  Webhook ${webhook.id} is disabled; SendPost would not send it events`);
+        } else if (!webhook[event]) {
+            this.logger.warn(`⚠️  Webhook ${webhook.id} does not receive ${event} events from SendPost`);
         }
+        
+        this.logger.info(`Sending a test ${event} event to ${webhook.url}...`);
+        const { status, ms } = await fireTestEvent(webhook.url, testEvent(event, { webhookId: webhook.id }));
+        
+        this.logger.info(`✓ ${webhook.url} accepted the test event (${status}, ${ms} ms)`);
+        return { webhookId: webhook.id, url: webhook.url, event, status, ms };
     }
 
     /**
-     * Step 9: Retrieve message details
-     * Useful for tracking, debugging, and customer support
+     * Merge webhooks that share a URL into the oldest of them
+     *
+     * The kept webhook is enabled when any of them was and receives the
+     * events of all of them; the others are deleted.
+     *
+     * @param {object} [options]
+     * @param {boolean} [options.dryRun=false] - Only list what would change
+     * @param {function(string): Promise<boolean>} [options.confirm] - Asked before changing anything; changes without asking when omitted
+     * @returns {Promise<{groups: object[], deleted: number, failed: number}>}
      */
-    async getMessageDetails() {
-        console.log('\n=== Step 9: Retrieving Message Details ===');
+    async reconcileWebhooks({ dryRun = false, confirm } = {}) {
+        this.logger.info('\n=== Reconciling Webhooks ===');
         
-        if (!this.sentMessageId) {
-            console.error('✗ No message ID available. Please send an email first.');
-            return;
+        this.configureAccountAuth();
+        const webhookApi = new WebhookApi(this.apiClient);
+        const groups = findDuplicates(await this.callApi('list webhooks', () => webhookApi.getAllWebhooks()));
+        if (groups.length === 0) {
+            this.logger.info('✓ No webhooks share a URL');
+            return { groups, deleted: 0, failed: 0 };
         }
         
-        try {
-            this.configureAccountAuth();
-            const messageApi = new MessageApi(this.apiClient);
-            
-            console.log(`Retrieving message with ID: ${this.sentMessageId}`);
-            
-            const message = await messageApi.getMessageById(this.sentMessageId);
-            
-            console.log('✓ Message retrieved successfully!');
-            console.log(`  Message ID: ${message.messageID}`);
-            console.log(`  Account ID: ${message.accountID}`);
-            console.log(`  Sub-Account ID: ${message.subAccountID}`);
-            console.log(`  IP ID: ${message.ipID}`);
-            console.log(`  Public IP: ${message.publicIP}`);
-            console.log(`  Local IP: ${message.localIP}`);
-            console.log(`  Email Type: ${message.emailType}`);
-            
-            if (message.submittedAt) {
-                console.log(`  Submitted At: ${message.submittedAt}`);
-            }
-            
-            if (message.from) {
-                console.log(`  From: ${message.from.email || 'N/A'}`);
+        for (const { url, keep, remove, settings } of groups) {
+            this.logger.info(`${url}: keeping ${keep.id}, deleting ${remove.map((webhook) => webhook.id).join(', ')}`);
+            for (const { field, from, to } of webhookDiff(keep, settings)) {
+                this.logger.info(`  ${field}: ${Array.isArray(from) ? from.join(', ') || 'none' : from} → ${Array.isArray(to) ? to.join(', ') || 'none' : to}`);
             }
-            
-            if (message.to) {
-                console.log(`  To: ${message.to.email || 'N/A'}`);
-                if (message.to.name) {
-                    console.log(`    Name: ${message.to.name}`);
+        }
+        const duplicates = groups.reduce((count, group) => count + group.remove.length, 0);
+        if (dryRun) {
+            this.logger.info(`⊘ Dry run: ${duplicates} duplicate webhook(s) not deleted`);
+            return { groups, deleted: 0, failed: 0 };
+        }
+        if (confirm && !(await confirm(`Delete ${duplicates} duplicate webhook(s)?`))) {
+            this.logger.info('⊘ Reconcile cancelled');
+            return { groups, deleted: 0, failed: 0 };
+        }
+        
+        let deleted = 0;
+        let failed = 0;
+        for (const { keep, remove, settings } of groups) {
+            // The duplicates are only deleted once the kept webhook receives their events
+            if (webhookDiff(keep, settings).length > 0) {
+                try {
+                    await this.callApi('update webhook', () => webhookApi.updateWebhook(keep.id, toWebhookRequest(settings)), { idempotent: false });
+                    this.logger.info(`✓ Updated webhook ${keep.id}`);
+                } catch (error) {
+                    this.logger.failure(error);
+                    failed += remove.length;
+                    continue;
                 }
             }
-            
-            if (message.subject) {
-                console.log(`  Subject: ${message.subject}`);
-            }
-            
-            if (message.ipPool && message.ipPool.length > 0) {
-                console.log(`  IP Pool: ${message.ipPool}`);
-            }
-            
-            if (message.attempt) {
-                console.log(`  Delivery Attempts: ${message.attempt}`);
-            }
-            
-        } catch (error) {
-            console.error('✗ Failed to get message:');
-            if (error.response) {
-                console.error(`  Status code: ${error.response.status}`);
-                console.error(`  Response body: ${JSON.stringify(error.response.body, null, 2)}`);
-            } else {
-                console.error(`  Error: ${error.message}`);
+            for (const webhook of remove) {
+                try {
+                    await this.callApi('delete webhook', () => webhookApi.deleteWebhook(webhook.id), { idempotent: false });
+                    this.logger.info(`✓ Deleted webhook ${webhook.id}`);
+                    deleted++;
+                } catch (error) {
+                    if (!(error instanceof NotFoundError)) {
+                        this.logger.failure(error);
+                        failed++;
+                        continue;
+                    }
+                    this.logger.info(`⊘ Webhook ${webhook.id} was already gone`);
+                }
+                await this.forgetWebhook(webhook.id);
             }
         }
+        
+        this.logger.info(`✓ Deleted ${deleted} duplicate webhook(s)${failed > 0 ? `, ${failed} failed` : ''}`);
+        return { groups, deleted, failed };
     }
 
     /**
-     * Step 10: Get sub-account statistics
-     * Monitor email performance metrics
+     * Step 5: Add a sending domain
+     * Domains must be verified before they can be used for sending
      */
-    async getSubAccountStats() {
-        console.log('\n=== Step 10: Getting Sub-Account Statistics ===');
+    async addDomain(domainName = this.config.domainName) {
+        this.logger.info('\n=== Step 5: Adding Domain ===');
+        
+        this.configureSubAccountAuth();
+        const domainApi = new DomainApi(this.apiClient);
+        
+        // Create domain request
+        const domainRequest = new CreateDomainRequest();
+        domainRequest.name = domainName;
         
-        if (!this.createdSubAccountId) {
-            console.error('✗ No sub-account ID available. Please create or list sub-accounts first.');
-            return;
+        this.logger.info(`Adding domain: ${domainName}`);
+        
+        const domain = await this.callApi('add domain', () => domainApi.subaccountDomainPost(domainRequest), { idempotent: false });
+        this.createdDomainId = domain.id ? domain.id.toString() : null;
+        await this.manifest.record({
+            runId: this.runId,
+            kind: 'domain',
+            id: this.createdDomainId,
+            name: domain.name,
+            subAccountId: this.actingSubAccount ? this.actingSubAccount.id : null
+        });
+        
+        this.logger.info('✓ Domain added successfully!');
+        this.logger.info(`  ID: ${this.createdDomainId}`);
+        this.logger.info(`  Domain: ${domain.name}`);
+        this.logger.info(`  Verified: ${domain.verified ? 'Yes' : 'No'}`);
+        
+        const { records } = expectedRecords(domain);
+        if (records.length > 0) {
+            this.logger.info('\n  DNS records:');
+            this.logger.info(formatZone(records).replace(/^/gm, '    '));
         }
         
-        try {
-            this.configureAccountAuth();
-            const statsApi = new StatsApi(this.apiClient);
-            
-            // Get stats for the last 7 days
-            const toDate = new Date();
-            const fromDate = new Date();
-            fromDate.setDate(fromDate.getDate() - 7);
-            
-            // Format dates as YYYY-MM-DD
-            const formatDate = (date) => {
-                return date.toISOString().split('T')[0];
-            };
-            
-            console.log(`Retrieving stats for sub-account ID: ${this.createdSubAccountId}`);
-            console.log(`  From: ${formatDate(fromDate)}`);
-            console.log(`  To: ${formatDate(toDate)}`);
-            
-            const stats = await statsApi.accountSubaccountStatSubaccountIdGet(
-                formatDate(fromDate),
-                formatDate(toDate),
-                this.createdSubAccountId
-            );
-            
-            console.log('✓ Stats retrieved successfully!');
-            console.log(`  Retrieved ${stats.length} stat record(s)`);
-            
-            let totalProcessed = 0;
-            let totalDelivered = 0;
-            
-            for (const stat of stats) {
-                console.log(`\n  Date: ${stat.date}`);
-                if (stat.stats) {
-                    const statData = stat.stats;
-                    console.log(`    Processed: ${statData.processed || 0}`);
-                    console.log(`    Delivered: ${statData.delivered || 0}`);
-                    console.log(`    Dropped: ${statData.dropped || 0}`);
-                    console.log(`    Hard Bounced: ${statData.hardBounced || 0}`);
-                    console.log(`    Soft Bounced: ${statData.softBounced || 0}`);
-                    console.log(`    Unsubscribed: ${statData.unsubscribed || 0}`);
-                    console.log(`    Spam: ${statData.spam || 0}`);
-                    
-                    totalProcessed += statData.processed || 0;
-                    totalDelivered += statData.delivered || 0;
+        this.logger.warn('\n⚠️  IMPORTANT: Add the DNS records shown above to your domain\'s DNS settings to verify the domain.');
+        this.logger.info(`  Then run "domains verify ${domain.name}" to check them.`);
+        
+        return domain;
+    }
+
+    /**
+     * Step 6: List all domains
+     */
+    async listDomains() {
+        this.logger.info('\n=== Step 6: Listing All Domains ===');
+        
+        this.configureSubAccountAuth();
+        const domainApi = new DomainApi(this.apiClient);
+        
+        this.logger.info('Retrieving all domains...');
+        const domains = await this.callApi('list domains', () => domainApi.getAllDomains());
+        
+        this.logger.info(`✓ Retrieved ${domains.length} domain(s)`);
+        for (const domain of domains) {
+            this.logger.info(`  - ID: ${domain.id}`);
+            this.logger.info(`    Domain: ${domain.name}`);
+            this.logger.info(`    Verified: ${domain.verified ? 'Yes' : 'No'}`);
+            this.logger.info();
+        }
+        
+        return domains;
+    }
+
+    /**
+     * Look up a domain of the sub-account and the DNS records SendPost expects for it
+     *
+     * @param {string|number} [nameOrId]
+     * @returns {Promise<{domain: object, records: object[], skipped: object[]}>}
+     */
+    async getDomainRecords(nameOrId = this.config.domainName) {
+        this.configureSubAccountAuth();
+        const domainApi = new DomainApi(this.apiClient);
+        
+        const domains = await this.callApi('list domains', () => domainApi.getAllDomains());
+        const domain = findDomain(domains, nameOrId);
+        return { domain, ...expectedRecords(domain) };
+    }
+
+    /**
+     * Check a domain's DNS records and, with `wait`, poll SendPost until it
+     * marks the domain verified
+     *
+     * @param {string|number} [nameOrId]
+     * @param {object} [options]
+     * @param {boolean} [options.wait=false]
+     * @returns {Promise<{domain: object, records: object[], verified: boolean}>} records carry their DNS status
+     */
+    async verifyDomain(nameOrId = this.config.domainName, { wait = false } = {}) {
+        this.logger.info('\n=== Verifying Domain ===');
+        
+        const { domain, records, skipped } = await this.getDomainRecords(nameOrId);
+        this.logger.info(`Domain: ${domain.name} (ID ${domain.id})`);
+        this.logger.info(`  Verified by SendPost: ${domain.verified ? 'Yes' : 'No'}`);
+        
+        this.logger.info(`Checking ${records.length} DNS record(s)...`);
+        const checked = await checkRecords(records, this.resolver);
+        for (const record of checked) {
+            const mark = record.status === 'ok' ? '✓' : '✗';
+            this.logger.info(`  ${mark} ${record.kind} ${record.type} ${record.host}: ${record.status}${record.detail ? ` (${record.detail})` : ''}`);
+            if (record.status !== 'ok') {
+                this.logger.info(`      expected: ${record.value}`);
+                if (record.found.length > 0) {
+                    this.logger.info(`      found:    ${record.found.join(' | ')}`);
                 }
             }
-            
-            console.log('\n  Summary (Last 7 days):');
-            console.log(`    Total Processed: ${totalProcessed}`);
-            console.log(`    Total Delivered: ${totalDelivered}`);
-            
-        } catch (error) {
-            console.error('✗ Failed to get stats:');
-            if (error.response) {
-                console.error(`  Status code: ${error.response.status}`);
-                console.error(`  Response body: ${JSON.stringify(error.response.body, null, 2)}`);
-            } else {
-                console.error(`  Error: ${error.message}`);
+        }
+        for (const { kind, reason } of skipped) {
+            this.logger.warn(`  ⚠️  ${kind}: not checked, ${reason}`);
+        }
+        
+        let verified = Boolean(domain.verified);
+        if (wait && !verified) {
+            const domainApi = new DomainApi(this.apiClient);
+            const found = await pollUntil(async () => {
+                const domains = await this.callApi('list domains', () => domainApi.getAllDomains());
+                const current = findDomain(domains, domain.id);
+                return current.verified ? current : null;
+            }, {
+                timeoutMs: this.config.domains.pollTimeoutMs,
+                intervalMs: this.config.domains.pollIntervalMs,
+                onWait: ({ elapsedMs }) => this.logger.info(`  ⏳ Not verified yet, checking again (${Math.round(elapsedMs / 1000)}s elapsed)...`)
+            });
+            if (!found) {
+                throw new EspError(`${domain.name} was not verified within ${Math.round(this.config.domains.pollTimeoutMs / 1000)}s`, {
+                    action: 'verify domain',
+                    hint: 'DNS changes can take hours to propagate; fix any records reported above and run the command again.'
+                });
             }
+            verified = true;
         }
+        
+        const problems = checked.filter((record) => record.status !== 'ok').length;
+        if (verified) {
+            this.logger.info(`✓ ${domain.name} is verified`);
+        } else {
+            this.logger.warn(`⚠️  ${domain.name} is not verified yet; ${problems} DNS record(s) need attention`);
+        }
+        return { domain, records: checked, verified };
     }
 
     /**
-     * Step 11: Get aggregate statistics
-     * Get overall performance metrics
+     * Step 7: Send a transactional email
+     * Transactional emails are typically triggered by user actions
      */
-    async getAggregateStats() {
-        console.log('\n=== Step 11: Getting Aggregate Statistics ===');
+    async sendTransactionalEmail({
+        from: fromEmail = this.config.fromEmail,
+        to: toEmail = this.config.toEmail,
+        idempotencyKey,
+        template = this.config.templates.transactional,
+        merge = this.config.templates.merge,
+        attachments = []
+    } = {}) {
+        this.logger.info('\n=== Step 7: Sending Transactional Email ===');
+        
+        // Create email message
+        const emailMessage = new EmailMessageObject();
+        
+        // Set sender
+        const from = new EmailAddress();
+        from.email = fromEmail;
+        from.name = 'Your Company';
+        emailMessage.from = from;
+        
+        // Set recipient
+        const recipient = new Recipient();
+        recipient.email = toEmail;
+        recipient.name = 'Customer';
+        
+        // Add custom fields
+        recipient.customFields = {
+            customer_id: '67890',
+            order_value: '99.99'
+        };
+        
+        emailMessage.to = [recipient];
         
-        if (!this.createdSubAccountId) {
-            console.error('✗ No sub-account ID available. Please create or list sub-accounts first.');
-            return;
+        // Set email content from the template, using the custom fields above
+        await this.applyTemplate(emailMessage, template, merge);
+        
+        // Attach files (e.g. the invoice PDF) and the template's inline images
+        await this.applyAttachments(emailMessage, template, attachments);
+        
+        // Enable tracking
+        emailMessage.trackOpens = true;
+        emailMessage.trackClicks = true;
+        
+        // Add custom headers for tracking
+        emailMessage.headers = {
+            'X-Order-ID': '12345',
+            'X-Email-Type': 'transactional'
+        };
+        
+        // Use IP pool if available
+        if (this.createdIPPoolName) {
+            this.logger.info(`  Using IP Pool: ${this.createdIPPoolName}`);
         }
         
+        await this.applySuppressions(emailMessage);
+        
+        this.logger.info('Sending transactional email...');
+        this.logger.info(`  From: ${fromEmail}`);
+        this.logger.info(`  To: ${toEmail}`);
+        this.logger.info(`  Subject: ${emailMessage.subject}`);
+        
+        const [response] = await this.sendMessage(emailMessage, { idempotencyKey });
+        this.sentMessageId = response.messageId;
+        
+        this.logger.info('✓ Transactional email sent successfully!');
+        this.logger.info(`  Message ID: ${this.sentMessageId}`);
+        this.logger.info(`  To: ${response.to}`);
+        return response;
+    }
+
+    /**
+     * Build the example marketing message
+     *
+     * @param {string} fromEmail
+     * @param {Array<{email: string, name?: string, customFields?: object}>} recipients
+     * @param {object} [options]
+     * @param {string} [options.template] - Template name, templates.marketing by default
+     * @param {string} [options.merge] - 'local' or 'server', templates.merge by default
+     * @param {Array<string|object>} [options.attachments] - Files to attach (see applyAttachments)
+     * @param {object} [options.campaign] - { id, groups } of the campaign it belongs to; the example campaign by default
+     * @returns {Promise<EmailMessageObject>}
+     */
+    async buildMarketingMessage(fromEmail, recipients, { template = this.config.templates.marketing, merge = this.config.templates.merge, attachments = [], campaign = NO_CAMPAIGN } = {}) {
+        // Create email message
+        const emailMessage = new EmailMessageObject();
+        
+        // Set sender
+        const from = new EmailAddress();
+        from.email = fromEmail;
+        from.name = 'Marketing Team';
+        emailMessage.from = from;
+        
+        // Set recipients; SendPost delivers a separate copy to each one
+        emailMessage.to = recipients.map(({ email, name, customFields }) => {
+            const recipient = new Recipient();
+            recipient.email = email;
+            recipient.name = name;
+            if (customFields && Object.keys(customFields).length > 0) {
+                recipient.customFields = customFields;
+            }
+            return recipient;
+        });
+        
+        // Set email content from the template
+        await this.applyTemplate(emailMessage, template, merge);
+        
+        // Attach files and the template's inline images
+        await this.applyAttachments(emailMessage, template, attachments);
+        
+        // Enable tracking
+        emailMessage.trackOpens = true;
+        emailMessage.trackClicks = true;
+        
+        // Add group for analytics
+        emailMessage.groups = [...campaign.groups];
+        
+        // Add custom headers
+        emailMessage.headers = {
+            'X-Email-Type': 'marketing',
+            'X-Campaign-ID': campaign.id
+        };
+        return emailMessage;
+    }
+
+    /**
+     * Step 8: Send a marketing email
+     * Marketing emails are typically sent to multiple recipients
+     */
+    async sendMarketingEmail({
+        from: fromEmail = this.config.fromEmail,
+        to: toEmail = this.config.toEmail,
+        idempotencyKey,
+        template,
+        merge,
+        attachments
+    } = {}) {
+        this.logger.info('\n=== Step 8: Sending Marketing Email ===');
+        
+        const emailMessage = await this.buildMarketingMessage(fromEmail, [{ email: toEmail, name: 'Customer 1' }], { template, merge, attachments });
+        
+        // Use IP pool if available
+        if (this.createdIPPoolName) {
+            this.logger.info(`  Using IP Pool: ${this.createdIPPoolName}`);
+        }
+        
+        await this.applySuppressions(emailMessage);
+        
+        this.logger.info('Sending marketing email...');
+        this.logger.info(`  From: ${fromEmail}`);
+        this.logger.info(`  To: ${toEmail}`);
+        this.logger.info(`  Subject: ${emailMessage.subject}`);
+        
+        const [response] = await this.sendMessage(emailMessage, { idempotencyKey });
+        if (!this.sentMessageId) {
+            this.sentMessageId = response.messageId;
+        }
+        
+        this.logger.info('✓ Marketing email sent successfully!');
+        this.logger.info(`  Message ID: ${response.messageId}`);
+        this.logger.info(`  To: ${response.to}`);
+        return response;
+    }
+
+    /**
+     * Queue the example transactional or marketing email, for `queue work` to send
+     *
+     * @param {string} message - 'transactional' or 'marketing'
+     * @param {object} [params] - from, to, template, merge and attachments, as for the send methods
+     * @param {object} [when] - at (see parseSendTime) or localTime (HH:MM), in timeZone (stats.timezone by default)
+     * @returns {Promise<object>} The job
+     */
+    async scheduleEmail(message, params = {}, { at, localTime, timeZone = this.config.stats.timezone } = {}) {
+        const sendAt = resolveSendTime({ at, localTime, timeZone });
+        const attachments = await attachmentPaths(params.attachments || []);
+        const to = params.to || this.config.toEmail;
+        const job = await this.queue.add({
+            kind: 'email',
+            label: `${message} email to ${to}`,
+            params: { ...params, message, attachments },
+            sendAt,
+            subAccountId: this.actingSubAccount ? this.actingSubAccount.id : null
+        });
+        this.logger.info(`✓ Queued job ${job.id}: ${job.label} at ${job.sendAt}`);
+        return job;
+    }
+
+    /**
+     * Queue a batch send (see sendBatch) for `queue work`
+     *
+     * With `localTime`, recipients get it at that time of day in their own
+     * time zone, read from queue.timezoneField: one job per time zone, each
+     * with its recipients written to a file in the queue directory.
+     *
+     * @param {string} file - CSV or JSON Lines recipient list
+     * @param {object} [params] - from, template, pool and attachments, as for sendBatch
+     * @param {object} [when] - at or localTime, as for scheduleEmail; timeZone is the zone of recipients without one
+     * @returns {Promise<object[]>} The jobs
+     */
+    async scheduleBatch(file, params = {}, { at, localTime, timeZone = this.config.stats.timezone } = {}) {
+        const { recipients } = await readRecipients(file);
+        (await Template.load(this.config.templates.dir, params.template || this.config.templates.marketing)).validate(recipients);
+        const attachments = await attachmentPaths(params.attachments || []);
+        const base = {
+            kind: 'batch',
+            subAccountId: this.actingSubAccount ? this.actingSubAccount.id : null,
+            pool: params.pool || null
+        };
+
+        let groups = new Map([[timeZone, recipients]]);
+        if (localTime !== undefined) {
+            const grouped = groupByTimeZone(recipients, this.config.queue.timezoneField, timeZone);
+            groups = grouped.groups;
+            if (grouped.invalid > 0) {
+                this.logger.warn(`  ⚠️  ${grouped.invalid} recipient(s) have no valid "${this.config.queue.timezoneField}"; they are sent at ${localTime} ${timeZone}`);
+            }
+        }
+
+        const jobs = [];
+        for (const [zone, members] of groups) {
+            const id = newJobId();
+            const path = groups.size > 1 ? await this.queue.writeRecipients(id, members) : resolve(file);
+            jobs.push(await this.queue.add({
+                ...base,
+                id,
+                label: `batch ${basename(file)}${localTime === undefined ? '' : ` (${zone})`}`,
+                params: { ...params, file: path, attachments },
+                sendAt: resolveSendTime({ at, localTime, timeZone: zone }),
+                size: members.length
+            }));
+        }
+        for (const job of jobs) {
+            this.logger.info(`✓ Queued job ${job.id}: ${job.label}, ${job.size} recipient(s) at ${job.sendAt}`);
+        }
+        return jobs;
+    }
+
+    /**
+     * List queued jobs by send time
+     *
+     * @param {object} [options]
+     * @param {string} [options.status] - Only jobs with this status
+     * @returns {Promise<object[]>}
+     */
+    async listJobs({ status } = {}) {
+        const jobs = await this.queue.list({ status });
+        this.logger.info(`✓ ${jobs.length} job(s)${status ? ` ${status}` : ''} in the queue`);
+        for (const job of jobs) {
+            const attempts = job.attempts > 0 ? `, ${job.attempts} attempt(s)` : '';
+            this.logger.info(`  - ${job.id} ${job.status.padEnd(9)} ${job.sendAt} ${job.label}${attempts}`);
+            if (job.lastError && job.status !== 'sent') {
+                this.logger.info(`      Last error: ${job.lastError}`);
+            }
+        }
+        return jobs;
+    }
+
+    /**
+     * Cancel, pause, resume or retry a queued job
+     *
+     * @param {string} ref - Job ID, or `all` for every job the action applies to
+     * @param {string} action - Key of JOB_ACTIONS
+     * @returns {Promise<object[]>} The jobs changed
+     * @throws {PrerequisiteError} When the job does not exist or its status does not allow the action
+     */
+    async changeJob(ref, action) {
+        const ids = ref === 'all'
+            ? (await this.queue.list()).filter((job) => JOB_ACTIONS[action].from.includes(job.status)).map((job) => job.id)
+            : [ref];
+        const changed = [];
+        for (const id of ids) {
+            const job = await this.queue.update(id, (current) => applyJobAction(current, action));
+            changed.push(job);
+            this.logger.info(`✓ Job ${job.id} (${job.label}) is ${job.status}`);
+        }
+        if (ref === 'all' && changed.length === 0) {
+            this.logger.info(`No ${JOB_ACTIONS[action].from.join(' or ')} jobs`);
+        }
+        return changed;
+    }
+
+    /**
+     * Step 9: Retrieve message details
+     * Useful for tracking, debugging, and customer support
+     *
+     * A message is stored a little while after sendEmail returns, so by default
+     * a message sent by this instance is polled for until it shows up or
+     * messages.pollTimeoutMs passes.
+     *
+     * @param {string} [messageId] - Defaults to the last message sent by this instance
+     * @param {object} [options]
+     * @param {boolean} [options.wait] - Poll while the message is not found yet
+     */
+    async getMessageDetails(messageId = this.sentMessageId, { wait = messageId === this.sentMessageId } = {}) {
+        this.logger.info('\n=== Step 9: Retrieving Message Details ===');
+        
+        if (!messageId) {
+            throw new PrerequisiteError('No message ID available. Please send an email first.', { action: 'get message' });
+        }
+        
+        this.configureAccountAuth();
+        const messageApi = new MessageApi(this.apiClient);
+        
+        this.logger.info(`Retrieving message with ID: ${messageId}`);
+        
+        const lookup = () => this.callApi('get message', () => messageApi.getMessageById(messageId));
+        const message = wait
+            ? await pollUntilFound(lookup, {
+                timeoutMs: this.config.messages.pollTimeoutMs,
+                intervalMs: this.config.messages.pollIntervalMs,
+                onWait: ({ elapsedMs }) => this.logger.info(`  ⏳ Message not stored yet, checking again (${Math.round(elapsedMs / 1000)}s elapsed)...`)
+            })
+            : await lookup();
+        
+        this.logger.info('✓ Message retrieved successfully!');
+        this.logger.info(`  Message ID: ${message.messageID}`);
+        this.logger.info(`  Account ID: ${message.accountID}`);
+        this.logger.info(`  Sub-Account ID: ${message.subAccountID}`);
+        this.logger.info(`  IP ID: ${message.ipID}`);
+        this.logger.info(`  Public IP: ${message.publicIP}`);
+        this.logger.info(`  Local IP: ${message.localIP}`);
+        this.logger.info(`  Email Type: ${message.emailType}`);
+        
+        if (message.submittedAt) {
+            this.logger.info(`  Submitted At: ${message.submittedAt}`);
+        }
+        
+        if (message.from) {
+            this.logger.info(`  From: ${message.from.email || 'N/A'}`);
+        }
+        
+        if (message.to) {
+            this.logger.info(`  To: ${message.to.email || 'N/A'}`);
+            if (message.to.name) {
+                this.logger.info(`    Name: ${message.to.name}`);
+            }
+        }
+        
+        if (message.subject) {
+            this.logger.info(`  Subject: ${message.subject}`);
+        }
+        
+        if (message.ipPool && message.ipPool.length > 0) {
+            this.logger.info(`  IP Pool: ${message.ipPool}`);
+        }
+        
+        if (message.attempt) {
+            this.logger.info(`  Delivery Attempts: ${message.attempt}`);
+        }
+        
+        return message;
+    }
+
+    /**
+     * Show what happened to any message: SendPost's record of it and the
+     * webhook events received for it, as one timeline
+     *
+     * @param {string} messageId
+     * @returns {Promise<{messageId: string, message: object|null, record: object|null, events: object[], timeline: object[]}>}
+     * @throws {NotFoundError} When neither SendPost nor the local records know the message
+     */
+    async showMessage(messageId) {
+        this.logger.info(`\n=== Message ${messageId} ===`);
+
+        this.configureAccountAuth();
+        const messageApi = new MessageApi(this.apiClient);
+        const record = await this.ledger.find(messageId);
+        const events = (await eventStore(this.config).readAll()).filter((event) => event.messageId === messageId);
+
+        let message = null;
         try {
-            this.configureAccountAuth();
-            const statsApi = new StatsApi(this.apiClient);
-            
-            // Get aggregate stats for the last 7 days
-            const toDate = new Date();
-            const fromDate = new Date();
-            fromDate.setDate(fromDate.getDate() - 7);
-            
-            // Format dates as YYYY-MM-DD
-            const formatDate = (date) => {
-                return date.toISOString().split('T')[0];
-            };
-            
-            console.log(`Retrieving aggregate stats for sub-account ID: ${this.createdSubAccountId}`);
-            console.log(`  From: ${formatDate(fromDate)}`);
-            console.log(`  To: ${formatDate(toDate)}`);
-            
-            const aggregateStat = await statsApi.accountSubaccountStatSubaccountIdAggregateGet(
-                formatDate(fromDate),
-                formatDate(toDate),
-                this.createdSubAccountId
-            );
-            
-            console.log('✓ Aggregate stats retrieved successfully!');
-            console.log(`  Processed: ${aggregateStat.processed || 0}`);
-            console.log(`  Delivered: ${aggregateStat.delivered || 0}`);
-            console.log(`  Dropped: ${aggregateStat.dropped || 0}`);
-            console.log(`  Hard Bounced: ${aggregateStat.hardBounced || 0}`);
-            console.log(`  Soft Bounced: ${aggregateStat.softBounced || 0}`);
-            console.log(`  Unsubscribed: ${aggregateStat.unsubscribed || 0}`);
-            console.log(`  Spam: ${aggregateStat.spam || 0}`);
-            
+            message = await this.callApi('get message', () => messageApi.getMessageById(messageId));
         } catch (error) {
-            console.error('✗ Failed to get aggregate stats:');
-            if (error.response) {
-                console.error(`  Status code: ${error.response.status}`);
-                console.error(`  Response body: ${JSON.stringify(error.response.body, null, 2)}`);
-            } else {
-                console.error(`  Error: ${error.message}`);
+            if (!(error instanceof NotFoundError) || (!record && events.length === 0)) {
+                throw error;
+            }
+            this.logger.warn('⚠️  SendPost has no record of this message (yet); showing what was recorded locally');
+        }
+
+        const to = message && message.to ? message.to.email : record && record.to;
+        const subAccountId = message ? message.subAccountID : record && record.subAccountId;
+        const headers = record ? Object.entries(record.headers) : [];
+        this.logger.info(`  To: ${to || 'N/A'}`);
+        this.logger.info(`  Subject: ${(message && message.subject) || (record && record.subject) || 'N/A'}`);
+        if (subAccountId !== null && subAccountId !== undefined) {
+            this.logger.info(`  Sub-Account ID: ${subAccountId}`);
+        }
+        if (record && record.groups.length > 0) {
+            this.logger.info(`  Groups: ${record.groups.join(', ')}`);
+        }
+        for (const [name, value] of headers) {
+            this.logger.info(`  ${name}: ${value}`);
+        }
+
+        const timeline = buildTimeline({ record, message, events });
+        this.logger.info('\n  Timeline:');
+        this.logger.info(formatTimeline(timeline));
+        if (events.length === 0) {
+            this.logger.info('  No webhook events stored for this message; "webhooks listen" stores them as SendPost posts them');
+        }
+        return { messageId, message, record, events, timeline };
+    }
+
+    /**
+     * List messages from the send ledger
+     *
+     * @param {object} [filters] - recipient, orderId, campaignId, group, subAccountId, since and until (see queryLedger); days are counted in stats.timezone by default
+     * @returns {Promise<object[]>} Ledger entries, newest first
+     */
+    async listSends(filters = {}) {
+        const entries = await this.ledger.query({ timeZone: this.config.stats.timezone, ...filters });
+        this.logger.info(`✓ ${entries.length} message(s) found`);
+        for (const entry of entries) {
+            this.logger.info(`  - ${entry.messageId} ${entry.sentAt} to ${entry.to}: ${entry.subject || '(no subject)'}`);
+            const links = [
+                entry.subAccountId !== null && `sub-account ${entry.subAccountId}`,
+                entry.campaignId && `campaign ${entry.campaignId}`,
+                entry.orderId && `order ${entry.orderId}`,
+                entry.groups.length > 0 && `groups ${entry.groups.join(', ')}`,
+                entry.ipPool && `pool ${entry.ipPool}`
+            ].filter(Boolean);
+            if (links.length > 0) {
+                this.logger.info(`      ${links.join('; ')}`);
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Create a marketing campaign, to be sent with launchCampaign()
+     *
+     * @param {object} fields - name, audience, template, from, groups, pool and schedule (see resolveCampaign)
+     * @returns {Promise<object>} The campaign
+     * @throws {CampaignError} When the settings are invalid
+     */
+    async createCampaign({ template = this.config.templates.marketing, ...fields }) {
+        const campaign = resolveCampaign({ template, ...fields }, await this.campaigns.list());
+        const { recipients } = await readRecipients(campaign.audience);
+        (await Template.load(this.config.templates.dir, campaign.template)).validate(recipients);
+        await this.campaigns.save(campaign);
+
+        this.logger.info(`✓ Campaign created: ${campaign.name}`);
+        this.logger.info(`  ID: ${campaign.id}`);
+        this.logger.info(`  Audience: ${campaign.audience} (${recipients.length} recipient(s))`);
+        this.logger.info(`  Template: ${campaign.template}`);
+        this.logger.info(`  Groups: ${campaign.groups.join(', ') || 'none'}`);
+        if (campaign.pool) {
+            this.logger.info(`  IP Pool: ${campaign.pool}`);
+        }
+        if (campaign.schedule) {
+            const { at, localTime, timeZone } = campaign.schedule;
+            this.logger.info(`  Schedule: ${localTime !== undefined ? `${localTime} in each recipient's time zone` : at}${timeZone ? ` (${timeZone})` : ''}`);
+        }
+        return campaign;
+    }
+
+    /**
+     * List campaigns, oldest first
+     *
+     * @returns {Promise<object[]>}
+     */
+    async listCampaigns() {
+        const campaigns = await this.refreshCampaigns();
+        this.logger.info(`✓ ${campaigns.length} campaign(s)`);
+        for (const campaign of campaigns) {
+            this.logger.info(`  - ${campaign.id} ${campaign.status.padEnd(9)} ${campaign.name}: ${basename(campaign.audience)}, template ${campaign.template}`);
+            if (campaign.jobs.length > 0) {
+                this.logger.info(`      jobs ${campaign.jobs.join(', ')}`);
             }
         }
+        return campaigns;
+    }
+
+    /**
+     * Campaigns, oldest first, with queued ones brought up to date from
+     * their jobs: sent, failed or cancelled once the worker is done with them
+     *
+     * @returns {Promise<object[]>}
+     */
+    async refreshCampaigns() {
+        const campaigns = await this.campaigns.list();
+        // A failed campaign's dead jobs may have been retried since
+        for (const campaign of campaigns.filter((candidate) => candidate.jobs.length > 0 && ['scheduled', 'failed'].includes(candidate.status))) {
+            const jobs = await Promise.all(campaign.jobs.map((id) => this.queue.get(id)));
+            const { status, counts } = progressFromJobs(jobs);
+            if (status !== campaign.status || JSON.stringify(counts) !== JSON.stringify(campaign.counts)) {
+                Object.assign(campaign, { status, counts });
+                await this.campaigns.save(campaign);
+            }
+        }
+        return campaigns;
+    }
+
+    /**
+     * Send a campaign to its audience, or queue it for its scheduled time
+     *
+     * Every message carries the campaign ID as X-Campaign-ID and the
+     * campaign's groups. Sent at once, the batch ID is the campaign ID, so
+     * launching again resumes a batch that stopped part way.
+     *
+     * @param {string} ref - Campaign ID or name
+     * @returns {Promise<object>} The campaign, with its status, jobs and counts
+     * @throws {PrerequisiteError} When there is no such campaign, or it was queued already
+     */
+    async launchCampaign(ref) {
+        const campaign = findCampaign(await this.refreshCampaigns(), ref);
+        this.logger.info(`\n=== Launching Campaign ${campaign.name} (${campaign.id}) ===`);
+        if (campaign.jobs.length > 0) {
+            throw new PrerequisiteError(`Campaign ${campaign.id} was queued as ${campaign.jobs.join(', ')} and is ${campaign.status}`, {
+                action: 'launch campaign',
+                hint: 'Run "queue list" to follow its jobs, "queue retry <jobId>" for dead-lettered ones, or "queue cancel <jobId>" to stop them.'
+            });
+        }
+
+        const params = {
+            ...(campaign.from && { from: campaign.from }),
+            template: campaign.template,
+            ...(campaign.pool && { pool: campaign.pool }),
+            campaign: { id: campaign.id, groups: campaign.groups }
+        };
+        campaign.launchedAt = new Date().toISOString();
+        if (campaign.schedule) {
+            const jobs = await this.scheduleBatch(campaign.audience, params, campaign.schedule);
+            campaign.status = 'scheduled';
+            campaign.jobs = jobs.map((job) => job.id);
+        } else {
+            const { counts } = await sendBatch(this, campaign.audience, { ...params, id: campaign.id });
+            campaign.status = 'sent';
+            campaign.counts = counts;
+        }
+        await this.campaigns.save(campaign);
+        this.logger.info(`✓ Campaign ${campaign.status}`);
+        return campaign;
+    }
+
+    /**
+     * Delivery, bounce, open, click, unsubscribe and spam numbers per
+     * campaign, from the send ledger and the webhook events `webhooks listen`
+     * stored
+     *
+     * @param {object} [options]
+     * @param {string} [options.campaign] - Only this campaign, by ID or name
+     * @returns {Promise<object[]>} Rows, see campaignReport()
+     */
+    async reportCampaigns({ campaign } = {}) {
+        let campaigns = await this.refreshCampaigns();
+        let campaignId;
+        let unknown = null;
+        if (campaign !== undefined) {
+            try {
+                campaignId = findCampaign(campaigns, campaign).id;
+            } catch (error) {
+                if (!(error instanceof PrerequisiteError)) {
+                    throw error;
+                }
+                // Campaign IDs only in the ledger, such as the example's campaign-001, match by ID alone
+                campaignId = campaign;
+                unknown = error;
+            }
+            campaigns = campaigns.filter((candidate) => candidate.id === campaignId);
+        }
+        const entries = await this.ledger.query(campaignId === undefined ? {} : { campaignId });
+        if (unknown && entries.length === 0) {
+            throw unknown;
+        }
+        const events = await eventStore(this.config).readAll();
+        const rows = campaignReport(campaigns, entries, events);
+
+        this.logger.info(`✓ ${rows.length} campaign(s)`);
+        if (rows.length > 0) {
+            this.logger.info(formatCampaignReport(rows));
+        }
+        if (events.length === 0) {
+            this.logger.info('  No webhook events stored; "webhooks listen" stores them as SendPost posts them');
+        }
+        return rows;
+    }
+
+    /**
+     * Step 10: Get sub-account statistics
+     * Monitor email performance metrics
+     */
+    async getSubAccountStats(subAccountId = this.createdSubAccountId, range = {}) {
+        this.logger.info('\n=== Step 10: Getting Sub-Account Statistics ===');
+        
+        if (!subAccountId) {
+            throw new PrerequisiteError('No sub-account ID available. Please create or list sub-accounts first.', { action: 'get stats' });
+        }
+        
+        this.configureAccountAuth();
+        const statsApi = new StatsApi(this.apiClient);
+        
+        // Get stats for the requested window (configured stats window by default)
+        const { from, to } = resolveRange({ ...this.config.stats, ...range });
+        
+        this.logger.info(`Retrieving stats for sub-account ID: ${subAccountId}`);
+        this.logger.info(`  From: ${from}`);
+        this.logger.info(`  To: ${to}`);
+        
+        const stats = await this.callApi('get stats', () => statsApi.accountSubaccountStatSubaccountIdGet(
+            from,
+            to,
+            subAccountId
+        ));
+        
+        this.logger.info('✓ Stats retrieved successfully!');
+        this.logger.info(`  Retrieved ${stats.length} stat record(s)`);
+        
+        let totalProcessed = 0;
+        let totalDelivered = 0;
+        
+        for (const stat of stats) {
+            this.logger.info(`\n  Date: ${stat.date}`);
+            if (stat.stats) {
+                const statData = stat.stats;
+                this.logger.info(`    Processed: ${statData.processed || 0}`);
+                this.logger.info(`    Delivered: ${statData.delivered || 0}`);
+                this.logger.info(`    Dropped: ${statData.dropped || 0}`);
+                this.logger.info(`    Hard Bounced: ${statData.hardBounced || 0}`);
+                this.logger.info(`    Soft Bounced: ${statData.softBounced || 0}`);
+                this.logger.info(`    Unsubscribed: ${statData.unsubscribed || 0}`);
+                this.logger.info(`    Spam: ${statData.spam || 0}`);
+                
+                totalProcessed += statData.processed || 0;
+                totalDelivered += statData.delivered || 0;
+            }
+        }
+        
+        this.logger.info(`\n  Summary (${from} to ${to}):`);
+        this.logger.info(`    Total Processed: ${totalProcessed}`);
+        this.logger.info(`    Total Delivered: ${totalDelivered}`);
+        
+        return stats;
+    }
+
+    /**
+     * Step 11: Get aggregate statistics
+     * Get overall performance metrics
+     */
+    async getAggregateStats(subAccountId = this.createdSubAccountId, range = {}) {
+        this.logger.info('\n=== Step 11: Getting Aggregate Statistics ===');
+        
+        if (!subAccountId) {
+            throw new PrerequisiteError('No sub-account ID available. Please create or list sub-accounts first.', { action: 'get aggregate stats' });
+        }
+        
+        this.configureAccountAuth();
+        const statsApi = new StatsApi(this.apiClient);
+        
+        // Get aggregate stats for the requested window (configured stats window by default)
+        const { from, to } = resolveRange({ ...this.config.stats, ...range });
+        
+        this.logger.info(`Retrieving aggregate stats for sub-account ID: ${subAccountId}`);
+        this.logger.info(`  From: ${from}`);
+        this.logger.info(`  To: ${to}`);
+        
+        const aggregateStat = await this.callApi('get aggregate stats', () => statsApi.accountSubaccountStatSubaccountIdAggregateGet(
+            from,
+            to,
+            subAccountId
+        ));
+        
+        this.logger.info('✓ Aggregate stats retrieved successfully!');
+        this.logger.info(`  Processed: ${aggregateStat.processed || 0}`);
+        this.logger.info(`  Delivered: ${aggregateStat.delivered || 0}`);
+        this.logger.info(`  Dropped: ${aggregateStat.dropped || 0}`);
+        this.logger.info(`  Hard Bounced: ${aggregateStat.hardBounced || 0}`);
+        this.logger.info(`  Soft Bounced: ${aggregateStat.softBounced || 0}`);
+        this.logger.info(`  Unsubscribed: ${aggregateStat.unsubscribed || 0}`);
+        this.logger.info(`  Spam: ${aggregateStat.spam || 0}`);
+        
+        return aggregateStat;
     }
 
     /**
@@ -688,250 +1578,783 @@ class ESPExample {
      * Monitor your dedicated IP addresses
      */
     async listIPs() {
-        console.log('\n=== Step 12: Listing All IPs ===');
+        this.logger.info('\n=== Step 12: Listing All IPs ===');
         
-        try {
-            this.configureAccountAuth();
-            const ipApi = new IPApi(this.apiClient);
-            
-            console.log('Retrieving all IPs...');
-            const ips = await ipApi.getAllIps();
-            
-            console.log(`✓ Retrieved ${ips.length} IP(s)`);
-            for (const ip of ips) {
-                console.log(`  - ID: ${ip.id}`);
-                console.log(`    IP Address: ${ip.publicIP}`);
-                if (ip.reverseDNSHostname) {
-                    console.log(`    Reverse DNS: ${ip.reverseDNSHostname}`);
-                }
-                if (ip.created) {
-                    console.log(`    Created: ${ip.created}`);
-                }
-                console.log();
+        this.configureAccountAuth();
+        const ipApi = new IPApi(this.apiClient);
+        
+        this.logger.info('Retrieving all IPs...');
+        const ips = await this.callApi('list IPs', () => ipApi.getAllIps());
+        
+        this.logger.info(`✓ Retrieved ${ips.length} IP(s)`);
+        for (const ip of ips) {
+            this.logger.info(`  - ID: ${ip.id}`);
+            this.logger.info(`    IP Address: ${ip.publicIP}`);
+            if (ip.reverseDNSHostname) {
+                this.logger.info(`    Reverse DNS: ${ip.reverseDNSHostname}`);
             }
-            
-        } catch (error) {
-            console.error('✗ Failed to list IPs:');
-            if (error.response) {
-                console.error(`  Status code: ${error.response.status}`);
-                console.error(`  Response body: ${JSON.stringify(error.response.body, null, 2)}`);
-            } else {
-                console.error(`  Error: ${error.message}`);
+            if (ip.created) {
+                this.logger.info(`    Created: ${ip.created}`);
             }
+            this.logger.info();
         }
+        
+        return ips;
     }
 
     /**
      * Step 13: Create an IP Pool
      * IP pools allow you to group IPs for better deliverability control
+     *
+     * @param {string} [name]
+     * @param {object} [settings] - ips, routingStrategy, warmupInterval, overflow and providers (see resolvePoolSettings in src/pools.js); by default the pool.* settings and the first available IP
      */
-    async createIPPool() {
-        console.log('\n=== Step 13: Creating IP Pool ===');
+    async createIPPool(name = `Marketing Pool - ${Date.now()}`, settings = {}) {
+        this.logger.info('\n=== Step 13: Creating IP Pool ===');
         
-        try {
-            this.configureAccountAuth();
-            const ipPoolsApi = new IPPoolsApi(this.apiClient);
-            
-            // First, get available IPs
-            const ipApi = new IPApi(this.apiClient);
-            const ips = await ipApi.getAllIps();
-            
-            if (!ips || ips.length === 0) {
-                console.log('⚠️  No IPs available. Please allocate IPs first.');
-                return;
-            }
-            
-            // Create IP pool request
-            const poolRequest = new IPPoolCreateRequest();
-            poolRequest.name = `Marketing Pool - ${Date.now()}`;
-            poolRequest.routingStrategy = 0; // 0 = RoundRobin, 1 = EmailProviderStrategy
-            
-            // Add IPs to the pool (convert IP to EIP)
-            const poolIPs = [];
-            // Add first available IP (you can add more)
-            if (ips.length > 0) {
-                const eip = new EIP();
-                eip.publicIP = ips[0].publicIP;
-                poolIPs.push(eip);
-            }
-            poolRequest.ips = poolIPs;
-            
-            // Set warmup interval (required, must be > 0)
-            poolRequest.warmupInterval = 24; // 24 hours
-            
-            // Set overflow strategy (0 = None, 1 = Use overflow pool)
-            poolRequest.overflowStrategy = 0;
-            
-            console.log(`Creating IP pool: ${poolRequest.name}`);
-            console.log('  Routing Strategy: Round Robin');
-            console.log(`  IPs: ${poolIPs.length}`);
-            console.log(`  Warmup Interval: ${poolRequest.warmupInterval} hours`);
-            
-            const ipPool = await ipPoolsApi.createIPPool(poolRequest);
-            this.createdIPPoolId = ipPool.id;
-            if (ipPool.name) {
-                this.createdIPPoolName = ipPool.name;
-            }
-            
-            console.log('✓ IP pool created successfully!');
-            console.log(`  ID: ${this.createdIPPoolId}`);
-            console.log(`  Name: ${ipPool.name}`);
-            console.log(`  Routing Strategy: ${ipPool.routingStrategy}`);
-            console.log(`  IPs in pool: ${ipPool.ips ? ipPool.ips.length : 0}`);
-            
-        } catch (error) {
-            console.error('✗ Failed to create IP pool:');
-            if (error.response) {
-                console.error(`  Status code: ${error.response.status}`);
-                console.error(`  Response body: ${JSON.stringify(error.response.body, null, 2)}`);
-            } else {
-                console.error(`  Error: ${error.message}`);
+        this.configureAccountAuth();
+        const ipPoolsApi = new IPPoolsApi(this.apiClient);
+        
+        // First, get available IPs
+        const ipApi = new IPApi(this.apiClient);
+        const ips = await this.callApi('list IPs', () => ipApi.getAllIps());
+        
+        if (!ips || ips.length === 0) {
+            throw new PrerequisiteError('No IPs available. Please allocate IPs first.', { action: 'create IP pool' });
+        }
+        
+        // Check the settings against the account before creating anything;
+        // the pool gets the first available IP unless others are given
+        const pools = await this.callApi('list IP pools', () => ipPoolsApi.getAllIPPools());
+        const resolved = resolvePoolSettings(null, { ips: [ips[0].publicIP], ...settings, name }, {
+            ips: ips.map((ip) => ip.publicIP),
+            pools
+        }, this.config.pool);
+        const poolRequest = toPoolRequest(resolved);
+        
+        this.logger.info(`Creating IP pool: ${poolRequest.name}`);
+        this.logger.info(`  Routing Strategy: ${strategyLabel('routingStrategy', resolved.routingStrategy)}`);
+        this.logger.info(`  IPs: ${resolved.ips.join(', ')}`);
+        this.logger.info(`  Warmup Interval: ${poolRequest.warmupInterval} hours`);
+        if (resolved.overflowPoolName) {
+            this.logger.info(`  Overflow Pool: ${resolved.overflowPoolName}`);
+        }
+        
+        const ipPool = await this.callApi('create IP pool', () => ipPoolsApi.createIPPool(poolRequest), { idempotent: false });
+        this.createdIPPoolId = ipPool.id;
+        await this.manifest.record({ runId: this.runId, kind: 'ipPool', id: ipPool.id, name: ipPool.name });
+        if (ipPool.name) {
+            this.createdIPPoolName = ipPool.name;
+        }
+        
+        this.logger.info('✓ IP pool created successfully!');
+        this.logger.info(`  ID: ${this.createdIPPoolId}`);
+        this.logger.info(`  Name: ${ipPool.name}`);
+        this.logger.info(`  Routing Strategy: ${ipPool.routingStrategy}`);
+        this.logger.info(`  IPs in pool: ${ipPool.ips ? ipPool.ips.length : 0}`);
+        
+        return ipPool;
+    }
+
+    /**
+     * Change an IP pool: name, routing, warmup interval, overflow pool, IPs
+     * and per-provider IPs. Everything is checked before SendPost is called.
+     *
+     * @param {string|number} ref - Pool name or ID
+     * @param {object} change - See resolvePoolSettings in src/pools.js
+     * @returns {Promise<object>} The pool after the change
+     * @throws {PoolSettingsError} When the change is invalid
+     */
+    async updateIPPool(ref, change) {
+        this.logger.info(`\n=== Updating IP Pool ${ref} ===`);
+        
+        this.configureAccountAuth();
+        const ipPoolsApi = new IPPoolsApi(this.apiClient);
+        const ipApi = new IPApi(this.apiClient);
+        const pools = await this.callApi('list IP pools', () => ipPoolsApi.getAllIPPools());
+        const current = findPool(pools, ref);
+        const ips = await this.callApi('list IPs', () => ipApi.getAllIps());
+        const resolved = resolvePoolSettings(current, change, { ips: ips.map((ip) => ip.publicIP), pools }, this.config.pool);
+        
+        const diff = poolDiff(current, resolved);
+        if (diff.length === 0) {
+            this.logger.info(`✓ IP pool ${current.name} already has these settings`);
+            return current;
+        }
+        const renamed = diff.some(({ field }) => field === 'name');
+        const dependents = renamed ? overflowDependents(pools, current.name) : [];
+        if (dependents.length > 0) {
+            throw new PrerequisiteError(`IP pool ${current.name} is the overflow pool of ${dependents.map((pool) => pool.name).join(', ')}`, {
+                action: 'rename IP pool',
+                hint: 'Point those pools elsewhere first, e.g. "pools update <pool> --overflow none", then back to the new name.'
+            });
+        }
+        const ipPool = await this.callApi('update IP pool', () => ipPoolsApi.updateIPPool(current.id, toPoolRequest(resolved)), { idempotent: false });
+        if (renamed) {
+            // Warmup plans are kept by pool name
+            await this.warmup.rename(current.name, resolved.name);
+            if (this.createdIPPoolId === current.id) {
+                this.createdIPPoolName = resolved.name;
             }
         }
+        
+        this.logger.info(`✓ Updated IP pool ${current.name} (ID ${current.id})`);
+        for (const { field, from, to } of diff) {
+            const show = (value) => (field.endsWith('Strategy') ? strategyLabel(field, value) : JSON.stringify(value));
+            this.logger.info(`  ${field}: ${show(from)} → ${show(to)}`);
+        }
+        return ipPool;
+    }
+
+    /**
+     * Delete an IP pool, unless another pool overflows into it
+     *
+     * @param {string|number} ref - Pool name or ID
+     * @returns {Promise<object>} The deleted pool
+     */
+    async deleteIPPool(ref) {
+        this.logger.info(`\n=== Deleting IP Pool ${ref} ===`);
+        
+        this.configureAccountAuth();
+        const ipPoolsApi = new IPPoolsApi(this.apiClient);
+        const pools = await this.callApi('list IP pools', () => ipPoolsApi.getAllIPPools());
+        const ipPool = findPool(pools, ref);
+        const dependents = overflowDependents(pools, ipPool.name);
+        if (dependents.length > 0) {
+            throw new PrerequisiteError(`IP pool ${ipPool.name} is the overflow pool of ${dependents.map((pool) => pool.name).join(', ')}`, {
+                action: 'delete IP pool',
+                hint: 'Point those pools elsewhere first, e.g. "pools update <pool> --overflow none".'
+            });
+        }
+        
+        await this.callApi('delete IP pool', () => ipPoolsApi.deleteIPPool(ipPool.id), { idempotent: false });
+        await this.warmup.remove(ipPool.name);
+        if (this.createdIPPoolId === ipPool.id) {
+            this.createdIPPoolId = null;
+            this.createdIPPoolName = null;
+        }
+        this.logger.info(`✓ Deleted IP pool ${ipPool.name} (ID ${ipPool.id})`);
+        return ipPool;
     }
 
     /**
      * Step 14: List all IP Pools
      */
     async listIPPools() {
-        console.log('\n=== Step 14: Listing All IP Pools ===');
+        this.logger.info('\n=== Step 14: Listing All IP Pools ===');
         
-        try {
-            this.configureAccountAuth();
-            const ipPoolsApi = new IPPoolsApi(this.apiClient);
-            
-            console.log('Retrieving all IP pools...');
-            const ipPools = await ipPoolsApi.getAllIPPools();
-            
-            console.log(`✓ Retrieved ${ipPools.length} IP pool(s)`);
-            for (const ipPool of ipPools) {
-                console.log(`  - ID: ${ipPool.id}`);
-                console.log(`    Name: ${ipPool.name}`);
-                console.log(`    Routing Strategy: ${ipPool.routingStrategy}`);
-                console.log(`    IPs in pool: ${ipPool.ips ? ipPool.ips.length : 0}`);
-                if (ipPool.ips && ipPool.ips.length > 0) {
-                    for (const ip of ipPool.ips) {
-                        console.log(`      - ${ip.publicIP}`);
-                    }
+        this.configureAccountAuth();
+        const ipPoolsApi = new IPPoolsApi(this.apiClient);
+        
+        this.logger.info('Retrieving all IP pools...');
+        const ipPools = await this.callApi('list IP pools', () => ipPoolsApi.getAllIPPools());
+        
+        this.logger.info(`✓ Retrieved ${ipPools.length} IP pool(s)`);
+        for (const ipPool of ipPools) {
+            this.logger.info(`  - ID: ${ipPool.id}`);
+            this.logger.info(`    Name: ${ipPool.name}`);
+            this.logger.info(`    Routing Strategy: ${ipPool.routingStrategy}`);
+            this.logger.info(`    IPs in pool: ${ipPool.ips ? ipPool.ips.length : 0}`);
+            if (ipPool.ips && ipPool.ips.length > 0) {
+                for (const ip of ipPool.ips) {
+                    this.logger.info(`      - ${ip.publicIP}`);
                 }
-                console.log();
             }
-            
-        } catch (error) {
-            console.error('✗ Failed to list IP pools:');
-            if (error.response) {
-                console.error(`  Status code: ${error.response.status}`);
-                console.error(`  Response body: ${JSON.stringify(error.response.body, null, 2)}`);
-            } else {
-                console.error(`  Error: ${error.message}`);
+            this.logger.info();
+        }
+        
+        return ipPools;
+    }
+
+    /**
+     * Plan (or plan again) the warmup of an IP pool up to a daily volume
+     *
+     * @param {string} poolName - Pool name or ID
+     * @param {object} options
+     * @param {number} options.targetDaily - Emails per day through the pool once warmed up
+     * @param {number[]} [options.subAccountIds] - Sub-accounts sending through the pool, whose stats count as its sends
+     * @returns {Promise<object>} The plan (see src/warmup.js)
+     */
+    async planWarmup(poolName, { targetDaily, subAccountIds }) {
+        this.logger.info(`\n=== Planning Warmup of IP Pool ${poolName} ===`);
+        
+        this.configureAccountAuth();
+        const ipPoolsApi = new IPPoolsApi(this.apiClient);
+        const ipPool = findPool(await this.callApi('list IP pools', () => ipPoolsApi.getAllIPPools()), poolName);
+        if (!ipPool.ips || ipPool.ips.length === 0) {
+            throw new PrerequisiteError(`IP pool ${ipPool.name} has no IPs to warm up`, { action: 'plan warmup' });
+        }
+        
+        const today = dateIn(this.config.stats.timezone);
+        const plan = planPool(await this.warmup.get(ipPool.name), {
+            pool: ipPool.name,
+            ips: ipPool.ips.map((ip) => ip.publicIP),
+            targetDaily,
+            ...this.config.warmup,
+            intervalHours: ipPool.warmupInterval || this.config.pool.warmupInterval,
+            subAccountIds
+        }, today);
+        await this.warmup.save(plan);
+        
+        this.logger.info(`✓ Planned warmup of ${plan.ips.length} IP(s) to ${targetDaily} email(s) per day`);
+        this.logger.info(`  Daily cap per IP, one step every ${plan.stepDays} day(s): ${ipSchedule(plan).join(', ')}`);
+        for (const entry of plan.ips) {
+            this.logger.info(`  - ${entry.ip}: started ${entry.startDate}`);
+        }
+        this.logger.info(`  Pool cap today: ${poolCap(plan, today)}`);
+        if (plan.subAccountIds.length > 0) {
+            this.logger.info(`  Sends counted from the stats of sub-account(s) ${plan.subAccountIds.join(', ')}`);
+        }
+        return plan;
+    }
+
+    /**
+     * Where the warmup of every planned pool (or one) stands today
+     *
+     * @param {string} [poolName]
+     * @returns {Promise<object[]>} One status per pool (see warmupStatus in src/warmup.js)
+     */
+    async getWarmupStatus(poolName) {
+        this.logger.info('\n=== Warmup Status ===');
+        
+        const plans = poolName ? [await this.warmup.get(poolName)].filter(Boolean) : await this.warmup.list();
+        if (poolName && plans.length === 0) {
+            throw new PrerequisiteError(`No warmup plan for IP pool ${poolName}`, {
+                action: 'get warmup status',
+                hint: 'Create one with "warmup plan <pool> --target <emails per day>".'
+            });
+        }
+        if (plans.length === 0) {
+            this.logger.info('No warmup plans yet');
+            return [];
+        }
+        
+        const today = dateIn(this.config.stats.timezone);
+        const statuses = [];
+        for (const plan of plans) {
+            const status = warmupStatus(plan, today, await this.warmupStatsSent(plan, addDays(today, 1 - WARMUP_HISTORY_DAYS), today));
+            statuses.push(status);
+            
+            this.logger.info(`\n${status.warmedUp ? '✓' : '↻'} IP pool ${status.pool}: ${status.sent} of ${status.cap} email(s) sent today (${today})${status.warmedUp ? ', warmed up' : ''}`);
+            for (const ip of status.ips) {
+                const step = ip.step === null ? `starts ${ip.startDate}` : `step ${ip.step} of ${ip.steps}`;
+                this.logger.info(`  - ${ip.ip}: ${step}, cap ${ip.cap}`);
+            }
+            this.logger.info('  Sent / cap per day:');
+            for (const day of status.history) {
+                this.logger.info(`    ${day.date} ${String(day.sent).padStart(7)} / ${day.cap}${day.over ? '  ⚠️  over the cap' : ''}`);
             }
         }
+        return statuses;
+    }
+
+    /**
+     * The warmup plan sends through a pool are held to
+     *
+     * @param {string} [poolName] - By default the created IP pool, or the pool whose plan lists the sub-account being acted as
+     * @returns {Promise<object|null>} Null when the pool has no plan
+     */
+    async warmupPlan(poolName) {
+        return (await this.warmup.list()).find((candidate) => (poolName
+            ? candidate.pool === poolName
+            : candidate.pool === this.createdIPPoolName || candidate.subAccountIds.includes(this.createdSubAccountId))) || null;
+    }
+
+    /**
+     * Today's gate for sends through a pool under a warmup plan
+     *
+     * @param {string} [poolName] - See warmupPlan()
+     * @returns {Promise<WarmupGate|null>} Null when the pool has no plan
+     */
+    async warmupGate(poolName) {
+        const plan = await this.warmupPlan(poolName);
+        if (!plan) {
+            return null;
+        }
+        const today = dateIn(this.config.stats.timezone);
+        const statsSent = await this.warmupStatsSent(plan, today, today);
+        const gate = new WarmupGate(this.warmup, {
+            pool: plan.pool,
+            date: today,
+            cap: poolCap(plan, today),
+            sent: Math.max(plan.sent[today] || 0, statsSent[today] || 0)
+        });
+        this.logger.info(`Warmup of IP pool ${plan.pool}: ${gate.remaining} of ${gate.cap} email(s) left today`);
+        return gate;
+    }
+
+    /**
+     * Emails processed per date by the sub-accounts of a warmup plan
+     *
+     * Stats need the account key; without one only the local counts are known.
+     */
+    async warmupStatsSent(plan, from, to) {
+        const sent = {};
+        if (plan.subAccountIds.length === 0 || !this.config.accountApiKey || this.config.accountApiKey === PLACEHOLDER_ACCOUNT_API_KEY) {
+            return sent;
+        }
+        this.configureAccountAuth();
+        const statsApi = new StatsApi(this.apiClient);
+        const results = await mapWithConcurrency(plan.subAccountIds, this.config.fanout.concurrency, (subAccountId) =>
+            this.callApi('get stats', () => statsApi.accountSubaccountStatSubaccountIdGet(from, to, subAccountId)));
+        for (const { date, stats } of results.flat()) {
+            sent[date] = (sent[date] || 0) + (Number(stats && stats.processed) || 0);
+        }
+        return sent;
     }
 
     /**
      * Step 15: Get account-level statistics
      * Overall statistics across all sub-accounts
      */
-    async getAccountStats() {
-        console.log('\n=== Step 15: Getting Account-Level Statistics ===');
+    async getAccountStats(range = {}) {
+        this.logger.info('\n=== Step 15: Getting Account-Level Statistics ===');
         
-        try {
+        this.configureAccountAuth();
+        const statsAApi = new StatsAApi(this.apiClient);
+        
+        // Get stats for the requested window (configured stats window by default)
+        const { from, to } = resolveRange({ ...this.config.stats, ...range });
+        
+        this.logger.info('Retrieving account-level stats...');
+        this.logger.info(`  From: ${from}`);
+        this.logger.info(`  To: ${to}`);
+        
+        const accountStats = await this.callApi('get account stats', () => statsAApi.getAllAccountStats(
+            from,
+            to
+        ));
+        
+        this.logger.info('✓ Account stats retrieved successfully!');
+        this.logger.info(`  Retrieved ${accountStats.length} stat record(s)`);
+        
+        for (const stat of accountStats) {
+            this.logger.info(`\n  Date: ${stat.date}`);
+            if (stat.stat) {
+                const statData = stat.stat;
+                this.logger.info(`    Processed: ${statData.processed || 0}`);
+                this.logger.info(`    Delivered: ${statData.delivered || 0}`);
+                this.logger.info(`    Dropped: ${statData.dropped || 0}`);
+                this.logger.info(`    Hard Bounced: ${statData.hardBounced || 0}`);
+                this.logger.info(`    Soft Bounced: ${statData.softBounced || 0}`);
+                this.logger.info(`    Opens: ${statData.opens || 0}`);
+                this.logger.info(`    Clicks: ${statData.clicks || 0}`);
+                this.logger.info(`    Unsubscribed: ${statData.unsubscribed || 0}`);
+                this.logger.info(`    Spam: ${statData.spam || 0}`);
+            }
+        }
+        
+        return accountStats;
+    }
+
+    /**
+     * Daily stats of every sub-account (or a selection) with derived rates,
+     * ready for formatStatsReport()
+     *
+     * Nothing is logged above debug level, so an export written to stdout stays clean.
+     *
+     * @param {object} [options]
+     * @param {number[]} [options.ids] - Only these sub-accounts
+     * @param {string} [options.match] - Only sub-accounts whose name matches (see selectSubAccounts)
+     * @param {object} [options.range] - from, to and timezone over the stats settings (see src/stats.js)
+     * @param {number} [options.concurrency] - Sub-accounts fetched at once, fanout.concurrency by default
+     * @returns {Promise<object>} Report (see buildStatsReport)
+     */
+    async collectStats({ ids = [], match, range = {}, concurrency = this.config.fanout.concurrency } = {}) {
+        const resolved = resolveRange({ ...this.config.stats, ...range });
+        
+        this.configureAccountAuth();
+        const subAccountApi = new SubAccountApi(this.apiClient);
+        const statsApi = new StatsApi(this.apiClient);
+        const subAccounts = selectSubAccounts(
+            await this.callApi('list sub-accounts', () => subAccountApi.getAllSubAccounts()),
+            { ids, match }
+        );
+        this.logger.debug(`Retrieving stats ${resolved.from} to ${resolved.to} (${resolved.timezone}) for ${subAccounts.length} sub-account(s)`);
+        
+        // All calls use the account key, so they can share the API client
+        const results = await mapWithConcurrency(subAccounts, concurrency, async (subAccount) => ({
+            subAccount,
+            daily: await this.callApi('get stats', () => statsApi.accountSubaccountStatSubaccountIdGet(resolved.from, resolved.to, subAccount.id))
+        }));
+        return buildStatsReport(resolved, results);
+    }
+
+    /**
+     * Stats of the last monitor.days days for the account, every sub-account
+     * and the given IP pools, for the health monitor (see src/monitor.js)
+     *
+     * SendPost has no per-pool stats, so a pool's stats are the sum of the
+     * sub-accounts routed through it.
+     *
+     * @param {object} [options]
+     * @param {object} [options.pools] - { poolName: [subAccountName, ...] }
+     * @returns {Promise<{range: object, targets: Array<{scope: string, id: number|string, name: string, stats: object}>}>}
+     */
+    async checkHealth({ pools = {} } = {}) {
+        const range = resolveRange({ days: this.config.monitor.days, timezone: this.config.stats.timezone });
+        this.logger.info(`\n=== Checking Deliverability (${range.from} to ${range.to}) ===`);
+        
+        this.configureAccountAuth();
+        const subAccountApi = new SubAccountApi(this.apiClient);
+        const statsApi = new StatsApi(this.apiClient);
+        const statsAApi = new StatsAApi(this.apiClient);
+        
+        const accountStats = await this.callApi('get account stats', () => statsAApi.getAllAccountStats(range.from, range.to));
+        const subAccounts = await this.callApi('list sub-accounts', () => subAccountApi.getAllSubAccounts());
+        // All calls use the account key, so they can share the API client
+        const aggregates = await mapWithConcurrency(subAccounts, this.config.fanout.concurrency, (subAccount) =>
+            this.callApi('get aggregate stats', () => statsApi.accountSubaccountStatSubaccountIdAggregateGet(range.from, range.to, subAccount.id)));
+        
+        const targets = [
+            { scope: 'account', id: 'account', name: null, stats: sumStats(accountStats.map((day) => day.stat)) },
+            ...subAccounts.map((subAccount, index) => ({ scope: 'subAccount', id: subAccount.id, name: subAccount.name, stats: aggregates[index] }))
+        ];
+        for (const [pool, names] of Object.entries(pools)) {
+            const members = subAccounts.map((subAccount, index) => [subAccount, aggregates[index]]).filter(([subAccount]) => names.includes(subAccount.name));
+            if (members.length === 0) {
+                this.logger.warn(`⚠️  No sub-account of IP pool ${pool} exists (${names.join(', ')})`);
+                continue;
+            }
+            targets.push({ scope: 'ipPool', id: pool, name: null, stats: sumStats(members.map(([, stats]) => stats)) });
+        }
+        return { range, targets };
+    }
+
+    /**
+     * Read what SendPost has for the resources a client spec describes
+     *
+     * @param {object} spec - Client spec (see src/clients.js)
+     * @returns {Promise<object>} State for planClient()
+     */
+    async readClientState(spec) {
+        this.configureAccountAuth();
+        const subAccountApi = new SubAccountApi(this.apiClient);
+        const subAccounts = await this.callApi('list sub-accounts', () => subAccountApi.getAllSubAccounts());
+        const subAccount = subAccounts.find((candidate) => candidate.name === spec.subAccount.name) || null;
+        
+        let domains = [];
+        if (subAccount && spec.domains.length > 0) {
+            // Domains belong to the sub-account, so they are listed with its key
+            this.configureSubAccountAuth(subAccount.apiKey);
+            const domainApi = new DomainApi(this.apiClient);
+            domains = await this.callApi('list domains', () => domainApi.getAllDomains());
+        }
+        
+        const webhookApi = new WebhookApi(this.apiClient);
+        const ipPoolsApi = new IPPoolsApi(this.apiClient);
+        const ipApi = new IPApi(this.apiClient);
+        const webhooks = spec.webhook ? await this.callApi('list webhooks', () => webhookApi.getAllWebhooks()) : [];
+        const pools = spec.ipPool ? await this.callApi('list IP pools', () => ipPoolsApi.getAllIPPools()) : [];
+        const ips = spec.ipPool ? await this.callApi('list IPs', () => ipApi.getAllIps()) : [];
+        
+        return { subAccount, domains, webhooks, pools, ips };
+    }
+
+    /**
+     * Bring a client's resources in line with its spec: create what is
+     * missing, update what differs and leave everything else alone
+     *
+     * @param {object} spec - Client spec (see src/clients.js)
+     * @param {object} [options]
+     * @param {boolean} [options.dryRun=false] - Only print the plan
+     * @returns {Promise<{changes: object[], applied: object[]}>}
+     */
+    async applyClient(spec, { dryRun = false } = {}) {
+        this.logger.info(`\n=== ${dryRun ? 'Planning' : 'Applying'} Client Spec ===`);
+        
+        const state = await this.readClientState(spec);
+        const changes = planClient(spec, state);
+        this.logger.info(formatPlan(spec, changes));
+        
+        const pending = changes.filter((change) => change.action !== 'unchanged');
+        if (dryRun || pending.length === 0) {
+            if (!dryRun) {
+                this.logger.info('✓ Nothing to change');
+            }
+            return { changes, applied: [] };
+        }
+        
+        let subAccount = state.subAccount;
+        const applied = [];
+        for (const change of pending) {
+            const { action, resource, name, desired, current } = change;
             this.configureAccountAuth();
-            const statsAApi = new StatsAApi(this.apiClient);
-            
-            // Get stats for the last 7 days
-            const toDate = new Date();
-            const fromDate = new Date();
-            fromDate.setDate(fromDate.getDate() - 7);
-            
-            // Format dates as YYYY-MM-DD
-            const formatDate = (date) => {
-                return date.toISOString().split('T')[0];
-            };
-            
-            console.log('Retrieving account-level stats...');
-            console.log(`  From: ${formatDate(fromDate)}`);
-            console.log(`  To: ${formatDate(toDate)}`);
-            
-            const accountStats = await statsAApi.getAllAccountStats(
-                formatDate(fromDate),
-                formatDate(toDate)
-            );
-            
-            console.log('✓ Account stats retrieved successfully!');
-            console.log(`  Retrieved ${accountStats.length} stat record(s)`);
+            let result;
+            
+            if (resource === 'sub-account') {
+                const subAccountApi = new SubAccountApi(this.apiClient);
+                const request = new CreateSubAccountRequest();
+                request.name = desired.name;
+                result = subAccount = await this.callApi('create sub-account', () => subAccountApi.createSubAccount(request), { idempotent: false });
+                await this.storeCredential(subAccount);
+            } else if (resource === 'domain') {
+                this.configureSubAccountAuth(subAccount.apiKey);
+                const domainApi = new DomainApi(this.apiClient);
+                const request = new CreateDomainRequest();
+                request.name = desired.name;
+                result = await this.callApi('add domain', () => domainApi.subaccountDomainPost(request), { idempotent: false });
+            } else if (resource === 'webhook') {
+                const webhookApi = new WebhookApi(this.apiClient);
+                const request = toWebhookRequest({ ...desired, events: WEBHOOK_EVENTS.filter((event) => desired[event]) });
+                result = action === 'create'
+                    ? await this.callApi('create webhook', () => webhookApi.createWebhook(request), { idempotent: false })
+                    : await this.callApi('update webhook', () => webhookApi.updateWebhook(current.id, request), { idempotent: false });
+            } else if (resource === 'IP pool') {
+                const ipPoolsApi = new IPPoolsApi(this.apiClient);
+                const request = toPoolRequest(desired);
+                result = action === 'create'
+                    ? await this.callApi('create IP pool', () => ipPoolsApi.createIPPool(request), { idempotent: false })
+                    : await this.callApi('update IP pool', () => ipPoolsApi.updateIPPool(current.id, request), { idempotent: false });
+            }
             
-            for (const stat of accountStats) {
-                console.log(`\n  Date: ${stat.date}`);
-                if (stat.stat) {
-                    const statData = stat.stat;
-                    console.log(`    Processed: ${statData.processed || 0}`);
-                    console.log(`    Delivered: ${statData.delivered || 0}`);
-                    console.log(`    Dropped: ${statData.dropped || 0}`);
-                    console.log(`    Hard Bounced: ${statData.hardBounced || 0}`);
-                    console.log(`    Soft Bounced: ${statData.softBounced || 0}`);
-                    console.log(`    Opens: ${statData.opens || 0}`);
-                    console.log(`    Clicks: ${statData.clicks || 0}`);
-                    console.log(`    Unsubscribed: ${statData.unsubscribed || 0}`);
-                    console.log(`    Spam: ${statData.spam || 0}`);
+            const id = (result && result.id) || (current && current.id);
+            this.logger.info(`✓ ${action === 'create' ? 'Created' : 'Updated'} ${resource} ${name}${id ? ` (ID ${id})` : ''}`);
+            applied.push({ ...change, result });
+        }
+        
+        if (subAccount) {
+            this.createdSubAccountId = subAccount.id;
+            this.createdSubAccountApiKey = subAccount.apiKey;
+        }
+        this.logger.info(`✓ Client "${spec.name}" is up to date (${applied.length} change(s) applied)`);
+        return { changes, applied };
+    }
+
+    /**
+     * Delete one resource through its SDK delete endpoint
+     *
+     * @param {{kind: string, id: number|string, subAccountId?: number}} resource - A manifest entry
+     */
+    async deleteResource({ kind, id, subAccountId = null }) {
+        this.configureAccountAuth();
+        if (kind === 'subAccount') {
+            const subAccountApi = new SubAccountApi(this.apiClient);
+            await this.callApi('delete sub-account', () => subAccountApi.deleteSubAccount(id), { idempotent: false });
+            if (this.credentials.available) {
+                await this.credentials.remove(id);
+            }
+        } else if (kind === 'webhook') {
+            const webhookApi = new WebhookApi(this.apiClient);
+            await this.callApi('delete webhook', () => webhookApi.deleteWebhook(id), { idempotent: false });
+        } else if (kind === 'ipPool') {
+            const ipPoolsApi = new IPPoolsApi(this.apiClient);
+            await this.callApi('delete IP pool', () => ipPoolsApi.deleteIPPool(id), { idempotent: false });
+        } else if (kind === 'domain') {
+            // Domains are deleted with the key of the sub-account they belong to
+            let apiKey;
+            if (subAccountId !== null) {
+                const subAccountApi = new SubAccountApi(this.apiClient);
+                const subAccounts = await this.callApi('list sub-accounts', () => subAccountApi.getAllSubAccounts());
+                const owner = subAccounts.find((subAccount) => subAccount.id === subAccountId);
+                if (!owner) {
+                    throw new NotFoundError(`Sub-account ${subAccountId} no longer exists`, { action: 'delete domain', status: 404 });
                 }
+                apiKey = owner.apiKey;
             }
-            
-        } catch (error) {
-            console.error('✗ Failed to get account stats:');
-            if (error.response) {
-                console.error(`  Status code: ${error.response.status}`);
-                console.error(`  Response body: ${JSON.stringify(error.response.body, null, 2)}`);
-            } else {
-                console.error(`  Error: ${error.message}`);
+            this.configureSubAccountAuth(apiKey);
+            const domainApi = new DomainApi(this.apiClient);
+            await this.callApi('delete domain', () => domainApi.subaccountDomainDomainIdDelete(id), { idempotent: false });
+        } else {
+            throw new EspError(`Unknown resource kind "${kind}"`, { action: 'delete resource' });
+        }
+    }
+
+    /**
+     * Sub-accounts and IP pools with a workflow-generated name whose timestamp is older than maxAgeMs
+     *
+     * @param {number} maxAgeMs
+     * @param {number} [now]
+     * @returns {Promise<Array<{kind: string, id: number, name: string, createdAt: string}>>}
+     */
+    async findStaleResources(maxAgeMs, now = Date.now()) {
+        this.configureAccountAuth();
+        const subAccountApi = new SubAccountApi(this.apiClient);
+        const ipPoolsApi = new IPPoolsApi(this.apiClient);
+        const listings = {
+            subAccount: await this.callApi('list sub-accounts', () => subAccountApi.getAllSubAccounts()),
+            ipPool: await this.callApi('list IP pools', () => ipPoolsApi.getAllIPPools())
+        };
+        
+        const stale = [];
+        for (const [kind, resources] of Object.entries(listings)) {
+            for (const { id, name } of resources) {
+                const match = GENERATED_NAMES[kind].exec(name || '');
+                if (match && now - Number(match[1]) > maxAgeMs) {
+                    stale.push({ kind, id, name, createdAt: new Date(Number(match[1])).toISOString() });
+                }
             }
         }
+        return stale;
     }
 
     /**
-     * Run the complete ESP workflow
+     * Delete the resources recorded in the run manifest and, with `sweep`,
+     * stale workflow-generated sub-accounts and IP pools
+     *
+     * @param {object} [options]
+     * @param {string} [options.runId] - Only this run's resources
+     * @param {boolean} [options.sweep=false] - Also delete stale generated resources
+     * @param {number} [options.maxAgeMs] - Age after which a generated resource is stale
+     * @param {boolean} [options.dryRun=false] - Only list what would be deleted
+     * @param {function(string): Promise<boolean>} [options.confirm] - Asked before deleting; deletes without asking when omitted
+     * @returns {Promise<{targets: object[], deleted: number, failed: number}>}
      */
-    async runCompleteWorkflow() {
-        console.log('╔═══════════════════════════════════════════════════════════════╗');
-        console.log('║   SendPost JavaScript SDK - ESP Example Workflow          ║');
-        console.log('╚═══════════════════════════════════════════════════════════════╝');
+    async cleanup({ runId, sweep = false, maxAgeMs, dryRun = false, confirm } = {}) {
+        this.logger.info('\n=== Cleaning Up Resources ===');
         
-        // Step 1: List existing sub-accounts (or create new one)
-        await this.listSubAccounts();
+        const targets = await this.manifest.pending({ runId });
+        if (sweep) {
+            for (const resource of await this.findStaleResources(maxAgeMs)) {
+                if (!targets.some((target) => target.kind === resource.kind && String(target.id) === String(resource.id))) {
+                    targets.push(resource);
+                }
+            }
+        }
+        const ordered = inDeleteOrder(targets);
         
-        // Step 2: Create webhook for event notifications
-        await this.createWebhook();
-        await this.listWebhooks();
+        if (ordered.length === 0) {
+            this.logger.info('✓ Nothing to clean up');
+            return { targets: ordered, deleted: 0, failed: 0 };
+        }
+        this.logger.info(`${dryRun ? 'Would delete' : 'Deleting'} ${ordered.length} resource(s), in this order:`);
+        for (const resource of ordered) {
+            this.logger.info(`  - ${KIND_LABELS[resource.kind]} ${resource.id}${resource.name ? ` (${resource.name})` : ''}${resource.runId ? ` from ${resource.runId}` : ', stale'}`);
+        }
+        if (dryRun) {
+            return { targets: ordered, deleted: 0, failed: 0 };
+        }
+        if (confirm && !(await confirm(`Delete ${ordered.length} resource(s)?`))) {
+            this.logger.info('⊘ Cleanup cancelled');
+            return { targets: ordered, deleted: 0, failed: 0 };
+        }
         
-        // Step 3: Add and verify domain
-        await this.addDomain();
-        await this.listDomains();
+        let deleted = 0;
+        let failed = 0;
+        for (const resource of ordered) {
+            const label = `${KIND_LABELS[resource.kind]} ${resource.id}`;
+            try {
+                await this.deleteResource(resource);
+                this.logger.info(`✓ Deleted ${label}`);
+                deleted++;
+            } catch (caught) {
+                const error = toEspError(caught, `delete ${KIND_LABELS[resource.kind]}`);
+                if (!(error instanceof NotFoundError)) {
+                    this.logger.failure(error);
+                    failed++;
+                    continue;
+                }
+                this.logger.info(`⊘ ${label} was already gone`);
+            }
+            await this.manifest.markDeleted(resource.kind, resource.id);
+        }
         
-        // Step 4: Manage IPs and IP pools (before sending emails)
-        await this.listIPs();
-        await this.createIPPool();
-        await this.listIPPools();
+        this.logger.info(`✓ Deleted ${deleted} resource(s)${failed > 0 ? `, ${failed} failed` : ''}`);
+        return { targets: ordered, deleted, failed };
+    }
+
+    /**
+     * IDs of the resources this instance has created or selected so far
+     */
+    resourceIds() {
+        const ids = {
+            subAccountId: this.createdSubAccountId,
+            webhookId: this.createdWebhookId,
+            domainId: this.createdDomainId,
+            ipPoolId: this.createdIPPoolId,
+            messageId: this.sentMessageId
+        };
+        return Object.fromEntries(Object.entries(ids).filter(([, id]) => id !== null && id !== undefined));
+    }
+
+    /**
+     * Resource IDs that are new or changed since `before`
+     */
+    resourceChanges(before) {
+        return Object.fromEntries(Object.entries(this.resourceIds()).filter(([key, id]) => before[key] !== id));
+    }
+
+    /**
+     * Run a single workflow step, reporting instead of throwing its failure
+     *
+     * @returns {Promise<{method: string, status: 'ok'|'failed', durationMs: number, error?: EspError, fatal?: boolean}>}
+     */
+    async runStep(step) {
+        const started = Date.now();
+        const before = this.resourceIds();
+        let result;
+        try {
+            await this[step.method]();
+            result = { method: step.method, status: 'ok', durationMs: Date.now() - started };
+        } catch (caught) {
+            const error = toEspError(caught, step.method);
+            this.logger.failure(error);
+            const fatal = typeof step.fatal === 'function' ? step.fatal(error) : Boolean(step.fatal);
+            result = { method: step.method, status: 'failed', durationMs: Date.now() - started, error, fatal };
+        }
+        this.logger.step({
+            step: step.method,
+            status: result.status,
+            durationMs: result.durationMs,
+            resources: this.resourceChanges(before),
+            ...(result.error ? { error: result.error, fatal: result.fatal } : {})
+        });
+        return result;
+    }
+
+    /**
+     * Run the complete ESP workflow
+     *
+     * Non-fatal failures are reported and the workflow continues; a fatal
+     * failure skips the remaining steps.
+     *
+     * @returns {Promise<{results: object[], exitCode: number}>}
+     */
+    async runCompleteWorkflow() {
+        this.logger.info('╔═══════════════════════════════════════════════════════════════╗');
+        this.logger.info('║   SendPost JavaScript SDK - ESP Example Workflow          ║');
+        this.logger.info('╚═══════════════════════════════════════════════════════════════╝');
+        this.logger.info(`Run ID: ${this.runId} (remove what this run creates with "cleanup --run ${this.runId}")`);
         
-        // Step 5: Send emails (using the created IP pool)
-        await this.sendTransactionalEmail();
-        await this.sendMarketingEmail();
+        const results = [];
+        let aborted = false;
+        for (const step of WORKFLOW_STEPS) {
+            if (aborted) {
+                results.push({ method: step.method, status: 'skipped', durationMs: 0 });
+                this.logger.step({ step: step.method, status: 'skipped', durationMs: 0, resources: {} });
+                continue;
+            }
+            const result = await this.runStep(step);
+            results.push(result);
+            if (result.fatal) {
+                this.logger.error(`\n✗ ${step.method} is fatal for this workflow; skipping the remaining steps.`);
+                aborted = true;
+            }
+        }
         
-        // Step 6: Monitor statistics
-        await this.getSubAccountStats();
-        await this.getAggregateStats();
+        const failed = results.filter((result) => result.status === 'failed');
+        const exitCode = failed.reduce((code, result) => Math.max(code, result.error.exitCode), EXIT_CODES.OK);
         
-        // Step 7: Get account-level overview
-        await this.getAccountStats();
+        this.logger.info('\n=== Workflow Summary ===');
+        for (const result of results) {
+            if (result.status === 'ok') {
+                this.logger.info(`  ✓ ${result.method} (${result.durationMs} ms)`);
+            } else if (result.status === 'failed') {
+                this.logger.info(`  ✗ ${result.method}: ${result.error.name} - ${result.error.message}${result.fatal ? ' (fatal)' : ''}`);
+            } else {
+                this.logger.info(`  - ${result.method} (skipped)`);
+            }
+        }
+        const skipped = results.filter((result) => result.status === 'skipped').length;
+        this.logger.info(`  ${results.length - failed.length - skipped} succeeded, ${failed.length} failed, ${skipped} skipped`);
         
-        // Step 8: Retrieve message details (at the end to give system time to store data)
-        // Add a small delay to ensure message data is stored
-        console.log('\n⏳ Waiting a few seconds for message data to be stored...');
-        await new Promise(resolve => setTimeout(resolve, 3000)); // Wait 3 seconds
-        await this.getMessageDetails();
+        this.logger.info('\n╔═══════════════════════════════════════════════════════════════╗');
+        this.logger.info(exitCode === EXIT_CODES.OK
+            ? '║   Workflow Complete!                                          ║'
+            : '║   Workflow Finished With Errors                               ║');
+        this.logger.info('╚═══════════════════════════════════════════════════════════════╝');
         
-        console.log('\n╔═══════════════════════════════════════════════════════════════╗');
-        console.log('║   Workflow Complete!                                          ║');
-        console.log('╚═══════════════════════════════════════════════════════════════╝');
+        return { results, exitCode };
     }
 }
 
@@ -939,23 +2362,15 @@ class ESPExample {
  * Main function
  */
 async function main() {
-    const example = new ESPExample();
-    
-    // Check if API keys are set
-    if (SUB_ACCOUNT_API_KEY === 'YOUR_SUB_ACCOUNT_API_KEY_HERE' || 
-        ACCOUNT_API_KEY === 'YOUR_ACCOUNT_API_KEY_HERE') {
-        console.error('⚠️  WARNING: Please set your API keys!');
-        console.error('   Set environment variables:');
-        console.error('   - SENDPOST_SUB_ACCOUNT_API_KEY');
-        console.error('   - SENDPOST_ACCOUNT_API_KEY');
-        console.error('   Or modify the constants in ESPExample.js');
-        console.error();
-    }
-    
-    // Run the complete workflow
-    await example.runCompleteWorkflow();
+    // Resolve configuration, check the API keys the command needs and run it (see --help)
+    process.exitCode = await run(process.argv.slice(2), (config) => new ESPExample(config));
 }
 
-// Run the example
-main().catch(console.error);
+// Run the example when executed directly (node ESPExample.js or the esp bin link)
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main().catch((error) => {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
 
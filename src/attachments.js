@@ -0,0 +1,200 @@
+/**
+ * Email attachments and inline images
+ *
+ * Attachments are given as file paths or as `{ filename, content }` with the
+ * content in a Buffer. Their MIME type comes from the file extension, or from
+ * the first bytes of the content when the extension is unknown. The content
+ * is sent base64-encoded in the message's `attachments`.
+ *
+ * Inline images: every `<img src>` in the HTML body pointing at a local file
+ * (no scheme, no merge tag) is read relative to the template directory,
+ * attached with a Content-ID and its src rewritten to `cid:<Content-ID>`.
+ * Content-IDs are derived from the file content, so sending the same
+ * message again produces the same payload.
+ *
+ * Limits are checked before anything is sent: each file against
+ * attachments.maxFileBytes, the JSON request as a whole, with its base64
+ * content, against attachments.maxMessageBytes.
+ */
+
+import { createHash } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { basename, extname, resolve } from 'node:path';
+import { EspError } from './errors.js';
+
+/** MIME types by file extension */
+export const MIME_TYPES = {
+    '.pdf': 'application/pdf',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml',
+    '.ics': 'text/calendar',
+    '.csv': 'text/csv',
+    '.txt': 'text/plain',
+    '.html': 'text/html',
+    '.json': 'application/json',
+    '.xml': 'application/xml',
+    '.zip': 'application/zip',
+    '.doc': 'application/msword',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.xls': 'application/vnd.ms-excel',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Leading bytes of common formats, for content without a known extension
+const SIGNATURES = [
+    { type: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+    { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+    { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+    { type: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+    { type: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] }
+];
+
+const DEFAULT_TYPE = 'application/octet-stream';
+
+const IMG_SRC_PATTERN = /(<img\b[^>]*?\bsrc\s*=\s*)(["'])(.*?)\2/gi;
+
+/**
+ * An attachment cannot be read, or the message would be too large
+ */
+export class AttachmentError extends EspError {
+    /**
+     * @param {string} message
+     * @param {object} [details] - EspError details plus `problems`, one line per issue
+     */
+    constructor(message, { problems = [], ...details } = {}) {
+        super(problems.length > 0 ? `${message}:\n${problems.map((problem) => `  - ${problem}`).join('\n')}` : message, {
+            action: 'attach files',
+            ...details
+        });
+        this.problems = problems;
+    }
+}
+
+/**
+ * Bytes as B, KB or MB (base 1024)
+ */
+export function formatBytes(bytes) {
+    if (bytes < 1024) {
+        return `${bytes} B`;
+    }
+    return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * MIME type of a file, from its extension or else its first bytes
+ *
+ * @param {string} filename
+ * @param {Buffer} [content]
+ */
+export function detectMimeType(filename, content) {
+    const byExtension = MIME_TYPES[extname(filename).toLowerCase()];
+    if (byExtension) {
+        return byExtension;
+    }
+    const signature = content && SIGNATURES.find(({ bytes }) => bytes.every((byte, index) => content[index] === byte));
+    return signature ? signature.type : DEFAULT_TYPE;
+}
+
+/**
+ * Whether an img src refers to a local file rather than a URL, a data URI, a CID or a merge tag
+ */
+export function isLocalSource(src) {
+    return src !== '' && !/^[a-z][a-z0-9+.-]*:/i.test(src) && !src.startsWith('//') && !src.includes('{{');
+}
+
+/**
+ * Read one attachment
+ *
+ * @param {string|{filename: string, content: Buffer|string, contentType?: string}} source - File path, or content in memory
+ * @returns {Promise<{filename: string, contentType: string, content: Buffer}>}
+ */
+export async function loadAttachment(source) {
+    if (typeof source === 'string') {
+        const content = await readFile(source);
+        return { filename: basename(source), contentType: detectMimeType(source, content), content };
+    }
+    const content = Buffer.isBuffer(source.content) ? source.content : Buffer.from(source.content);
+    return { filename: source.filename, contentType: source.contentType || detectMimeType(source.filename, content), content };
+}
+
+const contentId = (filename, content) =>
+    `${basename(filename, extname(filename)).replace(/[^\w-]/g, '_')}.${createHash('sha256').update(content).digest('hex').slice(0, 12)}@esp`;
+
+/**
+ * Attach files and inline images to a message
+ *
+ * @param {object} emailMessage - With its htmlBody set
+ * @param {Array<string|object>} sources - See loadAttachment()
+ * @param {object} options
+ * @param {string} [options.baseDir] - Directory local img srcs are relative to
+ * @param {number} options.maxFileBytes
+ * @param {number} options.maxMessageBytes
+ * @returns {Promise<Array<{filename: string, contentType: string, size: number, contentId: string|null}>>} What was attached
+ * @throws {AttachmentError} When a file cannot be read or a limit is exceeded; the message is left unchanged
+ */
+export async function attachFiles(emailMessage, sources, { baseDir = '.', maxFileBytes, maxMessageBytes }) {
+    const problems = [];
+    const files = [];
+    for (const source of sources) {
+        try {
+            files.push({ ...await loadAttachment(source), contentId: null });
+        } catch (error) {
+            problems.push(`${typeof source === 'string' ? source : source.filename}: ${error.code === 'ENOENT' ? 'no such file' : error.message}`);
+        }
+    }
+
+    // The same image used twice is attached once
+    const inline = new Map();
+    for (const [, , , src] of (emailMessage.htmlBody || '').matchAll(IMG_SRC_PATTERN)) {
+        const path = resolve(baseDir, src);
+        if (!isLocalSource(src) || inline.has(path)) {
+            continue;
+        }
+        try {
+            const file = await loadAttachment(path);
+            inline.set(path, { ...file, contentId: contentId(file.filename, file.content) });
+        } catch (error) {
+            inline.set(path, null);
+            problems.push(`inline image ${src}: ${error.code === 'ENOENT' ? `no such file in ${resolve(baseDir)}` : error.message}`);
+        }
+    }
+    if (problems.length > 0) {
+        throw new AttachmentError('Cannot read attachments', { problems });
+    }
+
+    const all = [...files, ...inline.values()];
+    for (const file of all.filter(({ content }) => content.length > maxFileBytes)) {
+        problems.push(`${file.filename} is ${formatBytes(file.content.length)}, over the ${formatBytes(maxFileBytes)} limit per file (attachments.maxFileBytes)`);
+    }
+    if (problems.length > 0) {
+        throw new AttachmentError('Attachments too large', { problems });
+    }
+
+    const htmlBody = emailMessage.htmlBody && emailMessage.htmlBody.replace(IMG_SRC_PATTERN, (match, start, quote, src) =>
+        (isLocalSource(src) ? `${start}${quote}cid:${inline.get(resolve(baseDir, src)).contentId}${quote}` : match));
+    // SendPost takes the content base64-encoded; inline parts are referenced by their Content-ID
+    const attachments = all.map(({ filename, contentType, content, contentId: cid }) => ({
+        filename,
+        type: contentType,
+        content: content.toString('base64'),
+        disposition: cid ? 'inline' : 'attachment',
+        ...(cid ? { contentId: cid } : {})
+    }));
+
+    const size = Buffer.byteLength(JSON.stringify({ ...emailMessage, htmlBody, attachments: [...(emailMessage.attachments || []), ...attachments] }));
+    if (size > maxMessageBytes) {
+        const largest = [...all].sort((a, b) => b.content.length - a.content.length).slice(0, 3);
+        throw new AttachmentError(`With its attachments the message would be ${formatBytes(size)}, over the ${formatBytes(maxMessageBytes)} limit (attachments.maxMessageBytes)`, {
+            problems: largest.map((file) => `${file.filename}: ${formatBytes(file.content.length)}, ${formatBytes(Math.ceil(file.content.length / 3) * 4)} encoded`),
+            hint: 'Base64 makes attachments a third larger. Link to large files instead of attaching them.'
+        });
+    }
+
+    emailMessage.htmlBody = htmlBody;
+    emailMessage.attachments = [...(emailMessage.attachments || []), ...attachments];
+    return all.map(({ filename, contentType, content, contentId: cid }) => ({ filename, contentType, size: content.length, contentId: cid }));
+}
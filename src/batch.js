@@ -0,0 +1,345 @@
+/**
+ * Bulk marketing sends from a recipient list
+ *
+ * Recipients come from a CSV file (header row with `email`, optionally `name`;
+ * every other column becomes a custom field) or a JSON Lines file (one
+ * `{ email, name, customFields }` object per line). They are split into
+ * chunks of batch.chunkSize recipients, one send request each, with at most
+ * batch.concurrency requests in flight. The content comes from a template
+ * merged by SendPost (see templates.js); every recipient is checked against
+ * it before the first chunk is sent.
+ *
+ * Progress is saved to <storage.dir>/batches/<id>.json after every chunk.
+ * Running the same list again resumes it: chunks already sent are skipped,
+ * failed and interrupted chunks are sent again with the same idempotency
+ * key. The batch ID defaults to a hash of the recipient file.
+ *
+ * Sends through an IP pool under a warmup plan (see warmup.js) stop at the
+ * pool's daily cap: chunks that no longer fit are held back, and running the
+ * batch again on a later day sends them.
+ */
+
+import { createHash } from 'node:crypto';
+import { readFile, writeFile } from 'node:fs/promises';
+import { extname, join } from 'node:path';
+import { AttachmentError } from './attachments.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { parseCsv, toCsv } from './csv.js';
+import { AuthenticationError, EspError } from './errors.js';
+import { JsonFileStore } from './store.js';
+import { normalizeEmail } from './suppressions.js';
+import { Template } from './templates.js';
+
+export const BATCHES_DIR = 'batches';
+
+const REPORT_COLUMNS = ['email', 'name', 'chunk', 'status', 'messageId', 'error'];
+
+const JSONL_EXTENSIONS = ['.jsonl', '.ndjson'];
+
+/**
+ * Store holding the progress of one batch
+ */
+export function batchStore(config, id) {
+    return new JsonFileStore(join(config.storage.dir, BATCHES_DIR, `${id}.json`), () => null);
+}
+
+function toRecipient(row) {
+    const { email, name, customFields, ...columns } = row;
+    const fields = { ...(customFields && typeof customFields === 'object' ? customFields : {}) };
+    for (const [key, value] of Object.entries(columns)) {
+        if (value !== '' && value !== null && value !== undefined) {
+            fields[key] = value;
+        }
+    }
+    return {
+        email: String(email || '').trim(),
+        name: name ? String(name).trim() : undefined,
+        customFields: fields
+    };
+}
+
+/**
+ * Parse a recipient list, dropping repeated addresses
+ *
+ * @param {string} text - File contents
+ * @param {string} file - File name; .jsonl/.ndjson is read as JSON Lines, anything else as CSV
+ * @returns {{recipients: object[], duplicates: number}}
+ * @throws {EspError} When a row is malformed or has no valid email address
+ */
+export function parseRecipients(text, file) {
+    const issues = [];
+    let rows;
+    if (JSONL_EXTENSIONS.includes(extname(file).toLowerCase())) {
+        rows = [];
+        text.split('\n').forEach((line, index) => {
+            if (line.trim() === '') {
+                return;
+            }
+            try {
+                rows.push({ line: index + 1, row: JSON.parse(line) });
+            } catch (error) {
+                issues.push({ line: index + 1, message: error.message });
+            }
+        });
+    } else {
+        // Line numbers count the header row
+        rows = parseCsv(text).map((row, index) => ({ line: index + 2, row }));
+    }
+
+    const seen = new Set();
+    const recipients = [];
+    let duplicates = 0;
+    for (const { line, row } of rows) {
+        const recipient = toRecipient(row || {});
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(recipient.email)) {
+            issues.push({ line, message: `not an email address: "${recipient.email}"` });
+            continue;
+        }
+        const key = normalizeEmail(recipient.email);
+        if (seen.has(key)) {
+            duplicates++;
+            continue;
+        }
+        seen.add(key);
+        recipients.push(recipient);
+    }
+
+    if (issues.length > 0) {
+        issues.sort((a, b) => a.line - b.line);
+        const shown = issues.slice(0, 10).map(({ line, message }) => `  - line ${line}: ${message}`);
+        if (issues.length > shown.length) {
+            shown.push(`  ... and ${issues.length - shown.length} more`);
+        }
+        throw new EspError(`${file} has ${issues.length} invalid row(s):\n${shown.join('\n')}`, { action: 'read recipients' });
+    }
+    if (recipients.length === 0) {
+        throw new EspError(`${file} contains no recipients`, { action: 'read recipients' });
+    }
+    return { recipients, duplicates };
+}
+
+/**
+ * Read and parse a recipient list
+ *
+ * @returns {Promise<{text: string, recipients: object[], duplicates: number}>}
+ */
+export async function readRecipients(file) {
+    let text;
+    try {
+        text = await readFile(file, 'utf8');
+    } catch (error) {
+        throw new EspError(error.message, { action: 'read recipients', cause: error });
+    }
+    return { text, ...parseRecipients(text, file) };
+}
+
+function newBatch(id, file, fingerprint, total, chunkSize) {
+    const chunks = [];
+    for (let start = 0; start < total; start += chunkSize) {
+        chunks.push({
+            index: chunks.length,
+            start,
+            end: Math.min(start + chunkSize, total),
+            status: 'pending',
+            attempts: 0,
+            error: null,
+            results: []
+        });
+    }
+    const now = new Date().toISOString();
+    return { id, file, fingerprint, total, chunkSize, createdAt: now, updatedAt: now, completedAt: null, chunks };
+}
+
+/**
+ * Per-recipient rows for the report; recipients of chunks not yet attempted are `pending`
+ */
+export function batchReport(batch, recipients) {
+    return batch.chunks.flatMap((chunk) => {
+        const members = recipients.slice(chunk.start, chunk.end);
+        const results = new Map(chunk.results.map((result) => [normalizeEmail(result.email), result]));
+        return members.map((recipient) => {
+            const result = results.get(normalizeEmail(recipient.email)) || { status: 'pending' };
+            return {
+                email: recipient.email,
+                name: recipient.name,
+                chunk: chunk.index,
+                status: result.status,
+                messageId: result.messageId || null,
+                error: result.error || null
+            };
+        });
+    });
+}
+
+async function writeReport(path, rows) {
+    const text = extname(path).toLowerCase() === '.json'
+        ? `${JSON.stringify(rows, null, 2)}\n`
+        : toCsv(rows, REPORT_COLUMNS);
+    await writeFile(path, text);
+}
+
+/**
+ * Send the example marketing message to every recipient in a file
+ *
+ * @param {import('../ESPExample.js').ESPExample} example
+ * @param {string} file - CSV or JSON Lines recipient list
+ * @param {object} [options]
+ * @param {string} [options.id] - Batch ID; defaults to a hash of the file, so re-running resumes
+ * @param {string} [options.from] - Sender address
+ * @param {string} [options.template] - Template name, templates.marketing by default
+ * @param {number} [options.chunkSize] - Recipients per request, for a new batch
+ * @param {number} [options.concurrency] - Requests in flight
+ * @param {string} [options.report] - Report file (CSV, or JSON for .json); defaults to <id>.report.csv next to the progress file
+ * @param {string} [options.pool] - IP pool to send through; by default the warmup pool of the created pool or the sub-account, if any
+ * @param {function(number): Promise} [options.throttle] - Awaited with the number of emails before each send request, to rate-limit them
+ * @param {object} [options.campaign] - { id, groups } of the campaign it is sent for (see campaigns.js)
+ * @returns {Promise<{id: string, total: number, counts: object, report: string, heldBack: number}>}
+ */
+export async function sendBatch(example, file, options = {}) {
+    const { config, logger } = example;
+    const {
+        from = config.fromEmail,
+        template = config.templates.marketing,
+        chunkSize = config.batch.chunkSize,
+        concurrency = config.batch.concurrency,
+        attachments = [],
+        throttle = async () => {},
+        campaign
+    } = options;
+
+    const { text, recipients, duplicates } = await readRecipients(file);
+    (await Template.load(config.templates.dir, template)).validate(recipients);
+    const fingerprint = createHash('sha256').update(text).digest('hex');
+    const id = options.id || `batch-${fingerprint.slice(0, 12)}`;
+    const store = batchStore(config, id);
+    const report = options.report || join(config.storage.dir, BATCHES_DIR, `${id}.report.csv`);
+    const gate = await example.warmupGate(options.pool);
+    const pool = options.pool || (gate && gate.pool);
+
+    let batch = await store.load();
+    if (batch && batch.fingerprint !== fingerprint) {
+        throw new EspError(`Batch ${id} was started from a different recipient list`, {
+            action: 'resume batch',
+            hint: 'Pass another --batch-id to start a new batch from this file.'
+        });
+    }
+    if (batch) {
+        const done = batch.chunks.filter((chunk) => chunk.status === 'sent').length;
+        logger.info(`↻ Resuming batch ${id}: ${done} of ${batch.chunks.length} chunk(s) already sent`);
+    } else {
+        // A chunk larger than the day's warmup cap could never be sent
+        const size = gate && gate.cap > 0 ? Math.min(chunkSize, gate.cap) : chunkSize;
+        batch = newBatch(id, file, fingerprint, recipients.length, size);
+        logger.info(`Starting batch ${id}: ${recipients.length} recipient(s) in ${batch.chunks.length} chunk(s) of up to ${size}`);
+    }
+    if (duplicates > 0) {
+        logger.warn(`  ⚠️  Skipped ${duplicates} repeated address(es)`);
+    }
+
+    // Chunks finish out of order; saves are chained so they never interleave
+    let saving = Promise.resolve();
+    const save = () => {
+        batch.updatedAt = new Date().toISOString();
+        const snapshot = JSON.parse(JSON.stringify(batch));
+        saving = saving.then(() => store.save(snapshot));
+        return saving;
+    };
+
+    let heldBack = 0;
+    const sendChunk = async (chunk) => {
+        const members = recipients.slice(chunk.start, chunk.end);
+        const label = `Chunk ${chunk.index + 1}/${batch.chunks.length}`;
+        if (gate && !(await gate.take(members.length))) {
+            heldBack++;
+            return;
+        }
+        chunk.status = 'sending';
+        chunk.attempts++;
+        await save();
+
+        try {
+            const { allowed, suppressed } = await example.suppressions.filter(members, example.createdSubAccountId);
+            const results = suppressed.map(({ recipient, entry }) => ({
+                email: recipient.email,
+                status: 'suppressed',
+                messageId: null,
+                error: `${entry.reason} since ${entry.createdAt}`
+            }));
+
+            if (allowed.length > 0) {
+                const emailMessage = await example.buildMarketingMessage(from, allowed, { template, merge: 'server', attachments, campaign });
+                emailMessage.headers['X-Batch-ID'] = id;
+                if (pool) {
+                    emailMessage.ippool = pool;
+                }
+                await throttle(allowed.length);
+                const responses = await example.sendMessage(emailMessage, { idempotencyKey: `${id}-${chunk.index}` });
+                const messageIds = new Map(responses.map((response) => [normalizeEmail(response.to), response.messageId]));
+                for (const recipient of allowed) {
+                    const messageId = messageIds.get(normalizeEmail(recipient.email));
+                    results.push({
+                        email: recipient.email,
+                        status: messageId ? 'sent' : 'unknown',
+                        messageId: messageId || null,
+                        error: messageId ? null : 'SendPost returned no message ID for this recipient'
+                    });
+                }
+            }
+
+            chunk.status = 'sent';
+            chunk.error = null;
+            chunk.results = results;
+            const sent = results.filter((result) => result.status === 'sent').length;
+            if (gate) {
+                await gate.release(members.length - sent);
+            }
+            logger.info(`✓ ${label}: ${sent} sent${suppressed.length > 0 ? `, ${suppressed.length} suppressed` : ''}`);
+        } catch (error) {
+            if (!(error instanceof EspError)) {
+                throw error;
+            }
+            chunk.status = 'failed';
+            chunk.error = error.message;
+            chunk.results = members.map((recipient) => ({ email: recipient.email, status: 'failed', messageId: null, error: error.message }));
+            logger.error(`✗ ${label}: ${error.message}`);
+            if (gate) {
+                await gate.release(members.length);
+            }
+            // Every other chunk would be rejected the same way
+            if (error instanceof AuthenticationError || error instanceof AttachmentError) {
+                await save();
+                throw error;
+            }
+        }
+        await save();
+    };
+
+    const remaining = batch.chunks.filter((chunk) => chunk.status !== 'sent');
+    try {
+        await mapWithConcurrency(remaining, concurrency, sendChunk);
+    } finally {
+        await saving;
+    }
+
+    if (batch.chunks.every((chunk) => chunk.status === 'sent')) {
+        batch.completedAt = new Date().toISOString();
+        await save();
+    }
+
+    const rows = batchReport(batch, recipients);
+    await writeReport(report, rows);
+    const counts = {};
+    for (const row of rows) {
+        counts[row.status] = (counts[row.status] || 0) + 1;
+    }
+
+    logger.info(`\n=== Batch ${id} ===`);
+    for (const [status, count] of Object.entries(counts)) {
+        logger.info(`  ${status}: ${count}`);
+    }
+    logger.info(`  Report: ${report}`);
+    if (heldBack > 0) {
+        logger.warn(`⊘ ${heldBack} chunk(s) held back by the warmup cap of IP pool ${gate.pool} (${gate.cap} today); run the batch again tomorrow to send them`);
+    }
+    return { id, total: recipients.length, counts, report, heldBack };
+}
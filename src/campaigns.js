@@ -0,0 +1,277 @@
+/**
+ * Marketing campaigns and their reports
+ *
+ * A campaign sends the marketing template to an audience file (a batch, see
+ * batch.js), now or on a schedule (see queue.js). Each campaign gets an ID
+ * when it is created, sent as the X-Campaign-ID header of every message
+ * along with its groups. Campaigns are kept in <storage.dir>/campaigns.json.
+ *
+ * The report counts, per campaign, the messages in the send ledger (see
+ * ledger.js) and the webhook events stored for them by `webhooks listen`.
+ * Each message counts once per event type, however often SendPost posts it.
+ */
+
+import { randomBytes } from 'node:crypto';
+import { join, resolve } from 'node:path';
+import { EspError, EXIT_CODES, PrerequisiteError } from './errors.js';
+import { isTimeOfDay, parseSendTime } from './queue.js';
+import { isTimeZone, withRates } from './stats.js';
+import { JsonFileStore } from './store.js';
+
+export const CAMPAIGNS_FILE = 'campaigns.json';
+
+/** Header and groups of marketing emails sent outside a campaign */
+export const NO_CAMPAIGN = { id: 'campaign-001', groups: ['marketing', 'promotional'] };
+
+export const DEFAULT_GROUPS = ['marketing'];
+
+/** Event types the report counts */
+export const REPORT_EVENTS = ['delivered', 'hardBounced', 'softBounced', 'opened', 'clicked', 'unsubscribed', 'spam'];
+
+const GROUP_PATTERN = /^[\w.-]+$/;
+
+/**
+ * Raised when campaign settings fail validation. `issues` lists every problem found.
+ */
+export class CampaignError extends EspError {
+    constructor(campaign, issues) {
+        super(`Invalid settings for campaign ${campaign}:\n${issues.map((issue) => `  - ${issue}`).join('\n')}`, {
+            action: 'check campaign settings',
+            hint: 'The audience is a CSV or JSON Lines recipient list, as for "email batch".'
+        });
+        this.issues = issues;
+        this.exitCode = EXIT_CODES.USAGE;
+    }
+}
+
+export const newCampaignId = () => `cmp-${Date.now().toString(36)}-${randomBytes(3).toString('hex')}`;
+
+/**
+ * A campaign by ID, or by name when only one campaign has it
+ *
+ * @throws {PrerequisiteError} When there is no such campaign, or several with that name
+ */
+export function findCampaign(campaigns, ref) {
+    const byId = campaigns.find((campaign) => campaign.id === ref);
+    if (byId) {
+        return byId;
+    }
+    const byName = campaigns.filter((campaign) => campaign.name === ref);
+    if (byName.length > 1) {
+        throw new PrerequisiteError(`${byName.length} campaigns are named "${ref}": ${byName.map((campaign) => campaign.id).join(', ')}`, {
+            action: 'find campaign',
+            hint: 'Give the campaign ID.'
+        });
+    }
+    if (byName.length === 0) {
+        throw new PrerequisiteError(`No campaign "${ref}"`, { action: 'find campaign', hint: 'Run "campaigns list" to see the campaigns.' });
+    }
+    return byName[0];
+}
+
+/**
+ * Check the settings of a new campaign and fill in the defaults
+ *
+ * @param {object} fields
+ * @param {string} fields.name
+ * @param {string} fields.audience - Recipient list
+ * @param {string} fields.template
+ * @param {string} [fields.from] - Sender address, fromEmail when sent by default
+ * @param {string|string[]} [fields.groups] - Comma-separated or a list; DEFAULT_GROUPS when omitted
+ * @param {string} [fields.pool] - IP pool to send through
+ * @param {object} [fields.schedule] - at or localTime, and timeZone (see resolveSendTime); sent when launched without one
+ * @param {object[]} [existing] - Campaigns already created, whose names are taken
+ * @returns {object} The campaign, status `draft`
+ * @throws {CampaignError}
+ */
+export function resolveCampaign({ name, audience, template, from = null, groups, pool = null, schedule = null }, existing = []) {
+    const issues = [];
+    const trimmed = String(name ?? '').trim();
+    const label = trimmed ? `"${trimmed}"` : '(unnamed)';
+    if (!trimmed) {
+        issues.push('a name is required');
+    } else if (existing.some((campaign) => campaign.name === trimmed)) {
+        issues.push(`a campaign named "${trimmed}" already exists`);
+    }
+    if (!audience) {
+        issues.push('an audience file is required');
+    }
+    const groupList = groups === undefined || groups === null
+        ? [...DEFAULT_GROUPS]
+        : [].concat(groups).flatMap((text) => String(text).split(',')).map((group) => group.trim()).filter(Boolean);
+    for (const group of groupList.filter((candidate) => !GROUP_PATTERN.test(candidate))) {
+        issues.push(`group "${group}" may only contain letters, digits, ".", "-" and "_"`);
+    }
+    if (schedule) {
+        const { at, localTime, timeZone } = schedule;
+        if (timeZone !== undefined && !isTimeZone(timeZone)) {
+            issues.push(`"${timeZone}" is not a time zone`);
+        } else if (localTime !== undefined ? !isTimeOfDay(localTime) : parseSendTime(at, { timeZone }) === null) {
+            issues.push(`"${localTime ?? at}" is not a send time`);
+        }
+    }
+    if (issues.length > 0) {
+        throw new CampaignError(label, issues);
+    }
+    return {
+        id: newCampaignId(),
+        name: trimmed,
+        template,
+        audience: resolve(audience),
+        from,
+        groups: [...new Set(groupList)],
+        pool,
+        schedule,
+        status: 'draft',
+        jobs: [],
+        counts: null,
+        createdAt: new Date().toISOString(),
+        launchedAt: null
+    };
+}
+
+/**
+ * Where a scheduled campaign stands, from its queued jobs
+ *
+ * @param {object[]} jobs
+ * @returns {{status: string, counts: object|null}} status `scheduled` while any job is still to be sent, then
+ *   `failed` when any was dead-lettered, `cancelled` when all were cancelled, else `sent`; counts summed over the sent jobs
+ */
+export function progressFromJobs(jobs) {
+    let status = 'sent';
+    if (jobs.some((job) => ['scheduled', 'paused', 'sending'].includes(job.status))) {
+        status = 'scheduled';
+    } else if (jobs.some((job) => job.status === 'dead')) {
+        status = 'failed';
+    } else if (jobs.every((job) => job.status === 'cancelled')) {
+        status = 'cancelled';
+    }
+    const sent = jobs.filter((job) => job.status === 'sent' && job.result);
+    const counts = sent.length === 0 ? null : sent.reduce((sum, job) => {
+        for (const [key, value] of Object.entries(job.result)) {
+            sum[key] = (sum[key] || 0) + value;
+        }
+        return sum;
+    }, {});
+    return { status, counts };
+}
+
+/**
+ * Per-campaign counts of sends and webhook events, with delivery, bounce, open, click and spam rates
+ *
+ * Messages in the send ledger stand in for `processed`, which the rates of
+ * delivery and bounces are counted against.
+ *
+ * @param {object[]} campaigns - Campaigns created here; they are reported even without sends
+ * @param {object[]} entries - Send ledger entries, one per message, as SendLedger.query() returns them
+ * @param {object[]} events - Stored webhook events
+ * @returns {object[]} One row per campaign: campaignId, name, status, sent, REPORT_EVENTS counts and the rates
+ */
+export function campaignReport(campaigns, entries, events) {
+    const campaignOf = new Map();
+    const sent = new Map();
+    for (const entry of entries) {
+        if (entry.campaignId) {
+            campaignOf.set(entry.messageId, entry.campaignId);
+            sent.set(entry.campaignId, (sent.get(entry.campaignId) || 0) + 1);
+        }
+    }
+    const reached = new Map();
+    for (const event of events) {
+        const campaignId = campaignOf.get(event.messageId);
+        if (campaignId && REPORT_EVENTS.includes(event.type)) {
+            reached.set(`${campaignId}:${event.type}`, (reached.get(`${campaignId}:${event.type}`) || new Set()).add(event.messageId));
+        }
+    }
+
+    const known = new Map(campaigns.map((campaign) => [campaign.id, campaign]));
+    const ids = [...known.keys(), ...[...sent.keys()].filter((id) => !known.has(id)).sort()];
+    return ids.map((campaignId) => {
+        const counts = Object.fromEntries(REPORT_EVENTS.map((type) => [type, (reached.get(`${campaignId}:${type}`) || new Set()).size]));
+        const { deliveryRate, bounceRate, openRate, clickRate, spamRate } = withRates({ ...counts, processed: sent.get(campaignId) || 0 });
+        return {
+            campaignId,
+            name: known.has(campaignId) ? known.get(campaignId).name : null,
+            status: known.has(campaignId) ? known.get(campaignId).status : null,
+            sent: sent.get(campaignId) || 0,
+            ...counts,
+            deliveryRate,
+            bounceRate,
+            openRate,
+            clickRate,
+            spamRate
+        };
+    });
+}
+
+const REPORT_COLUMNS = [
+    ['campaignId', 'Campaign'],
+    ['name', 'Name'],
+    ['status', 'Status'],
+    ['sent', 'Sent'],
+    ['delivered', 'Delivered'],
+    ['bounced', 'Bounced'],
+    ['opened', 'Opened'],
+    ['clicked', 'Clicked'],
+    ['unsubscribed', 'Unsub'],
+    ['spam', 'Spam'],
+    ['deliveryRate', 'Delivery'],
+    ['bounceRate', 'Bounce'],
+    ['openRate', 'Open'],
+    ['clickRate', 'Click']
+];
+
+/**
+ * Report rows as an aligned text table, rates in percent
+ */
+export function formatCampaignReport(rows) {
+    const cell = (row, key) => {
+        if (key === 'bounced') {
+            return String(row.hardBounced + row.softBounced);
+        }
+        if (key.endsWith('Rate')) {
+            return row[key] === null ? '-' : `${(row[key] * 100).toFixed(1)}%`;
+        }
+        return row[key] === null ? '' : String(row[key]);
+    };
+    const widths = REPORT_COLUMNS.map(([key, label]) => Math.max(label.length, ...rows.map((row) => cell(row, key).length)));
+    const line = (values) => values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+    return [
+        line(REPORT_COLUMNS.map(([, label]) => label)),
+        line(widths.map((width) => '-'.repeat(width))),
+        ...rows.map((row) => line(REPORT_COLUMNS.map(([key]) => cell(row, key))))
+    ].join('\n');
+}
+
+export class Campaigns {
+    /**
+     * @param {JsonFileStore} store
+     */
+    constructor(store) {
+        this.store = store;
+    }
+
+    static forConfig(config) {
+        return new Campaigns(new JsonFileStore(join(config.storage.dir, CAMPAIGNS_FILE), () => ({ campaigns: {} })));
+    }
+
+    /**
+     * Campaigns, oldest first
+     */
+    async list() {
+        return Object.values((await this.store.load()).campaigns).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * @throws {PrerequisiteError} See findCampaign()
+     */
+    async get(ref) {
+        return findCampaign(await this.list(), ref);
+    }
+
+    async save(campaign) {
+        await this.store.update((document) => {
+            document.campaigns[campaign.id] = campaign;
+        });
+    }
+}
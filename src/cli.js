@@ -0,0 +1,1258 @@
+/**
+ * Command-line entry point for the ESP example
+ *
+ * Maps `esp <group> <action> [args] [options]` onto the individual ESPExample
+ * steps so each one can be run on its own instead of firing the complete
+ * workflow. Every command resolves to an exit code (see EXIT_CODES in
+ * errors.js): 0 on success, 1 when the step failed, 2 when the command line
+ * or the configuration is invalid and 3 when SendPost rejected the API key.
+ *
+ * Global options, accepted anywhere on the command line:
+ *   --config <file>     JSON or YAML config file
+ *   --profile <name>    Profile from the config file (e.g. staging, production)
+ *   --set <key=value>   Override a single setting; may be repeated
+ *   --output <format>   text (default) or json (see logger.js)
+ *   --log-level <level> debug, info, warn or error
+ *   --as <subAccountId> Act as a sub-account, with its key from the credential store
+ */
+
+import { writeFile } from 'node:fs/promises';
+import { isIP } from 'node:net';
+import { parseArgs } from 'node:util';
+import { readRecipients, sendBatch } from './batch.js';
+import { formatZone } from './domains.js';
+import { loadSpec } from './clients.js';
+import { ConfigError, describeConfig, loadConfig, maskConfig, requireApiKeys, WEBHOOK_EVENTS } from './config.js';
+import { EspError, EXIT_CODES } from './errors.js';
+import { formatLedger, LEDGER_FORMATS } from './ledger.js';
+import { maskSecret } from './logger.js';
+import { poolsFromSpecs, runMonitor } from './monitor.js';
+import { EMAIL_PROVIDERS, parseProviderAssignment, ROUTING_STRATEGIES } from './pools.js';
+import { confirm } from './prompt.js';
+import { isTimeOfDay, JOB_MESSAGES, JOB_STATUSES, parseSendTime, runWorker } from './queue.js';
+import { EXPORT_FORMATS, formatForFile, formatStatsReport, isDateSpec, isTimeZone, reportRows } from './stats.js';
+import { SUPPRESSION_REASONS, SuppressionList } from './suppressions.js';
+import { listTemplates, MERGE_MODES, printPreview, Template } from './templates.js';
+import { parseDuration } from './time.js';
+import { listen, replay } from './webhooks/listen.js';
+
+const DEFAULT_STALE_AGE = '24h';
+
+const STATS_OPTIONS = {
+    from: { type: 'string' },
+    to: { type: 'string' },
+    tz: { type: 'string' }
+};
+
+// The stats range given on the command line, over the stats settings
+const statsRange = (options) => Object.fromEntries(
+    Object.entries({ from: options.from, to: options.to, timezone: options.tz }).filter(([, value]) => value !== undefined)
+);
+
+// Which sub-accounts a fan-out command runs for, and how many at once
+const FANOUT_OPTIONS = {
+    subaccounts: { type: 'string' },
+    match: { type: 'string' },
+    concurrency: { type: 'string' }
+};
+
+const fanOutSelection = (options) => ({
+    ids: options.subaccounts ? options.subaccounts.split(',').map(Number) : [],
+    match: options.match,
+    concurrency: options.concurrency ? Number(options.concurrency) : undefined
+});
+
+const failedRows = (rows) => (rows.some((row) => row.status !== 'ok') ? EXIT_CODES.FAILURE : EXIT_CODES.OK);
+
+const SEND_OPTIONS = {
+    from: { type: 'string' },
+    to: { type: 'string' },
+    'idempotency-key': { type: 'string' },
+    template: { type: 'string' },
+    merge: { type: 'string', choices: MERGE_MODES },
+    attach: { type: 'string', multiple: true }
+};
+
+// Which send ledger entries a command covers
+const LEDGER_OPTIONS = {
+    to: { type: 'string' },
+    order: { type: 'string' },
+    campaign: { type: 'string' },
+    group: { type: 'string' },
+    subaccount: { type: 'string' },
+    since: { type: 'string' },
+    until: { type: 'string' },
+    tz: { type: 'string' }
+};
+
+const ledgerFilters = (options) => Object.fromEntries(Object.entries({
+    recipient: options.to,
+    orderId: options.order,
+    campaignId: options.campaign,
+    group: options.group,
+    subAccountId: options.subaccount,
+    since: options.since,
+    until: options.until,
+    timeZone: options.tz
+}).filter(([, value]) => value !== undefined));
+
+// When a queued send goes out
+const SCHEDULE_OPTIONS = {
+    at: { type: 'string' },
+    'local-time': { type: 'string' },
+    tz: { type: 'string' }
+};
+
+// Queued sends need one; a campaign without one is sent when launched
+const sendTime = (options, { required = true } = {}) => {
+    if (options.at === undefined && options['local-time'] === undefined) {
+        if (required) {
+            throw new UsageError('Give either --at <time> or --local-time HH:MM: when to send');
+        }
+        return null;
+    }
+    return { at: options.at, localTime: options['local-time'], timeZone: options.tz };
+};
+
+// Queue commands acting on one job, or on every job with `all`
+const jobCommand = (action, summary, { all = false } = {}) => ({
+    path: ['queue', action],
+    auth: [],
+    summary,
+    args: ['job'],
+    run: (example, args) => {
+        if (args.job === 'all' && !all) {
+            throw new UsageError(`"queue ${action}" takes a single job ID`);
+        }
+        return example.changeJob(args.job, action);
+    }
+});
+
+// Settings of an IP pool, for pools create / update
+const POOL_OPTIONS = {
+    ips: { type: 'string' },
+    routing: { type: 'string', choices: [...Object.keys(ROUTING_STRATEGIES), ...Object.values(ROUTING_STRATEGIES).map(String)] },
+    'warmup-interval': { type: 'string' },
+    overflow: { type: 'string' },
+    provider: { type: 'string', multiple: true }
+};
+
+const splitIps = (text) => text.split(',').map((ip) => ip.trim()).filter(Boolean);
+
+// Only the settings given on the command line
+const poolChange = (options) => Object.fromEntries(Object.entries({
+    ips: options.ips === undefined ? undefined : splitIps(options.ips),
+    routingStrategy: options.routing,
+    warmupInterval: options['warmup-interval'] === undefined ? undefined : Number(options['warmup-interval']),
+    overflow: options.overflow,
+    providers: options.provider && Object.fromEntries(options.provider.map(parseProviderAssignment).map(({ provider, ips }) => [provider, ips]))
+}).filter(([, value]) => value !== undefined));
+
+const GLOBAL_OPTIONS = {
+    config: { type: 'string' },
+    profile: { type: 'string' },
+    set: { type: 'string', multiple: true },
+    // Shorthands for --set log.output=... and --set log.level=...
+    output: { type: 'string', setting: 'log.output' },
+    'log-level': { type: 'string', setting: 'log.level' },
+    // Shorthand for --set subAccountId=...
+    as: { type: 'string', setting: 'subAccountId' }
+};
+
+/**
+ * Command table. `path` is the word sequence typed on the command line,
+ * `args` the positional arguments that follow it, `options` the flags
+ * accepted by node:util parseArgs (plus `choices`, the values a string
+ * option allows) and `auth` the API keys the command needs.
+ *
+ * With --output json, an array returned by `run` is printed as the command's
+ * result (so list commands print clean JSON arrays), as is any value when
+ * the command sets `result: true`; other commands print one step record.
+ * Commands setting `steps: true` print their own step records. Commands
+ * returning a result can derive their exit code from it with `exitCode`.
+ * `raw(options)` returning true means the command wrote its own output to
+ * stdout (e.g. an export) and prints no record.
+ */
+export const COMMANDS = [
+    {
+        path: ['config', 'show'],
+        summary: 'Print the resolved configuration (API keys masked)',
+        auth: [],
+        result: true,
+        run: (example, args, options, config) => {
+            if (example.logger.json) {
+                return maskConfig(config);
+            }
+            console.log(describeConfig(config));
+        }
+    },
+    {
+        path: ['workflow'],
+        summary: 'Run the complete ESP workflow (all steps)',
+        auth: ['account', 'subAccount'],
+        steps: true,
+        run: async (example) => {
+            const { exitCode } = await example.runCompleteWorkflow();
+            return exitCode;
+        }
+    },
+    {
+        path: ['cleanup'],
+        auth: ['account'],
+        summary: `Delete resources recorded by earlier runs; --sweep also deletes generated sub-accounts/pools older than --older-than (default ${DEFAULT_STALE_AGE})`,
+        options: {
+            run: { type: 'string' },
+            sweep: { type: 'boolean' },
+            'older-than': { type: 'string' },
+            'dry-run': { type: 'boolean' },
+            yes: { type: 'boolean' }
+        },
+        run: async (example, args, options) => {
+            const dryRun = Boolean(options['dry-run']);
+            if (!dryRun && !options.yes && !process.stdin.isTTY) {
+                throw new UsageError('Refusing to delete without confirmation: stdin is not a terminal (pass --yes to skip the prompt)');
+            }
+            const { failed } = await example.cleanup({
+                runId: options.run,
+                sweep: Boolean(options.sweep || options['older-than']),
+                maxAgeMs: parseDuration(options['older-than'] || DEFAULT_STALE_AGE),
+                dryRun,
+                confirm: options.yes ? undefined : (question) => confirm(question)
+            });
+            return failed > 0 ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+        }
+    },
+    {
+        path: ['subaccounts', 'list'],
+        auth: ['account'],
+        summary: 'List all sub-accounts',
+        run: (example) => example.listSubAccounts()
+    },
+    {
+        path: ['subaccounts', 'create'],
+        auth: ['account'],
+        summary: 'Create a new sub-account',
+        options: { name: { type: 'string' } },
+        run: (example, args, options) => example.createSubAccount(options.name)
+    },
+    {
+        path: ['credentials', 'list'],
+        auth: [],
+        summary: 'List the sub-account API keys in the credential store (masked)',
+        run: async (example) => {
+            const entries = await example.credentials.list();
+            example.logger.info(`✓ ${entries.length} stored API key(s)`);
+            for (const entry of entries) {
+                example.logger.info(`  - ${entry.subAccountId} ${entry.name || ''} ${maskSecret(entry.apiKey)} saved ${entry.savedAt}`);
+            }
+            return entries;
+        }
+    },
+    {
+        path: ['credentials', 'import'],
+        auth: ['account'],
+        summary: 'Fetch sub-account API keys and save them in the credential store (all, or --subaccount <id>)',
+        options: { subaccount: { type: 'string' } },
+        run: async (example, args, options) => {
+            const entries = await example.importCredentials(options.subaccount ? [options.subaccount] : []);
+            if (options.subaccount && entries.length === 0) {
+                example.logger.error(`✗ Sub-account ${options.subaccount} not found`);
+                return EXIT_CODES.FAILURE;
+            }
+            example.logger.info(`✓ Saved ${entries.length} API key(s) to the credential store`);
+            return entries;
+        }
+    },
+    {
+        path: ['credentials', 'remove'],
+        auth: [],
+        summary: 'Remove a sub-account API key from the credential store',
+        args: ['subAccountId'],
+        run: async (example, args) => {
+            if (!await example.credentials.remove(args.subAccountId)) {
+                example.logger.error(`✗ No API key stored for sub-account ${args.subAccountId}`);
+                return EXIT_CODES.FAILURE;
+            }
+            example.logger.info(`✓ Removed the API key of sub-account ${args.subAccountId}`);
+        }
+    },
+    {
+        path: ['clients', 'plan'],
+        auth: ['account'],
+        summary: 'Show what "clients apply" would create or update for a client spec (dry run)',
+        args: ['spec'],
+        run: async (example, args, options, config) => {
+            await example.applyClient(loadSpec(args.spec, config), { dryRun: true });
+        }
+    },
+    {
+        path: ['clients', 'apply'],
+        auth: ['account'],
+        summary: 'Create or update the sub-account, domains, webhook and IP pool in a client spec',
+        args: ['spec'],
+        run: async (example, args, options, config) => {
+            await example.applyClient(loadSpec(args.spec, config));
+        }
+    },
+    {
+        path: ['webhooks', 'list'],
+        auth: ['account'],
+        summary: 'List all webhooks',
+        run: (example) => example.listWebhooks()
+    },
+    {
+        path: ['webhooks', 'create'],
+        auth: ['account'],
+        summary: 'Create a webhook receiving the webhook.events.* event types; --events edits that list (e.g. -opened,-clicked)',
+        options: { url: { type: 'string' }, events: { type: 'string' } },
+        run: (example, args, options) => example.createWebhook(options.url, options.events)
+    },
+    {
+        path: ['webhooks', 'update'],
+        auth: ['account'],
+        summary: `Change a webhook (by ID or URL): --url, --events <event,...|+event,-event|all|none> (${WEBHOOK_EVENTS.join(', ')})`,
+        args: ['webhook'],
+        options: { url: { type: 'string' }, events: { type: 'string' } },
+        run: (example, args, options) => example.updateWebhook(args.webhook, { url: options.url, events: options.events })
+    },
+    {
+        path: ['webhooks', 'enable'],
+        auth: ['account'],
+        summary: 'Enable a webhook (by ID or URL)',
+        args: ['webhook'],
+        run: (example, args) => example.updateWebhook(args.webhook, { enabled: true })
+    },
+    {
+        path: ['webhooks', 'disable'],
+        auth: ['account'],
+        summary: 'Disable a webhook (by ID or URL), keeping its settings',
+        args: ['webhook'],
+        run: (example, args) => example.updateWebhook(args.webhook, { enabled: false })
+    },
+    {
+        path: ['webhooks', 'delete'],
+        auth: ['account'],
+        summary: 'Delete a webhook (by ID or URL)',
+        args: ['webhook'],
+        options: { yes: { type: 'boolean' } },
+        run: async (example, args, options) => {
+            if (!options.yes) {
+                if (!process.stdin.isTTY) {
+                    throw new UsageError('Refusing to delete without confirmation: stdin is not a terminal (pass --yes to skip the prompt)');
+                }
+                if (!await confirm(`Delete webhook ${args.webhook}?`)) {
+                    example.logger.info('⊘ Nothing deleted');
+                    return EXIT_CODES.OK;
+                }
+            }
+            return example.deleteWebhook(args.webhook);
+        }
+    },
+    {
+        path: ['webhooks', 'test'],
+        auth: ['account'],
+        summary: 'POST a synthetic event (marked test: true) to a webhook\'s URL',
+        args: ['webhook'],
+        options: { event: { type: 'string', choices: WEBHOOK_EVENTS } },
+        run: (example, args, options) => example.testWebhook(args.webhook, { event: options.event })
+    },
+    {
+        path: ['webhooks', 'reconcile'],
+        auth: ['account'],
+        summary: 'Merge webhooks sharing a URL into the oldest, which gets the events of all of them',
+        options: {
+            'dry-run': { type: 'boolean' },
+            yes: { type: 'boolean' }
+        },
+        run: async (example, args, options) => {
+            const dryRun = Boolean(options['dry-run']);
+            if (!dryRun && !options.yes && !process.stdin.isTTY) {
+                throw new UsageError('Refusing to delete without confirmation: stdin is not a terminal (pass --yes to skip the prompt)');
+            }
+            const { failed } = await example.reconcileWebhooks({
+                dryRun,
+                confirm: options.yes ? undefined : (question) => confirm(question)
+            });
+            return failed > 0 ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+        }
+    },
+    {
+        path: ['webhooks', 'listen'],
+        auth: [],
+        summary: 'Run a local server receiving webhook events (stored under storage.dir)',
+        options: {
+            port: { type: 'string' },
+            path: { type: 'string' },
+            record: { type: 'string' },
+            handler: { type: 'string', multiple: true }
+        },
+        run: (example, args, options, config) => listen(config, {
+            port: options.port === undefined ? undefined : Number(options.port),
+            path: options.path,
+            record: options.record,
+            handlers: options.handler,
+            logger: example.logger
+        })
+    },
+    {
+        path: ['webhooks', 'replay'],
+        auth: [],
+        summary: 'Replay recorded webhook payloads locally, or POST them to a listener with --url',
+        args: ['file'],
+        options: {
+            url: { type: 'string' },
+            handler: { type: 'string', multiple: true }
+        },
+        run: async (example, args, options, config) => {
+            const { failed } = await replay(config, args.file, { url: options.url, handlers: options.handler, logger: example.logger });
+            return failed > 0 ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+        }
+    },
+    {
+        path: ['suppressions', 'list'],
+        auth: [],
+        summary: 'List suppressed recipients',
+        options: { subaccount: { type: 'string' } },
+        run: async (example, args, options, config) => {
+            const entries = await SuppressionList.forConfig(config).list(options.subaccount);
+            example.logger.info(`✓ ${entries.length} suppressed recipient(s)`);
+            for (const entry of entries) {
+                example.logger.info(`  - ${entry.email} [${entry.subAccountId ?? 'all sub-accounts'}] ${entry.reason} since ${entry.createdAt}`);
+            }
+            return entries;
+        }
+    },
+    {
+        path: ['suppressions', 'import'],
+        auth: [],
+        summary: `Import suppressions from CSV or JSON (reasons: ${SUPPRESSION_REASONS.join(', ')})`,
+        args: ['file'],
+        options: { subaccount: { type: 'string' }, reason: { type: 'string' } },
+        run: async (example, args, options, config) => {
+            const count = await SuppressionList.forConfig(config).importFile(args.file, {
+                subAccountId: options.subaccount,
+                reason: options.reason
+            });
+            example.logger.info(`✓ Imported ${count} suppression(s) from ${args.file}`);
+        }
+    },
+    {
+        path: ['suppressions', 'export'],
+        auth: [],
+        summary: 'Export suppressions to CSV, or JSON for a .json file',
+        args: ['file'],
+        options: { subaccount: { type: 'string' } },
+        run: async (example, args, options, config) => {
+            const count = await SuppressionList.forConfig(config).exportFile(args.file, options.subaccount);
+            example.logger.info(`✓ Exported ${count} suppression(s) to ${args.file}`);
+        }
+    },
+    {
+        path: ['suppressions', 'remove'],
+        auth: [],
+        summary: 'Remove a recipient from the suppression list',
+        args: ['email'],
+        options: { subaccount: { type: 'string' } },
+        run: async (example, args, options, config) => {
+            const removed = await SuppressionList.forConfig(config).remove(args.email, options.subaccount);
+            if (removed === 0) {
+                example.logger.error(`✗ ${args.email} is not suppressed`);
+                return EXIT_CODES.FAILURE;
+            }
+            example.logger.info(`✓ Removed ${removed} suppression(s) for ${args.email}`);
+        }
+    },
+    {
+        path: ['templates', 'list'],
+        auth: [],
+        summary: 'List the email templates under templates.dir',
+        run: async (example, args, options, config) => {
+            const names = await listTemplates(config.templates.dir);
+            example.logger.info(`✓ ${names.length} template(s) in ${config.templates.dir}`);
+            const templates = [];
+            for (const name of names) {
+                const template = await Template.load(config.templates.dir, name);
+                example.logger.info(`  - ${name}: ${template.fields.join(', ') || '(no fields)'}`);
+                templates.push({ name, fields: template.fields });
+            }
+            return templates;
+        }
+    },
+    {
+        path: ['templates', 'preview'],
+        auth: [],
+        summary: 'Render a template for sample fields (--field key=value) or the recipients in a CSV/JSONL file',
+        args: ['name'],
+        options: { recipients: { type: 'string' }, field: { type: 'string', multiple: true }, merge: { type: 'string', choices: MERGE_MODES } },
+        run: async (example, args, options, config) => {
+            const fields = Object.fromEntries((options.field || []).map((pair) => {
+                const separator = pair.indexOf('=');
+                return [pair.slice(0, separator), pair.slice(separator + 1)];
+            }));
+            let recipients;
+            if (options.recipients) {
+                ({ recipients } = await readRecipients(options.recipients));
+                recipients = recipients.map((recipient) => ({ ...recipient, customFields: { ...recipient.customFields, ...fields } }));
+            } else {
+                const { email = config.toEmail, name, ...customFields } = fields;
+                recipients = [{ email, name, customFields }];
+            }
+            const template = await Template.load(config.templates.dir, args.name);
+            const merge = options.merge || config.templates.merge;
+            if (example.logger.json) {
+                template.validate(recipients);
+                return recipients.map((recipient) => ({
+                    email: recipient.email,
+                    ...(merge === 'server'
+                        ? { ...template.passThrough(), customFields: template.serverFields(recipient) }
+                        : template.render(recipient))
+                }));
+            }
+            printPreview(template, recipients, { merge, logger: example.logger });
+        }
+    },
+    {
+        path: ['domains', 'list'],
+        auth: ['subAccount'],
+        summary: 'List all sending domains',
+        run: (example) => example.listDomains()
+    },
+    {
+        path: ['domains', 'add'],
+        auth: ['subAccount'],
+        summary: 'Add a sending domain',
+        args: ['name'],
+        run: (example, args) => example.addDomain(args.name)
+    },
+    {
+        path: ['domains', 'records'],
+        auth: ['subAccount'],
+        summary: 'Print the DNS records SendPost expects for a domain, as zone-file lines or JSON',
+        args: ['domain'],
+        options: { format: { type: 'string', choices: ['zone', 'json'] } },
+        run: async (example, args, options) => {
+            const { records, skipped } = await example.getDomainRecords(args.domain);
+            for (const { kind, reason } of skipped) {
+                example.logger.warn(`⚠️  ${kind}: ${reason}`);
+            }
+            if (example.logger.json) {
+                return records;
+            }
+            if (options.format === 'json') {
+                console.log(JSON.stringify(records, null, 2));
+            } else {
+                console.log(formatZone(records));
+            }
+        }
+    },
+    {
+        path: ['domains', 'verify'],
+        auth: ['subAccount'],
+        summary: 'Check a domain\'s DNS records (--wait polls until SendPost verifies it)',
+        args: ['domain'],
+        options: { wait: { type: 'boolean' } },
+        run: async (example, args, options) => {
+            const { records, verified } = await example.verifyDomain(args.domain, { wait: Boolean(options.wait) });
+            return verified || records.every((record) => record.status === 'ok') ? EXIT_CODES.OK : EXIT_CODES.FAILURE;
+        }
+    },
+    {
+        path: ['email', 'transactional'],
+        auth: ['subAccount'],
+        summary: 'Send the example transactional email (--attach <file> adds an attachment, repeatable)',
+        options: SEND_OPTIONS,
+        run: (example, args, options) => example.sendTransactionalEmail({ ...options, idempotencyKey: options['idempotency-key'], attachments: options.attach })
+    },
+    {
+        path: ['email', 'marketing'],
+        auth: ['subAccount'],
+        summary: 'Send the example marketing email (--attach <file> adds an attachment, repeatable)',
+        options: SEND_OPTIONS,
+        run: (example, args, options) => example.sendMarketingEmail({ ...options, idempotencyKey: options['idempotency-key'], attachments: options.attach })
+    },
+    {
+        path: ['email', 'batch'],
+        auth: ['subAccount'],
+        summary: 'Send the marketing email to every recipient in a CSV or JSONL file (re-run to resume; --pool sends through an IP pool, within its warmup cap)',
+        args: ['file'],
+        options: {
+            from: { type: 'string' },
+            template: { type: 'string' },
+            'batch-id': { type: 'string' },
+            report: { type: 'string' },
+            pool: { type: 'string' },
+            attach: { type: 'string', multiple: true }
+        },
+        run: async (example, args, options) => {
+            const { counts } = await sendBatch(example, args.file, {
+                id: options['batch-id'],
+                from: options.from,
+                template: options.template,
+                report: options.report,
+                pool: options.pool,
+                attachments: options.attach
+            });
+            return counts.failed || counts.unknown || counts.pending ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+        }
+    },
+    {
+        path: ['queue', 'add', 'email'],
+        auth: ['subAccount'],
+        summary: 'Queue the example email (--message transactional|marketing) for --at <time> (now, 30m, 09:00, 2024-03-10 09:00) or --local-time HH:MM, in --tz',
+        options: {
+            message: { type: 'string', choices: JOB_MESSAGES },
+            from: SEND_OPTIONS.from,
+            to: SEND_OPTIONS.to,
+            template: SEND_OPTIONS.template,
+            merge: SEND_OPTIONS.merge,
+            attach: SEND_OPTIONS.attach,
+            ...SCHEDULE_OPTIONS
+        },
+        run: (example, args, options) => example.scheduleEmail(options.message || 'transactional', {
+            from: options.from,
+            to: options.to,
+            template: options.template,
+            merge: options.merge,
+            attachments: options.attach
+        }, sendTime(options))
+    },
+    {
+        path: ['queue', 'add', 'batch'],
+        auth: ['subAccount'],
+        summary: 'Queue a batch send for --at <time>, or --local-time HH:MM in each recipient\'s time zone (queue.timezoneField, else --tz)',
+        args: ['file'],
+        options: {
+            from: { type: 'string' },
+            template: { type: 'string' },
+            pool: { type: 'string' },
+            attach: { type: 'string', multiple: true },
+            ...SCHEDULE_OPTIONS
+        },
+        run: (example, args, options) => example.scheduleBatch(args.file, {
+            from: options.from,
+            template: options.template,
+            pool: options.pool,
+            attachments: options.attach
+        }, sendTime(options))
+    },
+    {
+        path: ['queue', 'list'],
+        auth: [],
+        summary: 'List queued jobs by send time (--status scheduled, dead, ...)',
+        options: { status: { type: 'string', choices: JOB_STATUSES } },
+        run: (example, args, options) => example.listJobs({ status: options.status })
+    },
+    jobCommand('cancel', 'Cancel a scheduled, paused or dead-lettered job'),
+    jobCommand('pause', 'Hold a scheduled job (or all) until it is resumed', { all: true }),
+    jobCommand('resume', 'Put a paused job (or all) back in the queue', { all: true }),
+    jobCommand('retry', 'Put a dead-lettered job back in the queue with its attempts reset'),
+    {
+        path: ['queue', 'work'],
+        auth: [],
+        summary: 'Send queued jobs as they fall due, every --interval (default queue.pollIntervalMs), within the queue.* rate limits; --once sends what is due and exits',
+        options: { once: { type: 'boolean' }, interval: { type: 'string' } },
+        exitCode: (result) => (result.dead > 0 ? EXIT_CODES.FAILURE : EXIT_CODES.OK),
+        run: (example, args, options) => runWorker(example, {
+            once: Boolean(options.once),
+            intervalMs: options.interval ? parseDuration(options.interval) : undefined
+        })
+    },
+    {
+        path: ['messages', 'get'],
+        auth: ['account'],
+        summary: 'Retrieve message details by message ID (--wait polls until it is stored)',
+        args: ['messageId'],
+        options: { wait: { type: 'boolean' } },
+        run: (example, args, options) => example.getMessageDetails(args.messageId, { wait: Boolean(options.wait) })
+    },
+    {
+        path: ['messages', 'show'],
+        auth: ['account'],
+        summary: 'Show any message as a timeline: SendPost\'s record of it merged with the webhook events stored by "webhooks listen"',
+        args: ['messageId'],
+        run: (example, args) => example.showMessage(args.messageId)
+    },
+    {
+        path: ['messages', 'search'],
+        auth: [],
+        summary: 'Find messages sent from here by --to <address|@domain>, --order <X-Order-ID> and/or --group',
+        options: { to: { type: 'string' }, order: { type: 'string' }, group: { type: 'string' } },
+        run: (example, args, options) => {
+            if (options.to === undefined && options.order === undefined && options.group === undefined) {
+                throw new UsageError('Give at least one of --to, --order and --group');
+            }
+            return example.listSends({ recipient: options.to, orderId: options.order, group: options.group });
+        }
+    },
+    {
+        path: ['sends', 'list'],
+        auth: [],
+        summary: 'List messages from the send ledger, newest first; filter by --to <address|@domain>, --order, --campaign, --group, --subaccount, --since and --until',
+        options: LEDGER_OPTIONS,
+        run: (example, args, options) => example.listSends(ledgerFilters(options))
+    },
+    {
+        path: ['sends', 'export'],
+        auth: [],
+        summary: `Export the send ledger (or the entries matching the sends list filters) as ${LEDGER_FORMATS.join(' or ')}, to stdout or --out <file>`,
+        options: { ...LEDGER_OPTIONS, format: { type: 'string', choices: LEDGER_FORMATS }, out: { type: 'string' } },
+        raw: (options) => !options.out,
+        run: async (example, args, options, config) => {
+            const format = options.format || (formatForFile(options.out) === 'json' ? 'json' : 'csv');
+            const entries = await example.ledger.query({ timeZone: config.stats.timezone, ...ledgerFilters(options) });
+            const text = formatLedger(entries, format);
+            if (!options.out) {
+                process.stdout.write(text);
+                return;
+            }
+            await writeFile(options.out, text);
+            example.logger.info(`✓ Exported ${entries.length} ledger entr${entries.length === 1 ? 'y' : 'ies'} to ${options.out}`);
+            return { file: options.out, format, entries: entries.length };
+        }
+    },
+    {
+        path: ['campaigns', 'create'],
+        auth: [],
+        summary: 'Create a marketing campaign sending --audience <file> the --template, with --groups a,b and --pool; --at or --local-time schedules it (as for queue add batch)',
+        args: ['name'],
+        options: {
+            audience: { type: 'string' },
+            template: { type: 'string' },
+            from: { type: 'string' },
+            groups: { type: 'string' },
+            pool: { type: 'string' },
+            ...SCHEDULE_OPTIONS
+        },
+        run: (example, args, options) => {
+            if (options.audience === undefined) {
+                throw new UsageError('--audience <file> is required: the CSV or JSONL recipient list');
+            }
+            return example.createCampaign({
+                name: args.name,
+                audience: options.audience,
+                template: options.template,
+                from: options.from,
+                groups: options.groups,
+                pool: options.pool,
+                schedule: sendTime(options, { required: false })
+            });
+        }
+    },
+    {
+        path: ['campaigns', 'list'],
+        auth: [],
+        summary: 'List campaigns with their status and queued jobs',
+        run: (example) => example.listCampaigns()
+    },
+    {
+        path: ['campaigns', 'launch'],
+        auth: ['subAccount'],
+        summary: 'Send a campaign (by ID or name) to its audience now, or queue it for its schedule; re-run to resume a send that stopped',
+        args: ['campaign'],
+        exitCode: (campaign) => (campaign.counts && (campaign.counts.failed || campaign.counts.unknown || campaign.counts.pending) ? EXIT_CODES.FAILURE : EXIT_CODES.OK),
+        run: (example, args) => example.launchCampaign(args.campaign)
+    },
+    {
+        path: ['campaigns', 'report'],
+        auth: [],
+        summary: 'Delivery, bounce, open, click, unsubscribe and spam numbers per campaign (or --campaign), from the send ledger and stored webhook events',
+        options: { campaign: { type: 'string' } },
+        run: (example, args, options) => example.reportCampaigns({ campaign: options.campaign })
+    },
+    {
+        path: ['stats', 'subaccount'],
+        auth: ['account'],
+        summary: 'Get daily statistics for a sub-account',
+        args: ['subAccountId'],
+        options: STATS_OPTIONS,
+        run: (example, args, options) => example.getSubAccountStats(Number(args.subAccountId), statsRange(options))
+    },
+    {
+        path: ['stats', 'aggregate'],
+        auth: ['account'],
+        summary: 'Get aggregate statistics for a sub-account',
+        args: ['subAccountId'],
+        options: STATS_OPTIONS,
+        run: (example, args, options) => example.getAggregateStats(Number(args.subAccountId), statsRange(options))
+    },
+    {
+        path: ['stats', 'account'],
+        auth: ['account'],
+        summary: 'Get account-level statistics across all sub-accounts',
+        options: STATS_OPTIONS,
+        run: (example, args, options) => example.getAccountStats(statsRange(options))
+    },
+    {
+        path: ['stats', 'export'],
+        auth: ['account'],
+        summary: `Export daily stats and rates per sub-account as ${EXPORT_FORMATS.join(', ')} (to stdout, or --out <file>)`,
+        options: { ...FANOUT_OPTIONS, ...STATS_OPTIONS, format: { type: 'string', choices: EXPORT_FORMATS }, out: { type: 'string' } },
+        raw: (options) => !options.out,
+        run: async (example, args, options) => {
+            const format = options.format || formatForFile(options.out) || 'csv';
+            const report = await example.collectStats({ ...fanOutSelection(options), range: statsRange(options) });
+            const text = formatStatsReport(report, format);
+            if (!options.out) {
+                process.stdout.write(text);
+                return;
+            }
+            await writeFile(options.out, text);
+            example.logger.info(`✓ Exported ${reportRows(report).length} row(s) for ${report.subAccounts.length} sub-account(s), ${report.from} to ${report.to}, to ${options.out}`);
+            return { file: options.out, format, from: report.from, to: report.to, subAccounts: report.subAccounts.length };
+        }
+    },
+    {
+        path: ['fanout', 'domains'],
+        auth: ['account'],
+        summary: 'List the domains of every sub-account (or --subaccounts 1,2 / --match "acme*"), each with its own key',
+        options: FANOUT_OPTIONS,
+        exitCode: failedRows,
+        run: (example, args, options) => example.fanOut('domains', fanOutSelection(options))
+    },
+    {
+        path: ['fanout', 'stats'],
+        auth: ['account'],
+        summary: 'Get aggregate statistics for every sub-account (or a selection) in one table',
+        options: { ...FANOUT_OPTIONS, ...STATS_OPTIONS },
+        exitCode: failedRows,
+        run: (example, args, options) => example.fanOut('stats', {
+            ...fanOutSelection(options),
+            params: { range: statsRange(options) }
+        })
+    },
+    {
+        path: ['fanout', 'send'],
+        auth: ['account'],
+        summary: 'Send the transactional test email through every sub-account (or a selection)',
+        options: { ...FANOUT_OPTIONS, ...SEND_OPTIONS },
+        exitCode: failedRows,
+        run: (example, args, options) => example.fanOut('send', {
+            ...fanOutSelection(options),
+            params: {
+                from: options.from,
+                to: options.to,
+                template: options.template,
+                merge: options.merge,
+                idempotencyKey: options['idempotency-key'],
+                attachments: options.attach
+            }
+        })
+    },
+    {
+        path: ['monitor'],
+        auth: ['account'],
+        summary: 'Check bounce and spam complaint rates against monitor.thresholds every --interval (default monitor.intervalMs) and alert on breaches; --spec adds the IP pool of a client spec',
+        options: {
+            once: { type: 'boolean' },
+            interval: { type: 'string' },
+            spec: { type: 'string', multiple: true }
+        },
+        exitCode: (result) => (result.breaches > 0 ? EXIT_CODES.FAILURE : EXIT_CODES.OK),
+        run: async (example, args, options, config) => {
+            const breaches = await runMonitor(example, {
+                once: Boolean(options.once),
+                intervalMs: options.interval ? parseDuration(options.interval) : undefined,
+                pools: poolsFromSpecs((options.spec || []).map((file) => loadSpec(file, config)))
+            });
+            return { breaches: breaches.length };
+        }
+    },
+    {
+        path: ['warmup', 'plan'],
+        auth: ['account'],
+        summary: 'Plan the warmup of an IP pool\'s IPs up to --target emails per day; --subaccounts counts their stats as the pool\'s sends',
+        args: ['pool'],
+        options: { target: { type: 'string' }, subaccounts: { type: 'string' } },
+        run: (example, args, options) => {
+            if (options.target === undefined) {
+                throw new UsageError('--target is required: the emails per day the pool should reach');
+            }
+            return example.planWarmup(args.pool, {
+                targetDaily: Number(options.target),
+                subAccountIds: options.subaccounts ? options.subaccounts.split(',').map(Number) : undefined
+            });
+        }
+    },
+    {
+        path: ['warmup', 'status'],
+        auth: [],
+        summary: 'Show each warmup plan: step and cap per IP, and sends against the pool\'s cap per day',
+        options: { pool: { type: 'string' } },
+        run: (example, args, options) => example.getWarmupStatus(options.pool)
+    },
+    {
+        path: ['ips', 'list'],
+        auth: ['account'],
+        summary: 'List all dedicated IPs',
+        run: (example) => example.listIPs()
+    },
+    {
+        path: ['pools', 'list'],
+        auth: ['account'],
+        summary: 'List all IP pools',
+        run: (example) => example.listIPPools()
+    },
+    {
+        path: ['pools', 'create'],
+        auth: ['account'],
+        summary: 'Create an IP pool (by default with the first available IP and the pool.* settings)',
+        options: { name: { type: 'string' }, ...POOL_OPTIONS },
+        run: (example, args, options) => example.createIPPool(options.name, poolChange(options))
+    },
+    {
+        path: ['pools', 'update'],
+        auth: ['account'],
+        summary: `Change a pool (by name or ID): --routing, --provider <${EMAIL_PROVIDERS.join('|')}>=<ip,...> (repeatable), --overflow <pool|none>, --ips replaces its IPs`,
+        args: ['pool'],
+        options: { name: { type: 'string' }, ...POOL_OPTIONS },
+        run: (example, args, options) => example.updateIPPool(args.pool, poolChange(options))
+    },
+    {
+        path: ['pools', 'add-ips'],
+        auth: ['account'],
+        summary: 'Add IPs (comma-separated public IPs) to a pool',
+        args: ['pool', 'ips'],
+        run: (example, args) => example.updateIPPool(args.pool, { addIps: splitIps(args.ips) })
+    },
+    {
+        path: ['pools', 'remove-ips'],
+        auth: ['account'],
+        summary: 'Remove IPs (comma-separated public IPs) from a pool',
+        args: ['pool', 'ips'],
+        run: (example, args) => example.updateIPPool(args.pool, { removeIps: splitIps(args.ips) })
+    },
+    {
+        path: ['pools', 'delete'],
+        auth: ['account'],
+        summary: 'Delete a pool (by name or ID), unless another pool overflows into it',
+        args: ['pool'],
+        options: { yes: { type: 'boolean' } },
+        run: async (example, args, options) => {
+            if (!options.yes) {
+                if (!process.stdin.isTTY) {
+                    throw new UsageError('Refusing to delete without confirmation: stdin is not a terminal (pass --yes to skip the prompt)');
+                }
+                if (!await confirm(`Delete IP pool ${args.pool}?`)) {
+                    example.logger.info('⊘ Nothing deleted');
+                    return EXIT_CODES.OK;
+                }
+            }
+            return example.deleteIPPool(args.pool);
+        }
+    }
+];
+
+/**
+ * Raised for anything wrong with the command line itself
+ */
+export class UsageError extends EspError {
+    constructor(message) {
+        super(message);
+        this.exitCode = EXIT_CODES.USAGE;
+    }
+}
+
+function usageLine(command) {
+    const args = (command.args || []).map((name) => `<${name}>`);
+    const options = Object.entries(command.options || {}).map(([name, spec]) =>
+        (spec.type === 'boolean' ? `[--${name}]` : `[--${name} <${spec.choices ? spec.choices.join('|') : 'value'}>]`));
+    return ['esp', ...command.path, ...args, ...options].join(' ');
+}
+
+/**
+ * Build the help text, either for every command or for those under a prefix
+ */
+export function formatHelp(prefix = []) {
+    const commands = COMMANDS.filter((command) =>
+        prefix.every((word, index) => command.path[index] === word)
+    );
+
+    const lines = ['Usage: esp <command> [arguments] [options]', '', 'Commands:'];
+    for (const command of commands) {
+        lines.push(`  ${usageLine(command)}`, `      ${command.summary}`);
+    }
+    lines.push(
+        '',
+        'Global options:',
+        '  --config <file>     JSON or YAML config file (default: esp.config.json/.yaml in the working directory)',
+        '  --profile <name>    Profile from the config file, e.g. staging or production',
+        '  --set <key=value>   Override a single setting, e.g. --set stats.days=30 (repeatable)',
+        '  --output <format>   text (default) or json: step records and list results as JSON lines on stdout',
+        '  --log-level <level> debug, info (default), warn or error',
+        '  --as <subAccountId> Act as a sub-account, using its API key from the credential store',
+        '',
+        'Dates are given as YYYY-MM-DD, today, yesterday, or days/weeks back (7d, 2w). Use "esp <command> --help" for details.'
+    );
+    return lines.join('\n');
+}
+
+/**
+ * Split the global options out of argv, wherever they appear
+ *
+ * @returns {{ globals: object, rest: string[] }}
+ */
+export function extractGlobalOptions(argv) {
+    const globals = { set: [] };
+    const rest = [];
+    for (let index = 0; index < argv.length; index++) {
+        const arg = argv[index];
+        const match = /^--([a-z-]+)(?:=(.*))?$/.exec(arg);
+        const name = match && match[1];
+        if (!name || !(name in GLOBAL_OPTIONS)) {
+            rest.push(arg);
+            continue;
+        }
+        let value = match[2];
+        if (value === undefined) {
+            value = argv[++index];
+            if (value === undefined) {
+                throw new UsageError(`Option --${name} requires a value`);
+            }
+        }
+        if (GLOBAL_OPTIONS[name].setting) {
+            globals.set.push(`${GLOBAL_OPTIONS[name].setting}=${value}`);
+        } else if (GLOBAL_OPTIONS[name].multiple) {
+            globals[name].push(value);
+        } else {
+            globals[name] = value;
+        }
+    }
+    return { globals, rest };
+}
+
+/**
+ * Find the command whose path matches the leading words of argv
+ */
+export function findCommand(argv) {
+    return COMMANDS.find((command) =>
+        command.path.every((word, index) => argv[index] === word)
+    );
+}
+
+/**
+ * Parse the remaining argv for a command into named positionals and options
+ */
+export function parseCommandArgs(command, argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            options: { ...command.options, help: { type: 'boolean', short: 'h' } },
+            allowPositionals: true,
+            strict: true
+        });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    const names = command.args || [];
+    if (parsed.values.help) {
+        return { help: true };
+    }
+    if (parsed.positionals.length !== names.length) {
+        throw new UsageError(`Expected ${names.length} argument(s), got ${parsed.positionals.length}`);
+    }
+
+    const args = {};
+    names.forEach((name, index) => {
+        args[name] = parsed.positionals[index];
+    });
+
+    if (names.includes('subAccountId') && !/^\d+$/.test(args.subAccountId)) {
+        throw new UsageError(`Sub-account ID must be numeric, got "${args.subAccountId}"`);
+    }
+    if (parsed.values.subaccount !== undefined && !/^\d+$/.test(parsed.values.subaccount)) {
+        throw new UsageError(`--subaccount must be a numeric sub-account ID, got "${parsed.values.subaccount}"`);
+    }
+    if (parsed.values.port !== undefined && !/^\d+$/.test(parsed.values.port)) {
+        throw new UsageError(`--port must be a number, got "${parsed.values.port}"`);
+    }
+    for (const [name, spec] of Object.entries(command.options || {})) {
+        const value = parsed.values[name];
+        if (spec.choices && value !== undefined && !spec.choices.includes(value)) {
+            throw new UsageError(`--${name} must be one of ${spec.choices.join(', ')}, got "${value}"`);
+        }
+    }
+    for (const pair of parsed.values.field || []) {
+        if (!/^[^=]+=/.test(pair)) {
+            throw new UsageError(`--field must be key=value, got "${pair}"`);
+        }
+    }
+    if (parsed.values['older-than'] !== undefined && parseDuration(parsed.values['older-than']) === null) {
+        throw new UsageError(`--older-than must be a duration such as 30m, 12h or 7d, got "${parsed.values['older-than']}"`);
+    }
+    if (parsed.values.interval !== undefined && !(parseDuration(parsed.values.interval) >= 1000)) {
+        throw new UsageError(`--interval must be a duration of at least 1s such as 90s, 5m or 1h, got "${parsed.values.interval}"`);
+    }
+    if (parsed.values['batch-id'] !== undefined && !/^[\w.-]+$/.test(parsed.values['batch-id'])) {
+        throw new UsageError(`--batch-id may only contain letters, digits, ".", "-" and "_", got "${parsed.values['batch-id']}"`);
+    }
+    if (parsed.values.subaccounts !== undefined && !/^\d+(,\d+)*$/.test(parsed.values.subaccounts)) {
+        throw new UsageError(`--subaccounts must be a comma-separated list of sub-account IDs, got "${parsed.values.subaccounts}"`);
+    }
+    if (parsed.values.target !== undefined && !/^[1-9]\d*$/.test(parsed.values.target)) {
+        throw new UsageError(`--target must be a number of emails greater than 0, got "${parsed.values.target}"`);
+    }
+    for (const ip of [...splitIps(args.ips || ''), ...splitIps(parsed.values.ips || '')]) {
+        if (isIP(ip) === 0) {
+            throw new UsageError(`Not an IP address: "${ip}"`);
+        }
+    }
+    if (parsed.values['warmup-interval'] !== undefined && !/^[1-9]\d*$/.test(parsed.values['warmup-interval'])) {
+        throw new UsageError(`--warmup-interval must be a number of hours greater than 0, got "${parsed.values['warmup-interval']}"`);
+    }
+    for (const text of parsed.values.provider || []) {
+        const assignment = parseProviderAssignment(text);
+        if (!assignment || !EMAIL_PROVIDERS.includes(assignment.provider)) {
+            throw new UsageError(`--provider must be <provider>=<ip,...> with a provider among ${EMAIL_PROVIDERS.join(', ')}, got "${text}"`);
+        }
+        const invalid = assignment.ips.find((ip) => isIP(ip) === 0);
+        if (invalid) {
+            throw new UsageError(`Not an IP address: "${invalid}"`);
+        }
+    }
+    if (parsed.values.concurrency !== undefined && !/^[1-9]\d*$/.test(parsed.values.concurrency)) {
+        throw new UsageError(`--concurrency must be a number greater than 0, got "${parsed.values.concurrency}"`);
+    }
+    if (command.options && command.options.at === SCHEDULE_OPTIONS.at) {
+        const { at, tz, 'local-time': localTime } = parsed.values;
+        if (tz !== undefined && !isTimeZone(tz)) {
+            throw new UsageError(`--tz must be a time zone such as UTC or Europe/Berlin, got "${tz}"`);
+        }
+        if (at !== undefined && localTime !== undefined) {
+            throw new UsageError('Give either --at <time> or --local-time HH:MM, not both');
+        }
+        if (at !== undefined && parseSendTime(at, { timeZone: tz || 'UTC' }) === null) {
+            throw new UsageError(`--at must be now, a delay such as 30m, a time of day such as 09:00, a local date and time such as 2024-03-10 09:00 or an ISO timestamp, got "${at}"`);
+        }
+        if (localTime !== undefined && !isTimeOfDay(localTime)) {
+            throw new UsageError(`--local-time must be a time of day such as 09:00, got "${localTime}"`);
+        }
+    }
+    if (command.options && command.options.since === LEDGER_OPTIONS.since) {
+        for (const name of ['since', 'until']) {
+            const value = parsed.values[name];
+            if (value !== undefined && !isDateSpec(value)) {
+                throw new UsageError(`--${name} must be a date (YYYY-MM-DD, today, yesterday, or days/weeks back such as 7d), got "${value}"`);
+            }
+        }
+        if (parsed.values.tz !== undefined && !isTimeZone(parsed.values.tz)) {
+            throw new UsageError(`--tz must be a time zone such as UTC or Europe/Berlin, got "${parsed.values.tz}"`);
+        }
+    }
+    // Commands taking STATS_OPTIONS, possibly among others
+    if (command.options && command.options.from === STATS_OPTIONS.from) {
+        for (const name of ['from', 'to']) {
+            const value = parsed.values[name];
+            if (value !== undefined && !isDateSpec(value)) {
+                throw new UsageError(`--${name} must be a date (YYYY-MM-DD, today, yesterday, or days/weeks back such as 7d), got "${value}"`);
+            }
+        }
+        if (parsed.values.tz !== undefined && !isTimeZone(parsed.values.tz)) {
+            throw new UsageError(`--tz must be a time zone such as UTC or Europe/Berlin, got "${parsed.values.tz}"`);
+        }
+    }
+
+    return { args, options: parsed.values };
+}
+
+/**
+ * Run the command described by argv
+ *
+ * Configuration is resolved and validated before the ESPExample instance is
+ * created, so missing or invalid settings are reported before any API call.
+ *
+ * @param {string[]} rawArgv - Arguments after the executable, e.g. ['domains', 'add', 'example.com']
+ * @param {function(object): object} createExample - Builds the ESPExample instance from the resolved config
+ * @param {object} [env] - Environment used for configuration, defaults to process.env
+ * @returns {Promise<number>} Process exit code
+ */
+export async function run(rawArgv, createExample, env = process.env) {
+    let globals;
+    let argv;
+    try {
+        ({ globals, rest: argv } = extractGlobalOptions(rawArgv));
+    } catch (error) {
+        console.error(`✗ ${error.message}`);
+        return EXIT_CODES.USAGE;
+    }
+
+    if (argv.length === 0 || argv[0] === 'help' || argv[0] === '--help' || argv[0] === '-h') {
+        console.log(formatHelp());
+        return 0;
+    }
+
+    const command = findCommand(argv);
+    if (!command) {
+        const group = COMMANDS.some((candidate) => candidate.path[0] === argv[0]);
+        if (group && (argv[1] === '--help' || argv[1] === '-h')) {
+            console.log(formatHelp([argv[0]]));
+            return 0;
+        }
+        console.error(`Unknown command: ${argv.join(' ')}\n`);
+        console.error(formatHelp(group ? [argv[0]] : []));
+        return EXIT_CODES.USAGE;
+    }
+
+    let parsed;
+    try {
+        parsed = parseCommandArgs(command, argv.slice(command.path.length));
+    } catch (error) {
+        if (!(error instanceof UsageError)) {
+            throw error;
+        }
+        console.error(`✗ ${error.message}`);
+        console.error(`  Usage: ${usageLine(command)}`);
+        return EXIT_CODES.USAGE;
+    }
+
+    if (parsed.help) {
+        console.log(`Usage: ${usageLine(command)}\n\n${command.summary}`);
+        return 0;
+    }
+
+    let config;
+    try {
+        config = loadConfig({ configPath: globals.config, profile: globals.profile, overrides: globals.set, env });
+        requireApiKeys(config, command.auth);
+    } catch (error) {
+        if (!(error instanceof ConfigError)) {
+            throw error;
+        }
+        console.error(`✗ ${error.message}`);
+        return error.exitCode;
+    }
+
+    const example = createExample(config);
+    const { logger } = example;
+    const step = command.path.join(' ');
+    const started = Date.now();
+    let before = example.resourceIds();
+    try {
+        if (config.subAccountId) {
+            await example.actAs(config.subAccountId);
+            before = example.resourceIds();
+        }
+        // Commands may return an exit code; anything else means success
+        const result = await command.run(example, parsed.args, parsed.options, config);
+        const exitCode = command.exitCode ? command.exitCode(result) : Number.isInteger(result) ? result : EXIT_CODES.OK;
+        if (Array.isArray(result) || command.result) {
+            logger.result(result);
+        } else if (!command.steps && !(command.raw && command.raw(parsed.options))) {
+            const record = { step, status: exitCode === EXIT_CODES.OK ? 'ok' : 'failed', durationMs: Date.now() - started, resources: example.resourceChanges(before) };
+            logger.step(result && typeof result === 'object' ? { ...record, result } : { ...record, exitCode });
+        }
+        return exitCode;
+    } catch (error) {
+        if (!(error instanceof EspError)) {
+            throw error;
+        }
+        if (error instanceof UsageError) {
+            console.error(`✗ ${error.message}`);
+            return error.exitCode;
+        }
+        logger.failure(error);
+        logger.step({ step, status: 'failed', durationMs: Date.now() - started, resources: example.resourceChanges(before), error });
+        return error.exitCode;
+    }
+}
@@ -0,0 +1,251 @@
+/**
+ * Declarative client provisioning
+ *
+ * A client spec (JSON or YAML) describes everything one client needs:
+ *
+ *   name: Acme
+ *   subAccount:
+ *     name: Acme Corp              # defaults to `name`
+ *   domains:
+ *     - mail.acme.com
+ *   webhook:
+ *     url: https://hooks.acme.com/sendpost
+ *     enabled: true                # default true
+ *     events: [delivered, hardBounced, spam]   # default: all events
+ *   ipPool:
+ *     name: Acme Marketing
+ *     ips: [203.0.113.10]          # public IPs already allocated to the account
+ *     routingStrategy: 0           # defaults as for pool.* in the config
+ *     warmupInterval: 24
+ *     overflowStrategy: 0
+ *
+ * planClient() compares the spec with what SendPost reports and returns one
+ * change per resource: create, update or unchanged. Resources are matched
+ * by name (sub-account, IP pool, domain) or URL (webhook). Nothing is ever
+ * deleted: resources the spec does not mention are left alone.
+ */
+
+import { readFileSync } from 'node:fs';
+import { extname } from 'node:path';
+import YAML from 'yaml';
+import { isDomain, isHttpUrl, WEBHOOK_EVENTS } from './config.js';
+import { EspError, EXIT_CODES, PrerequisiteError } from './errors.js';
+
+export const CHANGE_SYMBOLS = { create: '+', update: '~', unchanged: '=' };
+
+const SPEC_KEYS = ['name', 'subAccount', 'domains', 'webhook', 'ipPool'];
+
+/**
+ * Raised when a client spec cannot be read or fails validation.
+ * `issues` lists every problem found.
+ */
+export class ClientSpecError extends EspError {
+    constructor(file, issues) {
+        const list = [].concat(issues);
+        super(`Invalid client spec ${file}:\n${list.map((issue) => `  - ${issue}`).join('\n')}`, {
+            action: 'read client spec'
+        });
+        this.issues = list;
+        this.exitCode = EXIT_CODES.USAGE;
+    }
+}
+
+const isStrategy = (value) => value === 0 || value === 1;
+
+/**
+ * Check a parsed spec and fill in defaults
+ *
+ * @param {object} raw - Parsed spec file
+ * @param {object} config - Resolved configuration, for the IP pool defaults
+ * @param {string} [file] - Used in error messages
+ * @returns {object} The normalized spec
+ * @throws {ClientSpecError}
+ */
+export function normalizeSpec(raw, config, file = 'spec') {
+    const issues = [];
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new ClientSpecError(file, 'expected an object at the top level');
+    }
+    for (const key of Object.keys(raw)) {
+        if (!SPEC_KEYS.includes(key)) {
+            issues.push(`unknown key "${key}"`);
+        }
+    }
+
+    const subAccountName = (raw.subAccount && raw.subAccount.name) || raw.name;
+    if (typeof subAccountName !== 'string' || subAccountName.trim() === '') {
+        issues.push('name (or subAccount.name) is required');
+    }
+
+    const domains = raw.domains === undefined ? [] : raw.domains;
+    if (!Array.isArray(domains)) {
+        issues.push('domains: expected a list of domain names');
+    } else {
+        for (const domain of domains) {
+            if (typeof domain !== 'string' || !isDomain(domain)) {
+                issues.push(`domains: not a domain name: ${JSON.stringify(domain)}`);
+            }
+        }
+    }
+
+    let webhook = null;
+    if (raw.webhook) {
+        const { url, enabled = true, events = WEBHOOK_EVENTS } = raw.webhook;
+        if (typeof url !== 'string' || !isHttpUrl(url)) {
+            issues.push(`webhook.url: expected an http(s) URL, got ${JSON.stringify(url)}`);
+        }
+        if (typeof enabled !== 'boolean') {
+            issues.push(`webhook.enabled: expected true or false, got ${JSON.stringify(enabled)}`);
+        }
+        const unknown = Array.isArray(events) ? events.filter((event) => !WEBHOOK_EVENTS.includes(event)) : [];
+        if (!Array.isArray(events) || unknown.length > 0) {
+            issues.push(`webhook.events: expected a list of ${WEBHOOK_EVENTS.join(', ')}${unknown.length ? `; unknown: ${unknown.join(', ')}` : ''}`);
+        }
+        webhook = {
+            url,
+            enabled,
+            events: Object.fromEntries(WEBHOOK_EVENTS.map((event) => [event, Array.isArray(events) && events.includes(event)]))
+        };
+    }
+
+    let ipPool = null;
+    if (raw.ipPool) {
+        const {
+            name,
+            ips,
+            routingStrategy = config.pool.routingStrategy,
+            warmupInterval = config.pool.warmupInterval,
+            overflowStrategy = config.pool.overflowStrategy
+        } = raw.ipPool;
+        if (typeof name !== 'string' || name.trim() === '') {
+            issues.push('ipPool.name is required');
+        }
+        if (!Array.isArray(ips) || ips.length === 0 || ips.some((ip) => typeof ip !== 'string')) {
+            issues.push('ipPool.ips: expected a non-empty list of public IPs');
+        }
+        if (!isStrategy(routingStrategy)) {
+            issues.push(`ipPool.routingStrategy: expected 0 (RoundRobin) or 1 (EmailProviderStrategy), got ${JSON.stringify(routingStrategy)}`);
+        }
+        if (!Number.isInteger(warmupInterval) || warmupInterval <= 0) {
+            issues.push(`ipPool.warmupInterval: expected a number of hours greater than 0, got ${JSON.stringify(warmupInterval)}`);
+        }
+        if (!isStrategy(overflowStrategy)) {
+            issues.push(`ipPool.overflowStrategy: expected 0 (None) or 1 (use overflow pool), got ${JSON.stringify(overflowStrategy)}`);
+        }
+        ipPool = { name, ips: Array.isArray(ips) ? [...ips].sort() : [], routingStrategy, warmupInterval, overflowStrategy };
+    }
+
+    if (issues.length > 0) {
+        throw new ClientSpecError(file, issues);
+    }
+    return {
+        name: raw.name || subAccountName,
+        subAccount: { name: subAccountName.trim() },
+        domains: [...new Set(domains.map((domain) => domain.toLowerCase()))],
+        webhook,
+        ipPool
+    };
+}
+
+/**
+ * Read and validate a client spec file
+ */
+export function loadSpec(file, config) {
+    let raw;
+    try {
+        const text = readFileSync(file, 'utf8');
+        raw = ['.yaml', '.yml'].includes(extname(file).toLowerCase()) ? YAML.parse(text) : JSON.parse(text);
+    } catch (error) {
+        throw new ClientSpecError(file, error.message);
+    }
+    return normalizeSpec(raw, config, file);
+}
+
+const sameUrl = (a, b) => String(a).replace(/\/+$/, '') === String(b).replace(/\/+$/, '');
+
+function fieldDiff(current, desired, fields) {
+    return fields
+        // A field SendPost does not return cannot be compared; leave it as is
+        .filter((field) => current[field] !== undefined && current[field] !== desired[field])
+        .map((field) => ({ field, from: current[field], to: desired[field] }));
+}
+
+/**
+ * Work out the changes that bring SendPost in line with the spec
+ *
+ * @param {object} spec - From loadSpec()
+ * @param {object} state - What SendPost reports
+ * @param {object|null} state.subAccount - The sub-account named in the spec, if it exists
+ * @param {object[]} state.domains - Domains of the spec's sub-account; empty when it does not exist yet
+ * @param {object[]} state.webhooks
+ * @param {object[]} state.pools
+ * @param {object[]} state.ips - IPs allocated to the account
+ * @returns {object[]} Changes: { action, resource, name, diff, current, desired }
+ * @throws {PrerequisiteError} When the pool names IPs the account does not have
+ */
+export function planClient(spec, state) {
+    const changes = [];
+    const change = (action, resource, name, desired, current = null, diff = []) =>
+        changes.push({ action, resource, name, desired, current, diff });
+
+    change(state.subAccount ? 'unchanged' : 'create', 'sub-account', spec.subAccount.name, spec.subAccount, state.subAccount);
+
+    for (const name of spec.domains) {
+        const domain = state.domains.find((candidate) => String(candidate.name).toLowerCase() === name) || null;
+        change(domain ? 'unchanged' : 'create', 'domain', name, { name }, domain);
+    }
+
+    if (spec.webhook) {
+        const webhook = state.webhooks.find((candidate) => sameUrl(candidate.url, spec.webhook.url)) || null;
+        const desired = { url: spec.webhook.url, enabled: spec.webhook.enabled, ...spec.webhook.events };
+        if (!webhook) {
+            change('create', 'webhook', spec.webhook.url, desired);
+        } else {
+            const current = { enabled: Boolean(webhook.enabled), ...Object.fromEntries(WEBHOOK_EVENTS.map((event) => [event, Boolean(webhook[event])])) };
+            const diff = fieldDiff(current, desired, ['enabled', ...WEBHOOK_EVENTS]);
+            change(diff.length ? 'update' : 'unchanged', 'webhook', spec.webhook.url, desired, webhook, diff);
+        }
+    }
+
+    if (spec.ipPool) {
+        const available = new Set(state.ips.map((ip) => ip.publicIP));
+        const unknown = spec.ipPool.ips.filter((ip) => !available.has(ip));
+        if (unknown.length > 0) {
+            throw new PrerequisiteError(`IP pool "${spec.ipPool.name}" lists IPs not allocated to this account: ${unknown.join(', ')}`, {
+                action: 'plan IP pool',
+                hint: 'Run "ips list" to see the account\'s IPs.'
+            });
+        }
+        const pool = state.pools.find((candidate) => candidate.name === spec.ipPool.name) || null;
+        if (!pool) {
+            change('create', 'IP pool', spec.ipPool.name, spec.ipPool);
+        } else {
+            const current = {
+                routingStrategy: pool.routingStrategy,
+                warmupInterval: pool.warmupInterval,
+                overflowStrategy: pool.overflowStrategy,
+                ips: (pool.ips || []).map((ip) => ip.publicIP).sort().join(', ')
+            };
+            const diff = fieldDiff(current, { ...spec.ipPool, ips: spec.ipPool.ips.join(', ') }, ['routingStrategy', 'warmupInterval', 'overflowStrategy', 'ips']);
+            change(diff.length ? 'update' : 'unchanged', 'IP pool', spec.ipPool.name, spec.ipPool, pool, diff);
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Human-readable plan, one line per resource plus one per changed field
+ */
+export function formatPlan(spec, changes) {
+    const lines = [`Plan for client "${spec.name}":`];
+    for (const { action, resource, name, diff } of changes) {
+        lines.push(`  ${CHANGE_SYMBOLS[action]} ${resource} ${name}${action === 'unchanged' ? ' (unchanged)' : ''}`);
+        for (const { field, from, to } of diff) {
+            lines.push(`      ${field}: ${JSON.stringify(from)} → ${JSON.stringify(to)}`);
+        }
+    }
+    const count = (action) => changes.filter((change) => change.action === action).length;
+    lines.push(`${count('create')} to create, ${count('update')} to update, ${count('unchanged')} unchanged`);
+    return lines.join('\n');
+}
@@ -0,0 +1,38 @@
+/**
+ * Bounded concurrency for batches of API calls
+ */
+
+/**
+ * Run `worker` over every item with at most `limit` calls in flight
+ *
+ * Items are started in order. A worker throwing stops new items from being
+ * started; the first error is rethrown once the calls in flight settle.
+ *
+ * @param {Array} items
+ * @param {number} limit
+ * @param {function(*, number): Promise<*>} worker - Receives the item and its index
+ * @returns {Promise<Array>} Worker results, in item order
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    let failure = null;
+
+    const lane = async () => {
+        while (failure === null && next < items.length) {
+            const index = next++;
+            try {
+                results[index] = await worker(items[index], index);
+            } catch (error) {
+                failure = failure || { error };
+            }
+        }
+    };
+
+    const lanes = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, lane);
+    await Promise.all(lanes);
+    if (failure) {
+        throw failure.error;
+    }
+    return results;
+}
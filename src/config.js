@@ -0,0 +1,725 @@
+/**
+ * Layered configuration for the ESP example
+ *
+ * Values are resolved in the following order, later layers winning:
+ * 1. Built-in defaults (the values this example used to hardcode)
+ * 2. The config file (JSON or YAML), top-level keys
+ * 3. The selected profile inside the config file (`profiles.<name>`)
+ * 4. Environment variables (SENDPOST_*)
+ * 5. Command-line overrides (`--set key=value`)
+ *
+ * The config file is taken from `--config`, then SENDPOST_CONFIG, then the
+ * first of esp.config.json / esp.config.yaml / esp.config.yml found in the
+ * working directory. The profile is taken from `--profile`, then
+ * SENDPOST_PROFILE. Example:
+ *
+ *   fromEmail: sender@yourdomain.com
+ *   profiles:
+ *     staging:
+ *       basePath: http://localhost:4010/api/v1
+ *     production:
+ *       basePath: https://api.sendpost.io/api/v1
+ */
+
+import { existsSync, readFileSync } from 'node:fs';
+import { isIP } from 'node:net';
+import { extname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import YAML from 'yaml';
+import { EspError, EXIT_CODES } from './errors.js';
+import { LOG_LEVELS, maskSecret, OUTPUT_FORMATS } from './logger.js';
+import { ALERT_SINKS } from './monitor.js';
+import { isDateSpec, isTimeZone, resolveRange, StatsRangeError } from './stats.js';
+
+export const PLACEHOLDER_SUB_ACCOUNT_API_KEY = 'YOUR_SUB_ACCOUNT_API_KEY_HERE';
+export const PLACEHOLDER_ACCOUNT_API_KEY = 'YOUR_ACCOUNT_API_KEY_HERE';
+
+/** Most recipients this project puts in the `to` list of one send request */
+export const MAX_RECIPIENTS_PER_REQUEST = 1000;
+
+/** Templates shipped with the example */
+export const BUNDLED_TEMPLATES_DIR = fileURLToPath(new URL('../templates', import.meta.url));
+
+export const DEFAULT_CONFIG_FILES = ['esp.config.json', 'esp.config.yaml', 'esp.config.yml'];
+
+export const WEBHOOK_EVENTS = [
+    'processed',
+    'delivered',
+    'dropped',
+    'softBounced',
+    'hardBounced',
+    'opened',
+    'clicked',
+    'unsubscribed',
+    'spam'
+];
+
+export const isEmail = (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+export const isDomain = (value) => /^(?!-)[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(value);
+export const isHttpUrl = (value) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Configuration schema. Keys are dotted paths into the config object; each
+ * entry names its type, default, environment variable and an optional check.
+ */
+export const SCHEMA = {
+    basePath: {
+        type: 'string',
+        default: 'https://api.sendpost.io/api/v1',
+        env: 'SENDPOST_BASE_PATH',
+        check: isHttpUrl,
+        hint: 'an http(s) URL'
+    },
+    accountApiKey: {
+        type: 'string',
+        default: PLACEHOLDER_ACCOUNT_API_KEY,
+        env: 'SENDPOST_ACCOUNT_API_KEY',
+        secret: true
+    },
+    subAccountApiKey: {
+        type: 'string',
+        default: PLACEHOLDER_SUB_ACCOUNT_API_KEY,
+        env: 'SENDPOST_SUB_ACCOUNT_API_KEY',
+        secret: true
+    },
+    // Sub-account to act as (--as); its key comes from the credential store
+    subAccountId: {
+        type: 'integer',
+        env: 'SENDPOST_SUB_ACCOUNT_ID',
+        check: (value) => value > 0,
+        hint: 'a sub-account ID'
+    },
+    fromEmail: {
+        type: 'string',
+        default: 'sender@yourdomain.com',
+        env: 'SENDPOST_FROM_EMAIL',
+        check: isEmail,
+        hint: 'an email address'
+    },
+    toEmail: {
+        type: 'string',
+        default: 'recipient@example.com',
+        env: 'SENDPOST_TO_EMAIL',
+        check: isEmail,
+        hint: 'an email address'
+    },
+    domainName: {
+        type: 'string',
+        default: 'yourdomain.com',
+        env: 'SENDPOST_DOMAIN_NAME',
+        check: isDomain,
+        hint: 'a domain name'
+    },
+    'webhook.url': {
+        type: 'string',
+        default: 'https://your-webhook-endpoint.com/webhook',
+        env: 'SENDPOST_WEBHOOK_URL',
+        check: isHttpUrl,
+        hint: 'an http(s) URL'
+    },
+    'webhook.enabled': {
+        type: 'boolean',
+        default: true,
+        env: 'SENDPOST_WEBHOOK_ENABLED'
+    },
+    'webhook.listenPort': {
+        type: 'integer',
+        default: 3000,
+        env: 'SENDPOST_WEBHOOK_LISTEN_PORT',
+        check: (value) => value >= 0 && value <= 65535,
+        hint: 'a TCP port number'
+    },
+    'webhook.listenPath': {
+        type: 'string',
+        default: '/webhook',
+        env: 'SENDPOST_WEBHOOK_LISTEN_PATH',
+        check: (value) => value.startsWith('/'),
+        hint: 'a path starting with /'
+    },
+    ...Object.fromEntries(WEBHOOK_EVENTS.map((event) => [`webhook.events.${event}`, {
+        type: 'boolean',
+        default: true,
+        env: `SENDPOST_WEBHOOK_EVENT_${event.replace(/[A-Z]/g, (c) => `_${c}`).toUpperCase()}`
+    }])),
+    'storage.dir': {
+        type: 'string',
+        default: '.esp-data',
+        env: 'SENDPOST_STORAGE_DIR'
+    },
+    'credentials.passphrase': {
+        type: 'string',
+        env: 'SENDPOST_CREDENTIALS_PASSPHRASE',
+        secret: true
+    },
+    'log.output': {
+        type: 'string',
+        default: 'text',
+        env: 'SENDPOST_OUTPUT',
+        check: (value) => OUTPUT_FORMATS.includes(value),
+        hint: `one of ${OUTPUT_FORMATS.join(', ')}`
+    },
+    'log.level': {
+        type: 'string',
+        default: 'info',
+        env: 'SENDPOST_LOG_LEVEL',
+        check: (value) => LOG_LEVELS.includes(value),
+        hint: `one of ${LOG_LEVELS.join(', ')}`
+    },
+    'pool.routingStrategy': {
+        type: 'integer',
+        default: 0,
+        env: 'SENDPOST_POOL_ROUTING_STRATEGY',
+        check: (value) => value === 0 || value === 1,
+        hint: '0 (RoundRobin) or 1 (EmailProviderStrategy)'
+    },
+    'pool.warmupInterval': {
+        type: 'integer',
+        default: 24,
+        env: 'SENDPOST_POOL_WARMUP_INTERVAL',
+        check: (value) => value > 0,
+        hint: 'a number of hours greater than 0'
+    },
+    'pool.overflowStrategy': {
+        type: 'integer',
+        default: 0,
+        env: 'SENDPOST_POOL_OVERFLOW_STRATEGY',
+        check: (value) => value === 0 || value === 1,
+        hint: '0 (None) or 1 (use overflow pool)'
+    },
+    'pool.overflowPoolName': {
+        type: 'string',
+        env: 'SENDPOST_POOL_OVERFLOW_POOL_NAME'
+    },
+    'warmup.startDaily': {
+        type: 'integer',
+        default: 50,
+        env: 'SENDPOST_WARMUP_START_DAILY',
+        check: (value) => value >= 1,
+        hint: 'at least 1 email per day'
+    },
+    'warmup.growth': {
+        type: 'number',
+        default: 1.5,
+        env: 'SENDPOST_WARMUP_GROWTH',
+        check: (value) => value > 1 && value <= 10,
+        hint: 'a factor greater than 1 and at most 10, e.g. 1.5 for +50% per step'
+    },
+    'retry.maxAttempts': {
+        type: 'integer',
+        default: 3,
+        env: 'SENDPOST_RETRY_MAX_ATTEMPTS',
+        check: (value) => value >= 1,
+        hint: 'at least 1 (1 disables retries)'
+    },
+    'retry.baseDelayMs': {
+        type: 'integer',
+        default: 500,
+        env: 'SENDPOST_RETRY_BASE_DELAY_MS',
+        check: (value) => value >= 0,
+        hint: 'a number of milliseconds, 0 or more'
+    },
+    'retry.maxDelayMs': {
+        type: 'integer',
+        default: 30000,
+        env: 'SENDPOST_RETRY_MAX_DELAY_MS',
+        check: (value) => value >= 0,
+        hint: 'a number of milliseconds, 0 or more'
+    },
+    'retry.jitter': {
+        type: 'number',
+        default: 0.2,
+        env: 'SENDPOST_RETRY_JITTER',
+        check: (value) => value >= 0 && value <= 1,
+        hint: 'a fraction between 0 and 1'
+    },
+    'messages.pollTimeoutMs': {
+        type: 'integer',
+        default: 30000,
+        env: 'SENDPOST_MESSAGE_POLL_TIMEOUT_MS',
+        check: (value) => value >= 0,
+        hint: 'a number of milliseconds, 0 or more'
+    },
+    'messages.pollIntervalMs': {
+        type: 'integer',
+        default: 1000,
+        env: 'SENDPOST_MESSAGE_POLL_INTERVAL_MS',
+        check: (value) => value > 0,
+        hint: 'a number of milliseconds greater than 0'
+    },
+    'domains.pollTimeoutMs': {
+        type: 'integer',
+        default: 600000,
+        env: 'SENDPOST_DOMAIN_POLL_TIMEOUT_MS',
+        check: (value) => value >= 0,
+        hint: 'a number of milliseconds, 0 or more'
+    },
+    'domains.pollIntervalMs': {
+        type: 'integer',
+        default: 15000,
+        env: 'SENDPOST_DOMAIN_POLL_INTERVAL_MS',
+        check: (value) => value > 0,
+        hint: 'a number of milliseconds greater than 0'
+    },
+    'dns.servers': {
+        type: 'string',
+        default: '',
+        env: 'SENDPOST_DNS_SERVERS',
+        check: (value) => value.split(',').map((server) => server.trim()).filter(Boolean)
+            .every((server) => isIP(server) !== 0),
+        hint: 'comma-separated IP addresses, empty for the system resolver'
+    },
+    'dns.timeoutMs': {
+        type: 'integer',
+        default: 5000,
+        env: 'SENDPOST_DNS_TIMEOUT_MS',
+        check: (value) => value > 0,
+        hint: 'a number of milliseconds greater than 0'
+    },
+    'batch.chunkSize': {
+        type: 'integer',
+        default: 100,
+        env: 'SENDPOST_BATCH_CHUNK_SIZE',
+        check: (value) => value >= 1 && value <= MAX_RECIPIENTS_PER_REQUEST,
+        hint: `between 1 and ${MAX_RECIPIENTS_PER_REQUEST} recipients per send request`
+    },
+    'batch.concurrency': {
+        type: 'integer',
+        default: 2,
+        env: 'SENDPOST_BATCH_CONCURRENCY',
+        check: (value) => value >= 1,
+        hint: 'at least 1 request in flight'
+    },
+    'fanout.concurrency': {
+        type: 'integer',
+        default: 4,
+        env: 'SENDPOST_FANOUT_CONCURRENCY',
+        check: (value) => value >= 1,
+        hint: 'at least 1 sub-account at a time'
+    },
+    'queue.pollIntervalMs': {
+        type: 'integer',
+        default: 10000,
+        env: 'SENDPOST_QUEUE_POLL_INTERVAL_MS',
+        check: (value) => value >= 1000,
+        hint: 'at least 1000 milliseconds'
+    },
+    'queue.maxAttempts': {
+        type: 'integer',
+        default: 5,
+        env: 'SENDPOST_QUEUE_MAX_ATTEMPTS',
+        check: (value) => value >= 1,
+        hint: 'at least 1 attempt'
+    },
+    'queue.retryDelayMs': {
+        type: 'integer',
+        default: 60000,
+        env: 'SENDPOST_QUEUE_RETRY_DELAY_MS',
+        check: (value) => value >= 0,
+        hint: 'a number of milliseconds, doubled after every failed attempt'
+    },
+    'queue.subAccountPerMinute': {
+        type: 'integer',
+        default: 0,
+        env: 'SENDPOST_QUEUE_SUB_ACCOUNT_PER_MINUTE',
+        check: (value) => value >= 0,
+        hint: 'a number of emails per minute (0 = no limit)'
+    },
+    'queue.poolPerMinute': {
+        type: 'integer',
+        default: 0,
+        env: 'SENDPOST_QUEUE_POOL_PER_MINUTE',
+        check: (value) => value >= 0,
+        hint: 'a number of emails per minute (0 = no limit)'
+    },
+    'queue.timezoneField': {
+        type: 'string',
+        default: 'timezone',
+        env: 'SENDPOST_QUEUE_TIMEZONE_FIELD'
+    },
+    'monitor.intervalMs': {
+        type: 'integer',
+        default: 300000,
+        env: 'SENDPOST_MONITOR_INTERVAL_MS',
+        check: (value) => value >= 1000,
+        hint: 'at least 1000 milliseconds'
+    },
+    'monitor.days': {
+        type: 'integer',
+        default: 1,
+        env: 'SENDPOST_MONITOR_DAYS',
+        check: (value) => value >= 0,
+        hint: 'a number of days (0 = today only)'
+    },
+    'monitor.minProcessed': {
+        type: 'integer',
+        default: 100,
+        env: 'SENDPOST_MONITOR_MIN_PROCESSED',
+        check: (value) => value >= 0,
+        hint: 'a number of emails'
+    },
+    'monitor.thresholds.bounceRate': {
+        type: 'number',
+        default: 0.05,
+        env: 'SENDPOST_MONITOR_BOUNCE_RATE',
+        check: (value) => value >= 0 && value <= 1,
+        hint: 'a fraction between 0 and 1, e.g. 0.05 for 5%'
+    },
+    'monitor.thresholds.spamRate': {
+        type: 'number',
+        default: 0.001,
+        env: 'SENDPOST_MONITOR_SPAM_RATE',
+        check: (value) => value >= 0 && value <= 1,
+        hint: 'a fraction between 0 and 1, e.g. 0.001 for 0.1%'
+    },
+    'monitor.renotifyMs': {
+        type: 'integer',
+        default: 86400000,
+        env: 'SENDPOST_MONITOR_RENOTIFY_MS',
+        check: (value) => value >= 0,
+        hint: 'a number of milliseconds (0 = never remind)'
+    },
+    'monitor.sinks': {
+        type: 'string',
+        default: 'stdout',
+        env: 'SENDPOST_MONITOR_SINKS',
+        check: (value) => value.split(',').map((name) => name.trim()).filter(Boolean).every((name) => Object.hasOwn(ALERT_SINKS, name)),
+        hint: `a comma-separated list of ${Object.keys(ALERT_SINKS).join(', ')}`
+    },
+    'monitor.webhookUrl': {
+        type: 'string',
+        env: 'SENDPOST_MONITOR_WEBHOOK_URL',
+        check: isHttpUrl,
+        hint: 'an http(s) URL'
+    },
+    'monitor.alertFile': {
+        type: 'string',
+        env: 'SENDPOST_MONITOR_ALERT_FILE'
+    },
+    'templates.dir': {
+        type: 'string',
+        default: BUNDLED_TEMPLATES_DIR,
+        env: 'SENDPOST_TEMPLATES_DIR'
+    },
+    'templates.merge': {
+        type: 'string',
+        default: 'local',
+        env: 'SENDPOST_TEMPLATES_MERGE',
+        check: (value) => value === 'local' || value === 'server',
+        hint: 'local (rendered here) or server (SendPost merge tags)'
+    },
+    'templates.transactional': {
+        type: 'string',
+        default: 'order-confirmation',
+        env: 'SENDPOST_TEMPLATES_TRANSACTIONAL'
+    },
+    'templates.marketing': {
+        type: 'string',
+        default: 'special-offer',
+        env: 'SENDPOST_TEMPLATES_MARKETING'
+    },
+    'attachments.maxFileBytes': {
+        type: 'integer',
+        default: 10 * 1024 * 1024,
+        env: 'SENDPOST_ATTACHMENTS_MAX_FILE_BYTES',
+        check: (value) => value > 0,
+        hint: 'a number of bytes greater than 0'
+    },
+    'attachments.maxMessageBytes': {
+        type: 'integer',
+        default: 20 * 1024 * 1024,
+        env: 'SENDPOST_ATTACHMENTS_MAX_MESSAGE_BYTES',
+        check: (value) => value > 0,
+        hint: 'a number of bytes greater than 0'
+    },
+    'stats.days': {
+        type: 'integer',
+        default: 7,
+        env: 'SENDPOST_STATS_DAYS',
+        check: (value) => value > 0,
+        hint: 'a number of days greater than 0'
+    },
+    'stats.from': {
+        type: 'string',
+        env: 'SENDPOST_STATS_FROM',
+        check: isDateSpec,
+        hint: 'a date (YYYY-MM-DD, today, yesterday, or days/weeks back such as 7d)'
+    },
+    'stats.to': {
+        type: 'string',
+        env: 'SENDPOST_STATS_TO',
+        check: isDateSpec,
+        hint: 'a date (YYYY-MM-DD, today, yesterday, or days/weeks back such as 7d)'
+    },
+    'stats.timezone': {
+        type: 'string',
+        default: 'UTC',
+        env: 'SENDPOST_STATS_TIMEZONE',
+        check: isTimeZone,
+        hint: 'a time zone such as UTC or Europe/Berlin'
+    }
+};
+
+/**
+ * Raised when configuration cannot be loaded or fails validation.
+ * `issues` lists every problem found, not just the first one.
+ */
+export class ConfigError extends EspError {
+    constructor(issues) {
+        const list = [].concat(issues);
+        super(`Invalid configuration:\n${list.map((issue) => `  - ${issue}`).join('\n')}`);
+        this.issues = list;
+        this.exitCode = EXIT_CODES.USAGE;
+    }
+}
+
+function getPath(object, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function setPath(object, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    let target = object;
+    for (const key of keys) {
+        if (typeof target[key] !== 'object' || target[key] === null) {
+            target[key] = {};
+        }
+        target = target[key];
+    }
+    target[last] = value;
+}
+
+/**
+ * Convert a string from the environment or the command line to the schema type
+ */
+function coerce(value, type) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+    if (type === 'boolean') {
+        if (/^(true|1|yes|on)$/i.test(value)) return true;
+        if (/^(false|0|no|off)$/i.test(value)) return false;
+    }
+    if (type === 'integer' && /^-?\d+$/.test(value.trim())) {
+        return Number(value);
+    }
+    if (type === 'number' && /^-?\d+(\.\d+)?$/.test(value.trim())) {
+        return Number(value);
+    }
+    return value;
+}
+
+/**
+ * Flatten a nested config layer into { 'dotted.path': value } for known keys,
+ * reporting unknown keys as issues
+ */
+function flattenLayer(layer, source, issues, prefix = '') {
+    const flat = {};
+    for (const [key, value] of Object.entries(layer || {})) {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (path in SCHEMA) {
+            flat[path] = value;
+        } else if (value && typeof value === 'object' && !Array.isArray(value)
+            && Object.keys(SCHEMA).some((known) => known.startsWith(`${path}.`))) {
+            Object.assign(flat, flattenLayer(value, source, issues, path));
+        } else {
+            issues.push(`${source}: unknown setting "${path}"`);
+        }
+    }
+    return flat;
+}
+
+/**
+ * Locate the config file to use, if any
+ */
+export function findConfigFile(explicitPath, env = process.env, cwd = process.cwd()) {
+    const path = explicitPath || env.SENDPOST_CONFIG;
+    if (path) {
+        const resolved = resolve(cwd, path);
+        if (!existsSync(resolved)) {
+            throw new ConfigError(`Config file not found: ${resolved}`);
+        }
+        return resolved;
+    }
+    const found = DEFAULT_CONFIG_FILES.map((name) => resolve(cwd, name)).find((candidate) => existsSync(candidate));
+    return found || null;
+}
+
+/**
+ * Read and parse a JSON or YAML config file
+ */
+export function readConfigFile(path) {
+    const text = readFileSync(path, 'utf8');
+    try {
+        const parsed = ['.yaml', '.yml'].includes(extname(path).toLowerCase())
+            ? YAML.parse(text)
+            : JSON.parse(text);
+        return parsed || {};
+    } catch (error) {
+        throw new ConfigError(`Could not parse ${path}: ${error.message}`);
+    }
+}
+
+/**
+ * Resolve the configuration from every layer and validate it
+ *
+ * @param {object} [options]
+ * @param {string} [options.configPath] - Config file given with --config
+ * @param {string} [options.profile] - Profile given with --profile
+ * @param {string[]} [options.overrides] - `key=value` pairs given with --set
+ * @param {object} [options.file] - Already-parsed file contents (skips file lookup)
+ * @param {object} [options.env] - Environment, defaults to process.env
+ * @param {string} [options.cwd] - Directory searched for the default config files
+ * @returns {object} The nested, validated configuration
+ * @throws {ConfigError} When any layer contains missing or invalid values
+ */
+export function loadConfig({ configPath, profile, overrides = [], file, env = process.env, cwd } = {}) {
+    const issues = [];
+    const flat = {};
+
+    for (const [path, spec] of Object.entries(SCHEMA)) {
+        if (spec.default !== undefined) {
+            flat[path] = spec.default;
+        }
+    }
+
+    let fileContents = file;
+    let fileLabel = 'config';
+    if (!fileContents) {
+        const path = findConfigFile(configPath, env, cwd);
+        if (path) {
+            fileContents = readConfigFile(path);
+            fileLabel = path;
+        }
+    }
+
+    const { profiles = {}, ...base } = fileContents || {};
+    Object.assign(flat, flattenLayer(base, fileLabel, issues));
+
+    const profileName = profile || env.SENDPOST_PROFILE;
+    if (profileName) {
+        if (!Object.prototype.hasOwnProperty.call(profiles, profileName)) {
+            const available = Object.keys(profiles);
+            throw new ConfigError(`Unknown profile "${profileName}"${available.length ? ` (available: ${available.join(', ')})` : ''}`);
+        }
+        Object.assign(flat, flattenLayer(profiles[profileName], `${fileLabel} profile "${profileName}"`, issues));
+    }
+
+    for (const [path, spec] of Object.entries(SCHEMA)) {
+        if (spec.env && env[spec.env] !== undefined && env[spec.env] !== '') {
+            flat[path] = env[spec.env];
+        }
+    }
+
+    for (const override of overrides) {
+        const separator = override.indexOf('=');
+        const path = separator > 0 ? override.slice(0, separator) : override;
+        if (separator <= 0) {
+            issues.push(`--set ${override}: expected key=value`);
+        } else if (!(path in SCHEMA)) {
+            issues.push(`--set ${override}: unknown setting "${path}"`);
+        } else {
+            flat[path] = override.slice(separator + 1);
+        }
+    }
+
+    const config = {};
+    for (const [path, spec] of Object.entries(SCHEMA)) {
+        const value = coerce(flat[path], spec.type);
+        if (value === undefined) {
+            continue;
+        }
+        const typeOk = spec.type === 'integer' ? Number.isInteger(value)
+            : spec.type === 'number' ? Number.isFinite(value)
+            : typeof value === spec.type;
+        if (!typeOk) {
+            issues.push(`${path}: expected ${spec.type === 'integer' ? 'an integer' : `a ${spec.type}`}, got ${JSON.stringify(value)}`);
+        } else if (spec.check && !spec.check(value)) {
+            issues.push(`${path}: expected ${spec.hint}, got ${JSON.stringify(value)}`);
+        } else {
+            setPath(config, path, value);
+        }
+    }
+
+    if (config.stats && config.stats.from && config.stats.to) {
+        try {
+            resolveRange(config.stats);
+        } catch (error) {
+            if (!(error instanceof StatsRangeError)) {
+                throw error;
+            }
+            issues.push(`stats.from (${config.stats.from}) is after stats.to (${config.stats.to})`);
+        }
+    }
+
+    if (issues.length > 0) {
+        throw new ConfigError(issues);
+    }
+    config.profile = profileName || null;
+    return config;
+}
+
+/**
+ * Check that the API keys a command needs are present and not placeholders
+ *
+ * @param {object} config - Result of loadConfig()
+ * @param {Array<'account'|'subAccount'>} auth - Keys the command will use
+ * @throws {ConfigError}
+ */
+export function requireApiKeys(config, auth) {
+    const issues = [];
+    if (auth.includes('account') && (!config.accountApiKey || config.accountApiKey === PLACEHOLDER_ACCOUNT_API_KEY)) {
+        issues.push(`accountApiKey is not set (use ${SCHEMA.accountApiKey.env} or the config file)`);
+    }
+    // Acting as a sub-account (--as) takes its key from the credential store
+    if (auth.includes('subAccount') && !config.subAccountId && (!config.subAccountApiKey || config.subAccountApiKey === PLACEHOLDER_SUB_ACCOUNT_API_KEY)) {
+        issues.push(`subAccountApiKey is not set (use ${SCHEMA.subAccountApiKey.env} or the config file)`);
+    }
+    if (issues.length > 0) {
+        throw new ConfigError(issues);
+    }
+}
+
+// Shorter secrets, such as passphrases, are masked without their last four characters
+const MIN_REVEALED_SECRET_LENGTH = 12;
+
+function maskConfigSecret(value) {
+    if (typeof value !== 'string' || value === '') {
+        return value;
+    }
+    return value.length >= MIN_REVEALED_SECRET_LENGTH ? maskSecret(value) : '****';
+}
+
+/**
+ * Copy of the config with every secret masked, as describeConfig() shows them
+ */
+export function maskConfig(config) {
+    const masked = JSON.parse(JSON.stringify(config));
+    for (const [path, spec] of Object.entries(SCHEMA)) {
+        if (spec.secret && getPath(masked, path) !== undefined) {
+            setPath(masked, path, maskConfigSecret(getPath(masked, path)));
+        }
+    }
+    return masked;
+}
+
+/**
+ * Config value as it should be shown to a user, with secrets masked
+ */
+export function describeConfig(config) {
+    const lines = [];
+    for (const [path, spec] of Object.entries(SCHEMA)) {
+        const value = getPath(config, path);
+        if (value === undefined) {
+            continue;
+        }
+        lines.push(`${path} = ${spec.secret ? maskConfigSecret(value) : value}`);
+    }
+    return lines.join('\n');
+}
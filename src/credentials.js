@@ -0,0 +1,158 @@
+/**
+ * Local encrypted credential store
+ *
+ * Sub-account API keys are kept in <storage.dir>/credentials.json, keyed by
+ * sub-account ID, so new keys never have to be printed or copied by hand.
+ * The entries are encrypted together with AES-256-GCM under a key derived
+ * (scrypt) from credentials.passphrase; the file itself only shows the
+ * cipher parameters. `--as <subAccountId>` makes a command act as that
+ * sub-account with the key stored for it.
+ */
+
+import { createCipheriv, createDecipheriv, randomBytes, scrypt } from 'node:crypto';
+import { join } from 'node:path';
+import { promisify } from 'node:util';
+import { PrerequisiteError } from './errors.js';
+import { JsonFileStore } from './store.js';
+
+export const CREDENTIALS_FILE = 'credentials.json';
+
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+
+const deriveKey = promisify(scrypt);
+
+/**
+ * The credential store cannot be used: no passphrase, a wrong one, or no key for the sub-account
+ */
+export class CredentialError extends PrerequisiteError {}
+
+const emptyDocument = () => ({ version: 1, cipher: CIPHER, salt: null, iv: null, tag: null, data: null });
+
+export class CredentialStore {
+    /**
+     * @param {JsonFileStore} store
+     * @param {string} [passphrase] - Encrypts the entries; the store is unavailable without one
+     */
+    constructor(store, passphrase) {
+        this.store = store;
+        this.passphrase = passphrase || null;
+    }
+
+    /**
+     * The credential store kept under storage.dir, readable by its owner only
+     */
+    static forConfig(config) {
+        const store = new JsonFileStore(join(config.storage.dir, CREDENTIALS_FILE), emptyDocument, { mode: 0o600 });
+        return new CredentialStore(store, config.credentials?.passphrase);
+    }
+
+    /**
+     * Whether a passphrase is set, i.e. whether keys can be saved and read
+     */
+    get available() {
+        return this.passphrase !== null;
+    }
+
+    requirePassphrase(action) {
+        if (!this.available) {
+            throw new CredentialError('credentials.passphrase is not set', {
+                action,
+                hint: 'Set SENDPOST_CREDENTIALS_PASSPHRASE (or credentials.passphrase in the config file) to use the credential store.'
+            });
+        }
+    }
+
+    /**
+     * Decrypt the stored entries
+     *
+     * @returns {Promise<object>} { [subAccountId]: { subAccountId, name, apiKey, savedAt } }
+     */
+    async entries(action = 'read the credential store') {
+        this.requirePassphrase(action);
+        const document = await this.store.load();
+        if (document.data === null) {
+            return {};
+        }
+        const key = await deriveKey(this.passphrase, Buffer.from(document.salt, 'base64'), KEY_LENGTH);
+        try {
+            const decipher = createDecipheriv(document.cipher, key, Buffer.from(document.iv, 'base64'));
+            decipher.setAuthTag(Buffer.from(document.tag, 'base64'));
+            const plain = Buffer.concat([decipher.update(Buffer.from(document.data, 'base64')), decipher.final()]);
+            return JSON.parse(plain.toString('utf8'));
+        } catch (error) {
+            throw new CredentialError(`Cannot decrypt ${this.store.path}`, {
+                action,
+                hint: 'The passphrase is wrong or the file was modified.',
+                cause: error
+            });
+        }
+    }
+
+    /**
+     * Encrypt and save all entries, with a fresh IV every time
+     */
+    async write(entries) {
+        const document = await this.store.load();
+        const salt = document.salt ? Buffer.from(document.salt, 'base64') : randomBytes(SALT_LENGTH);
+        const key = await deriveKey(this.passphrase, salt, KEY_LENGTH);
+        const iv = randomBytes(IV_LENGTH);
+        const cipher = createCipheriv(CIPHER, key, iv);
+        const data = Buffer.concat([cipher.update(JSON.stringify(entries), 'utf8'), cipher.final()]);
+        await this.store.save({
+            version: 1,
+            cipher: CIPHER,
+            salt: salt.toString('base64'),
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        });
+    }
+
+    /**
+     * Save (or replace) the key of a sub-account
+     *
+     * @param {number} subAccountId
+     * @param {object} credential
+     * @param {string} credential.apiKey
+     * @param {string} [credential.name] - Sub-account name, for listings
+     */
+    async save(subAccountId, { apiKey, name = null }) {
+        const entries = await this.entries('save API key');
+        entries[subAccountId] = { subAccountId: Number(subAccountId), name, apiKey, savedAt: new Date().toISOString() };
+        await this.write(entries);
+    }
+
+    /**
+     * Stored entry for a sub-account, or null
+     */
+    async get(subAccountId) {
+        const entries = await this.entries('read API key');
+        return entries[subAccountId] || null;
+    }
+
+    /**
+     * All stored entries, ordered by sub-account ID
+     */
+    async list() {
+        const entries = await this.entries('list stored API keys');
+        return Object.values(entries).sort((a, b) => a.subAccountId - b.subAccountId);
+    }
+
+    /**
+     * Forget a sub-account's key
+     *
+     * @returns {Promise<boolean>} Whether there was a key to remove
+     */
+    async remove(subAccountId) {
+        const entries = await this.entries('remove API key');
+        if (!entries[subAccountId]) {
+            return false;
+        }
+        delete entries[subAccountId];
+        await this.write(entries);
+        return true;
+    }
+}
@@ -0,0 +1,78 @@
+/**
+ * Minimal CSV reading and writing (RFC 4180: comma separated, double-quote
+ * escaping, first row is the header)
+ */
+
+/**
+ * Parse CSV text into one object per row, keyed by the header row
+ *
+ * @param {string} text
+ * @returns {object[]}
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+        if (quoted) {
+            if (char === '"' && text[index + 1] === '"') {
+                field += '"';
+                index++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[index + 1] === '\n') {
+                index++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header = [], ...body] = rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+    const keys = header.map((key) => key.trim());
+    return body.map((cells) => Object.fromEntries(keys.map((key, column) => [key, cells[column] ?? ''])));
+}
+
+function escapeField(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize objects to CSV
+ *
+ * @param {object[]} records
+ * @param {string[]} [columns] - Defaults to every key found, in first-seen order
+ * @returns {string}
+ */
+export function toCsv(records, columns) {
+    const keys = columns || [...new Set(records.flatMap((record) => Object.keys(record)))];
+    const lines = [keys.map(escapeField).join(',')];
+    for (const record of records) {
+        lines.push(keys.map((key) => escapeField(record[key])).join(','));
+    }
+    return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,212 @@
+/**
+ * DNS records of a sending domain
+ *
+ * SendPost returns the records it expects for a domain on the domain object
+ * (DKIM, SPF, return path, tracking, DMARC). expectedRecords() collects
+ * them, checkRecords() compares them with what DNS answers and
+ * formatZone() prints them as zone-file lines to paste into a DNS provider.
+ *
+ * Lookups go through a resolver with the resolveTxt()/resolveCname() methods
+ * of node:dns/promises Resolver, so a stub can stand in for real DNS.
+ */
+
+import { Resolver } from 'node:dns/promises';
+import { EspError } from './errors.js';
+
+/**
+ * Records SendPost may list on a domain: the property holding it, its DNS
+ * type, the flag telling whether SendPost has seen it, and where it lives
+ * when the API gives no host (null: the record is skipped without one)
+ */
+export const RECORD_KINDS = [
+    { kind: 'dkim', field: 'dkim', type: 'TXT', verifiedFlag: 'dkimVerified', defaultHost: null },
+    { kind: 'spf', field: 'spf', type: 'TXT', verifiedFlag: 'spfVerified', defaultHost: (domain) => domain },
+    { kind: 'returnPath', field: 'returnPath', type: 'CNAME', verifiedFlag: 'returnPathVerified', defaultHost: null },
+    { kind: 'track', field: 'track', type: 'CNAME', verifiedFlag: 'trackVerified', defaultHost: null },
+    { kind: 'dmarc', field: 'dmarc', type: 'TXT', verifiedFlag: 'dmarcVerified', defaultHost: (domain) => `_dmarc.${domain}` }
+];
+
+const HOST_FIELDS = ['host', 'hostname', 'name', 'record'];
+const VALUE_FIELDS = ['textValue', 'value', 'cnameValue', 'target', 'data'];
+
+const NOT_FOUND_CODES = ['ENOTFOUND', 'ENODATA', 'NXDOMAIN'];
+
+const TTL = 3600;
+
+const normalizeHost = (host) => String(host).trim().toLowerCase().replace(/\.$/, '');
+const collapse = (value) => String(value).replace(/\s+/g, ' ').trim();
+
+/**
+ * Resolver for the `dns` settings: the system resolver, or the listed servers
+ *
+ * @param {{servers: string, timeoutMs: number}} dnsConfig
+ */
+export function createResolver(dnsConfig) {
+    const resolver = new Resolver({ timeout: dnsConfig.timeoutMs, tries: 2 });
+    const servers = dnsConfig.servers.split(',').map((server) => server.trim()).filter(Boolean);
+    if (servers.length > 0) {
+        resolver.setServers(servers);
+    }
+    return resolver;
+}
+
+function pick(object, fields) {
+    const field = fields.find((name) => typeof object[name] === 'string' && object[name].trim() !== '');
+    return field ? object[field].trim() : null;
+}
+
+function qualify(host, domainName) {
+    const name = normalizeHost(host);
+    if (name === '@' || name === '') {
+        return normalizeHost(domainName);
+    }
+    const domain = normalizeHost(domainName);
+    return name === domain || name.endsWith(`.${domain}`) ? name : `${name}.${domain}`;
+}
+
+/**
+ * Every DNS record SendPost lists for a domain
+ *
+ * @param {object} domain - Domain as returned by getAllDomains / subaccountDomainPost
+ * @returns {{records: object[], skipped: Array<{kind: string, reason: string}>}}
+ *   records: { kind, type, host, value, verified }; verified is SendPost's flag, null when it sends none
+ */
+export function expectedRecords(domain) {
+    const records = [];
+    const skipped = [];
+    for (const { kind, field, type, verifiedFlag, defaultHost } of RECORD_KINDS) {
+        const source = domain[field];
+        if (source === undefined || source === null || source === '') {
+            continue;
+        }
+        const details = typeof source === 'string' ? { value: source } : source;
+        const value = pick(details, VALUE_FIELDS);
+        const host = pick(details, HOST_FIELDS) || (defaultHost ? defaultHost(domain.name) : null);
+        if (!value || !host) {
+            skipped.push({ kind, reason: `SendPost returned no ${value ? 'host' : 'value'} for this record` });
+            continue;
+        }
+        records.push({
+            kind,
+            type: typeof details.type === 'string' ? details.type.toUpperCase() : type,
+            host: qualify(host, domain.name),
+            value: type === 'CNAME' ? normalizeHost(value) : collapse(value),
+            verified: typeof domain[verifiedFlag] === 'boolean' ? domain[verifiedFlag] : null
+        });
+    }
+    return { records, skipped };
+}
+
+function quoteTxt(value) {
+    // A TXT character-string holds at most 255 bytes; longer values are split
+    const chunks = value.match(/.{1,255}/g) || [''];
+    return chunks.map((chunk) => `"${chunk.replace(/(["\\])/g, '\\$1')}"`).join(' ');
+}
+
+/**
+ * Zone-file lines for the records, in BIND syntax
+ */
+export function formatZone(records) {
+    return records
+        .map(({ kind, type, host, value }) => {
+            const data = type === 'TXT' ? quoteTxt(value) : `${value}.`;
+            return `; ${kind}\n${host}.\t${TTL}\tIN\t${type}\t${data}`;
+        })
+        .join('\n');
+}
+
+const tags = (value) => Object.fromEntries(value.split(';')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+        const separator = part.indexOf('=');
+        return [part.slice(0, separator).trim().toLowerCase(), part.slice(separator + 1).replace(/\s+/g, '')];
+    }));
+
+const spfTerms = (value) => collapse(value).toLowerCase().split(' ').slice(1).filter((term) => !/^[-~?+]?all$/.test(term));
+
+/**
+ * Compare one expected record with what DNS returned for its host
+ *
+ * @returns {{status: 'ok'|'mismatch', detail: string|null}}
+ */
+function compare(record, found) {
+    if (record.type === 'CNAME') {
+        return found.some((target) => normalizeHost(target) === record.value)
+            ? { status: 'ok', detail: null }
+            : { status: 'mismatch', detail: `points to ${found.join(', ')}` };
+    }
+
+    if (record.kind === 'spf') {
+        const policies = found.filter((value) => /^v=spf1\b/i.test(value));
+        if (policies.length === 0) {
+            return { status: 'mismatch', detail: 'no SPF record (v=spf1) at this host' };
+        }
+        if (policies.length > 1) {
+            return { status: 'mismatch', detail: `${policies.length} SPF records; merge them into one` };
+        }
+        const missing = spfTerms(record.value).filter((term) => !spfTerms(policies[0]).includes(term));
+        return missing.length === 0
+            ? { status: 'ok', detail: null }
+            : { status: 'mismatch', detail: `SPF record lacks ${missing.join(' ')}` };
+    }
+
+    if (record.kind === 'dmarc') {
+        // Any DMARC policy satisfies SendPost; the suggested one is only a starting point
+        return found.some((value) => /^v=DMARC1\b/i.test(value))
+            ? { status: 'ok', detail: null }
+            : { status: 'mismatch', detail: 'no DMARC record (v=DMARC1) at this host' };
+    }
+
+    const expectedKey = tags(record.value).p;
+    const matched = found.some((value) => (expectedKey ? tags(value).p === expectedKey : collapse(value) === record.value));
+    return matched
+        ? { status: 'ok', detail: null }
+        : { status: 'mismatch', detail: expectedKey ? 'public key (p=) differs' : 'value differs' };
+}
+
+/**
+ * Look up every record and report its state
+ *
+ * @param {object[]} records - From expectedRecords()
+ * @param {{resolveTxt: function(string): Promise<string[][]>, resolveCname: function(string): Promise<string[]>}} resolver
+ * @returns {Promise<object[]>} The records with `status` ('ok', 'missing', 'mismatch' or 'error'), `found` and `detail`
+ */
+export async function checkRecords(records, resolver) {
+    return Promise.all(records.map(async (record) => {
+        let found;
+        try {
+            found = record.type === 'CNAME'
+                ? await resolver.resolveCname(record.host)
+                : (await resolver.resolveTxt(record.host)).map((chunks) => chunks.join(''));
+        } catch (error) {
+            if (NOT_FOUND_CODES.includes(error.code)) {
+                return { ...record, status: 'missing', found: [], detail: `no ${record.type} record at this host` };
+            }
+            return { ...record, status: 'error', found: [], detail: `DNS lookup failed: ${error.code || error.message}` };
+        }
+        if (found.length === 0) {
+            return { ...record, status: 'missing', found, detail: `no ${record.type} record at this host` };
+        }
+        return { ...record, found, ...compare(record, found) };
+    }));
+}
+
+/**
+ * Find a domain of the sub-account by name or ID
+ *
+ * @param {object[]} domains - From getAllDomains
+ * @param {string} nameOrId
+ * @throws {EspError} When the sub-account has no such domain
+ */
+export function findDomain(domains, nameOrId) {
+    const wanted = normalizeHost(nameOrId);
+    const domain = domains.find((candidate) => String(candidate.id) === String(nameOrId) || normalizeHost(candidate.name || '') === wanted);
+    if (!domain) {
+        throw new EspError(`Domain "${nameOrId}" does not belong to this sub-account`, {
+            action: 'find domain',
+            hint: 'Add it with "domains add <name>", or check the sub-account API key.'
+        });
+    }
+    return domain;
+}
@@ -0,0 +1,245 @@
+/**
+ * Typed errors for the ESP example
+ *
+ * Every failure surfaces as an EspError subclass. SendPost API failures are
+ * mapped by HTTP status onto SendPostApiError subclasses carrying the status,
+ * response body and an actionable hint, so callers can decide what to do
+ * with `instanceof` instead of inspecting raw SDK errors.
+ *
+ * Exit codes: 1 for a failed step, 2 for an invalid command line or
+ * configuration, 3 for rejected credentials.
+ */
+
+export const EXIT_CODES = {
+    OK: 0,
+    FAILURE: 1,
+    USAGE: 2,
+    AUTH: 3
+};
+
+/**
+ * Base class for every error raised by this project
+ */
+export class EspError extends Error {
+    /**
+     * @param {string} message - What went wrong
+     * @param {object} [details]
+     * @param {string} [details.action] - What was being attempted, e.g. 'create sub-account'
+     * @param {string} [details.hint] - What the user can do about it
+     * @param {Error} [details.cause] - Underlying error
+     */
+    constructor(message, { action, hint, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.action = action || null;
+        this.hint = hint || null;
+        this.exitCode = EXIT_CODES.FAILURE;
+    }
+}
+
+/**
+ * A step could not run because something it depends on is missing,
+ * e.g. fetching message details before any email was sent
+ */
+export class PrerequisiteError extends EspError {}
+
+/**
+ * The API could not be reached at all (DNS, connection refused, timeout)
+ */
+export class NetworkError extends EspError {
+    constructor(message, details) {
+        super(message, {
+            hint: 'Check your network connection and the configured basePath.',
+            ...details
+        });
+    }
+}
+
+/**
+ * The SendPost API answered with an error status
+ */
+export class SendPostApiError extends EspError {
+    /**
+     * @param {string} message
+     * @param {object} details - EspError details plus `status`, `body` and `headers` of the response
+     */
+    constructor(message, { status, body, headers, ...details } = {}) {
+        super(message, details);
+        this.status = status;
+        this.body = body;
+        this.headers = headers || {};
+    }
+}
+
+/** 401/403: missing, wrong or insufficiently privileged API key */
+export class AuthenticationError extends SendPostApiError {
+    constructor(message, details) {
+        super(message, {
+            hint: 'Check that the account and sub-account API keys are correct and allowed to perform this operation.',
+            ...details
+        });
+        this.exitCode = EXIT_CODES.AUTH;
+    }
+}
+
+/** 404: the referenced resource does not exist */
+export class NotFoundError extends SendPostApiError {
+    constructor(message, details) {
+        super(message, {
+            hint: 'Check the ID you passed; the resource may have been deleted or belong to another (sub-)account.',
+            ...details
+        });
+    }
+}
+
+/** 409: the resource already exists */
+export class ConflictError extends SendPostApiError {
+    constructor(message, details) {
+        super(message, {
+            hint: 'The resource already exists. List the existing resources and reuse it instead of creating it again.',
+            ...details
+        });
+    }
+}
+
+/** 422: the request body or parameters were rejected */
+export class ValidationError extends SendPostApiError {
+    constructor(message, details) {
+        super(message, {
+            hint: 'The request was rejected as invalid; see the response body for the offending fields.',
+            ...details
+        });
+    }
+}
+
+/** 429: too many requests */
+export class RateLimitError extends SendPostApiError {
+    constructor(message, details) {
+        super(message, details);
+        this.retryAfter = parseRetryAfter(this.headers['retry-after']);
+        this.hint = this.retryAfter !== null
+            ? `Rate limited. Wait ${Math.ceil(this.retryAfter / 1000)} second(s) before retrying.`
+            : 'Rate limited. Slow down and retry later.';
+    }
+}
+
+/** 5xx: SendPost failed to handle the request */
+export class ServerError extends SendPostApiError {
+    constructor(message, details) {
+        super(message, {
+            hint: 'SendPost could not handle the request. Retry later; contact support if it persists.',
+            ...details
+        });
+    }
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ *
+ * @returns {number|null}
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (/^\d+(\.\d+)?$/.test(String(value).trim())) {
+        return Math.round(Number(value) * 1000);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function errorClassForStatus(status) {
+    if (status === 401 || status === 403) return AuthenticationError;
+    if (status === 404) return NotFoundError;
+    if (status === 409) return ConflictError;
+    if (status === 422) return ValidationError;
+    if (status === 429) return RateLimitError;
+    if (status >= 500) return ServerError;
+    return SendPostApiError;
+}
+
+// Codes of failed connections; other errors with a code, such as ENOENT from a file read, are not network errors
+const NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ENOTFOUND', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+function isNetworkFailure(error) {
+    if (error.code) {
+        return NETWORK_CODES.includes(error.code) || String(error.code).startsWith('UND_ERR_');
+    }
+    return Boolean(error.crossDomain) || /ECONN|ENOTFOUND|ETIMEDOUT|socket hang up/i.test(error.message);
+}
+
+/**
+ * Convert anything thrown by the SDK (or elsewhere) into an EspError
+ *
+ * @param {Error} error - The caught error
+ * @param {string} action - What was being attempted, e.g. 'create sub-account'
+ * @returns {EspError}
+ */
+export function toEspError(error, action) {
+    if (error instanceof EspError) {
+        if (!error.action) {
+            error.action = action;
+        }
+        return error;
+    }
+
+    const response = error && error.response;
+    const status = (response && response.status) || (error && error.status);
+    if (status) {
+        const ErrorClass = errorClassForStatus(status);
+        // superagent leaves body as {} when the response is not JSON
+        const body = response && (response.body && Object.keys(response.body).length ? response.body : response.text);
+        return new ErrorClass(`SendPost API responded with ${status}`, {
+            action,
+            status,
+            body,
+            headers: response ? response.headers : undefined,
+            cause: error
+        });
+    }
+
+    if (error && isNetworkFailure(error)) {
+        return new NetworkError(error.message, { action, cause: error });
+    }
+
+    return new EspError(error && error.message ? error.message : String(error), { action, cause: error });
+}
+
+/**
+ * Plain-object form of an error, for structured output
+ *
+ * @returns {{name: string, message: string, action: string|null, hint: string|null, exitCode: number, status?: number, body?: *}}
+ */
+export function errorDetails(error) {
+    const details = {
+        name: error.name,
+        message: error.message,
+        action: error.action || null,
+        hint: error.hint || null,
+        exitCode: error.exitCode ?? EXIT_CODES.FAILURE
+    };
+    if (error instanceof SendPostApiError) {
+        details.status = error.status;
+        details.body = error.body;
+    }
+    return details;
+}
+
+/**
+ * Print an error the way every step reports failures
+ */
+export function reportError(error) {
+    console.error(`✗ Failed to ${error.action || 'complete the operation'}:`);
+    if (error instanceof SendPostApiError) {
+        console.error(`  Status code: ${error.status} (${error.name})`);
+        if (error.body !== undefined && error.body !== '') {
+            console.error(`  Response body: ${typeof error.body === 'string' ? error.body : JSON.stringify(error.body, null, 2)}`);
+        }
+    } else {
+        console.error(`  Error: ${error.message}`);
+    }
+    if (error.hint) {
+        console.error(`  Hint: ${error.hint}`);
+    }
+}
@@ -0,0 +1,120 @@
+/**
+ * Fan-out across sub-accounts
+ *
+ * Runs one task (list domains, pull stats, send a test email) for every
+ * sub-account, or for those picked by ID or name, each with the
+ * sub-account's own API key and with at most fanout.concurrency sub-accounts
+ * in progress at once. A sub-account that fails does not stop the others;
+ * the result is one row per sub-account, printed as a table.
+ */
+
+import { mapWithConcurrency } from './concurrency.js';
+import { PrerequisiteError, toEspError } from './errors.js';
+
+/**
+ * Tasks by name. `columns` are the task's own row fields, `run` receives the
+ * ESPExample acting as the sub-account and returns them.
+ */
+export const FANOUT_TASKS = {
+    domains: {
+        action: 'list domains',
+        columns: [['domains', 'Domains'], ['verified', 'Verified'], ['names', 'Names']],
+        run: async (client) => {
+            const domains = await client.listDomains();
+            return {
+                domains: domains.length,
+                verified: domains.filter((domain) => domain.verified).length,
+                names: domains.map((domain) => domain.name).join(', ')
+            };
+        }
+    },
+    stats: {
+        action: 'get aggregate stats',
+        columns: [['processed', 'Processed'], ['delivered', 'Delivered'], ['dropped', 'Dropped'], ['hardBounced', 'Hard'], ['softBounced', 'Soft'], ['spam', 'Spam'], ['unsubscribed', 'Unsub']],
+        run: async (client, { range = {} } = {}) => {
+            const stats = await client.getAggregateStats(client.createdSubAccountId, range);
+            return Object.fromEntries(FANOUT_TASKS.stats.columns.map(([key]) => [key, stats[key] || 0]));
+        }
+    },
+    send: {
+        action: 'send test email',
+        columns: [['messageId', 'Message ID']],
+        run: async (client, { from, to, template, merge, idempotencyKey, attachments } = {}) => {
+            const response = await client.sendTransactionalEmail({ from, to, template, merge, idempotencyKey, attachments });
+            return { messageId: response.messageId };
+        }
+    }
+};
+
+/**
+ * Sub-accounts picked by ID and/or name
+ *
+ * @param {object[]} subAccounts - As listed by SendPost
+ * @param {object} [filter]
+ * @param {number[]} [filter.ids] - Only these IDs
+ * @param {string} [filter.match] - Only names matching this pattern (case-insensitive, `*` as wildcard, otherwise a substring)
+ * @throws {PrerequisiteError} When nothing is left
+ */
+export function selectSubAccounts(subAccounts, { ids = [], match } = {}) {
+    const wanted = ids.map(Number);
+    let pattern = null;
+    if (match) {
+        const source = match.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        pattern = new RegExp(match.includes('*') ? `^${source}$` : source, 'i');
+    }
+    const selected = subAccounts.filter((subAccount) =>
+        (wanted.length === 0 || wanted.includes(subAccount.id)) && (!pattern || pattern.test(subAccount.name || '')));
+    if (selected.length === 0) {
+        throw new PrerequisiteError('No sub-accounts match the selection', {
+            action: 'select sub-accounts',
+            hint: 'Check --subaccounts and --match against "subaccounts list".'
+        });
+    }
+    return selected;
+}
+
+/**
+ * Run a task for every sub-account
+ *
+ * @param {object[]} subAccounts - Each with id, name and apiKey
+ * @param {object} task - Entry of FANOUT_TASKS
+ * @param {function(object): object} clientFor - Builds the ESPExample acting as a sub-account
+ * @param {object} [options]
+ * @param {number} [options.concurrency=1]
+ * @param {object} [options.params] - Passed on to the task
+ * @returns {Promise<object[]>} One row per sub-account: subAccountId, name, status ('ok' or 'failed'), the task's fields or error
+ */
+export async function fanOut(subAccounts, task, clientFor, { concurrency = 1, params = {} } = {}) {
+    return mapWithConcurrency(subAccounts, concurrency, async (subAccount) => {
+        const row = { subAccountId: subAccount.id, name: subAccount.name, status: 'ok' };
+        try {
+            return { ...row, ...await task.run(clientFor(subAccount), params) };
+        } catch (error) {
+            const failure = toEspError(error, task.action);
+            return { ...row, status: 'failed', error: `${failure.name}: ${failure.message}` };
+        }
+    });
+}
+
+/**
+ * Rows as an aligned text table: ID, name, status, the task's columns and the error of failed rows
+ */
+export function formatTable(rows, task) {
+    const columns = [['subAccountId', 'ID'], ['name', 'Sub-account'], ['status', 'Status'], ...task.columns];
+    if (rows.some((row) => row.error)) {
+        columns.push(['error', 'Error']);
+    }
+    const cell = (row, key) => {
+        if (key === 'status') {
+            return row.status === 'ok' ? '✓' : '✗';
+        }
+        return row[key] === undefined || row[key] === null ? '' : String(row[key]);
+    };
+    const widths = columns.map(([key, label]) => Math.max(label.length, ...rows.map((row) => cell(row, key).length)));
+    const line = (values) => values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+    return [
+        line(columns.map(([, label]) => label)),
+        line(widths.map((width) => '-'.repeat(width))),
+        ...rows.map((row) => line(columns.map(([key]) => cell(row, key))))
+    ].join('\n');
+}
@@ -0,0 +1,172 @@
+/**
+ * Send ledger: every message sent through this project
+ *
+ * sendMessage() appends one entry per recipient to
+ * <storage.dir>/sends.jsonl: message ID, sub-account, recipient, subject,
+ * groups, custom headers, IP pool and the time of the send. The
+ * X-Campaign-ID and X-Order-ID headers are also kept as `campaignId` and
+ * `orderId`, linking messages to campaigns and orders.
+ *
+ * Entries are only ever appended. A send repeated with the same idempotency
+ * key gets the same message ID back from SendPost; it is listed once, as
+ * first sent.
+ */
+
+import { join } from 'node:path';
+import { toCsv } from './csv.js';
+import { dateIn, parseDateSpec } from './stats.js';
+import { JsonlStore } from './store.js';
+import { normalizeEmail } from './suppressions.js';
+
+export const LEDGER_FILE = 'sends.jsonl';
+
+export const LEDGER_FORMATS = ['csv', 'json'];
+
+/** CSV columns; groups are joined with `;`, the custom headers written as JSON */
+export const LEDGER_COLUMNS = ['sentAt', 'messageId', 'subAccountId', 'to', 'name', 'from', 'subject', 'campaignId', 'orderId', 'groups', 'ipPool', 'idempotencyKey', 'headers'];
+
+// Headers set by this project for SendPost rather than describing the message
+const INTERNAL_HEADERS = ['X-Idempotency-Key'];
+
+const header = (headers, name) => {
+    const key = Object.keys(headers || {}).find((candidate) => candidate.toLowerCase() === name.toLowerCase());
+    return key ? headers[key] : undefined;
+};
+
+/**
+ * Ledger entries for a message SendPost accepted, one per recipient
+ *
+ * @param {object} emailMessage - As sent
+ * @param {object[]} responses - sendEmail responses: { messageId, to }
+ * @param {object} [options]
+ * @param {number|null} [options.subAccountId] - Sub-account whose key sent it, when known
+ * @param {Date} [options.sentAt] - When the request was made
+ * @returns {object[]}
+ */
+export function ledgerEntries(emailMessage, responses, { subAccountId = null, sentAt = new Date() } = {}) {
+    const headers = { ...emailMessage.headers };
+    const idempotencyKey = headers['X-Idempotency-Key'] || null;
+    for (const name of INTERNAL_HEADERS) {
+        delete headers[name];
+    }
+    const names = new Map((emailMessage.to || []).map((recipient) => [normalizeEmail(recipient.email), recipient.name || null]));
+    return responses.map((response) => ({
+        messageId: response.messageId,
+        sentAt: sentAt.toISOString(),
+        subAccountId,
+        to: response.to,
+        name: names.get(normalizeEmail(response.to)) ?? null,
+        from: emailMessage.from ? emailMessage.from.email : null,
+        subject: emailMessage.subject || null,
+        campaignId: header(headers, 'X-Campaign-ID') ?? null,
+        orderId: header(headers, 'X-Order-ID') ?? null,
+        groups: emailMessage.groups || [],
+        headers,
+        ipPool: emailMessage.ippool || null,
+        idempotencyKey
+    }));
+}
+
+/**
+ * Ledger entries matching every filter given, newest first
+ *
+ * @param {object[]} entries - Oldest first, as read from the ledger
+ * @param {object} [filters]
+ * @param {string} [filters.recipient] - Address, or `@domain` for every address at a domain
+ * @param {string} [filters.orderId] - X-Order-ID header
+ * @param {string} [filters.campaignId] - X-Campaign-ID header
+ * @param {string} [filters.group] - One of the message's groups
+ * @param {number} [filters.subAccountId]
+ * @param {string} [filters.since] - First day, a date spec such as 2024-03-01 or 7d
+ * @param {string} [filters.until] - Last day
+ * @param {string} [filters.timeZone='UTC'] - Zone the days are counted in
+ * @returns {object[]}
+ */
+export function queryLedger(entries, { recipient, orderId, campaignId, group, subAccountId, since, until, timeZone = 'UTC' } = {}) {
+    const wanted = recipient && normalizeEmail(recipient);
+    const first = since && parseDateSpec(since, { timeZone });
+    const last = until && parseDateSpec(until, { timeZone });
+    // Null when the entry has neither, which no filter matches
+    const linked = (entry, field, name) => {
+        const value = entry[field] ?? header(entry.headers, name);
+        return value === undefined || value === null ? null : String(value);
+    };
+    const seen = new Set();
+    const matches = [];
+    for (const entry of entries) {
+        if (seen.has(entry.messageId)) {
+            continue;
+        }
+        seen.add(entry.messageId);
+        const address = normalizeEmail(entry.to);
+        const day = dateIn(timeZone, new Date(entry.sentAt));
+        if ((wanted && (wanted.startsWith('@') ? !address.endsWith(wanted) : address !== wanted))
+            || (orderId !== undefined && linked(entry, 'orderId', 'X-Order-ID') !== String(orderId))
+            || (campaignId !== undefined && linked(entry, 'campaignId', 'X-Campaign-ID') !== String(campaignId))
+            || (group !== undefined && !(entry.groups || []).includes(group))
+            || (subAccountId !== undefined && String(entry.subAccountId) !== String(subAccountId))
+            || (first && day < first)
+            || (last && day > last)) {
+            continue;
+        }
+        matches.push(entry);
+    }
+    return matches.reverse();
+}
+
+/**
+ * Ledger entries as CSV or JSON
+ *
+ * @param {object[]} entries
+ * @param {string} format - One of LEDGER_FORMATS
+ */
+export function formatLedger(entries, format) {
+    if (format === 'json') {
+        return `${JSON.stringify(entries, null, 2)}\n`;
+    }
+    return toCsv(entries.map((entry) => ({
+        ...entry,
+        groups: (entry.groups || []).join(';'),
+        headers: JSON.stringify(entry.headers || {})
+    })), LEDGER_COLUMNS);
+}
+
+export class SendLedger {
+    /**
+     * @param {string} path - JSON Lines file
+     */
+    constructor(path) {
+        this.store = new JsonlStore(path);
+    }
+
+    static forConfig(config) {
+        return new SendLedger(join(config.storage.dir, LEDGER_FILE));
+    }
+
+    get path() {
+        return this.store.path;
+    }
+
+    /**
+     * Add entries (see ledgerEntries)
+     */
+    async append(...entries) {
+        await this.store.append(...entries);
+    }
+
+    /**
+     * Entries matching the filters, newest first (see queryLedger)
+     */
+    async query(filters = {}) {
+        return queryLedger(await this.store.readAll(), filters);
+    }
+
+    /**
+     * The entry of a message, as first sent
+     *
+     * @returns {Promise<object|null>}
+     */
+    async find(messageId) {
+        return (await this.store.readAll()).find((entry) => entry.messageId === messageId) || null;
+    }
+}
@@ -0,0 +1,157 @@
+/**
+ * Leveled logger with a text and a JSON output mode
+ *
+ * In text mode (the default) messages are printed as they always were:
+ * errors on stderr, everything else on stdout.
+ *
+ * In JSON mode (`--output json` or log.output: json) stdout carries only
+ * machine-readable output, one JSON document per line:
+ * - step records: { type: 'step', step, status, durationMs, resources, error }
+ * - results of list commands, as JSON arrays
+ * Messages become JSON log records ({ time, level, message }) on stderr.
+ *
+ * Records and results pass through redact(), so API keys are never shown
+ * in full; messages that mention a key mask it with maskSecret().
+ */
+
+import { errorDetails, reportError } from './errors.js';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+export const OUTPUT_FORMATS = ['text', 'json'];
+
+const SECRET_KEY = /api[-_]?key|secret|password|token/i;
+
+/**
+ * A secret as it may be shown: all but the last four characters replaced by `*`
+ */
+export function maskSecret(value) {
+    if (typeof value !== 'string' || value === '') {
+        return value;
+    }
+    return value.length > 4 ? `${'*'.repeat(value.length - 4)}${value.slice(-4)}` : '*'.repeat(value.length);
+}
+
+/**
+ * Deep copy of a value with every secret-looking property (apiKey, token,
+ * password, ...) masked
+ */
+export function redact(value) {
+    if (Array.isArray(value)) {
+        return value.map(redact);
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+            key,
+            SECRET_KEY.test(key) && typeof item === 'string' ? maskSecret(item) : redact(item)
+        ]));
+    }
+    return value;
+}
+
+export class Logger {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.output='text'] - 'text' or 'json'
+     * @param {string} [options.level='info'] - Lowest level written
+     */
+    constructor({ output = 'text', level = 'info' } = {}) {
+        this.output = output;
+        this.level = level;
+    }
+
+    /**
+     * Logger for the `log` settings
+     */
+    static forConfig(config) {
+        return new Logger(config.log);
+    }
+
+    get json() {
+        return this.output === 'json';
+    }
+
+    enabled(level) {
+        return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.level);
+    }
+
+    /**
+     * Write a message
+     *
+     * @param {string} level - One of LOG_LEVELS
+     * @param {string} [message] - Omitted for a blank line in text mode
+     * @param {object} [fields] - Extra properties of the JSON record
+     */
+    log(level, message = '', fields = {}) {
+        if (!this.enabled(level)) {
+            return;
+        }
+        if (this.json) {
+            const text = message.trim();
+            if (text !== '' || Object.keys(fields).length > 0) {
+                console.error(JSON.stringify(redact({ time: new Date().toISOString(), level, message: text, ...fields })));
+            }
+        } else if (level === 'error') {
+            console.error(message);
+        } else {
+            console.log(message);
+        }
+    }
+
+    debug(message, fields) {
+        this.log('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.log('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.log('error', message, fields);
+    }
+
+    /**
+     * Report a failure: the usual ✗ lines in text mode, one error record in JSON mode
+     *
+     * @param {import('./errors.js').EspError} error
+     */
+    failure(error) {
+        if (this.json) {
+            this.error(`Failed to ${error.action || 'complete the operation'}`, { error: errorDetails(error) });
+        } else {
+            reportError(error);
+        }
+    }
+
+    /**
+     * Emit the record of a finished step; JSON mode only
+     *
+     * @param {object} record
+     * @param {string} record.step - Method or command name
+     * @param {string} record.status - 'ok', 'failed' or 'skipped'
+     * @param {number} record.durationMs
+     * @param {object} [record.resources] - IDs of the resources the step created or selected
+     * @param {import('./errors.js').EspError} [record.error]
+     */
+    step({ error, ...record }) {
+        if (this.json) {
+            console.log(JSON.stringify(redact({ type: 'step', ...record, ...(error ? { error: errorDetails(error) } : {}) })));
+        }
+    }
+
+    /**
+     * Emit a command's result (e.g. the array a list command returns); JSON mode only
+     */
+    result(data) {
+        if (this.json) {
+            console.log(JSON.stringify(redact(data)));
+        }
+    }
+}
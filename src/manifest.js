@@ -0,0 +1,84 @@
+/**
+ * Run manifest: every resource the workflow steps create
+ *
+ * Each ESPExample instance is one run with its own run ID. Creating a
+ * sub-account, webhook, domain or IP pool adds an entry to
+ * <storage.dir>/manifest.json; `cleanup` deletes the entries' resources and
+ * marks them deleted. Resources made by `clients apply` are meant to stay
+ * and are not recorded.
+ */
+
+import { join } from 'node:path';
+import { JsonFileStore } from './store.js';
+
+export const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Resource kinds in the order they are deleted: nothing later in the list
+ * is needed by anything before it (domains and pools go before the
+ * sub-account they belong to or route for)
+ */
+export const DELETE_ORDER = ['webhook', 'ipPool', 'domain', 'subAccount'];
+
+export const KIND_LABELS = { subAccount: 'sub-account', webhook: 'webhook', domain: 'domain', ipPool: 'IP pool' };
+
+export function newRunId(now = new Date()) {
+    return `run-${now.toISOString().replace(/[:.]/g, '-')}`;
+}
+
+export class RunManifest {
+    /**
+     * @param {JsonFileStore} store
+     */
+    constructor(store) {
+        this.store = store;
+    }
+
+    /**
+     * The manifest kept under storage.dir
+     */
+    static forConfig(config) {
+        return new RunManifest(new JsonFileStore(join(config.storage.dir, MANIFEST_FILE), () => ({ resources: [] })));
+    }
+
+    /**
+     * Record a created resource
+     *
+     * @param {object} entry
+     * @param {string} entry.runId
+     * @param {string} entry.kind - One of DELETE_ORDER
+     * @param {number|string} entry.id
+     * @param {string} [entry.name]
+     * @param {number} [entry.subAccountId] - For domains: the sub-account they were added to, null for the configured one
+     */
+    async record({ runId, kind, id, name = null, subAccountId = null }) {
+        await this.store.update((document) => {
+            document.resources.push({ runId, kind, id, name, subAccountId, createdAt: new Date().toISOString(), deletedAt: null });
+        });
+    }
+
+    /**
+     * Recorded resources not deleted yet, optionally of one run
+     */
+    async pending({ runId } = {}) {
+        const { resources } = await this.store.load();
+        return resources.filter((resource) => !resource.deletedAt && (!runId || resource.runId === runId));
+    }
+
+    async markDeleted(kind, id) {
+        await this.store.update((document) => {
+            for (const resource of document.resources) {
+                if (resource.kind === kind && String(resource.id) === String(id) && !resource.deletedAt) {
+                    resource.deletedAt = new Date().toISOString();
+                }
+            }
+        });
+    }
+}
+
+/**
+ * Sort resources into deletion order
+ */
+export function inDeleteOrder(resources) {
+    return [...resources].sort((a, b) => DELETE_ORDER.indexOf(a.kind) - DELETE_ORDER.indexOf(b.kind));
+}
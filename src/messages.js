@@ -0,0 +1,80 @@
+/**
+ * Message timelines
+ *
+ * `messages show` merges the message's send ledger entry (see ledger.js),
+ * what SendPost stores about it (getMessageById) and the webhook events
+ * `webhooks listen` received for it into one timeline: sent → processed →
+ * delivered or bounced → opened → clicked.
+ */
+
+import { parseTimestamp } from './webhooks/events.js';
+
+// Order of entries at the same instant: where the message got to
+const STAGES = ['sent', 'submitted', 'processed', 'dropped', 'softBounced', 'hardBounced', 'delivered', 'opened', 'clicked', 'unsubscribed', 'spam'];
+
+const GLYPHS = {
+    sent: '→',
+    submitted: '→',
+    dropped: '✗',
+    hardBounced: '✗',
+    softBounced: '⚠️ ',
+    unsubscribed: '⊘',
+    spam: '⊘'
+};
+
+function eventDetail(event) {
+    const parts = [];
+    if (event.reason) {
+        parts.push(event.smtpCode ? `${event.smtpCode} ${event.reason}` : event.reason);
+    }
+    if (event.url) {
+        parts.push(event.url);
+    }
+    if (event.ip || event.userAgent) {
+        parts.push([event.ip, event.userAgent].filter(Boolean).join(' '));
+    }
+    return parts.join(', ');
+}
+
+/**
+ * Everything known about a message, in the order it happened
+ *
+ * @param {object} sources
+ * @param {object|null} [sources.record] - Send ledger entry
+ * @param {object|null} [sources.message] - getMessageById result
+ * @param {object[]} [sources.events] - Stored webhook events for the message; repeated deliveries are listed once
+ * @returns {Array<{at: string, stage: string, source: string, detail: string}>} source: local, sendpost or webhook
+ */
+export function buildTimeline({ record = null, message = null, events = [] }) {
+    const entries = [];
+    if (record) {
+        entries.push({ at: record.sentAt, stage: 'sent', source: 'local', detail: `to ${record.to}${record.subject ? `: ${record.subject}` : ''}` });
+    }
+    const submittedAt = message && parseTimestamp(message.submittedAt);
+    if (submittedAt) {
+        const detail = [
+            message.publicIP && `IP ${message.publicIP}`,
+            message.ipPool && `pool ${message.ipPool}`,
+            message.attempt && `attempt ${message.attempt}`
+        ].filter(Boolean).join(', ');
+        entries.push({ at: submittedAt.toISOString(), stage: 'submitted', source: 'sendpost', detail });
+    }
+    const seen = new Set();
+    for (const event of events) {
+        const key = event.eventId ?? `${event.type}@${event.timestamp}`;
+        if (seen.has(key)) {
+            continue;
+        }
+        seen.add(key);
+        entries.push({ at: event.timestamp, stage: event.type, source: 'webhook', detail: eventDetail(event) });
+    }
+    return entries.sort((a, b) => a.at.localeCompare(b.at) || STAGES.indexOf(a.stage) - STAGES.indexOf(b.stage));
+}
+
+/**
+ * Timeline as text, one line per entry
+ */
+export function formatTimeline(entries) {
+    return entries.map(({ at, stage, source, detail }) =>
+        `  ${at.replace('T', ' ').replace(/\.\d+Z$/, 'Z')}  ${GLYPHS[stage] || '✓'} ${stage.padEnd(12)} ${source.padEnd(8)} ${detail}`.trimEnd()).join('\n');
+}
@@ -0,0 +1,298 @@
+/**
+ * Deliverability health monitor
+ *
+ * Every cycle fetches the stats of the last monitor.days days for the
+ * account, each sub-account and each IP pool (the sum of the sub-accounts
+ * routed through it, taken from client specs), computes bounce and spam
+ * complaint rates and compares them with monitor.thresholds. Targets that
+ * sent fewer than monitor.minProcessed emails are not judged.
+ *
+ * Breaches are tracked in <storage.dir>/monitor-state.json: a breach alerts
+ * once when it starts, again every monitor.renotifyMs while it lasts, and
+ * once more when it is resolved. Alerts go to every sink in monitor.sinks
+ * (see ALERT_SINKS); a failing sink does not stop the others.
+ */
+
+import { join } from 'node:path';
+import { EspError, PrerequisiteError } from './errors.js';
+import { withRates } from './stats.js';
+import { JsonFileStore, JsonlStore } from './store.js';
+
+export const MONITOR_STATE_FILE = 'monitor-state.json';
+
+export const ALERTS_FILE = 'alerts.jsonl';
+
+/** Rates the monitor judges, with their labels */
+export const MONITORED_RATES = { bounceRate: 'bounce rate', spamRate: 'spam complaint rate' };
+
+const SCOPE_LABELS = { account: 'Account', subAccount: 'Sub-account', ipPool: 'IP pool' };
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+const percent = (value) => `${(value * 100).toFixed(2)}%`;
+
+/**
+ * Rates above their threshold
+ *
+ * @param {Array<{scope: string, id: number|string, name: string, stats: object}>} targets
+ * @param {object} options
+ * @param {object} options.thresholds - { bounceRate, spamRate }
+ * @param {number} [options.minProcessed=0] - Targets with fewer processed emails are skipped
+ * @returns {object[]} Breaches: { key, scope, id, name, metric, value, threshold, processed }
+ */
+export function evaluate(targets, { thresholds, minProcessed = 0 }) {
+    const breaches = [];
+    for (const { scope, id, name, stats } of targets) {
+        const rates = withRates(stats);
+        if (rates.processed < minProcessed) {
+            continue;
+        }
+        for (const metric of Object.keys(MONITORED_RATES)) {
+            const value = rates[metric];
+            if (value !== null && value > thresholds[metric]) {
+                breaches.push({ key: `${scope}:${id}:${metric}`, scope, id, name, metric, value, threshold: thresholds[metric], processed: rates.processed });
+            }
+        }
+    }
+    return breaches;
+}
+
+/**
+ * One line describing an alert
+ */
+export function formatAlert(alert) {
+    const target = `${SCOPE_LABELS[alert.scope]} ${alert.scope === 'account' ? '' : `${alert.id}${alert.name ? ` (${alert.name})` : ''}`}`.trim();
+    const metric = MONITORED_RATES[alert.metric];
+    const window = `${alert.from} to ${alert.to}`;
+    if (alert.type === 'resolved') {
+        return `✓ ${target}: ${metric} is back within ${percent(alert.threshold)} (breached since ${alert.since})`;
+    }
+    const still = alert.type === 'reminder' ? ` still, since ${alert.since}` : '';
+    return `⚠️  ${target}: ${metric} ${percent(alert.value)} exceeds ${percent(alert.threshold)}${still} (${alert.processed} processed, ${window})`;
+}
+
+/**
+ * Breaches alerted so far, persisted between cycles and runs
+ */
+export class AlertState {
+    /**
+     * @param {JsonFileStore} store
+     */
+    constructor(store) {
+        this.store = store;
+    }
+
+    /**
+     * The state kept under storage.dir
+     */
+    static forConfig(config) {
+        return new AlertState(new JsonFileStore(join(config.storage.dir, MONITOR_STATE_FILE), () => ({ active: {} })));
+    }
+
+    /**
+     * Record this cycle's breaches and work out which alerts to send
+     *
+     * @param {object[]} breaches - From evaluate()
+     * @param {object} [options]
+     * @param {number} [options.renotifyMs=0] - Remind about a lasting breach this often; 0 never
+     * @param {Date} [options.now]
+     * @returns {Promise<object[]>} Alerts: the breach or its last known values, with type 'breach', 'reminder' or 'resolved' and `since`
+     */
+    async update(breaches, { renotifyMs = 0, now = new Date() } = {}) {
+        const alerts = [];
+        const at = now.toISOString();
+        await this.store.update((document) => {
+            const current = new Set(breaches.map((breach) => breach.key));
+            for (const breach of breaches) {
+                const known = document.active[breach.key];
+                if (!known) {
+                    document.active[breach.key] = { ...breach, since: at, lastAlertAt: at };
+                    alerts.push({ type: 'breach', ...breach, since: at });
+                    continue;
+                }
+                Object.assign(known, breach);
+                if (renotifyMs > 0 && now - new Date(known.lastAlertAt) >= renotifyMs) {
+                    known.lastAlertAt = at;
+                    alerts.push({ type: 'reminder', ...breach, since: known.since });
+                }
+            }
+            for (const [key, known] of Object.entries(document.active)) {
+                if (!current.has(key)) {
+                    delete document.active[key];
+                    const { lastAlertAt, ...last } = known;
+                    alerts.push({ type: 'resolved', ...last });
+                }
+            }
+        });
+        return alerts.map((alert) => ({ ...alert, at }));
+    }
+}
+
+/**
+ * Alert sinks by name. Each factory receives the config and the logger and
+ * returns { name, send(alert) }; add an entry to support another destination.
+ */
+export const ALERT_SINKS = {
+    stdout: (config, logger) => ({
+        name: 'stdout',
+        send: async (alert) => {
+            if (logger.json) {
+                logger.result({ type: 'alert', ...alert });
+            } else {
+                console.log(formatAlert(alert));
+            }
+        }
+    }),
+    file: (config) => {
+        const store = new JsonlStore(config.monitor.alertFile || join(config.storage.dir, ALERTS_FILE));
+        return { name: 'file', send: (alert) => store.append(alert) };
+    },
+    webhook: (config) => {
+        const url = config.monitor.webhookUrl;
+        if (!url) {
+            throw new PrerequisiteError('monitor.sinks includes webhook but monitor.webhookUrl is not set', {
+                action: 'start the monitor',
+                hint: 'Set SENDPOST_MONITOR_WEBHOOK_URL or monitor.webhookUrl in the config file.'
+            });
+        }
+        return {
+            name: 'webhook',
+            send: async (alert) => {
+                const response = await fetch(url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ ...alert, text: formatAlert(alert) }),
+                    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+                });
+                if (!response.ok) {
+                    throw new Error(`${url} responded with ${response.status}`);
+                }
+            }
+        };
+    }
+};
+
+/**
+ * The sinks named in monitor.sinks
+ */
+export function createSinks(config, logger) {
+    return config.monitor.sinks.split(',').map((name) => name.trim()).filter(Boolean).map((name) => ALERT_SINKS[name](config, logger));
+}
+
+/**
+ * Send every alert to every sink; a sink failing is logged and does not stop the others
+ *
+ * @returns {Promise<number>} Deliveries that failed
+ */
+export async function deliver(alerts, sinks, logger) {
+    let failed = 0;
+    for (const alert of alerts) {
+        for (const sink of sinks) {
+            try {
+                await sink.send(alert);
+            } catch (error) {
+                failed++;
+                logger.warn(`⚠️  Alert sink "${sink.name}" failed: ${error.message}`);
+            }
+        }
+    }
+    return failed;
+}
+
+/**
+ * Run one monitor cycle: fetch, evaluate, update the alert state and alert
+ *
+ * @param {import('../ESPExample.js').ESPExample} example
+ * @param {object} options
+ * @param {AlertState} options.state
+ * @param {object[]} options.sinks
+ * @param {object} [options.pools] - { poolName: [subAccountName, ...] }
+ * @returns {Promise<{breaches: object[], alerts: object[]}>}
+ */
+export async function monitorCycle(example, { state, sinks, pools = {} }) {
+    const { monitor } = example.config;
+    const { range, targets } = await example.checkHealth({ pools });
+    const breaches = evaluate(targets, { thresholds: monitor.thresholds, minProcessed: monitor.minProcessed });
+    const alerts = (await state.update(breaches, { renotifyMs: monitor.renotifyMs }))
+        .map((alert) => ({ ...alert, from: range.from, to: range.to }));
+    await deliver(alerts, sinks, example.logger);
+
+    const status = breaches.length === 0 ? '✓ All within thresholds' : `⚠️  ${breaches.length} threshold breach(es)`;
+    example.logger.info(`${status}: checked ${targets.length} target(s), ${range.from} to ${range.to}; ${alerts.length} alert(s) sent`);
+    return { breaches, alerts };
+}
+
+/**
+ * IP pools and the sub-accounts routed through them, from client specs
+ *
+ * @param {object[]} specs - Normalized client specs (see clients.js)
+ * @returns {object} { poolName: [subAccountName, ...] }
+ */
+export function poolsFromSpecs(specs) {
+    const pools = {};
+    for (const spec of specs) {
+        if (spec.ipPool) {
+            (pools[spec.ipPool.name] ||= []).push(spec.subAccount.name);
+        }
+    }
+    return pools;
+}
+
+/**
+ * Run monitor cycles every monitor.intervalMs until SIGINT/SIGTERM, or once
+ *
+ * A failed cycle (e.g. SendPost unreachable) is reported and the next one
+ * runs as usual; with `once` it is thrown.
+ *
+ * @param {import('../ESPExample.js').ESPExample} example
+ * @param {object} [options]
+ * @param {boolean} [options.once=false]
+ * @param {number} [options.intervalMs]
+ * @param {object} [options.pools] - See poolsFromSpecs()
+ * @returns {Promise<object[]>} Breaches of the last cycle
+ */
+export async function runMonitor(example, { once = false, intervalMs = example.config.monitor.intervalMs, pools = {} } = {}) {
+    const sinks = createSinks(example.config, example.logger);
+    const state = AlertState.forConfig(example.config);
+    if (once) {
+        return (await monitorCycle(example, { state, sinks, pools })).breaches;
+    }
+
+    let stopped = false;
+    let wake = () => {};
+    const stop = () => {
+        stopped = true;
+        wake();
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+    example.logger.info(`✓ Monitoring every ${Math.round(intervalMs / 1000)}s. Press Ctrl+C to stop.`);
+
+    let breaches = [];
+    try {
+        while (!stopped) {
+            try {
+                ({ breaches } = await monitorCycle(example, { state, sinks, pools }));
+            } catch (error) {
+                if (!(error instanceof EspError)) {
+                    throw error;
+                }
+                example.logger.failure(error);
+            }
+            if (!stopped) {
+                await new Promise((resolve) => {
+                    const timer = setTimeout(resolve, intervalMs);
+                    wake = () => {
+                        clearTimeout(timer);
+                        resolve();
+                    };
+                });
+            }
+        }
+    } finally {
+        process.off('SIGINT', stop);
+        process.off('SIGTERM', stop);
+    }
+    example.logger.info('\n✓ Monitor stopped');
+    return breaches;
+}
@@ -0,0 +1,256 @@
+/**
+ * IP pool settings
+ *
+ * Routing is round robin over the pool's IPs (strategy 0) or by mailbox
+ * provider (1). With provider routing, each provider may be given its own IPs
+ * from the pool; providers without an assignment use all of them. The
+ * assignment is sent to SendPost as the pool's routingMetaData (JSON).
+ *
+ * With overflow strategy 1, mail the pool cannot take goes to another pool,
+ * overflowPoolName.
+ *
+ * resolvePoolSettings() checks a change against the account's IPs and pools
+ * before anything is sent to SendPost, so a bad value never reaches the API.
+ */
+
+import { EspError, EXIT_CODES, PrerequisiteError } from './errors.js';
+
+/** Routing strategies by the names the command line accepts */
+export const ROUTING_STRATEGIES = { 'round-robin': 0, 'email-provider': 1 };
+
+/** Overflow strategies by name */
+export const OVERFLOW_STRATEGIES = { none: 0, pool: 1 };
+
+/** Providers that can be given their own IPs under email-provider routing */
+export const EMAIL_PROVIDERS = ['gmail', 'yahoo', 'microsoft', 'apple', 'aol', 'other'];
+
+const STRATEGY_LABELS = { routingStrategy: ['RoundRobin', 'EmailProviderStrategy'], overflowStrategy: ['None', 'Overflow pool'] };
+
+/**
+ * Raised when a pool change fails validation. `issues` lists every problem found.
+ */
+export class PoolSettingsError extends EspError {
+    constructor(pool, issues) {
+        super(`Invalid settings for IP pool ${pool}:\n${issues.map((issue) => `  - ${issue}`).join('\n')}`, {
+            action: 'check IP pool settings',
+            hint: 'Run "ips list" and "pools list" to see the account\'s IPs and pools.'
+        });
+        this.issues = issues;
+        this.exitCode = EXIT_CODES.USAGE;
+    }
+}
+
+/**
+ * A strategy given by name or number
+ *
+ * @param {string|number} value - e.g. 'email-provider', '1' or 1
+ * @param {object} strategies - ROUTING_STRATEGIES or OVERFLOW_STRATEGIES
+ * @returns {number|null} Null when the value is not one of them
+ */
+export function parseStrategy(value, strategies) {
+    if (Object.hasOwn(strategies, value)) {
+        return strategies[value];
+    }
+    const number = Number(value);
+    return String(value).trim() !== '' && Object.values(strategies).includes(number) ? number : null;
+}
+
+/**
+ * Parse `provider=ip,ip`; an empty IP list clears the provider's assignment
+ *
+ * @returns {{provider: string, ips: string[]}|null} Null when the text is not in that form
+ */
+export function parseProviderAssignment(text) {
+    const match = /^([a-z]+)=(.*)$/.exec(String(text).trim());
+    if (!match) {
+        return null;
+    }
+    return { provider: match[1], ips: match[2].split(',').map((ip) => ip.trim()).filter(Boolean) };
+}
+
+/**
+ * A pool by ID or name
+ *
+ * @throws {PrerequisiteError} When there is no such pool
+ */
+export function findPool(pools, ref) {
+    const pool = pools.find((candidate) => String(candidate.id) === String(ref) || candidate.name === ref);
+    if (!pool) {
+        throw new PrerequisiteError(`No IP pool "${ref}"`, { action: 'find IP pool', hint: 'Check the name or ID against "pools list".' });
+    }
+    return pool;
+}
+
+/**
+ * Pools that overflow into the named pool
+ */
+export function overflowDependents(pools, name) {
+    return pools.filter((pool) => pool.overflowStrategy === OVERFLOW_STRATEGIES.pool && pool.overflowPoolName === name);
+}
+
+/**
+ * Provider assignments in EMAIL_PROVIDERS order with sorted IPs, leaving out empty ones
+ */
+function orderedAssignments(assignments) {
+    const ordered = {};
+    for (const provider of EMAIL_PROVIDERS) {
+        const ips = assignments[provider];
+        if (Array.isArray(ips) && ips.length > 0) {
+            ordered[provider] = [...ips].map(String).sort();
+        }
+    }
+    return ordered;
+}
+
+/**
+ * A pool's provider assignment, from its routingMetaData
+ *
+ * @returns {object} { provider: [publicIP, ...] }
+ */
+export function providerAssignments(pool) {
+    if (!pool || !pool.routingMetaData) {
+        return {};
+    }
+    try {
+        const parsed = JSON.parse(pool.routingMetaData);
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? orderedAssignments(parsed) : {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Work out and check a pool's settings after a change
+ *
+ * @param {object|null} current - The pool as SendPost reports it; null for a new pool
+ * @param {object} change - Only the fields given are changed
+ * @param {string} [change.name]
+ * @param {string|number} [change.routingStrategy] - Name or number (see ROUTING_STRATEGIES)
+ * @param {number} [change.warmupInterval] - Hours
+ * @param {string} [change.overflow] - Name of the overflow pool, or 'none'
+ * @param {string[]} [change.ips] - Replaces the pool's IPs
+ * @param {string[]} [change.addIps]
+ * @param {string[]} [change.removeIps]
+ * @param {object} [change.providers] - { provider: [publicIP, ...] }; an empty list clears a provider
+ * @param {object} account
+ * @param {string[]} account.ips - Public IPs allocated to the account
+ * @param {object[]} account.pools - The account's pools
+ * @param {object} defaults - pool.* settings, used for a new pool
+ * @returns {object} { name, routingStrategy, warmupInterval, overflowStrategy, overflowPoolName, ips, providers }
+ * @throws {PoolSettingsError}
+ */
+export function resolvePoolSettings(current, change, { ips: available, pools }, defaults) {
+    const issues = [];
+    const name = change.name === undefined ? current && current.name : String(change.name).trim();
+    if (!name) {
+        issues.push('a name is required');
+    } else if (pools.some((pool) => pool.name === name && (!current || pool.id !== current.id))) {
+        issues.push(`another pool is already named "${name}"`);
+    }
+
+    let routingStrategy = current ? current.routingStrategy : defaults.routingStrategy;
+    if (change.routingStrategy !== undefined) {
+        routingStrategy = parseStrategy(change.routingStrategy, ROUTING_STRATEGIES);
+        if (routingStrategy === null) {
+            issues.push(`routing strategy must be ${Object.entries(ROUTING_STRATEGIES).map(([label, value]) => `${label} (${value})`).join(' or ')}, got "${change.routingStrategy}"`);
+        }
+    }
+
+    const warmupInterval = change.warmupInterval === undefined ? (current ? current.warmupInterval : defaults.warmupInterval) : change.warmupInterval;
+    if (!Number.isInteger(warmupInterval) || warmupInterval <= 0) {
+        issues.push(`warmup interval must be a number of hours greater than 0, got ${JSON.stringify(warmupInterval)}`);
+    }
+
+    const ips = new Set(change.ips || (current ? (current.ips || []).map((ip) => ip.publicIP) : []));
+    for (const ip of [...(change.ips || []), ...(change.addIps || [])]) {
+        if (!available.includes(ip)) {
+            issues.push(`${ip} is not an IP of this account`);
+        }
+        ips.add(ip);
+    }
+    for (const ip of change.removeIps || []) {
+        if (!ips.delete(ip)) {
+            issues.push(`${ip} is not in the pool`);
+        }
+    }
+    if (ips.size === 0) {
+        issues.push('a pool needs at least one IP');
+    }
+
+    const requested = change.providers || {};
+    for (const [provider, assigned] of Object.entries(requested)) {
+        if (!EMAIL_PROVIDERS.includes(provider)) {
+            issues.push(`unknown provider "${provider}"; expected one of ${EMAIL_PROVIDERS.join(', ')}`);
+        }
+        for (const ip of assigned.filter((candidate) => !ips.has(candidate))) {
+            issues.push(`${ip}, assigned to ${provider}, is not in the pool`);
+        }
+    }
+    if (Object.values(requested).some((assigned) => assigned.length > 0)) {
+        if (change.routingStrategy === undefined) {
+            routingStrategy = ROUTING_STRATEGIES['email-provider'];
+        } else if (routingStrategy === ROUTING_STRATEGIES['round-robin']) {
+            issues.push('provider assignments need email-provider routing');
+        }
+    }
+    // IPs leaving the pool leave their assignments too; round robin has none
+    const merged = Object.entries({ ...providerAssignments(current), ...requested })
+        .map(([provider, assigned]) => [provider, assigned.filter((ip) => ips.has(ip))]);
+    const providers = routingStrategy === ROUTING_STRATEGIES['email-provider'] ? orderedAssignments(Object.fromEntries(merged)) : {};
+
+    let overflowStrategy = current ? current.overflowStrategy || 0 : defaults.overflowStrategy;
+    let overflowPoolName = null;
+    if (overflowStrategy === OVERFLOW_STRATEGIES.pool) {
+        overflowPoolName = (current ? current.overflowPoolName : defaults.overflowPoolName) || null;
+    }
+    if (change.overflow !== undefined) {
+        overflowStrategy = change.overflow === 'none' ? OVERFLOW_STRATEGIES.none : OVERFLOW_STRATEGIES.pool;
+        overflowPoolName = change.overflow === 'none' ? null : change.overflow;
+    }
+    if (overflowStrategy === OVERFLOW_STRATEGIES.pool) {
+        const target = pools.find((pool) => pool.name === overflowPoolName);
+        if (!overflowPoolName) {
+            issues.push('overflow to a pool needs the name of that pool');
+        } else if (!target) {
+            issues.push(`overflow pool "${overflowPoolName}" does not exist`);
+        } else if (target.name === name || (current && target.id === current.id)) {
+            issues.push('a pool cannot overflow into itself');
+        } else if (target.overflowStrategy === OVERFLOW_STRATEGIES.pool && target.overflowPoolName === name) {
+            issues.push(`"${overflowPoolName}" overflows into this pool; overflowing back would loop`);
+        }
+    }
+
+    if (issues.length > 0) {
+        throw new PoolSettingsError(name || (current && current.name) || 'new pool', issues);
+    }
+    return { name, routingStrategy, warmupInterval, overflowStrategy, overflowPoolName, ips: [...ips].sort(), providers };
+}
+
+/**
+ * The fields a change would alter, with their old and new values
+ *
+ * @param {object|null} current - SendPost's pool
+ * @param {object} settings - From resolvePoolSettings()
+ * @returns {Array<{field: string, from: *, to: *}>}
+ */
+export function poolDiff(current, settings) {
+    const before = current ? {
+        name: current.name,
+        routingStrategy: current.routingStrategy,
+        warmupInterval: current.warmupInterval,
+        overflowStrategy: current.overflowStrategy || 0,
+        overflowPoolName: current.overflowStrategy ? current.overflowPoolName || null : null,
+        ips: (current.ips || []).map((ip) => ip.publicIP).sort(),
+        providers: providerAssignments(current)
+    } : {};
+    return Object.keys(settings)
+        .filter((field) => JSON.stringify(before[field]) !== JSON.stringify(settings[field]))
+        .map((field) => ({ field, from: before[field], to: settings[field] }));
+}
+
+/**
+ * A strategy value with its label, e.g. "1 (EmailProviderStrategy)"
+ */
+export function strategyLabel(field, value) {
+    return `${value} (${STRATEGY_LABELS[field][value] || 'unknown'})`;
+}
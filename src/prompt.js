@@ -0,0 +1,24 @@
+/**
+ * Interactive confirmation for destructive commands
+ */
+
+import { createInterface } from 'node:readline/promises';
+
+/**
+ * Ask a yes/no question on the terminal; anything but y/yes is a no
+ *
+ * @param {string} question
+ * @param {object} [streams]
+ * @param {import('node:stream').Readable} [streams.input=process.stdin]
+ * @param {import('node:stream').Writable} [streams.output=process.stdout]
+ * @returns {Promise<boolean>}
+ */
+export async function confirm(question, { input = process.stdin, output = process.stdout } = {}) {
+    const readline = createInterface({ input, output });
+    try {
+        const answer = await readline.question(`${question} [y/N] `);
+        return /^y(es)?$/i.test(answer.trim());
+    } finally {
+        readline.close();
+    }
+}
@@ -0,0 +1,611 @@
+/**
+ * Scheduled sends: a local job queue and the worker draining it
+ *
+ * A job sends one email (the transactional or marketing example) or a batch
+ * (see batch.js) at its send time. Jobs are kept one file each under
+ * <storage.dir>/queue/, so `queue add` can run while a worker is draining.
+ * Run a single worker per storage directory.
+ *
+ * Send times are absolute, relative (`30m`), or a time of day in a time
+ * zone. With a recipient-local time of day, a batch is split into one job per
+ * time zone found in the recipients' queue.timezoneField.
+ *
+ * Every job is sent with its ID as idempotency key (for batches: batch ID),
+ * so a job interrupted while sending is simply sent again. A job that fails
+ * with a transient error (or, for batches, with failed recipients) is tried
+ * again after queue.retryDelayMs, doubling each time. After queue.maxAttempts
+ * attempts, or on the first permanent error, it is dead-lettered: kept with
+ * status `dead` until `queue retry` or `queue cancel`.
+ *
+ * Sends are rate-limited per sub-account (queue.subAccountPerMinute) and per
+ * IP pool (queue.poolPerMinute), counted in emails per minute.
+ */
+
+import { randomBytes } from 'node:crypto';
+import { constants } from 'node:fs';
+import { access, mkdir, readdir, writeFile } from 'node:fs/promises';
+import { join, resolve } from 'node:path';
+import { AttachmentError } from './attachments.js';
+import { sendBatch } from './batch.js';
+import { CredentialError } from './credentials.js';
+import { EspError, PrerequisiteError, toEspError } from './errors.js';
+import { isTransient, sleep as defaultSleep } from './retry.js';
+import { addDays, dateIn, isTimeZone } from './stats.js';
+import { JsonFileStore } from './store.js';
+import { parseDuration } from './time.js';
+
+export const QUEUE_DIR = 'queue';
+
+export const JOB_STATUSES = ['scheduled', 'paused', 'sending', 'sent', 'cancelled', 'dead'];
+
+/** Example messages an email job can send */
+export const JOB_MESSAGES = ['transactional', 'marketing'];
+
+// A batch held back by its pool's warmup cap is looked at again after this long
+const WARMUP_RECHECK_MS = 60 * 60 * 1000;
+
+const MINUTE_MS = 60 * 1000;
+
+const TIME_OF_DAY = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const LOCAL_DATE_TIME = /^(\d{4}-\d{2}-\d{2})[T ]([01]?\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Offset of a time zone from UTC at an instant, in milliseconds
+ */
+function zoneOffset(timeZone, instant) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(instant).map(({ type, value }) => [type, Number(value)]));
+    const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return local - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+/**
+ * The instant a wall-clock time occurs in a time zone
+ *
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+export function zonedInstant(date, time, timeZone) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const wall = Date.parse(`${date}T00:00:00Z`) + (hours * 60 + minutes) * MINUTE_MS;
+    // The offset at the guess can differ from the one at the result across a DST change
+    const guess = wall - zoneOffset(timeZone, new Date(wall));
+    return new Date(wall - zoneOffset(timeZone, new Date(guess)));
+}
+
+/**
+ * The next time a time of day comes around in a time zone
+ *
+ * @param {string} time - HH:MM
+ * @param {string} timeZone
+ * @param {Date} [now]
+ */
+export function nextTimeOfDay(time, timeZone, now = new Date()) {
+    const today = dateIn(timeZone, now);
+    const candidate = zonedInstant(today, time, timeZone);
+    return candidate > now ? candidate : zonedInstant(addDays(today, 1), time, timeZone);
+}
+
+/**
+ * Parse a send time: `now`, a delay (`90s`, `30m`, `2h`, `1d`), a time of day
+ * (`09:00`, the next one in the zone), a local date and time
+ * (`2024-03-10 09:00`, in the zone) or an ISO timestamp with offset
+ *
+ * @param {string} text
+ * @param {object} [options]
+ * @param {string} [options.timeZone='UTC'] - For times of day and local dates
+ * @param {Date} [options.now]
+ * @returns {Date|null} Null when the text is not a send time
+ */
+export function parseSendTime(text, { timeZone = 'UTC', now = new Date() } = {}) {
+    const value = String(text).trim();
+    if (value === 'now') {
+        return now;
+    }
+    const delay = parseDuration(value.replace(/^\+/, ''));
+    if (delay !== null) {
+        return new Date(now.getTime() + delay);
+    }
+    if (TIME_OF_DAY.test(value)) {
+        return nextTimeOfDay(value, timeZone, now);
+    }
+    const local = LOCAL_DATE_TIME.exec(value);
+    if (local) {
+        return zonedInstant(local[1], `${local[2]}:${local[3]}`, timeZone);
+    }
+    if (/^\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:?\d{2})$/.test(value) && !Number.isNaN(Date.parse(value))) {
+        return new Date(value);
+    }
+    return null;
+}
+
+/**
+ * Whether text is a time of day, HH:MM
+ */
+export const isTimeOfDay = (text) => TIME_OF_DAY.test(String(text).trim());
+
+/**
+ * When a job is to be sent
+ *
+ * @param {object} when
+ * @param {string} [when.at] - Send time (see parseSendTime), `now` by default
+ * @param {string} [when.localTime] - Time of day, HH:MM; the next one in timeZone
+ * @param {string} when.timeZone
+ * @param {Date} [now]
+ * @returns {Date}
+ * @throws {EspError} When the time cannot be read
+ */
+export function resolveSendTime({ at, localTime, timeZone }, now = new Date()) {
+    const sendAt = localTime === undefined
+        ? parseSendTime(at ?? 'now', { timeZone, now })
+        : isTimeOfDay(localTime) && nextTimeOfDay(localTime.trim(), timeZone, now);
+    if (!sendAt || !isTimeZone(timeZone)) {
+        throw new EspError(`Cannot schedule a send at "${localTime ?? at}" in time zone ${timeZone}`, {
+            action: 'schedule send',
+            hint: 'Give now, a delay such as 30m, a time of day such as 09:00, a local date and time such as 2024-03-10 09:00 or an ISO timestamp.'
+        });
+    }
+    return sendAt;
+}
+
+/**
+ * Absolute paths of attachments, checked to exist when the job is queued
+ *
+ * @throws {AttachmentError} Listing every file that cannot be read
+ */
+export async function attachmentPaths(paths) {
+    const problems = [];
+    const absolute = paths.map((path) => resolve(path));
+    for (const path of absolute) {
+        try {
+            await access(path, constants.R_OK);
+        } catch (error) {
+            problems.push(`${path}: ${error.code === 'ENOENT' ? 'no such file' : error.message}`);
+        }
+    }
+    if (problems.length > 0) {
+        throw new AttachmentError('Cannot read attachments', { problems });
+    }
+    return absolute;
+}
+
+/**
+ * Group recipients by the time zone in one of their fields
+ *
+ * @param {object[]} recipients - From readRecipients()
+ * @param {string} field - Recipient field, top-level or custom, holding the zone
+ * @param {string} fallback - Zone of recipients without a valid one
+ * @returns {{groups: Map<string, object[]>, invalid: number}} invalid: recipients given the fallback zone
+ */
+export function groupByTimeZone(recipients, field, fallback) {
+    const groups = new Map();
+    let invalid = 0;
+    for (const recipient of recipients) {
+        const value = recipient[field] ?? (recipient.customFields || {})[field];
+        const zone = value && isTimeZone(value) ? value : fallback;
+        if (zone !== value) {
+            invalid++;
+        }
+        groups.set(zone, [...(groups.get(zone) || []), recipient]);
+    }
+    return { groups, invalid };
+}
+
+export const newJobId = () => `job-${Date.now().toString(36)}-${randomBytes(3).toString('hex')}`;
+
+/**
+ * Sliding one-minute window of emails sent
+ */
+export class RateLimiter {
+    /**
+     * @param {number} perMinute - 0 for no limit
+     * @param {object} [options]
+     * @param {function(): number} [options.now]
+     * @param {function(number): Promise} [options.sleep]
+     */
+    constructor(perMinute, { now = Date.now, sleep = defaultSleep } = {}) {
+        this.perMinute = perMinute;
+        this.now = now;
+        this.sleep = sleep;
+        this.sent = [];
+    }
+
+    /**
+     * Wait until `count` more emails fit in the last minute, then count them
+     *
+     * More than perMinute at once go through when the window is empty.
+     */
+    async acquire(count) {
+        if (this.perMinute <= 0) {
+            return;
+        }
+        for (;;) {
+            const cutoff = this.now() - MINUTE_MS;
+            this.sent = this.sent.filter((entry) => entry.at > cutoff);
+            const used = this.sent.reduce((sum, entry) => sum + entry.count, 0);
+            if (this.sent.length === 0 || used + count <= this.perMinute) {
+                break;
+            }
+            await this.sleep(this.sent[0].at - cutoff);
+        }
+        this.sent.push({ at: this.now(), count });
+    }
+}
+
+/**
+ * Jobs kept under storage.dir, one file each
+ */
+export class JobQueue {
+    /**
+     * @param {string} dir
+     */
+    constructor(dir) {
+        this.dir = dir;
+    }
+
+    static forConfig(config) {
+        return new JobQueue(join(config.storage.dir, QUEUE_DIR));
+    }
+
+    store(id) {
+        return new JsonFileStore(join(this.dir, `${id}.json`), () => null);
+    }
+
+    /**
+     * Save a new job
+     *
+     * @param {object} fields - kind, params, sendAt, size (emails it sends) and the optional id, subAccountId, pool and label
+     * @returns {Promise<object>} The job
+     */
+    async add({ id = newJobId(), kind, params, sendAt, size = 1, subAccountId = null, pool = null, label = null }) {
+        const now = new Date().toISOString();
+        const job = {
+            id,
+            kind,
+            label,
+            params,
+            size,
+            subAccountId,
+            pool,
+            sendAt: sendAt.toISOString(),
+            status: 'scheduled',
+            attempts: 0,
+            nextAttemptAt: null,
+            lastError: null,
+            result: null,
+            history: [{ at: now, event: 'scheduled' }],
+            createdAt: now,
+            updatedAt: now
+        };
+        await this.store(job.id).save(job);
+        return job;
+    }
+
+    /**
+     * Write the recipients of one batch job to a JSON Lines file of its own
+     *
+     * @returns {Promise<string>} The file
+     */
+    async writeRecipients(id, recipients) {
+        await mkdir(this.dir, { recursive: true });
+        const path = join(this.dir, `${id}.recipients.jsonl`);
+        await writeFile(path, recipients.map((recipient) => JSON.stringify(recipient)).join('\n'));
+        return path;
+    }
+
+    /**
+     * Jobs by send time, optionally only those with a status
+     */
+    async list({ status } = {}) {
+        let files;
+        try {
+            files = await readdir(this.dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+        const jobs = [];
+        for (const file of files.filter((name) => /^job-[\w-]+\.json$/.test(name))) {
+            const job = await this.store(file.slice(0, -'.json'.length)).load();
+            if (job && (!status || job.status === status)) {
+                jobs.push(job);
+            }
+        }
+        return jobs.sort((a, b) => a.sendAt.localeCompare(b.sendAt) || a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * @throws {PrerequisiteError} When there is no such job
+     */
+    async get(id) {
+        const job = /^job-[\w-]+$/.test(id) ? await this.store(id).load() : null;
+        if (!job) {
+            throw new PrerequisiteError(`No job "${id}" in the queue`, { action: 'find job', hint: 'Run "queue list" to see the queued jobs.' });
+        }
+        return job;
+    }
+
+    /**
+     * Change a job and note the change in its history
+     *
+     * @param {string} id
+     * @param {function(object): (string|null)} change - Mutates the job and returns the history event, or null to leave it as it was
+     * @returns {Promise<object|null>} The job, or null when nothing changed
+     */
+    async update(id, change) {
+        await this.get(id);
+        let changed = null;
+        await this.store(id).update((job) => {
+            const event = change(job);
+            if (event) {
+                job.updatedAt = new Date().toISOString();
+                job.history.push({ at: job.updatedAt, event });
+                changed = job;
+            }
+        });
+        return changed;
+    }
+}
+
+/**
+ * What each command does to a job, and the statuses it applies to
+ */
+export const JOB_ACTIONS = {
+    cancel: { from: ['scheduled', 'paused', 'dead'], to: 'cancelled' },
+    pause: { from: ['scheduled'], to: 'paused' },
+    resume: { from: ['paused'], to: 'scheduled' },
+    retry: { from: ['dead'], to: 'scheduled' }
+};
+
+/**
+ * Apply a queue command to a job
+ *
+ * @param {object} job - Changed in place
+ * @param {string} action - Key of JOB_ACTIONS
+ * @returns {string} The history event
+ * @throws {PrerequisiteError} When the job's status does not allow it
+ */
+export function applyJobAction(job, action) {
+    const { from, to } = JOB_ACTIONS[action];
+    if (!from.includes(job.status)) {
+        throw new PrerequisiteError(`Job ${job.id} is ${job.status}; only ${from.join(' or ')} jobs can be ${action === 'retry' ? 'retried' : `${action}${action.endsWith('e') ? 'd' : 'ed'}`}`, {
+            action: `${action} job`
+        });
+    }
+    job.status = to;
+    if (action === 'retry') {
+        job.attempts = 0;
+        job.nextAttemptAt = null;
+    }
+    return action === 'retry' ? 'retried' : to;
+}
+
+/**
+ * Send one job
+ *
+ * @returns {Promise<object>} The job's result: { messageId } or the batch counts
+ * @throws {EspError} With `retryable` set when a later attempt may succeed; `heldBack` when the warmup cap was reached
+ */
+async function sendJob(client, job, throttle) {
+    if (job.kind === 'email') {
+        const { message, ...params } = job.params;
+        await throttle(1);
+        const send = message === 'marketing' ? client.sendMarketingEmail : client.sendTransactionalEmail;
+        const response = await send.call(client, { ...params, idempotencyKey: job.id });
+        return { messageId: response.messageId };
+    }
+
+    const { file, ...params } = job.params;
+    const { counts, heldBack } = await sendBatch(client, file, { ...params, id: job.id, throttle });
+    const failed = (counts.failed || 0) + (counts.unknown || 0);
+    if (failed > 0) {
+        const error = new EspError(`${failed} recipient(s) of batch ${job.id} failed`, { action: 'send batch' });
+        error.retryable = true;
+        throw error;
+    }
+    const pending = counts.pending || 0;
+    if (heldBack > 0 || pending > 0) {
+        const error = new EspError(`${heldBack} chunk(s), ${pending} recipient(s), held back by an IP pool warmup cap`, { action: 'send batch' });
+        error.heldBack = true;
+        throw error;
+    }
+    return counts;
+}
+
+/**
+ * Run every due job once
+ *
+ * @param {object} example - ESPExample
+ * @param {object} options
+ * @param {JobQueue} options.queue
+ * @param {function(string, number): RateLimiter} options.limiter - Limiter by key and emails per minute
+ * @param {Date} [options.now]
+ * @returns {Promise<{sent: number, retrying: number, dead: number}>}
+ */
+export async function drainQueue(example, { queue, limiter, now = new Date() }) {
+    const { config, logger } = example;
+    const due = (await queue.list({ status: 'scheduled' }))
+        .filter((job) => new Date(job.sendAt) <= now && (!job.nextAttemptAt || new Date(job.nextAttemptAt) <= now));
+    const totals = { sent: 0, retrying: 0, dead: 0 };
+
+    for (const { id } of due) {
+        // The job may have been paused or cancelled since it was listed
+        const job = await queue.update(id, (current) => {
+            if (current.status !== 'scheduled') {
+                return null;
+            }
+            current.status = 'sending';
+            current.attempts++;
+            return 'sending';
+        });
+        if (!job) {
+            continue;
+        }
+
+        const label = `Job ${job.id}${job.label ? ` (${job.label})` : ''}`;
+        logger.info(`→ ${label}: attempt ${job.attempts} of ${config.queue.maxAttempts}`);
+        try {
+            const client = await clientFor(example, job);
+            const pool = await poolFor(client, job);
+            const throttle = async (count) => {
+                await limiter(`subAccount:${job.subAccountId ?? 'default'}`, config.queue.subAccountPerMinute).acquire(count);
+                if (pool) {
+                    await limiter(`pool:${pool}`, config.queue.poolPerMinute).acquire(count);
+                }
+            };
+            const result = await sendJob(client, job, throttle);
+            await queue.update(job.id, (current) => {
+                Object.assign(current, { status: 'sent', result, lastError: null, nextAttemptAt: null });
+                return 'sent';
+            });
+            totals.sent++;
+            logger.info(`✓ ${label}: sent ${job.size} email(s)`);
+        } catch (caught) {
+            // Anything else thrown, such as a local file error, still settles the job
+            const error = toEspError(caught, 'send job');
+            const dead = !error.heldBack && (job.attempts >= config.queue.maxAttempts || !(error.retryable || isTransient(error)));
+            const delayMs = error.heldBack ? WARMUP_RECHECK_MS : config.queue.retryDelayMs * 2 ** (job.attempts - 1);
+            await queue.update(job.id, (current) => {
+                current.lastError = error.message;
+                if (error.heldBack) {
+                    // Waiting for the cap is not a failed attempt
+                    current.attempts--;
+                }
+                current.status = dead ? 'dead' : 'scheduled';
+                current.nextAttemptAt = dead ? null : new Date(now.getTime() + delayMs).toISOString();
+                return dead ? 'dead' : `retry: ${error.message}`;
+            });
+            if (dead) {
+                totals.dead++;
+                logger.error(`✗ ${label}: ${error.message}; dead-lettered after ${job.attempts} attempt(s)`);
+            } else {
+                totals.retrying++;
+                logger.warn(`  ↻ ${label}: ${error.message}; trying again in ${Math.round(delayMs / 1000)}s`);
+            }
+        }
+    }
+    return totals;
+}
+
+/**
+ * The client a job is sent with: acting as its sub-account, if it has one
+ */
+async function clientFor(example, job) {
+    if (job.subAccountId === null || (example.actingSubAccount && example.actingSubAccount.id === job.subAccountId)) {
+        return example;
+    }
+    const entry = await example.credentials.get(job.subAccountId);
+    if (!entry) {
+        throw new CredentialError(`No API key stored for sub-account ${job.subAccountId}`, {
+            action: 'send queued job',
+            hint: `Store it with "credentials import ${job.subAccountId}", then "queue retry ${job.id}".`
+        });
+    }
+    return example.forSubAccount({ id: entry.subAccountId, name: entry.name, apiKey: entry.apiKey });
+}
+
+/**
+ * The IP pool a job goes out through: its own, else the warmup pool a batch
+ * picks (see sendBatch), else the created pool sendMessage() falls back to
+ */
+async function poolFor(client, job) {
+    if (job.pool) {
+        return job.pool;
+    }
+    const plan = job.kind === 'batch' ? await client.warmupPlan() : null;
+    return plan ? plan.pool : client.createdIPPoolName;
+}
+
+/**
+ * Put jobs a stopped worker left in `sending` back in the queue
+ *
+ * Their idempotency keys make sending them again safe.
+ *
+ * @returns {Promise<number>} Jobs recovered
+ */
+export async function recoverInterrupted(example, queue) {
+    const interrupted = await queue.list({ status: 'sending' });
+    for (const job of interrupted) {
+        await queue.update(job.id, (current) => {
+            current.status = 'scheduled';
+            return 'interrupted';
+        });
+        example.logger.warn(`  ↻ Job ${job.id} was interrupted while sending; it is sent again with the same idempotency key`);
+    }
+    return interrupted.length;
+}
+
+/**
+ * Drain the queue every intervalMs until SIGINT/SIGTERM, or once
+ *
+ * @param {object} example - ESPExample
+ * @param {object} [options]
+ * @param {boolean} [options.once=false] - Run the due jobs and return
+ * @param {number} [options.intervalMs] - queue.pollIntervalMs by default
+ * @returns {Promise<{sent: number, retrying: number, dead: number}>} Totals over every cycle
+ */
+export async function runWorker(example, { once = false, intervalMs = example.config.queue.pollIntervalMs } = {}) {
+    const queue = example.queue;
+    const limiters = new Map();
+    const limiter = (key, perMinute) => {
+        if (!limiters.has(key)) {
+            limiters.set(key, new RateLimiter(perMinute));
+        }
+        return limiters.get(key);
+    };
+    await recoverInterrupted(example, queue);
+
+    const totals = { sent: 0, retrying: 0, dead: 0 };
+    const cycle = async () => {
+        const result = await drainQueue(example, { queue, limiter });
+        for (const key of Object.keys(totals)) {
+            totals[key] += result[key];
+        }
+    };
+    if (once) {
+        await cycle();
+        return totals;
+    }
+
+    let stopped = false;
+    let wake = () => {};
+    const stop = () => {
+        stopped = true;
+        wake();
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+    example.logger.info(`✓ Draining the send queue every ${Math.round(intervalMs / 1000)}s. Press Ctrl+C to stop.`);
+
+    try {
+        while (!stopped) {
+            await cycle();
+            if (!stopped) {
+                await new Promise((resolve) => {
+                    const timer = setTimeout(resolve, intervalMs);
+                    wake = () => {
+                        clearTimeout(timer);
+                        resolve();
+                    };
+                });
+            }
+        }
+    } finally {
+        process.off('SIGINT', stop);
+        process.off('SIGTERM', stop);
+    }
+    example.logger.info(`\n✓ Worker stopped: ${totals.sent} sent, ${totals.dead} dead-lettered`);
+    return totals;
+}
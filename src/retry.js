@@ -0,0 +1,145 @@
+/**
+ * Retry and polling helpers for SendPost API calls
+ *
+ * Only transient failures are retried: rate limiting (429), server errors
+ * (5xx) and network errors. A 429 waits for the Retry-After delay when the
+ * API sends one; everything else backs off exponentially with jitter.
+ * Callers decide whether a call is safe to repeat (`idempotent`); sends are
+ * only retried when they carry an idempotency key.
+ */
+
+import { NetworkError, NotFoundError, RateLimitError, ServerError } from './errors.js';
+
+export const DEFAULT_RETRY_OPTIONS = {
+    maxAttempts: 3,
+    baseDelayMs: 500,
+    maxDelayMs: 30000,
+    jitter: 0.2
+};
+
+export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Whether an error is worth another attempt
+ */
+export function isTransient(error) {
+    return error instanceof RateLimitError || error instanceof ServerError || error instanceof NetworkError;
+}
+
+/**
+ * Delay before the next attempt
+ *
+ * @param {number} attempt - The attempt that just failed, starting at 1
+ * @param {Error} error - Its error; a RateLimitError's retryAfter wins over backoff
+ * @param {object} options - See DEFAULT_RETRY_OPTIONS
+ * @param {function(): number} [random] - Source of randomness, for tests
+ * @returns {number} Milliseconds to wait
+ */
+export function backoffDelay(attempt, error, options, random = Math.random) {
+    if (error instanceof RateLimitError && error.retryAfter !== null) {
+        return error.retryAfter;
+    }
+    const exponential = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** (attempt - 1));
+    const spread = exponential * options.jitter;
+    return Math.round(exponential - spread + random() * 2 * spread);
+}
+
+/**
+ * Run `operation` until it succeeds, the error is not transient, the call is
+ * not idempotent or the attempts run out
+ *
+ * @param {function(number): Promise} operation - Called with the attempt number
+ * @param {object} [options]
+ * @param {boolean} [options.idempotent=true] - Whether repeating the call is safe
+ * @param {number} [options.maxAttempts]
+ * @param {number} [options.baseDelayMs]
+ * @param {number} [options.maxDelayMs] - Also the longest Retry-After we are willing to wait
+ * @param {number} [options.jitter] - Fraction of the delay to randomize, 0 to 1
+ * @param {function(object): void} [options.onRetry] - Called with { attempt, delayMs, error } before waiting
+ * @param {function(number): Promise} [options.sleep]
+ */
+export async function withRetry(operation, options = {}) {
+    const settings = { ...DEFAULT_RETRY_OPTIONS, idempotent: true, sleep, ...options };
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await operation(attempt);
+        } catch (error) {
+            const delayMs = backoffDelay(attempt, error, settings);
+            const retry = settings.idempotent
+                && isTransient(error)
+                && attempt < settings.maxAttempts
+                && delayMs <= settings.maxDelayMs;
+            if (!retry) {
+                throw error;
+            }
+            if (settings.onRetry) {
+                settings.onRetry({ attempt, delayMs, error });
+            }
+            await settings.sleep(delayMs);
+        }
+    }
+}
+
+/**
+ * Call `lookup` until it stops failing with NotFoundError or the deadline passes
+ *
+ * Used for resources that exist only some time after they were created, such
+ * as a message right after sendEmail returned its ID.
+ *
+ * @param {function(): Promise} lookup
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs=30000]
+ * @param {number} [options.intervalMs=1000]
+ * @param {function(object): void} [options.onWait] - Called with { elapsedMs } before each wait
+ * @returns {Promise} The first successful lookup result
+ * @throws The last NotFoundError once the deadline has passed, or any other error immediately
+ */
+export async function pollUntilFound(lookup, { timeoutMs = 30000, intervalMs = 1000, onWait, sleep: wait = sleep, now = Date.now } = {}) {
+    const started = now();
+    for (;;) {
+        try {
+            return await lookup();
+        } catch (error) {
+            const elapsedMs = now() - started;
+            if (!(error instanceof NotFoundError) || elapsedMs + intervalMs > timeoutMs) {
+                throw error;
+            }
+            if (onWait) {
+                onWait({ elapsedMs });
+            }
+            await wait(intervalMs);
+        }
+    }
+}
+
+/**
+ * Call `check` until it returns something truthy or the deadline passes
+ *
+ * Used for state that changes outside this process, such as a domain
+ * becoming verified once its DNS records propagate.
+ *
+ * @param {function(): Promise<*>} check
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs=30000]
+ * @param {number} [options.intervalMs=1000]
+ * @param {function(object): void} [options.onWait] - Called with { elapsedMs } before each wait
+ * @returns {Promise<*>} The first truthy result, or null once the deadline has passed
+ */
+export async function pollUntil(check, { timeoutMs = 30000, intervalMs = 1000, onWait, sleep: wait = sleep, now = Date.now } = {}) {
+    const started = now();
+    for (;;) {
+        const result = await check();
+        if (result) {
+            return result;
+        }
+        const elapsedMs = now() - started;
+        if (elapsedMs + intervalMs > timeoutMs) {
+            return null;
+        }
+        if (onWait) {
+            onWait({ elapsedMs });
+        }
+        await wait(intervalMs);
+    }
+}
@@ -0,0 +1,259 @@
+/**
+ * Stats date ranges and exports
+ *
+ * Dates on the command line and in stats.from/stats.to may be absolute
+ * (2024-01-31) or relative: `today`, `yesterday`, or a number of days or
+ * weeks back (`7d`, `2w`). Relative dates are counted from today in
+ * stats.timezone (or --tz), default UTC; SendPost's daily buckets
+ * themselves are what the API returns.
+ *
+ * Exports hold one row per sub-account and day plus one total row per
+ * sub-account, each with the raw counts and derived rates, as CSV, JSON or
+ * the Prometheus text exposition format.
+ */
+
+import { toCsv } from './csv.js';
+import { EspError, EXIT_CODES } from './errors.js';
+
+/** Counts SendPost reports per day */
+export const STAT_FIELDS = ['processed', 'delivered', 'dropped', 'hardBounced', 'softBounced', 'opened', 'clicked', 'unsubscribed', 'spam'];
+
+/**
+ * Derived rates: numerator fields over a denominator field. Null when the
+ * denominator is 0.
+ */
+export const RATES = {
+    deliveryRate: { of: ['delivered'], per: 'processed' },
+    bounceRate: { of: ['hardBounced', 'softBounced'], per: 'processed' },
+    openRate: { of: ['opened'], per: 'delivered' },
+    clickRate: { of: ['clicked'], per: 'delivered' },
+    spamRate: { of: ['spam'], per: 'delivered' }
+};
+
+export const EXPORT_FORMATS = ['csv', 'json', 'prometheus'];
+
+const EXPORT_EXTENSIONS = { '.csv': 'csv', '.json': 'json', '.prom': 'prometheus' };
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const RELATIVE_PATTERN = /^(\d+)([dw])$/;
+
+/**
+ * A date range that cannot be used: from after to
+ */
+export class StatsRangeError extends EspError {
+    constructor(message) {
+        super(message, { action: 'resolve the stats range', hint: 'Dates are YYYY-MM-DD, today, yesterday, or days/weeks back such as 7d or 2w.' });
+        this.exitCode = EXIT_CODES.USAGE;
+    }
+}
+
+/**
+ * Whether a value is a time zone Intl knows, e.g. UTC or Europe/Berlin
+ */
+export function isTimeZone(value) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * The calendar date (YYYY-MM-DD) of an instant in a time zone
+ */
+export function dateIn(timeZone, instant = new Date()) {
+    // en-CA formats dates as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(instant);
+}
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days
+ */
+export function addDays(date, days) {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() + days);
+    return day.toISOString().slice(0, 10);
+}
+
+/**
+ * Whether text is a date this module accepts (absolute or relative)
+ */
+export function isDateSpec(text) {
+    const value = String(text).trim();
+    if (DATE_PATTERN.test(value)) {
+        return !Number.isNaN(Date.parse(value));
+    }
+    return ['today', 'yesterday'].includes(value) || RELATIVE_PATTERN.test(value);
+}
+
+/**
+ * Turn an absolute or relative date into YYYY-MM-DD
+ *
+ * @param {string} text - 2024-01-31, today, yesterday, 7d or 2w
+ * @param {object} [options]
+ * @param {string} [options.timeZone='UTC'] - Zone in which "today" is determined
+ * @param {Date} [options.now]
+ * @returns {string|null} Null when the text is not a date
+ */
+export function parseDateSpec(text, { timeZone = 'UTC', now = new Date() } = {}) {
+    if (!isDateSpec(text)) {
+        return null;
+    }
+    const value = String(text).trim();
+    if (DATE_PATTERN.test(value)) {
+        return value;
+    }
+    const today = dateIn(timeZone, now);
+    if (value === 'today') {
+        return today;
+    }
+    if (value === 'yesterday') {
+        return addDays(today, -1);
+    }
+    const [, count, unit] = RELATIVE_PATTERN.exec(value);
+    return addDays(today, -Number(count) * (unit === 'w' ? 7 : 1));
+}
+
+/**
+ * Resolve the stats window
+ *
+ * `to` defaults to today and `from` to `days` days before `to`.
+ *
+ * @param {object} options - stats config merged with command-line values
+ * @param {string} [options.from]
+ * @param {string} [options.to]
+ * @param {number} [options.days=7]
+ * @param {string} [options.timezone='UTC']
+ * @param {Date} [now]
+ * @returns {{from: string, to: string, timezone: string}}
+ * @throws {StatsRangeError}
+ */
+export function resolveRange({ from, to, days = 7, timezone = 'UTC' }, now = new Date()) {
+    const resolve = (value, name) => {
+        const date = parseDateSpec(value, { timeZone: timezone, now });
+        if (date === null) {
+            throw new StatsRangeError(`${name} is not a date: "${value}"`);
+        }
+        return date;
+    };
+    const end = to === undefined ? dateIn(timezone, now) : resolve(to, 'to');
+    const start = from === undefined ? addDays(end, -days) : resolve(from, 'from');
+    if (start > end) {
+        throw new StatsRangeError(`The stats range starts after it ends (${start} to ${end})`);
+    }
+    return { from: start, to: end, timezone };
+}
+
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Counts with every missing field as 0, plus the derived rates
+ */
+export function withRates(stats = {}) {
+    const counts = Object.fromEntries(STAT_FIELDS.map((field) => [field, Number(stats[field]) || 0]));
+    const rates = Object.fromEntries(Object.entries(RATES).map(([name, { of, per }]) => [
+        name,
+        counts[per] === 0 ? null : round(of.reduce((sum, field) => sum + counts[field], 0) / counts[per])
+    ]));
+    return { ...counts, ...rates };
+}
+
+/**
+ * Add up stats records field by field
+ *
+ * @param {object[]} records - Stats objects, e.g. the days of a range or several sub-accounts
+ * @returns {object} Every STAT_FIELDS count
+ */
+export function sumStats(records) {
+    const total = Object.fromEntries(STAT_FIELDS.map((field) => [field, 0]));
+    for (const record of records) {
+        for (const field of STAT_FIELDS) {
+            total[field] += Number(record && record[field]) || 0;
+        }
+    }
+    return total;
+}
+
+/**
+ * Build the export document
+ *
+ * @param {{from: string, to: string, timezone: string}} range
+ * @param {Array<{subAccount: object, daily: Array<{date: string, stats: object}>}>} results - Daily stats per sub-account
+ * @param {Date} [now]
+ * @returns {object} { from, to, timezone, generatedAt, subAccounts: [{ subAccountId, name, days, total }] }
+ */
+export function buildStatsReport(range, results, now = new Date()) {
+    return {
+        ...range,
+        generatedAt: now.toISOString(),
+        subAccounts: results.map(({ subAccount, daily }) => ({
+            subAccountId: subAccount.id,
+            name: subAccount.name,
+            days: daily.map(({ date, stats }) => ({ date, ...withRates(stats) })),
+            total: withRates(sumStats(daily.map(({ stats }) => stats)))
+        }))
+    };
+}
+
+/**
+ * Flat rows of a report: one per sub-account and day, then its total (period "total")
+ */
+export function reportRows(report) {
+    return report.subAccounts.flatMap(({ subAccountId, name, days, total }) => [
+        ...days.map(({ date, ...values }) => ({ subAccountId, subAccount: name, period: date, ...values })),
+        { subAccountId, subAccount: name, period: 'total', ...total }
+    ]);
+}
+
+const snakeCase = (name) => name.replace(/[A-Z]/g, (c) => `_${c.toLowerCase()}`);
+
+const labelValue = (value) => String(value ?? '').replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+/**
+ * Report in the Prometheus text exposition format: one gauge family per
+ * count and rate, labelled by sub-account and period
+ */
+export function toPrometheus(report) {
+    const rows = reportRows(report);
+    const lines = [];
+    for (const field of [...STAT_FIELDS, ...Object.keys(RATES)]) {
+        const metric = `sendpost_${snakeCase(field)}`;
+        const rate = field in RATES;
+        const help = rate
+            ? `${RATES[field].of.join(' + ')} per ${RATES[field].per} (${report.from} to ${report.to})`
+            : `Emails ${snakeCase(field).replace(/_/g, ' ')} (${report.from} to ${report.to})`;
+        lines.push(`# HELP ${metric} ${help}`, `# TYPE ${metric} gauge`);
+        for (const row of rows) {
+            const labels = `subaccount_id="${labelValue(row.subAccountId)}",subaccount="${labelValue(row.subAccount)}",period="${row.period}"`;
+            lines.push(`${metric}{${labels}} ${row[field] === null ? 'NaN' : row[field]}`);
+        }
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Serialize a report
+ *
+ * @param {object} report - From buildStatsReport()
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {string}
+ */
+export function formatStatsReport(report, format) {
+    if (format === 'json') {
+        return `${JSON.stringify(report, null, 2)}\n`;
+    }
+    if (format === 'prometheus') {
+        return toPrometheus(report);
+    }
+    return toCsv(reportRows(report), ['subAccountId', 'subAccount', 'period', ...STAT_FIELDS, ...Object.keys(RATES)]);
+}
+
+/**
+ * Export format for a file name (.csv, .json, .prom), or null
+ */
+export function formatForFile(file) {
+    const match = /\.[^./\\]+$/.exec(file || '');
+    return (match && EXPORT_EXTENSIONS[match[0].toLowerCase()]) || null;
+}
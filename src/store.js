@@ -0,0 +1,113 @@
+/**
+ * Local file-backed storage
+ *
+ * Everything this project persists lives under the `storage.dir` directory
+ * (`.esp-data` by default) as plain files, so it can be inspected, copied or
+ * deleted by hand:
+ *
+ * - JsonlStore: append-only log, one JSON record per line
+ * - JsonFileStore: a single JSON document, rewritten atomically on save
+ */
+
+import { appendFile, mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+// Numbers temporary files, so writes in flight at once never share one
+let writes = 0;
+
+async function readIfExists(path) {
+    try {
+        return await readFile(path, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Append-only JSON Lines file
+ */
+export class JsonlStore {
+    /**
+     * @param {string} path - File to append to; created with its directory on first write
+     */
+    constructor(path) {
+        this.path = path;
+    }
+
+    /**
+     * Append one or more records
+     */
+    async append(...records) {
+        await mkdir(dirname(this.path), { recursive: true });
+        await appendFile(this.path, records.map((record) => `${JSON.stringify(record)}\n`).join(''));
+    }
+
+    /**
+     * Read every record, oldest first. A missing file reads as empty.
+     */
+    async readAll() {
+        const text = await readIfExists(this.path);
+        if (text === null) {
+            return [];
+        }
+        return text.split('\n').filter((line) => line.trim() !== '').map((line) => JSON.parse(line));
+    }
+}
+
+/**
+ * Single JSON document
+ */
+export class JsonFileStore {
+    /**
+     * @param {string} path - File holding the document
+     * @param {function(): *} [initial] - Builds the document used while the file does not exist
+     * @param {object} [options]
+     * @param {number} [options.mode] - File permissions, e.g. 0o600 for files holding secrets
+     */
+    constructor(path, initial = () => ({}), { mode } = {}) {
+        this.path = path;
+        this.initial = initial;
+        this.mode = mode;
+        this.updating = Promise.resolve();
+    }
+
+    async load() {
+        const text = await readIfExists(this.path);
+        return text === null ? this.initial() : JSON.parse(text);
+    }
+
+    /**
+     * Write the document to a temporary file and rename it into place, so a
+     * crash never leaves a half-written file behind
+     */
+    async save(document) {
+        await mkdir(dirname(this.path), { recursive: true });
+        const temporary = `${this.path}.${process.pid}.${++writes}.tmp`;
+        await writeFile(temporary, `${JSON.stringify(document, null, 2)}\n`, this.mode === undefined ? undefined : { mode: this.mode });
+        await rename(temporary, this.path);
+    }
+
+    /**
+     * Load, change and save the document in one step
+     *
+     * Updates through the same store run one after another, so none of them
+     * loads the document while another is still changing it.
+     *
+     * @param {function(*): *} change - Receives the document; may mutate it or return a replacement
+     * @returns {Promise<*>} The saved document
+     */
+    update(change) {
+        const updated = this.updating.then(async () => {
+            const document = await this.load();
+            const replaced = await change(document);
+            const next = replaced === undefined ? document : replaced;
+            await this.save(next);
+            return next;
+        });
+        this.updating = updated.catch(() => {});
+        return updated;
+    }
+}
@@ -0,0 +1,209 @@
+/**
+ * Local suppression list
+ *
+ * Addresses that hard-bounced, complained (spam) or unsubscribed are recorded
+ * per sub-account in <storage.dir>/suppressions.json, fed by the webhook
+ * receiver. Sends filter their recipients against it. An entry without a
+ * sub-account ID applies to every sub-account.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { extname, join } from 'node:path';
+import { parseCsv, toCsv } from './csv.js';
+import { EspError, PrerequisiteError } from './errors.js';
+import { Logger } from './logger.js';
+import { JsonFileStore } from './store.js';
+
+export const SUPPRESSIONS_FILE = 'suppressions.json';
+
+/** Webhook events that add the recipient to the suppression list */
+export const SUPPRESSING_EVENTS = ['hardBounced', 'spam', 'unsubscribed'];
+
+export const SUPPRESSION_REASONS = [...SUPPRESSING_EVENTS, 'manual'];
+
+const EXPORT_COLUMNS = ['email', 'subAccountId', 'reason', 'createdAt', 'messageId'];
+
+/**
+ * Every recipient of a send is suppressed, so there is nobody to send to
+ */
+export class SuppressedRecipientError extends PrerequisiteError {
+    constructor(emails) {
+        super(`All recipients are suppressed: ${emails.join(', ')}`, {
+            action: 'send email',
+            hint: 'Remove the address with "suppressions remove <email>" if it should receive mail again.'
+        });
+        this.emails = emails;
+    }
+}
+
+export const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const normalizeSubAccountId = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+const appliesTo = (entry, subAccountId) =>
+    subAccountId === null || entry.subAccountId === null || entry.subAccountId === subAccountId;
+
+export class SuppressionList {
+    /**
+     * @param {JsonFileStore} store
+     */
+    constructor(store) {
+        this.store = store;
+    }
+
+    /**
+     * The suppression list kept under storage.dir
+     */
+    static forConfig(config) {
+        return new SuppressionList(new JsonFileStore(join(config.storage.dir, SUPPRESSIONS_FILE), () => ({ entries: [] })));
+    }
+
+    /**
+     * Entries, optionally only those applying to one sub-account
+     */
+    async list(subAccountId = null) {
+        const { entries } = await this.store.load();
+        const id = normalizeSubAccountId(subAccountId);
+        return entries.filter((entry) => id === null || entry.subAccountId === id);
+    }
+
+    /**
+     * Add or refresh entries; an address already listed for the same
+     * sub-account keeps one entry with the newest reason and timestamp
+     *
+     * @param {...{email: string, subAccountId?: number, reason?: string, createdAt?: string, messageId?: string}} records
+     * @returns {Promise<number>} How many entries were added or refreshed
+     */
+    async add(...records) {
+        let changed = 0;
+        await this.store.update((document) => {
+            for (const record of records) {
+                const entry = {
+                    email: normalizeEmail(record.email),
+                    subAccountId: normalizeSubAccountId(record.subAccountId),
+                    reason: record.reason || 'manual',
+                    createdAt: record.createdAt || new Date().toISOString(),
+                    messageId: record.messageId || null
+                };
+                if (!entry.email.includes('@')) {
+                    throw new EspError(`Not an email address: "${record.email}"`, { action: 'add suppression' });
+                }
+                if (!SUPPRESSION_REASONS.includes(entry.reason)) {
+                    throw new EspError(`Unknown reason "${entry.reason}" for ${entry.email} (expected one of ${SUPPRESSION_REASONS.join(', ')})`, { action: 'add suppression' });
+                }
+                const index = document.entries.findIndex((existing) =>
+                    existing.email === entry.email && existing.subAccountId === entry.subAccountId);
+                if (index === -1) {
+                    document.entries.push(entry);
+                } else {
+                    document.entries[index] = entry;
+                }
+                changed++;
+            }
+        });
+        return changed;
+    }
+
+    /**
+     * Remove an address, for one sub-account or (without one) everywhere
+     *
+     * @returns {Promise<number>} How many entries were removed
+     */
+    async remove(email, subAccountId = null) {
+        const address = normalizeEmail(email);
+        const id = normalizeSubAccountId(subAccountId);
+        let removed = 0;
+        await this.store.update((document) => {
+            const kept = document.entries.filter((entry) => entry.email !== address || (id !== null && entry.subAccountId !== id));
+            removed = document.entries.length - kept.length;
+            document.entries = kept;
+        });
+        return removed;
+    }
+
+    /**
+     * Split recipients into those that may be mailed and those that are suppressed
+     *
+     * @param {Array<{email: string}>} recipients
+     * @param {number|null} subAccountId - Sub-account sending; null checks every entry
+     * @returns {Promise<{allowed: object[], suppressed: Array<{recipient: object, entry: object}>}>}
+     */
+    async filter(recipients, subAccountId = null) {
+        const { entries } = await this.store.load();
+        const id = normalizeSubAccountId(subAccountId);
+        const allowed = [];
+        const suppressed = [];
+        for (const recipient of recipients) {
+            const email = normalizeEmail(recipient.email);
+            const entry = entries.find((candidate) => candidate.email === email && appliesTo(candidate, id));
+            if (entry) {
+                suppressed.push({ recipient, entry });
+            } else {
+                allowed.push(recipient);
+            }
+        }
+        return { allowed, suppressed };
+    }
+
+    /**
+     * Import entries from a CSV (header row with at least `email`) or JSON array file
+     *
+     * @param {string} file
+     * @param {object} [defaults] - subAccountId/reason for rows that do not name one
+     * @returns {Promise<number>} Entries imported
+     */
+    async importFile(file, defaults = {}) {
+        let rows;
+        try {
+            const text = await readFile(file, 'utf8');
+            rows = extname(file).toLowerCase() === '.json' ? JSON.parse(text) : parseCsv(text);
+        } catch (error) {
+            throw new EspError(error.message, { action: 'import suppressions', cause: error });
+        }
+        if (!Array.isArray(rows)) {
+            throw new EspError(`${file} must contain a JSON array of entries`, { action: 'import suppressions' });
+        }
+        return this.add(...rows.map((row) => ({
+            ...row,
+            subAccountId: row.subAccountId === undefined || row.subAccountId === '' ? defaults.subAccountId : row.subAccountId,
+            reason: row.reason || defaults.reason
+        })));
+    }
+
+    /**
+     * Export entries as CSV, or JSON when the file name ends in .json
+     *
+     * @returns {Promise<number>} Entries exported
+     */
+    async exportFile(file, subAccountId = null) {
+        const entries = await this.list(subAccountId);
+        const text = extname(file).toLowerCase() === '.json'
+            ? `${JSON.stringify(entries, null, 2)}\n`
+            : toCsv(entries, EXPORT_COLUMNS);
+        await writeFile(file, text);
+        return entries.length;
+    }
+}
+
+/**
+ * Webhook handler adding hard bounces, spam complaints and unsubscribes to the list
+ *
+ * @param {SuppressionList} list
+ * @param {import('./logger.js').Logger} [logger]
+ */
+export function suppressionHandler(list, logger = new Logger()) {
+    const handle = async (event) => {
+        if (!event.email) {
+            return;
+        }
+        await list.add({
+            email: event.email,
+            subAccountId: event.subAccountId,
+            reason: event.type,
+            createdAt: event.timestamp.toISOString(),
+            messageId: event.messageId
+        });
+        logger.info(`  ⊘ Suppressed ${normalizeEmail(event.email)} (${event.type})`);
+    };
+    return { types: SUPPRESSING_EVENTS, handle };
+}
@@ -0,0 +1,294 @@
+/**
+ * File-based email templates with recipient merge fields
+ *
+ * A template is a directory under templates.dir holding `subject.hbs`,
+ * `html.hbs` and optionally `text.hbs`. Merge fields use Handlebars-style
+ * tags: `{{name}}` (HTML-escaped in the HTML body) and `{{{name}}}`
+ * (inserted as is). A field is looked up in the recipient's data: `email`,
+ * `name` and every custom field. Dotted paths reach into nested values.
+ *
+ * Templates are merged in one of two ways (templates.merge):
+ * - local: rendered here for each recipient, one recipient per message
+ * - server: sent with the tags intact for SendPost to fill in from each
+ *   recipient's customFields, so one message can go to many recipients
+ *
+ * Both check every recipient up front; a field missing from any recipient's
+ * data is an error. Without `text.hbs` the text body is generated from the HTML.
+ */
+
+import { readdir, readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { EspError } from './errors.js';
+import { Logger } from './logger.js';
+
+export const MERGE_MODES = ['local', 'server'];
+
+export const TEMPLATE_FILES = { subject: 'subject.hbs', html: 'html.hbs', text: 'text.hbs' };
+
+const TAG_PATTERN = /\{\{\{\s*([^}]*?)\s*\}\}\}|\{\{\s*([^}]*?)\s*\}\}/g;
+const FIELD_PATTERN = /^[A-Za-z_][\w.-]*$/;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * A template is malformed, or recipients lack fields it uses
+ */
+export class TemplateError extends EspError {
+    /**
+     * @param {string} message
+     * @param {object} [details] - EspError details plus `problems`, one line per issue
+     */
+    constructor(message, { problems = [], ...details } = {}) {
+        const shown = problems.slice(0, 10).map((problem) => `  - ${problem}`);
+        if (problems.length > shown.length) {
+            shown.push(`  ... and ${problems.length - shown.length} more`);
+        }
+        super(shown.length > 0 ? `${message}:\n${shown.join('\n')}` : message, { action: 'render template', ...details });
+        this.problems = problems;
+    }
+}
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+function lookup(data, field) {
+    if (Object.hasOwn(data, field)) {
+        return data[field];
+    }
+    return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function fieldsOf(source, label) {
+    const fields = [];
+    for (const match of source.matchAll(TAG_PATTERN)) {
+        const field = match[1] ?? match[2];
+        if (!FIELD_PATTERN.test(field)) {
+            throw new TemplateError(`Invalid merge tag "${match[0]}" in ${label}`, {
+                hint: 'Merge tags are {{field}} or {{{field}}}, with letters, digits, "_", "-" and "." in the field name.'
+            });
+        }
+        fields.push(field);
+    }
+    return fields;
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : Number(code.slice(1));
+            return String.fromCodePoint(point);
+        }
+        return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+    });
+}
+
+/**
+ * Plain-text version of an HTML body: links keep their URL, list items
+ * become dashes, block elements become line breaks
+ */
+export function htmlToText(html) {
+    const text = html
+        .replace(/<(head|style|script)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<a\b[^>]*\bhref\s*=\s*(["'])(.*?)\1[^>]*>([\s\S]*?)<\/a>/gi, (tag, quote, href, label) => {
+            const inner = label.replace(/<[^>]+>/g, '').trim();
+            return inner && inner !== href ? `${inner} (${href})` : href;
+        })
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<li\b[^>]*>/gi, '\n- ')
+        .replace(/<\/(p|div|h[1-6]|ul|ol|table|tr|blockquote)>/gi, '\n\n')
+        .replace(/<[^>]+>/g, '');
+    return decodeEntities(text)
+        .split('\n')
+        .map((line) => line.replace(/[ \t]+/g, ' ').trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Merge data for a recipient: email, name and custom fields
+ */
+export function mergeData({ email, name, customFields } = {}) {
+    return { email, name, ...customFields };
+}
+
+export class Template {
+    /**
+     * @param {object} parts
+     * @param {string} parts.name
+     * @param {string} parts.subject
+     * @param {string} parts.html
+     * @param {string|null} [parts.text] - Generated from the HTML when null
+     */
+    constructor({ name, subject, html, text = null }) {
+        this.name = name;
+        this.subject = subject.trim();
+        this.html = html;
+        this.text = text;
+        this.fields = [...new Set([
+            ...fieldsOf(this.subject, `${name}/${TEMPLATE_FILES.subject}`),
+            ...fieldsOf(html, `${name}/${TEMPLATE_FILES.html}`),
+            ...(text === null ? [] : fieldsOf(text, `${name}/${TEMPLATE_FILES.text}`))
+        ])];
+    }
+
+    /**
+     * Load a template directory
+     *
+     * @param {string} dir - templates.dir
+     * @param {string} name - Template directory name
+     */
+    static async load(dir, name) {
+        const read = async (file, required) => {
+            try {
+                return await readFile(join(dir, name, file), 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT' && !required) {
+                    return null;
+                }
+                throw new TemplateError(`Cannot read ${join(dir, name, file)}: ${error.message}`, {
+                    action: 'load template',
+                    hint: error.code === 'ENOENT' ? 'Run "templates list" to see the available templates.' : undefined,
+                    cause: error
+                });
+            }
+        };
+        return new Template({
+            name,
+            subject: await read(TEMPLATE_FILES.subject, true),
+            html: await read(TEMPLATE_FILES.html, true),
+            text: await read(TEMPLATE_FILES.text, false)
+        });
+    }
+
+    /**
+     * Fields used by the template that the data does not provide
+     */
+    missingFields(data) {
+        return this.fields.filter((field) => {
+            const value = lookup(data, field);
+            return value === undefined || value === null;
+        });
+    }
+
+    /**
+     * Check every recipient before anything is sent
+     *
+     * @param {Array<{email: string}>} recipients
+     * @throws {TemplateError} Listing each recipient with the fields it lacks
+     */
+    validate(recipients) {
+        const problems = recipients
+            .map((recipient) => [recipient.email, this.missingFields(mergeData(recipient))])
+            .filter(([, missing]) => missing.length > 0)
+            .map(([email, missing]) => `${email}: ${missing.join(', ')}`);
+        if (problems.length > 0) {
+            throw new TemplateError(`Template "${this.name}" uses fields missing for ${problems.length} recipient(s)`, {
+                problems,
+                hint: 'Add the fields as columns or customFields, or remove them from the template.'
+            });
+        }
+    }
+
+    /**
+     * Fill in the merge tags for one recipient
+     *
+     * @returns {{subject: string, htmlBody: string, textBody: string}}
+     * @throws {TemplateError} When the recipient lacks a field
+     */
+    render(recipient) {
+        this.validate([recipient]);
+        const data = mergeData(recipient);
+        const fill = (source, escape) => source.replace(TAG_PATTERN, (tag, raw, escaped) => {
+            const value = String(lookup(data, raw ?? escaped));
+            return escape && raw === undefined ? escapeHtml(value) : value;
+        });
+        const htmlBody = fill(this.html, true);
+        return {
+            subject: fill(this.subject, false),
+            htmlBody,
+            textBody: this.text === null ? htmlToText(htmlBody) : fill(this.text, false)
+        };
+    }
+
+    /**
+     * Content with the merge tags left for SendPost to fill in
+     *
+     * @returns {{subject: string, htmlBody: string, textBody: string}}
+     */
+    passThrough() {
+        return {
+            subject: this.subject,
+            htmlBody: this.html,
+            textBody: this.text === null ? htmlToText(this.html) : this.text
+        };
+    }
+
+    /**
+     * The recipient's custom fields, plus every other field the template
+     * uses (such as email and name), so SendPost can fill in each tag
+     */
+    serverFields(recipient) {
+        const data = mergeData(recipient);
+        const fields = { ...recipient.customFields };
+        for (const field of this.fields) {
+            if (!Object.hasOwn(fields, field)) {
+                fields[field] = lookup(data, field);
+            }
+        }
+        return fields;
+    }
+}
+
+/**
+ * Names of the template directories under templates.dir
+ */
+export async function listTemplates(dir) {
+    let entries;
+    try {
+        entries = await readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        throw new TemplateError(`Cannot read template directory ${dir}: ${error.message}`, { action: 'list templates', cause: error });
+    }
+    return entries.filter((entry) => entry.isDirectory()).map((entry) => entry.name).sort();
+}
+
+/**
+ * Print a template as it would be sent: rendered for each recipient when
+ * merging locally, or with its merge tags and each recipient's fields when
+ * SendPost merges
+ *
+ * @param {Template} template
+ * @param {object[]} recipients
+ * @param {object} [options]
+ * @param {string} [options.merge='local']
+ * @param {number} [options.limit=3] - Recipients shown
+ * @param {import('./logger.js').Logger} [options.logger]
+ */
+export function printPreview(template, recipients, { merge = 'local', limit = 3, logger = new Logger() } = {}) {
+    template.validate(recipients);
+    const shown = recipients.slice(0, limit);
+    const printContent = ({ subject, htmlBody, textBody }) => {
+        logger.info(`Subject: ${subject}`);
+        logger.info(`\n--- Text ---\n${textBody.trim()}`);
+        logger.info(`\n--- HTML ---\n${htmlBody.trim()}`);
+    };
+
+    logger.info(`✓ Template "${template.name}" is valid for ${recipients.length} recipient(s)`);
+    logger.info(`  Fields: ${template.fields.join(', ') || '(none)'}`);
+    if (merge === 'server') {
+        logger.info('\n=== Sent with SendPost merge tags ===');
+        printContent(template.passThrough());
+        for (const recipient of shown) {
+            logger.info(`\n  ${recipient.email}: ${JSON.stringify(template.serverFields(recipient))}`);
+        }
+    } else {
+        for (const recipient of shown) {
+            logger.info(`\n=== ${recipient.email} ===`);
+            printContent(template.render(recipient));
+        }
+    }
+    if (recipients.length > shown.length) {
+        logger.info(`\n  ... ${recipients.length - shown.length} more recipient(s) not shown`);
+    }
+}
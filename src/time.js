@@ -0,0 +1,16 @@
+/**
+ * Durations given on the command line, e.g. `--older-than 7d`
+ */
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a duration such as 90s, 30m, 12h, 7d or 2w into milliseconds
+ *
+ * @param {string} text
+ * @returns {number|null} Milliseconds, or null when the text is not a duration
+ */
+export function parseDuration(text) {
+    const match = /^(\d+)\s*([smhdw])$/.exec(String(text).trim());
+    return match ? Number(match[1]) * UNITS[match[2]] : null;
+}
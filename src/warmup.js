@@ -0,0 +1,264 @@
+/**
+ * IP warmup plans
+ *
+ * A plan ramps an IP pool up to a target daily volume. The target is split
+ * evenly over the pool's IPs and each IP climbs its own schedule, starting at
+ * warmup.startDaily emails and growing by warmup.growth per step until it
+ * reaches its share of the target. A step lasts the pool's warmupInterval
+ * (see createIPPool), rounded to whole days. An IP added to the pool later
+ * starts its own ramp when the plan is made again.
+ *
+ * SendPost spreads a pool's sends over its IPs, so the pool's daily cap is
+ * what keeps its least warmed-up IP within its own cap: the number of IPs
+ * times the smallest IP cap. Sends are tracked per day in the stats time
+ * zone, both locally (sends gated by this module) and through the stats of
+ * the sub-accounts routed through the pool; the higher count wins.
+ *
+ * Plans and local counts live in <storage.dir>/warmup.json.
+ */
+
+import { join } from 'node:path';
+import { addDays } from './stats.js';
+import { JsonFileStore } from './store.js';
+
+export const WARMUP_FILE = 'warmup.json';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Days of history shown by warmup status */
+export const WARMUP_HISTORY_DAYS = 14;
+
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+
+/**
+ * Daily caps from the first step to the target
+ *
+ * @param {number} targetDaily
+ * @param {object} [options]
+ * @param {number} [options.startDaily=50] - Cap of the first step
+ * @param {number} [options.growth=1.5] - Factor from one step to the next, greater than 1
+ * @returns {number[]} Ends with targetDaily
+ */
+export function rampSchedule(targetDaily, { startDaily = 50, growth = 1.5 } = {}) {
+    const caps = [];
+    for (let cap = Math.min(startDaily, targetDaily); cap < targetDaily; cap = Math.ceil(cap * growth)) {
+        caps.push(cap);
+    }
+    caps.push(targetDaily);
+    return caps;
+}
+
+/**
+ * Make or remake the plan of a pool
+ *
+ * IPs already in the previous plan keep their start date, new ones start
+ * today, IPs no longer in the pool are dropped. Local send counts are kept.
+ *
+ * @param {object|null} previous - The pool's current plan
+ * @param {object} options
+ * @param {string} options.pool - Pool name
+ * @param {string[]} options.ips - Public IPs of the pool
+ * @param {number} options.targetDaily - Daily volume of the whole pool once warmed up
+ * @param {number} options.startDaily
+ * @param {number} options.growth
+ * @param {number} options.intervalHours - The pool's warmupInterval
+ * @param {number[]} [options.subAccountIds] - Sub-accounts sending through the pool, whose stats count as its sends; by default those of the previous plan
+ * @param {string} today - YYYY-MM-DD
+ * @returns {object} The plan
+ */
+export function planPool(previous, { pool, ips, targetDaily, startDaily, growth, intervalHours, subAccountIds }, today) {
+    const started = new Map((previous ? previous.ips : []).map((entry) => [entry.ip, entry.startDate]));
+    return {
+        pool,
+        targetDaily,
+        startDaily,
+        growth,
+        stepDays: Math.max(1, Math.round(intervalHours / 24)),
+        subAccountIds: [...new Set(subAccountIds || (previous ? previous.subAccountIds : []))],
+        ips: [...ips].sort().map((ip) => ({ ip, startDate: started.get(ip) || today })),
+        sent: previous ? previous.sent : {},
+        updatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * An IP's schedule: its share of the pool's target reached step by step
+ */
+export function ipSchedule(plan) {
+    return rampSchedule(Math.ceil(plan.targetDaily / plan.ips.length), plan);
+}
+
+/**
+ * Where an IP stands on a date
+ *
+ * @returns {{ip: string, startDate: string, step: number|null, steps: number, cap: number}} step is null before the IP starts
+ */
+export function ipStatus(plan, entry, date) {
+    const schedule = ipSchedule(plan);
+    const days = daysBetween(entry.startDate, date);
+    if (days < 0) {
+        return { ip: entry.ip, startDate: entry.startDate, step: null, steps: schedule.length, cap: 0 };
+    }
+    const step = Math.min(Math.floor(days / plan.stepDays), schedule.length - 1);
+    return { ip: entry.ip, startDate: entry.startDate, step: step + 1, steps: schedule.length, cap: schedule[step] };
+}
+
+/**
+ * The pool's cap on a date: the number of IPs started by then times the smallest of their caps
+ */
+export function poolCap(plan, date) {
+    const started = plan.ips.map((entry) => ipStatus(plan, entry, date)).filter((ip) => ip.step !== null);
+    return started.length === 0 ? 0 : started.length * Math.min(...started.map((ip) => ip.cap));
+}
+
+/**
+ * Caps and sends of a plan up to a date
+ *
+ * @param {object} plan
+ * @param {string} today - YYYY-MM-DD
+ * @param {object} [statsSent] - Emails processed per date according to SendPost's stats
+ * @returns {object} { pool, date, cap, sent, remaining, warmedUp, ips, history: [{ date, cap, sent, over }] }
+ */
+export function warmupStatus(plan, today, statsSent = {}) {
+    const sentOn = (date) => Math.max(plan.sent[date] || 0, statsSent[date] || 0);
+    const ips = plan.ips.map((entry) => ipStatus(plan, entry, today));
+    const firstDate = plan.ips.reduce((first, entry) => (entry.startDate < first ? entry.startDate : first), today);
+    const earliest = addDays(today, 1 - WARMUP_HISTORY_DAYS);
+    const history = [];
+    for (let date = firstDate > earliest ? firstDate : earliest; date <= today; date = addDays(date, 1)) {
+        const cap = poolCap(plan, date);
+        const sent = sentOn(date);
+        history.push({ date, cap, sent, over: sent > cap });
+    }
+    const cap = poolCap(plan, today);
+    return {
+        pool: plan.pool,
+        date: today,
+        cap,
+        sent: sentOn(today),
+        remaining: Math.max(0, cap - sentOn(today)),
+        warmedUp: ips.length > 0 && ips.every((ip) => ip.step === ip.steps),
+        ips,
+        history
+    };
+}
+
+/**
+ * Warmup plans kept under storage.dir
+ */
+export class WarmupPlans {
+    /**
+     * @param {JsonFileStore} store
+     */
+    constructor(store) {
+        this.store = store;
+    }
+
+    static forConfig(config) {
+        return new WarmupPlans(new JsonFileStore(join(config.storage.dir, WARMUP_FILE), () => ({ pools: {} })));
+    }
+
+    async list() {
+        return Object.values((await this.store.load()).pools);
+    }
+
+    async get(pool) {
+        return (await this.store.load()).pools[pool] || null;
+    }
+
+    async save(plan) {
+        await this.store.update((document) => {
+            document.pools[plan.pool] = plan;
+        });
+    }
+
+    /**
+     * Keep a plan under its pool's new name
+     */
+    async rename(pool, name) {
+        await this.store.update((document) => {
+            const plan = document.pools[pool];
+            if (plan) {
+                delete document.pools[pool];
+                document.pools[name] = { ...plan, pool: name };
+            }
+        });
+    }
+
+    async remove(pool) {
+        await this.store.update((document) => {
+            delete document.pools[pool];
+        });
+    }
+
+    /**
+     * Add to (or, negative, take back from) the local count of a pool's sends on a date
+     */
+    async recordSent(pool, date, count) {
+        await this.store.update((document) => {
+            const plan = document.pools[pool];
+            if (plan) {
+                plan.sent[date] = Math.max(0, (plan.sent[date] || 0) + count);
+            }
+        });
+    }
+}
+
+/**
+ * Keeps a day's sends through a pool within its cap
+ *
+ * take() reserves room before a send and release() gives back what was not
+ * sent after all; both are recorded as the pool's local count.
+ */
+export class WarmupGate {
+    /**
+     * @param {WarmupPlans} plans
+     * @param {object} options
+     * @param {string} options.pool
+     * @param {string} options.date - YYYY-MM-DD
+     * @param {number} options.cap
+     * @param {number} options.sent - Already sent today
+     */
+    constructor(plans, { pool, date, cap, sent }) {
+        this.plans = plans;
+        this.pool = pool;
+        this.date = date;
+        this.cap = cap;
+        this.sent = sent;
+        // Reservations are saved one after the other
+        this.saving = Promise.resolve();
+    }
+
+    get remaining() {
+        return Math.max(0, this.cap - this.sent);
+    }
+
+    /**
+     * Reserve room for emails to be sent
+     *
+     * @returns {Promise<boolean>} False, and nothing reserved, when they would exceed the cap
+     */
+    async take(count) {
+        if (this.sent + count > this.cap) {
+            return false;
+        }
+        this.sent += count;
+        await this.record(count);
+        return true;
+    }
+
+    /**
+     * Give back reserved room that was not used
+     */
+    async release(count) {
+        if (count > 0) {
+            this.sent -= count;
+            await this.record(-count);
+        }
+    }
+
+    record(count) {
+        this.saving = this.saving.then(() => this.plans.recordSent(this.pool, this.date, count));
+        return this.saving;
+    }
+}
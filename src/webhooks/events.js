@@ -0,0 +1,196 @@
+/**
+ * SendPost webhook event parsing
+ *
+ * Turns the JSON SendPost POSTs to a webhook into typed event objects, one
+ * class per event type enabled in createWebhook(). A payload may be a single
+ * event, an event wrapped as `{ "event": {...} }`, or an array of either.
+ * The event type may be given by name ("delivered") or by SendPost's numeric
+ * code (see EVENT_TYPE_CODES).
+ */
+
+import { EspError } from '../errors.js';
+import { WEBHOOK_EVENTS } from '../config.js';
+
+/**
+ * SendPost numeric event type codes
+ */
+export const EVENT_TYPE_CODES = {
+    0: 'processed',
+    1: 'dropped',
+    2: 'delivered',
+    3: 'softBounced',
+    4: 'hardBounced',
+    5: 'opened',
+    6: 'clicked',
+    7: 'unsubscribed',
+    8: 'spam'
+};
+
+/**
+ * A payload that cannot be turned into an event
+ */
+export class WebhookPayloadError extends EspError {
+    constructor(message, { index } = {}) {
+        super(index === undefined ? message : `Event ${index}: ${message}`, {
+            action: 'parse webhook event',
+            hint: 'Check that the payload was sent by SendPost and that the event type is enabled in createWebhook().'
+        });
+    }
+}
+
+const first = (object, ...keys) => {
+    for (const key of keys) {
+        if (object[key] !== undefined && object[key] !== null && object[key] !== '') {
+            return object[key];
+        }
+    }
+    return undefined;
+};
+
+/**
+ * Event time as a Date, from ISO text or a Unix timestamp
+ *
+ * @returns {Date|null|undefined} Null when there is none, undefined when it cannot be read
+ */
+export function parseTimestamp(value) {
+    if (value === undefined) {
+        return null;
+    }
+    // Unix timestamps may be in seconds or milliseconds
+    const date = typeof value === 'number'
+        ? new Date(value < 1e12 ? value * 1000 : value)
+        : new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+function normalizeType(value) {
+    if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+        return EVENT_TYPE_CODES[Number(value)];
+    }
+    const name = String(value || '').replace(/[\s_-]/g, '').toLowerCase();
+    return WEBHOOK_EVENTS.find((event) => event.toLowerCase() === name);
+}
+
+/**
+ * Fields shared by every event type
+ */
+export class WebhookEvent {
+    constructor(raw, type) {
+        this.type = type;
+        this.eventId = first(raw, 'eventID', 'eventId', 'id') ?? null;
+        this.messageId = String(first(raw, 'messageID', 'messageId'));
+        this.email = first(raw, 'to', 'email', 'recipient') ?? null;
+        this.from = first(raw, 'from', 'sender') ?? null;
+        this.subject = first(raw, 'subject') ?? null;
+        this.subAccountId = first(raw, 'subAccountID', 'subAccountId') ?? null;
+        this.groups = [].concat(first(raw, 'groups') ?? []);
+        this.timestamp = parseTimestamp(first(raw, 'timestamp', 'eventTime', 'submittedAt', 'time'));
+        this.raw = raw;
+    }
+
+    /**
+     * Plain record for storage; `raw` is kept so nothing SendPost sent is lost
+     */
+    toJSON() {
+        const { raw, ...fields } = this;
+        return { ...fields, timestamp: this.timestamp.toISOString(), raw };
+    }
+}
+
+export class ProcessedEvent extends WebhookEvent {}
+export class DeliveredEvent extends WebhookEvent {}
+
+export class DroppedEvent extends WebhookEvent {
+    constructor(raw, type) {
+        super(raw, type);
+        this.reason = first(raw, 'reason', 'dropReason', 'description') ?? null;
+    }
+}
+
+class BounceEvent extends WebhookEvent {
+    constructor(raw, type) {
+        super(raw, type);
+        this.reason = first(raw, 'reason', 'bounceReason', 'smtpDescription', 'description') ?? null;
+        this.smtpCode = first(raw, 'smtpCode', 'code', 'statusCode') ?? null;
+    }
+}
+
+export class SoftBouncedEvent extends BounceEvent {}
+export class HardBouncedEvent extends BounceEvent {}
+
+class EngagementEvent extends WebhookEvent {
+    constructor(raw, type) {
+        super(raw, type);
+        this.userAgent = first(raw, 'userAgent', 'ua') ?? null;
+        this.ip = first(raw, 'ip', 'ipAddress', 'clientIP') ?? null;
+    }
+}
+
+export class OpenedEvent extends EngagementEvent {}
+
+export class ClickedEvent extends EngagementEvent {
+    constructor(raw, type) {
+        super(raw, type);
+        this.url = first(raw, 'url', 'link', 'clickedURL') ?? null;
+    }
+}
+
+export class UnsubscribedEvent extends WebhookEvent {}
+export class SpamEvent extends WebhookEvent {}
+
+export const EVENT_CLASSES = {
+    processed: ProcessedEvent,
+    delivered: DeliveredEvent,
+    dropped: DroppedEvent,
+    softBounced: SoftBouncedEvent,
+    hardBounced: HardBouncedEvent,
+    opened: OpenedEvent,
+    clicked: ClickedEvent,
+    unsubscribed: UnsubscribedEvent,
+    spam: SpamEvent
+};
+
+/**
+ * Validate and parse a single event
+ *
+ * @param {object} payload - One event, optionally wrapped as { event: {...} }
+ * @param {number} [index] - Position in a batch, for error messages
+ * @returns {WebhookEvent}
+ * @throws {WebhookPayloadError}
+ */
+export function parseEvent(payload, index) {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        throw new WebhookPayloadError('expected a JSON object', { index });
+    }
+    const raw = payload.event && typeof payload.event === 'object' ? payload.event : payload;
+
+    const typeValue = first(raw, 'type', 'eventType', 'event');
+    const type = normalizeType(typeValue);
+    if (!type) {
+        throw new WebhookPayloadError(`unknown event type ${JSON.stringify(typeValue)}`, { index });
+    }
+    if (first(raw, 'messageID', 'messageId') === undefined) {
+        throw new WebhookPayloadError(`${type} event has no messageID`, { index });
+    }
+
+    const event = new EVENT_CLASSES[type](raw, type);
+    if (event.timestamp === undefined) {
+        throw new WebhookPayloadError(`${type} event has an invalid timestamp`, { index });
+    }
+    // Events without a timestamp are dated on arrival
+    event.timestamp = event.timestamp || new Date();
+    return event;
+}
+
+/**
+ * Validate and parse a request body holding one event or a batch
+ *
+ * @returns {WebhookEvent[]}
+ * @throws {WebhookPayloadError} For the first invalid event; nothing is returned for a partly invalid batch
+ */
+export function parsePayload(body) {
+    if (Array.isArray(body)) {
+        return body.map((item, index) => parseEvent(item, index));
+    }
+    return [parseEvent(body)];
+}
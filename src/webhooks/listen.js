@@ -0,0 +1,160 @@
+/**
+ * `webhooks listen` and `webhooks replay` commands
+ *
+ * Both build the same WebhookReceiver: parsed events are stored in
+ * <storage.dir>/webhook-events.jsonl, printed, fed to the suppression list
+ * and passed to any handler modules given with --handler. A handler module default-exports either a
+ * function `(event) => {}` or `{ types: ['hardBounced', ...], handle(event) {} }`.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { join, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { EspError } from '../errors.js';
+import { Logger } from '../logger.js';
+import { JsonlStore } from '../store.js';
+import { SuppressionList, suppressionHandler } from '../suppressions.js';
+import { createWebhookServer, logHandler, WebhookReceiver } from './receiver.js';
+
+export const EVENTS_FILE = 'webhook-events.jsonl';
+
+/**
+ * Store holding every webhook event received or replayed
+ */
+export function eventStore(config) {
+    return new JsonlStore(join(config.storage.dir, EVENTS_FILE));
+}
+
+async function loadHandler(path) {
+    const module = await import(pathToFileURL(resolve(path)).href);
+    const exported = module.default;
+    if (typeof exported === 'function') {
+        return { handle: exported };
+    }
+    if (exported && typeof exported.handle === 'function') {
+        return exported;
+    }
+    throw new EspError(`${path} must default-export a function or an object with a handle(event) method`, {
+        action: 'load webhook handler'
+    });
+}
+
+/**
+ * Receiver wired to the event store, the logger, the suppression list and the given handler modules
+ *
+ * @param {object} config - Resolved configuration
+ * @param {string[]} [handlerPaths] - Handler modules to load
+ * @param {Logger} [logger]
+ */
+export async function buildReceiver(config, handlerPaths = [], logger = Logger.forConfig(config)) {
+    const receiver = new WebhookReceiver({ store: eventStore(config), logger });
+    receiver.use(logHandler(logger));
+    const suppressions = suppressionHandler(SuppressionList.forConfig(config), logger);
+    receiver.use(suppressions.handle, { types: suppressions.types });
+    for (const path of handlerPaths) {
+        const { handle, types } = await loadHandler(path);
+        receiver.use(handle, { types });
+    }
+    return receiver;
+}
+
+/**
+ * Run the webhook server until SIGINT/SIGTERM
+ *
+ * @param {object} config
+ * @param {object} [options]
+ * @param {number} [options.port]
+ * @param {string} [options.path]
+ * @param {string} [options.record] - JSONL file raw payloads are appended to, for `webhooks replay`
+ * @param {string[]} [options.handlers] - Handler module paths
+ * @param {Logger} [options.logger]
+ */
+export async function listen(config, { port = config.webhook.listenPort, path = config.webhook.listenPath, record, handlers = [], logger = Logger.forConfig(config) } = {}) {
+    const receiver = await buildReceiver(config, handlers, logger);
+    const server = createWebhookServer(receiver, {
+        path,
+        recorder: record ? new JsonlStore(resolve(record)) : null
+    });
+
+    await new Promise((resolveListen, rejectListen) => {
+        server.once('error', (error) => rejectListen(new EspError(error.message, { action: 'start webhook server', cause: error })));
+        server.listen(port, resolveListen);
+    });
+
+    logger.info(`✓ Listening for SendPost webhooks on http://localhost:${server.address().port}${path}`);
+    logger.info(`  Storing events in ${receiver.store.path}`);
+    if (record) {
+        logger.info(`  Recording raw payloads to ${resolve(record)}`);
+    }
+    logger.info('  Press Ctrl+C to stop.');
+
+    await new Promise((resolveStop) => {
+        const stop = () => {
+            process.off('SIGINT', stop);
+            process.off('SIGTERM', stop);
+            server.close(resolveStop);
+        };
+        process.on('SIGINT', stop);
+        process.on('SIGTERM', stop);
+    });
+    logger.info('\n✓ Webhook server stopped');
+}
+
+/**
+ * Read recorded payloads: JSON Lines (one request body per line, as written by
+ * `listen --record`) or a JSON array of request bodies
+ */
+export async function readRecordedPayloads(file) {
+    const text = await readFile(file, 'utf8');
+    if (file.endsWith('.jsonl')) {
+        return text.split('\n').filter((line) => line.trim() !== '').map((line) => JSON.parse(line));
+    }
+    const parsed = JSON.parse(text);
+    return Array.isArray(parsed) ? parsed : [parsed];
+}
+
+/**
+ * Replay recorded payloads, either through a local receiver or by POSTing
+ * them to a running listener
+ *
+ * @param {object} config
+ * @param {string} file - Recorded payloads
+ * @param {object} [options]
+ * @param {string} [options.url] - Listener to POST to instead of processing locally
+ * @param {string[]} [options.handlers] - Handler module paths, for local processing
+ * @param {Logger} [options.logger]
+ * @returns {Promise<{replayed: number, failed: number}>}
+ */
+export async function replay(config, file, { url, handlers = [], logger = Logger.forConfig(config) } = {}) {
+    let payloads;
+    try {
+        payloads = await readRecordedPayloads(file);
+    } catch (error) {
+        throw new EspError(error.message, { action: 'read recorded payloads', cause: error });
+    }
+    const receiver = url ? null : await buildReceiver(config, handlers, logger);
+
+    let failed = 0;
+    for (const [index, payload] of payloads.entries()) {
+        try {
+            if (receiver) {
+                await receiver.receive(payload);
+            } else {
+                const response = await fetch(url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(payload)
+                });
+                if (!response.ok) {
+                    throw new Error(`${response.status} ${await response.text()}`);
+                }
+            }
+        } catch (error) {
+            failed++;
+            logger.error(`✗ Payload ${index + 1}: ${error.message}`);
+        }
+    }
+
+    logger.info(`✓ Replayed ${payloads.length - failed} of ${payloads.length} payload(s)${url ? ` to ${url}` : ''}`);
+    return { replayed: payloads.length - failed, failed };
+}
@@ -0,0 +1,249 @@
+/**
+ * Webhook settings, duplicates and test events
+ *
+ * A webhook is referred to by ID, or by URL when only one webhook has it.
+ * Its event types are edited with an event list: `delivered,opened` enables
+ * exactly those, `+opened,-clicked` changes the current set, and `all` or
+ * `none` enable every or no event type.
+ *
+ * Every run of the complete workflow creates another webhook for the same
+ * URL. findDuplicates() groups webhooks by URL; the oldest of each group is
+ * kept with the events of all of them, the others can be deleted.
+ */
+
+import { isHttpUrl, WEBHOOK_EVENTS } from '../config.js';
+import { EspError, EXIT_CODES, NetworkError, PrerequisiteError } from '../errors.js';
+
+/** How long a test event may take to be accepted */
+export const TEST_TIMEOUT_MS = 10000;
+
+/**
+ * Raised when a webhook change fails validation. `issues` lists every problem found.
+ */
+export class WebhookSettingsError extends EspError {
+    constructor(webhook, issues) {
+        super(`Invalid settings for webhook ${webhook}:\n${issues.map((issue) => `  - ${issue}`).join('\n')}`, {
+            action: 'check webhook settings',
+            hint: `Event types are ${WEBHOOK_EVENTS.join(', ')}.`
+        });
+        this.issues = issues;
+        this.exitCode = EXIT_CODES.USAGE;
+    }
+}
+
+/**
+ * The event types a webhook has enabled, in WEBHOOK_EVENTS order
+ */
+export function enabledEvents(webhook) {
+    return WEBHOOK_EVENTS.filter((event) => Boolean(webhook[event]));
+}
+
+/**
+ * A webhook by ID, or by URL when only one webhook has it
+ *
+ * @throws {PrerequisiteError} When there is no such webhook, or several with that URL
+ */
+export function findWebhook(webhooks, ref) {
+    const byId = webhooks.find((webhook) => String(webhook.id) === String(ref));
+    if (byId) {
+        return byId;
+    }
+    const byUrl = webhooks.filter((webhook) => sameUrl(webhook.url, String(ref)));
+    if (byUrl.length > 1) {
+        throw new PrerequisiteError(`${byUrl.length} webhooks have the URL ${ref}: ${byUrl.map((webhook) => webhook.id).join(', ')}`, {
+            action: 'find webhook',
+            hint: 'Give the webhook ID, or merge them with "webhooks reconcile".'
+        });
+    }
+    if (byUrl.length === 0) {
+        throw new PrerequisiteError(`No webhook "${ref}"`, { action: 'find webhook', hint: 'Check the ID or URL against "webhooks list".' });
+    }
+    return byUrl[0];
+}
+
+/**
+ * URL in a form where trivially different spellings compare equal: lower-case
+ * scheme and host, no default port, no trailing slash
+ */
+export function normalizeUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return `${parsed.protocol}//${parsed.host}${parsed.pathname.replace(/\/+$/, '')}${parsed.search}`;
+    } catch {
+        return url;
+    }
+}
+
+const sameUrl = (a, b) => normalizeUrl(a) === normalizeUrl(b);
+
+/**
+ * Apply an event list to a set of enabled event types
+ *
+ * @param {string[]} current - Enabled event types
+ * @param {string} text - e.g. 'delivered,opened', '+opened,-clicked', 'all' or 'none'
+ * @returns {{events: string[], issues: string[]}} events in WEBHOOK_EVENTS order
+ */
+export function applyEventList(current, text) {
+    const items = String(text).split(',').map((item) => item.trim()).filter(Boolean);
+    const issues = [];
+    if (items.length === 1 && (items[0] === 'all' || items[0] === 'none')) {
+        return { events: items[0] === 'all' ? [...WEBHOOK_EVENTS] : [], issues };
+    }
+
+    const relative = items.filter((item) => /^[+-]/.test(item));
+    if (relative.length > 0 && relative.length < items.length) {
+        issues.push('an event list either names the events to enable or changes them with +/-, not both');
+    }
+    const events = new Set(relative.length > 0 ? current : []);
+    for (const item of items) {
+        const sign = /^[+-]/.test(item) ? item[0] : '+';
+        const name = item.replace(/^[+-]/, '');
+        if (!WEBHOOK_EVENTS.includes(name)) {
+            issues.push(`unknown event type "${name}"`);
+        } else if (sign === '+') {
+            events.add(name);
+        } else {
+            events.delete(name);
+        }
+    }
+    return { events: WEBHOOK_EVENTS.filter((event) => events.has(event)), issues };
+}
+
+/**
+ * Work out and check a webhook's settings after a change
+ *
+ * @param {object} current - The webhook as SendPost reports it
+ * @param {object} change - Only the fields given are changed
+ * @param {string} [change.url]
+ * @param {boolean} [change.enabled]
+ * @param {string} [change.events] - Event list (see applyEventList)
+ * @returns {object} { url, enabled, events: [eventType, ...] }
+ * @throws {WebhookSettingsError}
+ */
+export function resolveWebhookSettings(current, change) {
+    const issues = [];
+    const url = change.url === undefined ? current.url : String(change.url).trim();
+    if (!isHttpUrl(url)) {
+        issues.push(`URL must be an http(s) URL, got "${url}"`);
+    }
+    let events = enabledEvents(current);
+    if (change.events !== undefined) {
+        const applied = applyEventList(events, change.events);
+        issues.push(...applied.issues);
+        events = applied.events;
+    }
+    if (issues.length > 0) {
+        throw new WebhookSettingsError(current.id, issues);
+    }
+    return { url, enabled: change.enabled === undefined ? Boolean(current.enabled) : change.enabled, events };
+}
+
+/**
+ * The fields a change would alter, with their old and new values
+ *
+ * @returns {Array<{field: string, from: *, to: *}>}
+ */
+export function webhookDiff(current, settings) {
+    const before = { url: current.url, enabled: Boolean(current.enabled), events: enabledEvents(current) };
+    return Object.keys(settings)
+        .filter((field) => JSON.stringify(before[field]) !== JSON.stringify(settings[field]))
+        .map((field) => ({ field, from: before[field], to: settings[field] }));
+}
+
+/**
+ * Webhooks sharing a URL
+ *
+ * @param {object[]} webhooks - As SendPost lists them
+ * @returns {Array<{url: string, keep: object, remove: object[], settings: object}>} One entry per URL
+ *   with more than one webhook: the oldest is kept, enabled when any of them is, with the events of all of them
+ */
+export function findDuplicates(webhooks) {
+    const groups = new Map();
+    for (const webhook of webhooks) {
+        const url = normalizeUrl(webhook.url);
+        groups.set(url, [...(groups.get(url) || []), webhook]);
+    }
+    return [...groups.values()]
+        .filter((group) => group.length > 1)
+        .map((group) => {
+            const [keep, ...remove] = [...group].sort((a, b) => (a.created || 0) - (b.created || 0) || a.id - b.id);
+            return {
+                url: keep.url,
+                keep,
+                remove,
+                settings: {
+                    url: keep.url,
+                    enabled: group.some((webhook) => Boolean(webhook.enabled)),
+                    events: WEBHOOK_EVENTS.filter((event) => group.some((webhook) => Boolean(webhook[event])))
+                }
+            };
+        });
+}
+
+/**
+ * A synthetic event in the shape SendPost posts, marked `test: true`
+ *
+ * @param {string} type - One of WEBHOOK_EVENTS
+ * @param {object} [options]
+ * @param {number} [options.webhookId]
+ * @param {Date} [options.now]
+ */
+export function testEvent(type, { webhookId = null, now = new Date() } = {}) {
+    const id = `test-${now.getTime()}`;
+    const event = {
+        type,
+        eventID: id,
+        messageID: id,
+        to: 'test@example.com',
+        from: 'sender@example.com',
+        subject: 'SendPost webhook test',
+        timestamp: Math.floor(now.getTime() / 1000),
+        webhookID: webhookId,
+        test: true
+    };
+    if (type === 'dropped' || type === 'softBounced' || type === 'hardBounced') {
+        Object.assign(event, { reason: 'Test event', smtpCode: type === 'hardBounced' ? 550 : 450 });
+    }
+    if (type === 'opened' || type === 'clicked') {
+        Object.assign(event, { userAgent: 'esp-webhook-test', ip: '192.0.2.1' });
+    }
+    if (type === 'clicked') {
+        event.url = 'https://example.com/';
+    }
+    return event;
+}
+
+/**
+ * POST a test event to a webhook endpoint
+ *
+ * @returns {Promise<{status: number, ms: number}>}
+ * @throws {NetworkError} When the endpoint cannot be reached in time
+ * @throws {EspError} When it does not answer with a 2xx status
+ */
+export async function fireTestEvent(url, event, { timeoutMs = TEST_TIMEOUT_MS } = {}) {
+    const started = Date.now();
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(event),
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+    } catch (error) {
+        throw new NetworkError(`${url} could not be reached: ${error.cause?.message || error.message}`, {
+            action: 'send test event',
+            hint: 'SendPost posts to this URL from the internet; a local listener needs a public tunnel.',
+            cause: error
+        });
+    }
+    const ms = Date.now() - started;
+    if (!response.ok) {
+        const body = (await response.text()).slice(0, 200);
+        throw new EspError(`${url} responded with ${response.status}${body ? `: ${body}` : ''}`, {
+            action: 'send test event',
+            hint: 'Check that the endpoint accepts POSTed JSON events; "webhooks listen" shows what a working receiver does.'
+        });
+    }
+    return { status: response.status, ms };
+}
@@ -0,0 +1,164 @@
+/**
+ * Local receiver for SendPost webhook events
+ *
+ * WebhookReceiver validates payloads, persists the parsed events and hands
+ * them to registered handlers. createWebhookServer() puts it behind a plain
+ * node:http server; replaying recorded payloads goes through the same
+ * receiver, so everything can be exercised offline.
+ */
+
+import { createServer } from 'node:http';
+import { Logger } from '../logger.js';
+import { parsePayload, WebhookPayloadError } from './events.js';
+
+export const MAX_BODY_BYTES = 1024 * 1024;
+
+export class WebhookReceiver {
+    /**
+     * @param {object} [options]
+     * @param {import('../store.js').JsonlStore} [options.store] - Where parsed events are persisted
+     * @param {Logger} [options.logger] - Where handler failures are reported
+     */
+    constructor({ store = null, logger = new Logger() } = {}) {
+        this.store = store;
+        this.logger = logger;
+        this.handlers = [];
+    }
+
+    /**
+     * Register a handler
+     *
+     * @param {function(import('./events.js').WebhookEvent): (void|Promise)} handler
+     * @param {object} [options]
+     * @param {string[]} [options.types] - Only these event types; all when omitted
+     * @returns {this}
+     */
+    use(handler, { types } = {}) {
+        this.handlers.push({ handler, types: types || null });
+        return this;
+    }
+
+    /**
+     * Parse, persist and dispatch one request body
+     *
+     * A handler failing does not fail the delivery: the event is already
+     * stored, and SendPost retrying it would only produce a duplicate.
+     *
+     * @returns {Promise<{events: object[], handlerErrors: Error[]}>}
+     * @throws {WebhookPayloadError} When the body is not a valid event or batch
+     */
+    async receive(body) {
+        const events = parsePayload(body);
+        if (this.store) {
+            await this.store.append(...events.map((event) => event.toJSON()));
+        }
+
+        const handlerErrors = [];
+        for (const event of events) {
+            for (const { handler, types } of this.handlers) {
+                if (types && !types.includes(event.type)) {
+                    continue;
+                }
+                try {
+                    await handler(event);
+                } catch (error) {
+                    handlerErrors.push(error);
+                    this.logger.error(`✗ Webhook handler failed for ${event.type} event on message ${event.messageId}: ${error.message}`);
+                }
+            }
+        }
+        return { events, handlerErrors };
+    }
+}
+
+function readBody(request, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        request.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > maxBytes) {
+                reject(Object.assign(new Error(`Body exceeds ${maxBytes} bytes`), { statusCode: 413 }));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+}
+
+function respond(response, statusCode, body) {
+    response.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+}
+
+/**
+ * HTTP server accepting SendPost webhook POSTs on `path`
+ *
+ * Responds 200 once events are stored, 400 for malformed JSON, 422 for
+ * payloads that are not valid events, 404/405 for anything else.
+ *
+ * @param {WebhookReceiver} receiver
+ * @param {object} [options]
+ * @param {string} [options.path='/webhook']
+ * @param {number} [options.maxBodyBytes]
+ * @param {import('../store.js').JsonlStore} [options.recorder] - Raw bodies are appended here for later replay
+ * @returns {import('node:http').Server}
+ */
+export function createWebhookServer(receiver, { path = '/webhook', maxBodyBytes = MAX_BODY_BYTES, recorder = null } = {}) {
+    return createServer(async (request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        if (url.pathname !== path) {
+            respond(response, 404, { error: 'Not found' });
+            return;
+        }
+        if (request.method !== 'POST') {
+            response.setHeader('Allow', 'POST');
+            respond(response, 405, { error: 'Method not allowed' });
+            return;
+        }
+
+        let body;
+        try {
+            body = JSON.parse(await readBody(request, maxBodyBytes));
+        } catch (error) {
+            respond(response, error.statusCode || 400, { error: error.statusCode ? error.message : 'Body is not valid JSON' });
+            return;
+        }
+
+        try {
+            if (recorder) {
+                await recorder.append(body);
+            }
+            const { events } = await receiver.receive(body);
+            respond(response, 200, { received: events.length });
+        } catch (error) {
+            if (error instanceof WebhookPayloadError) {
+                respond(response, 422, { error: error.message });
+                return;
+            }
+            receiver.logger.error(`✗ Failed to store webhook events: ${error.message}`);
+            respond(response, 500, { error: 'Failed to store events' });
+        }
+    });
+}
+
+/**
+ * Handler that logs one line per event; in JSON mode each event is a result record
+ *
+ * @param {Logger} logger
+ */
+export function logHandler(logger) {
+    return (event) => {
+        if (logger.json) {
+            logger.result({ type: 'event', event: event.toJSON() });
+            return;
+        }
+        const details = [event.email && `to ${event.email}`, event.reason && `(${event.reason})`, event.url && `→ ${event.url}`]
+            .filter(Boolean)
+            .join(' ');
+        logger.info(`📨 ${event.timestamp.toISOString()} ${event.type} message ${event.messageId}${details ? ` ${details}` : ''}`);
+    };
+}
@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { test } from 'node:test';
+import { ESPExample } from '../ESPExample.js';
+import { AttachmentError, attachFiles, detectMimeType } from '../src/attachments.js';
+import { run } from '../src/cli.js';
+import { quiet, setup } from './harness.js';
+
+const cli = (argv, env) => run(argv, (config) => new ESPExample(config), env);
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 1, 2, 3]);
+const PDF = Buffer.from('%PDF-1.7\n% invoice\n');
+
+const LIMITS = { maxFileBytes: 1024, maxMessageBytes: 4096 };
+
+async function tempDir(t) {
+    const dir = await mkdtemp(join(tmpdir(), 'esp-attachments-'));
+    t.after(() => rm(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('MIME types come from the extension, else from the content', () => {
+    assert.equal(detectMimeType('invoice.PDF'), 'application/pdf');
+    assert.equal(detectMimeType('logo', PNG), 'image/png');
+    assert.equal(detectMimeType('invoice.bin', PDF), 'application/pdf');
+    assert.equal(detectMimeType('data.bin', Buffer.from('plain')), 'application/octet-stream');
+});
+
+test('local images become inline attachments referenced by Content-ID', async (t) => {
+    const dir = await tempDir(t);
+    await mkdir(join(dir, 'images'));
+    await writeFile(join(dir, 'images', 'logo.png'), PNG);
+    await writeFile(join(dir, 'invoice.pdf'), PDF);
+    const message = {
+        htmlBody: '<img src="images/logo.png" alt="Logo"><img class="footer" src=\'images/logo.png\'>'
+            + '<img src="https://cdn.example.com/banner.png"><img src="{{avatar}}">'
+    };
+
+    const attached = await attachFiles(message, [join(dir, 'invoice.pdf'), { filename: 'notes.txt', content: 'Thanks!' }], { baseDir: dir, ...LIMITS });
+
+    assert.deepEqual(attached.map(({ filename, contentType, size }) => [filename, contentType, size]), [
+        ['invoice.pdf', 'application/pdf', PDF.length],
+        ['notes.txt', 'text/plain', 7],
+        ['logo.png', 'image/png', PNG.length]
+    ]);
+    const cid = attached[2].contentId;
+    assert.match(cid, /^logo\.[0-9a-f]{12}@esp$/);
+    assert.equal(message.htmlBody, `<img src="cid:${cid}" alt="Logo"><img class="footer" src='cid:${cid}'>`
+        + '<img src="https://cdn.example.com/banner.png"><img src="{{avatar}}">');
+    assert.deepEqual(message.attachments[0], { filename: 'invoice.pdf', type: 'application/pdf', content: PDF.toString('base64'), disposition: 'attachment' });
+    assert.deepEqual(message.attachments[2], { filename: 'logo.png', type: 'image/png', content: PNG.toString('base64'), disposition: 'inline', contentId: cid });
+});
+
+test('missing files and oversized messages fail before anything changes', async (t) => {
+    const dir = await tempDir(t);
+    const html = '<img src="missing.png">';
+    const message = { htmlBody: html };
+
+    await assert.rejects(attachFiles(message, [join(dir, 'invoice.pdf')], { baseDir: dir, ...LIMITS }), (error) => {
+        assert.ok(error instanceof AttachmentError);
+        assert.deepEqual(error.problems, [`${join(dir, 'invoice.pdf')}: no such file`, `inline image missing.png: no such file in ${dir}`]);
+        return true;
+    });
+
+    const sized = { htmlBody: '<p>Hi</p>' };
+    const large = { filename: 'large.pdf', content: Buffer.alloc(2000) };
+    await assert.rejects(attachFiles(sized, [large], { baseDir: dir, ...LIMITS }), /large\.pdf is 2\.0 KB, over the 1\.0 KB limit per file/);
+    // 3 x 1000 bytes is within the file limit, but base64 makes the message larger than 4 KB
+    const parts = ['a', 'b', 'c'].map((name) => ({ filename: `${name}.pdf`, content: Buffer.alloc(1000) }));
+    await assert.rejects(attachFiles(sized, parts, { baseDir: dir, ...LIMITS }), /message would be 4\.\d KB, over the 4\.0 KB limit/);
+
+    assert.deepEqual(message, { htmlBody: html });
+    assert.deepEqual(sized, { htmlBody: '<p>Hi</p>' });
+});
+
+test('sends carry attachments and the template\'s inline images', async (t) => {
+    const templates = await tempDir(t);
+    await mkdir(join(templates, 'invoice'));
+    await writeFile(join(templates, 'invoice', 'subject.hbs'), 'Invoice for order {{customer_id}}');
+    await writeFile(join(templates, 'invoice', 'html.hbs'), '<img src="logo.png"><p>Your invoice is attached.</p>');
+    await writeFile(join(templates, 'invoice', 'logo.png'), PNG);
+    await writeFile(join(templates, 'invoice.pdf'), PDF);
+
+    const { mock, example, env } = await setup(t, { config: { templates: { dir: templates, transactional: 'invoice' } } });
+    quiet(t);
+
+    await example.sendTransactionalEmail({ attachments: [join(templates, 'invoice.pdf')] });
+    const [message] = mock.state.messages;
+    assert.deepEqual(message.attachments.map(({ filename, disposition, size }) => [filename, disposition, size]), [
+        ['invoice.pdf', 'attachment', PDF.length],
+        ['logo.png', 'inline', PNG.length]
+    ]);
+
+    const send = ['email', 'transactional', '--set', `templates.dir=${templates}`, '--set', 'templates.transactional=invoice'];
+    assert.equal(await cli([...send, '--attach', join(templates, 'missing.pdf')], env), 1);
+    assert.equal(await cli([...send, '--attach', join(templates, 'invoice.pdf'), '--set', 'attachments.maxFileBytes=10'], env), 1);
+    assert.equal(mock.calls('sendEmail').length, 1);
+    assert.equal(await cli([...send, '--attach', join(templates, 'invoice.pdf')], env), 0);
+    assert.equal(mock.state.messages[1].attachments.length, 2);
+});
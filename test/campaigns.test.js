@@ -0,0 +1,127 @@
+import assert from 'node:assert/strict';
+import { writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { test } from 'node:test';
+import { ESPExample } from '../ESPExample.js';
+import { campaignReport, CampaignError, resolveCampaign } from '../src/campaigns.js';
+import { run } from '../src/cli.js';
+import { drainQueue } from '../src/queue.js';
+import { buildReceiver } from '../src/webhooks/listen.js';
+import { quiet, setup } from './harness.js';
+
+const cli = (argv, env) => run(argv, (config) => new ESPExample(config), env);
+
+async function audience(config, name = 'audience.csv') {
+    const file = join(config.storage.dir, name);
+    await writeFile(file, ['email,name', 'ana@example.com,Ana', 'ben@example.com,Ben', 'cy@example.com,Cy'].join('\n'));
+    return file;
+}
+
+test('campaign settings are checked and defaulted', () => {
+    const campaign = resolveCampaign({ name: 'Spring Sale', audience: 'audience.csv', template: 'marketing', groups: 'spring, sale,spring' });
+    assert.match(campaign.id, /^cmp-[a-z0-9]+-[0-9a-f]{6}$/);
+    assert.deepEqual([campaign.status, campaign.groups, campaign.schedule], ['draft', ['spring', 'sale'], null]);
+    assert.deepEqual(resolveCampaign({ name: 'Plain', audience: 'a.csv', template: 'marketing' }).groups, ['marketing']);
+    // Names are compared as stored, without surrounding spaces
+    assert.throws(() => resolveCampaign({ name: 'Spring Sale ', audience: 'a.csv', template: 'marketing' }, [campaign]), /already exists/);
+
+    assert.throws(() => resolveCampaign({ name: 'Spring Sale', groups: 'a b', schedule: { localTime: '9am' } }, [campaign]), (error) => {
+        assert.ok(error instanceof CampaignError);
+        assert.deepEqual(error.issues, [
+            'a campaign named "Spring Sale" already exists',
+            'an audience file is required',
+            'group "a b" may only contain letters, digits, ".", "-" and "_"',
+            '"9am" is not a send time'
+        ]);
+        return true;
+    });
+});
+
+test('the report counts each campaign\'s messages once per event type', () => {
+    const entry = (messageId, campaignId) => ({ messageId, to: `${messageId}@example.com`, sentAt: '2024-03-09T12:00:00.000Z', campaignId, groups: [], headers: {} });
+    const entries = [entry('m1', 'cmp-a'), entry('m2', 'cmp-a'), entry('m3', 'campaign-001'), entry('m4', null)];
+    const event = (messageId, type) => ({ messageId, type, timestamp: '2024-03-09T12:01:00.000Z' });
+    const events = [
+        event('m1', 'delivered'), event('m1', 'delivered'), event('m1', 'opened'), event('m1', 'opened'), event('m1', 'clicked'),
+        event('m2', 'hardBounced'), event('m3', 'delivered'), event('m4', 'delivered'), event('m9', 'delivered')
+    ];
+
+    const rows = campaignReport([{ id: 'cmp-a', name: 'Spring', status: 'sent' }, { id: 'cmp-b', name: 'Unsent', status: 'draft' }], entries, events);
+    assert.deepEqual(rows.map((row) => [row.campaignId, row.name, row.sent, row.delivered, row.hardBounced, row.opened, row.clicked]), [
+        ['cmp-a', 'Spring', 2, 1, 1, 1, 1],
+        ['cmp-b', 'Unsent', 0, 0, 0, 0, 0],
+        ['campaign-001', null, 1, 1, 0, 0, 0]
+    ]);
+    assert.deepEqual([rows[0].deliveryRate, rows[0].bounceRate, rows[0].openRate, rows[0].clickRate], [0.5, 0.5, 1, 1]);
+    assert.equal(rows[1].deliveryRate, null);
+    assert.deepEqual(rows.map((row) => row.status), ['sent', 'draft', null]);
+});
+
+test('a launched campaign tags every message with its ID and groups', async (t) => {
+    const { mock, example, config, env } = await setup(t);
+    quiet(t);
+    const file = await audience(config);
+    await example.createIPPool('Campaign Pool');
+
+    const created = await example.createCampaign({ name: 'Spring Sale', audience: file, groups: 'spring,sale', pool: 'Campaign Pool' });
+    const launched = await example.launchCampaign('Spring Sale');
+    assert.equal(launched.status, 'sent');
+    assert.equal(launched.counts.sent, 3);
+    for (const call of mock.calls('sendEmail')) {
+        assert.equal(call.body.headers['X-Campaign-ID'], created.id);
+        assert.deepEqual(call.body.groups, ['spring', 'sale']);
+        assert.equal(call.body.ippool, 'Campaign Pool');
+    }
+    assert.equal((await example.listSends({ campaignId: created.id })).length, 3);
+
+    const receiver = await buildReceiver(config);
+    const now = Math.floor(Date.now() / 1000);
+    const [ana, ben, cy] = await example.listSends({ campaignId: created.id }).then((entries) => entries.sort((a, b) => a.to.localeCompare(b.to)));
+    await receiver.receive([
+        { type: 'delivered', eventID: 'e1', messageID: ana.messageId, to: ana.to, timestamp: now },
+        { type: 'delivered', eventID: 'e2', messageID: ben.messageId, to: ben.to, timestamp: now },
+        { type: 'hardBounced', eventID: 'e3', messageID: cy.messageId, to: cy.to, timestamp: now },
+        { type: 'opened', eventID: 'e4', messageID: ana.messageId, to: ana.to, timestamp: now + 60 },
+        { type: 'unsubscribed', eventID: 'e5', messageID: ben.messageId, to: ben.to, timestamp: now + 90 }
+    ]);
+    const [row] = await example.reportCampaigns({ campaign: 'Spring Sale' });
+    assert.deepEqual([row.sent, row.delivered, row.hardBounced, row.opened, row.unsubscribed], [3, 2, 1, 1, 1]);
+    assert.equal(row.openRate, 0.5);
+
+    // Launching again resumes the batch: nothing is left to send
+    await example.launchCampaign(created.id);
+    assert.equal(mock.state.messages.length, 3);
+    // Marketing emails sent outside a campaign are reported under the example's ID
+    await example.sendMarketingEmail();
+    assert.equal(await cli(['campaigns', 'report', '--campaign', 'campaign-001'], env), 0);
+    assert.equal(await cli(['campaigns', 'report', '--campaign', 'Autumn'], env), 1);
+});
+
+test('a scheduled campaign is queued, once, and sent by the worker', async (t) => {
+    const { mock, example, config, env } = await setup(t);
+    quiet(t);
+    const file = await audience(config);
+
+    assert.equal(await cli(['campaigns', 'create', 'Weekend', '--audience', file, '--at', '2h'], env), 0);
+    assert.equal(await cli(['campaigns', 'launch', 'Weekend'], env), 0);
+    const [campaign] = await example.listCampaigns();
+    assert.equal(campaign.status, 'scheduled');
+    const [job] = await example.queue.list();
+    assert.deepEqual(campaign.jobs, [job.id]);
+    assert.deepEqual(job.params.campaign, { id: campaign.id, groups: ['marketing'] });
+    assert.equal(mock.state.messages.length, 0);
+    assert.equal(await cli(['campaigns', 'launch', campaign.id], env), 1);
+
+    const later = new Date(Date.now() + 3 * 3600000);
+    await drainQueue(example, { queue: example.queue, limiter: () => ({ acquire: async () => {} }), now: later });
+    const [sent] = await example.listCampaigns();
+    assert.deepEqual([sent.status, sent.counts.sent], ['sent', 3]);
+    assert.equal((await example.reportCampaigns({ campaign: 'Weekend' }))[0].status, 'sent');
+    assert.equal(await cli(['campaigns', 'launch', 'Weekend'], env), 1);
+
+    assert.equal(await cli(['campaigns', 'create', 'Weekend', '--audience', file], env), 2);
+    assert.equal(await cli(['campaigns', 'create', 'Other'], env), 2);
+    assert.equal(await cli(['campaigns', 'create', 'Other', '--audience', file, '--at', '1h', '--local-time', '09:00'], env), 2);
+    assert.equal(await cli(['campaigns', 'create', 'Other', '--audience', join(config.storage.dir, 'missing.csv')], env), 1);
+    assert.equal(await cli(['campaigns', 'list'], env), 0);
+});
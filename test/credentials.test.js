@@ -0,0 +1,117 @@
+import assert from 'node:assert/strict';
+import { readFile, stat } from 'node:fs/promises';
+import { join } from 'node:path';
+import { test } from 'node:test';
+import { ESPExample } from '../ESPExample.js';
+import { run } from '../src/cli.js';
+import { CredentialError, CredentialStore, CREDENTIALS_FILE } from '../src/credentials.js';
+import { capture, quiet, setup } from './harness.js';
+
+const PASSPHRASE = 'correct horse battery staple';
+
+const cli = (argv, env) => run(argv, (config) => new ESPExample(config), env);
+
+const withPassphrase = { credentials: { passphrase: PASSPHRASE } };
+
+test('keys are stored encrypted and readable with the passphrase only', async (t) => {
+    const { config } = await setup(t, { config: withPassphrase });
+    const store = CredentialStore.forConfig(config);
+
+    await store.save(7, { apiKey: 'sub-account-secret-7', name: 'Acme' });
+    await store.save(3, { apiKey: 'sub-account-secret-3' });
+
+    const path = join(config.storage.dir, CREDENTIALS_FILE);
+    assert.ok(!(await readFile(path, 'utf8')).includes('sub-account-secret'));
+    assert.equal((await stat(path)).mode & 0o777, 0o600);
+    assert.deepEqual((await store.list()).map((entry) => [entry.subAccountId, entry.name]), [[3, null], [7, 'Acme']]);
+    assert.equal((await store.get(7)).apiKey, 'sub-account-secret-7');
+
+    const wrong = new CredentialStore(store.store, 'not the passphrase');
+    await assert.rejects(wrong.get(7), CredentialError);
+
+    assert.equal(await store.remove(7), true);
+    assert.equal(await store.remove(7), false);
+    assert.equal(await store.get(7), null);
+});
+
+test('the store is unavailable without a passphrase', async (t) => {
+    const { config } = await setup(t);
+    const store = CredentialStore.forConfig(config);
+
+    assert.equal(store.available, false);
+    await assert.rejects(store.list(), (error) => error instanceof CredentialError && /SENDPOST_CREDENTIALS_PASSPHRASE/.test(error.hint));
+});
+
+test('a created sub-account key goes to the credential store, not the output', async (t) => {
+    const { example } = await setup(t, { config: withPassphrase });
+    const output = quiet(t);
+
+    const subAccount = await example.createSubAccount('Acme');
+
+    assert.equal((await example.credentials.get(subAccount.id)).apiKey, subAccount.apiKey);
+    assert.ok(output.some((line) => line.includes(`saved to the credential store (use --as ${subAccount.id})`)));
+    assert.ok(!output.some((line) => line.includes(subAccount.apiKey)));
+});
+
+test('without a passphrase a created key is masked and not stored', async (t) => {
+    const { example } = await setup(t);
+    const output = quiet(t);
+
+    const subAccount = await example.createSubAccount('Acme');
+
+    assert.ok(!output.some((line) => line.includes(subAccount.apiKey)));
+    assert.ok(output.some((line) => line.includes('Set credentials.passphrase')));
+});
+
+test('actAs fetches a missing key once and uses it for sub-account calls', async (t) => {
+    const { mock, example } = await setup(t, { config: withPassphrase });
+    quiet(t);
+    const acme = mock.addSubAccount('Acme', 'acme-sub-account-key');
+
+    await example.actAs(acme.id);
+    await example.sendTransactionalEmail();
+
+    assert.equal(mock.calls('sendEmail')[0].headers['x-subaccount-apikey'], 'acme-sub-account-key');
+    assert.equal(example.createdSubAccountId, acme.id);
+    assert.equal((await example.credentials.get(acme.id)).apiKey, 'acme-sub-account-key');
+
+    await new ESPExample(example.config).actAs(acme.id);
+    assert.equal(mock.calls('getAllSubAccounts').length, 1);
+});
+
+test('actAs fails for a sub-account that does not exist', async (t) => {
+    const { example } = await setup(t, { config: withPassphrase });
+    quiet(t);
+
+    await assert.rejects(example.actAs(999), CredentialError);
+});
+
+test('--as selects the stored key on the command line', async (t) => {
+    const { mock, env } = await setup(t);
+    const output = capture(t);
+    const acme = mock.addSubAccount('Acme', 'acme-sub-account-key');
+    const cliEnv = { ...env, SENDPOST_SUB_ACCOUNT_API_KEY: '', SENDPOST_CREDENTIALS_PASSPHRASE: PASSPHRASE };
+
+    assert.equal(await cli(['credentials', 'import'], cliEnv), 0);
+    assert.equal(await cli(['domains', 'list', '--as', String(acme.id)], cliEnv), 0);
+
+    assert.equal(mock.calls('getAllDomains')[0].headers['x-subaccount-apikey'], 'acme-sub-account-key');
+    assert.equal(await cli(['credentials', 'remove', String(acme.id)], cliEnv), 0);
+    assert.equal(await cli(['credentials', 'remove', String(acme.id)], cliEnv), 1);
+    assert.ok(![...output.stdout, ...output.stderr].some((line) => line.includes('acme-sub-account-key')));
+});
+
+test('cleanup deletes a domain added with --as through the sub-account it was added to', async (t) => {
+    const { mock, env } = await setup(t);
+    quiet(t);
+    const acme = mock.addSubAccount('Acme', 'acme-sub-account-key');
+    const cliEnv = { ...env, SENDPOST_CREDENTIALS_PASSPHRASE: PASSPHRASE };
+
+    assert.equal(await cli(['credentials', 'import'], cliEnv), 0);
+    assert.equal(await cli(['domains', 'add', 'acme.example.com', '--as', String(acme.id)], cliEnv), 0);
+    assert.equal(await cli(['cleanup', '--yes'], cliEnv), 0);
+
+    const [deletion] = mock.calls('subaccountDomainDomainIdDelete');
+    assert.equal(deletion.headers['x-subaccount-apikey'], 'acme-sub-account-key');
+    assert.deepEqual(mock.state.domains, []);
+});
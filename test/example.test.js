@@ -0,0 +1,354 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { normalizeSpec } from '../src/clients.js';
+import { PrerequisiteError } from '../src/errors.js';
+import { TemplateError } from '../src/templates.js';
+import { setup, quiet, stubResolver } from './harness.js';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+describe('sub-accounts', () => {
+    test('createSubAccount creates one with the account key and records it', async (t) => {
+        const { mock, example } = await setup(t);
+        quiet(t);
+
+        const subAccount = await example.createSubAccount('Acme');
+
+        assert.equal(mock.calls('createSubAccount')[0].headers['x-account-apikey'], example.config.accountApiKey);
+        assert.deepEqual(mock.state.subAccounts.map((candidate) => candidate.name), ['Default', 'Acme']);
+        assert.equal(example.createdSubAccountId, subAccount.id);
+        assert.equal(example.createdSubAccountApiKey, subAccount.apiKey);
+        assert.deepEqual((await example.manifest.pending()).map(({ kind, id }) => ({ kind, id })), [{ kind: 'subAccount', id: subAccount.id }]);
+    });
+
+    test('listSubAccounts selects the first sub-account when none was created', async (t) => {
+        const { mock, example } = await setup(t);
+        quiet(t);
+        mock.addSubAccount('Second');
+
+        const subAccounts = await example.listSubAccounts();
+
+        assert.equal(subAccounts.length, 2);
+        assert.equal(example.createdSubAccountId, mock.state.subAccounts[0].id);
+    });
+});
+
+describe('webhooks', () => {
+    test('createWebhook subscribes to the configured events', async (t) => {
+        const { mock, example } = await setup(t, { config: { webhook: { url: 'https://hooks.example.com/sp', events: { opened: false } } } });
+        quiet(t);
+
+        const webhook = await example.createWebhook();
+
+        assert.equal(example.createdWebhookId, webhook.id);
+        const [stored] = mock.state.webhooks;
+        assert.equal(stored.url, 'https://hooks.example.com/sp');
+        assert.equal(stored.delivered, true);
+        assert.equal(stored.opened, false);
+        assert.equal((await example.listWebhooks()).length, 1);
+    });
+});
+
+describe('domains', () => {
+    test('addDomain adds the domain to the configured sub-account', async (t) => {
+        const { mock, example } = await setup(t);
+        quiet(t);
+
+        const domain = await example.addDomain('mail.example.com');
+
+        assert.equal(mock.calls('subaccountDomainPost')[0].headers['x-subaccount-apikey'], example.config.subAccountApiKey);
+        assert.equal(example.createdDomainId, String(domain.id));
+        assert.equal(mock.state.domains[0].subAccountId, mock.state.subAccounts[0].id);
+        assert.deepEqual((await example.listDomains()).map((candidate) => candidate.name), ['mail.example.com']);
+    });
+
+    test('adding a domain twice is a conflict', async (t) => {
+        const { example } = await setup(t);
+        quiet(t);
+        await example.addDomain('mail.example.com');
+
+        await assert.rejects(example.addDomain('mail.example.com'), { name: 'ConflictError', status: 409 });
+    });
+
+    test('getDomainRecords lists every record SendPost expects', async (t) => {
+        const { example } = await setup(t);
+        quiet(t);
+        await example.addDomain('mail.example.com');
+
+        const { records, skipped } = await example.getDomainRecords('mail.example.com');
+
+        assert.deepEqual(records.map((record) => record.kind), ['dkim', 'spf', 'returnPath', 'track', 'dmarc']);
+        assert.deepEqual(skipped, []);
+    });
+
+    test('verifyDomain checks DNS and waits for SendPost to verify the domain', async (t) => {
+        const { mock, example } = await setup(t);
+        quiet(t);
+        await example.addDomain('mail.example.com');
+        const { records } = await example.getDomainRecords('mail.example.com');
+        example.resolver = stubResolver(Object.fromEntries(records.map((record) => [
+            record.host,
+            record.type === 'CNAME' ? [record.value] : [[record.value]]
+        ])));
+
+        const unverified = await example.verifyDomain('mail.example.com');
+        assert.equal(unverified.verified, false);
+        assert.ok(unverified.records.every((record) => record.status === 'ok'));
+
+        setTimeout(() => mock.verifyDomain('mail.example.com'), 30);
+        const { verified } = await example.verifyDomain('mail.example.com', { wait: true });
+        assert.equal(verified, true);
+        assert.ok(mock.calls('getAllDomains').length > 3);
+    });
+
+    test('verifyDomain reports missing records', async (t) => {
+        const { example } = await setup(t);
+        quiet(t);
+        await example.addDomain('mail.example.com');
+        example.resolver = stubResolver({});
+
+        const { records, verified } = await example.verifyDomain('mail.example.com');
+
+        assert.equal(verified, false);
+        assert.ok(records.every((record) => record.status === 'missing'));
+    });
+});
+
+describe('sending', () => {
+    test('sendTransactionalEmail renders the template and stores the message', async (t) => {
+        const { mock, example, config } = await setup(t);
+        quiet(t);
+
+        const response = await example.sendTransactionalEmail();
+
+        assert.equal(example.sentMessageId, response.messageId);
+        const [message] = mock.state.messages;
+        assert.equal(message.to.email, config.toEmail);
+        assert.equal(message.subject, 'Order Confirmation - Transactional Email');
+        assert.match(mock.calls('sendEmail')[0].body.htmlBody, /99\.99/);
+    });
+
+    test('sendMarketingEmail with server merging sends the tags and the fields', async (t) => {
+        const { mock, example, config } = await setup(t);
+        quiet(t);
+
+        await example.sendMarketingEmail({ merge: 'server' });
+
+        const [request] = mock.calls('sendEmail');
+        assert.match(request.body.htmlBody, /\{\{email\}\}/);
+        assert.equal(request.body.to[0].customFields.email, config.toEmail);
+        assert.deepEqual(request.body.groups, ['marketing', 'promotional']);
+    });
+
+    test('a template field missing for the recipient stops the send', async (t) => {
+        const { mock, example } = await setup(t);
+        quiet(t);
+
+        await assert.rejects(example.sendMarketingEmail({ template: 'order-confirmation' }), TemplateError);
+        assert.equal(mock.calls('sendEmail').length, 0);
+    });
+
+    test('sends go through the created IP pool', async (t) => {
+        const { mock, example } = await setup(t);
+        quiet(t);
+        const pool = await example.createIPPool('Marketing');
+
+        await example.sendTransactionalEmail();
+
+        assert.equal(mock.calls('sendEmail')[0].body.ippool, 'Marketing');
+        assert.equal(mock.state.messages[0].publicIP, pool.ips[0].publicIP);
+    });
+
+    test('suppressed recipients are not sent to', async (t) => {
+        const { mock, example, config } = await setup(t);
+        quiet(t);
+        await example.suppressions.add({ email: config.toEmail, reason: 'hardBounced' });
+
+        await assert.rejects(example.sendTransactionalEmail(), { name: 'SuppressedRecipientError' });
+        assert.equal(mock.calls('sendEmail').length, 0);
+    });
+
+    test('suppressions added at the same time are all kept', async (t) => {
+        const { example } = await setup(t);
+        const emails = Array.from({ length: 20 }, (_, index) => `bounce-${index}@example.com`);
+
+        await Promise.all(emails.map((email) => example.suppressions.add({ email, reason: 'hardBounced' })));
+
+        assert.deepEqual((await example.suppressions.list()).map((entry) => entry.email).sort(), [...emails].sort());
+    });
+});
+
+describe('messages', () => {
+    test('getMessageDetails waits until a sent message is stored', async (t) => {
+        const { mock, example, config } = await setup(t, { mock: { messageDelayMs: 50 } });
+        quiet(t);
+        await example.sendTransactionalEmail();
+
+        const message = await example.getMessageDetails();
+
+        assert.equal(message.messageID, example.sentMessageId);
+        assert.equal(message.to.email, config.toEmail);
+        assert.ok(mock.calls('getMessageById').length > 1);
+    });
+
+    test('getMessageDetails without a message to look up is a prerequisite error', async (t) => {
+        const { example } = await setup(t);
+        quiet(t);
+
+        await assert.rejects(example.getMessageDetails(), PrerequisiteError);
+    });
+
+    test('an unknown message ID is not found', async (t) => {
+        const { example } = await setup(t);
+        quiet(t);
+
+        await assert.rejects(example.getMessageDetails('no-such-message'), { name: 'NotFoundError' });
+    });
+});
+
+describe('stats', () => {
+    test('sub-account, aggregate and account stats count the messages sent', async (t) => {
+        const { mock, example } = await setup(t);
+        quiet(t);
+        await example.listSubAccounts();
+        await example.sendTransactionalEmail();
+        await example.sendMarketingEmail();
+
+        const daily = await example.getSubAccountStats(undefined, { from: today(), to: today() });
+        assert.deepEqual(daily.map((day) => [day.date, day.stats.processed]), [[today(), 2]]);
+
+        const aggregate = await example.getAggregateStats();
+        assert.equal(aggregate.delivered, 2);
+        assert.equal(mock.calls('accountSubaccountStatSubaccountIdAggregateGet')[0].query.to, today());
+
+        const account = await example.getAccountStats();
+        assert.equal(account.length, example.config.stats.days + 1);
+        assert.equal(account.at(-1).stat.processed, 2);
+    });
+
+    test('stats need a sub-account ID', async (t) => {
+        const { example } = await setup(t);
+        quiet(t);
+
+        await assert.rejects(example.getSubAccountStats(), PrerequisiteError);
+        await assert.rejects(example.getAggregateStats(), PrerequisiteError);
+    });
+
+    test('an inverted range is rejected before calling the API', async (t) => {
+        const { mock, example } = await setup(t);
+        quiet(t);
+
+        await assert.rejects(example.getAccountStats({ from: '2024-02-01', to: '2024-01-01' }), { name: 'StatsRangeError', exitCode: 2 });
+        assert.equal(mock.calls('getAllAccountStats').length, 0);
+    });
+
+    test('relative ranges are resolved against today', async (t) => {
+        const { mock, example } = await setup(t);
+        quiet(t);
+
+        await example.getAccountStats({ from: '2w', to: 'yesterday' });
+
+        const { query } = mock.calls('getAllAccountStats')[0];
+        const daysBefore = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        assert.deepEqual([query.from, query.to], [daysBefore(14), daysBefore(1)]);
+    });
+});
+
+describe('IPs and IP pools', () => {
+    test('createIPPool puts the first IP in a new pool', async (t) => {
+        const { mock, example } = await setup(t);
+        quiet(t);
+
+        const ips = await example.listIPs();
+        const pool = await example.createIPPool('Marketing');
+
+        assert.deepEqual(pool.ips.map((ip) => ip.publicIP), [ips[0].publicIP]);
+        assert.equal(pool.warmupInterval, example.config.pool.warmupInterval);
+        assert.equal(example.createdIPPoolName, 'Marketing');
+        assert.deepEqual((await example.listIPPools()).map((candidate) => candidate.id), [pool.id]);
+        assert.equal(mock.state.ipPools.length, 1);
+    });
+
+    test('createIPPool without IPs is a prerequisite error', async (t) => {
+        const { mock, example } = await setup(t, { mock: { ips: [] } });
+        quiet(t);
+
+        await assert.rejects(example.createIPPool(), PrerequisiteError);
+        assert.equal(mock.calls('createIPPool').length, 0);
+    });
+});
+
+describe('client specs', () => {
+    test('applyClient creates the resources once and then changes nothing', async (t) => {
+        const { mock, example, config } = await setup(t);
+        quiet(t);
+        const spec = normalizeSpec({
+            name: 'Acme',
+            domains: ['mail.acme.com'],
+            webhook: { url: 'https://hooks.acme.com/sp', events: ['delivered', 'hardBounced'] },
+            ipPool: { name: 'Acme Pool', ips: ['203.0.113.11'] }
+        }, config);
+
+        const first = await example.applyClient(spec);
+        assert.deepEqual(first.applied.map((change) => change.resource), ['sub-account', 'domain', 'webhook', 'IP pool']);
+        const acme = mock.state.subAccounts.find((subAccount) => subAccount.name === 'Acme');
+        assert.equal(mock.state.domains[0].subAccountId, acme.id);
+
+        const second = await example.applyClient(spec);
+        assert.deepEqual(second.applied, []);
+
+        spec.webhook.events.opened = true;
+        const third = await example.applyClient(spec);
+        assert.deepEqual(third.applied.map((change) => [change.action, change.resource]), [['update', 'webhook']]);
+        assert.equal(mock.state.webhooks[0].opened, true);
+    });
+});
+
+describe('cleanup', () => {
+    test('deletes what the run created, in dependency order', async (t) => {
+        const { mock, example } = await setup(t);
+        quiet(t);
+        await example.createSubAccount('Temporary');
+        await example.createWebhook();
+        await example.addDomain('mail.example.com');
+        await example.createIPPool('Temporary Pool');
+
+        const { deleted, failed } = await example.cleanup({ runId: example.runId });
+
+        assert.equal(deleted, 4);
+        assert.equal(failed, 0);
+        assert.deepEqual(mock.calls().filter((call) => call.method === 'DELETE').map((call) => call.operation), [
+            'deleteWebhook',
+            'deleteIPPool',
+            'subaccountDomainDomainIdDelete',
+            'deleteSubAccount'
+        ]);
+        assert.deepEqual(mock.state.subAccounts.map((subAccount) => subAccount.name), ['Default']);
+        assert.deepEqual(await example.manifest.pending(), []);
+    });
+
+    test('a resource already deleted counts as gone', async (t) => {
+        const { mock, example } = await setup(t);
+        quiet(t);
+        const webhook = await example.createWebhook();
+        mock.state.webhooks = mock.state.webhooks.filter((candidate) => candidate.id !== webhook.id);
+
+        const { deleted, failed } = await example.cleanup();
+
+        assert.equal(deleted, 0);
+        assert.equal(failed, 0);
+        assert.deepEqual(await example.manifest.pending(), []);
+    });
+
+    test('sweep finds stale generated resources the manifest does not know', async (t) => {
+        const { mock, example } = await setup(t);
+        quiet(t);
+        const stale = mock.addSubAccount(`ESP Client - ${Date.now() - 3 * 86400000}`);
+        mock.addSubAccount(`ESP Client - ${Date.now()}`);
+
+        const { targets } = await example.cleanup({ sweep: true, maxAgeMs: 86400000, dryRun: true });
+
+        assert.deepEqual(targets.map((target) => target.id), [stale.id]);
+        assert.equal(mock.calls().filter((call) => call.method === 'DELETE').length, 0);
+    });
+});
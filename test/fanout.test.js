@@ -0,0 +1,107 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { ESPExample } from '../ESPExample.js';
+import { run } from '../src/cli.js';
+import { PrerequisiteError } from '../src/errors.js';
+import { fanOut, formatTable, selectSubAccounts } from '../src/fanout.js';
+import { capture, quiet, setup } from './harness.js';
+
+const cli = (argv, env) => run(argv, (config) => new ESPExample(config), env);
+
+const SUB_ACCOUNTS = [
+    { id: 1, name: 'Acme Corp', apiKey: 'key-1' },
+    { id: 2, name: 'Acme Labs', apiKey: 'key-2' },
+    { id: 3, name: 'Globex', apiKey: 'key-3' }
+];
+
+test('sub-accounts are selected by ID, name substring or wildcard', () => {
+    const names = (selection) => selectSubAccounts(SUB_ACCOUNTS, selection).map((subAccount) => subAccount.name);
+
+    assert.deepEqual(names({}), ['Acme Corp', 'Acme Labs', 'Globex']);
+    assert.deepEqual(names({ ids: [3, 1] }), ['Acme Corp', 'Globex']);
+    assert.deepEqual(names({ match: 'acme' }), ['Acme Corp', 'Acme Labs']);
+    assert.deepEqual(names({ match: '*labs' }), ['Acme Labs']);
+    assert.deepEqual(names({ ids: [1, 3], match: 'acme*' }), ['Acme Corp']);
+    assert.throws(() => selectSubAccounts(SUB_ACCOUNTS, { match: 'initech' }), PrerequisiteError);
+});
+
+test('fan-out keeps at most `concurrency` sub-accounts in progress and keeps going past failures', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const task = {
+        action: 'check',
+        columns: [['key', 'Key']],
+        run: async (client) => {
+            inFlight++;
+            peak = Math.max(peak, inFlight);
+            await new Promise((resolve) => setTimeout(resolve, 5));
+            inFlight--;
+            if (client.id === 2) {
+                throw new Error('socket hang up');
+            }
+            return { key: client.apiKey };
+        }
+    };
+
+    const rows = await fanOut(SUB_ACCOUNTS, task, (subAccount) => subAccount, { concurrency: 2 });
+
+    assert.equal(peak, 2);
+    assert.deepEqual(rows.map((row) => row.status), ['ok', 'failed', 'ok']);
+    assert.equal(rows[1].error, 'NetworkError: socket hang up');
+    assert.equal(rows[2].key, 'key-3');
+
+    const table = formatTable(rows, task).split('\n');
+    assert.equal(table[0], 'ID  Sub-account  Status  Key    Error');
+    assert.equal(table[3], '2   Acme Labs    ✗              NetworkError: socket hang up');
+});
+
+test('domains are listed with each sub-account\'s own key', async (t) => {
+    const { mock, example } = await setup(t);
+    quiet(t);
+    const acme = mock.addSubAccount('Acme', 'acme-key');
+    mock.addSubAccount('Globex', 'globex-key');
+    await example.forSubAccount(acme).addDomain('acme.example');
+    await example.forSubAccount(acme).addDomain('mail.acme.example');
+    mock.verifyDomain('acme.example');
+
+    const rows = await example.fanOut('domains', { match: '*' });
+
+    assert.deepEqual(rows.map(({ name, domains, verified }) => [name, domains, verified]), [
+        ['Default', 0, 0],
+        ['Acme', 2, 1],
+        ['Globex', 0, 0]
+    ]);
+    const keys = mock.calls('getAllDomains').map((call) => call.headers['x-subaccount-apikey']);
+    assert.deepEqual(keys.sort(), ['acme-key', 'globex-key', mock.state.subAccounts[0].apiKey].sort());
+});
+
+test('a test email goes out through every selected sub-account', async (t) => {
+    const { mock, example } = await setup(t);
+    const output = quiet(t);
+    mock.addSubAccount('Acme', 'acme-key');
+    const blocked = mock.addSubAccount('Acme Blocked', 'blocked-key');
+    blocked.blocked = true;
+
+    const rows = await example.fanOut('send', { match: 'acme', concurrency: 2 });
+
+    assert.deepEqual(rows.map((row) => row.status), ['ok', 'failed']);
+    assert.ok(rows[0].messageId);
+    assert.match(rows[1].error, /^AuthenticationError/);
+    assert.equal(mock.state.messages.length, 1);
+    assert.ok(output.some((line) => line.includes('1 of 2 sub-account(s) failed')));
+});
+
+test('fanout commands print the rows as JSON and fail when a sub-account failed', async (t) => {
+    const { mock, env } = await setup(t);
+    const output = capture(t);
+    mock.addSubAccount('Acme', 'acme-key');
+
+    assert.equal(await cli(['fanout', 'stats', '--output', 'json', '--concurrency', '2'], env), 0);
+    const rows = JSON.parse(output.stdout[0]);
+    assert.deepEqual(rows.map((row) => row.name), ['Default', 'Acme']);
+    assert.equal(rows[0].processed, 0);
+
+    mock.fail('getAllDomains', { status: 404 });
+    assert.equal(await cli(['fanout', 'domains', '--subaccounts', String(mock.state.subAccounts[0].id), '--concurrency', '1'], env), 1);
+    assert.equal(await cli(['fanout', 'domains', '--subaccounts', 'acme'], env), 2);
+});
@@ -0,0 +1,155 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { AuthenticationError, NetworkError, RateLimitError, ServerError } from '../src/errors.js';
+import { setup, quiet } from './harness.js';
+
+test('server errors on reads are retried', async (t) => {
+    const { mock, example } = await setup(t);
+    const output = quiet(t);
+    mock.fail('getAllIps', { status: 503, times: 2 });
+
+    const ips = await example.listIPs();
+
+    assert.equal(ips.length, 2);
+    assert.equal(mock.calls('getAllIps').length, 3);
+    assert.equal(output.filter((line) => line.includes('↻ ServerError')).length, 2);
+});
+
+test('retries give up after retry.maxAttempts', async (t) => {
+    const { mock, example } = await setup(t);
+    quiet(t);
+    mock.fail('getAllWebhooks', { status: 500, times: Infinity });
+
+    await assert.rejects(example.listWebhooks(), ServerError);
+    assert.equal(mock.calls('getAllWebhooks').length, example.config.retry.maxAttempts);
+});
+
+test('rate limiting waits for Retry-After', async (t) => {
+    const { mock, example } = await setup(t);
+    quiet(t);
+    mock.fail('getAllIPPools', { status: 429, headers: { 'Retry-After': '0' } });
+
+    await example.listIPPools();
+
+    assert.equal(mock.calls('getAllIPPools').length, 2);
+});
+
+test('a Retry-After longer than retry.maxDelayMs is not waited for', async (t) => {
+    const { mock, example } = await setup(t);
+    quiet(t);
+    mock.fail('getAllIPPools', { status: 429, headers: { 'Retry-After': '60' } });
+
+    const error = await example.listIPPools().catch((caught) => caught);
+
+    assert.ok(error instanceof RateLimitError);
+    assert.equal(error.retryAfter, 60000);
+    assert.equal(mock.calls('getAllIPPools').length, 1);
+});
+
+test('a send without an idempotency key is not retried', async (t) => {
+    const { mock, example } = await setup(t);
+    quiet(t);
+    mock.fail('sendEmail', { status: 502 });
+
+    await assert.rejects(example.sendTransactionalEmail(), ServerError);
+    assert.equal(mock.calls('sendEmail').length, 1);
+});
+
+test('creates are not retried, since a failed attempt may have created the resource', async (t) => {
+    const { mock, example } = await setup(t);
+    quiet(t);
+    mock.fail('createSubAccount', { status: 503 });
+    mock.fail('createWebhook', { network: true });
+    mock.fail('createIPPool', { status: 429, headers: { 'Retry-After': '0' } });
+
+    await assert.rejects(example.createSubAccount('Retry Check'), ServerError);
+    await assert.rejects(example.createWebhook('https://example.com/hooks'), NetworkError);
+    await assert.rejects(example.createIPPool('Retry Pool'), RateLimitError);
+
+    assert.equal(mock.calls('createSubAccount').length, 1);
+    assert.equal(mock.calls('createWebhook').length, 1);
+    assert.equal(mock.calls('createIPPool').length, 1);
+});
+
+test('a send with an idempotency key is retried and delivered once', async (t) => {
+    const { mock, example } = await setup(t);
+    quiet(t);
+    mock.fail('sendEmail', { status: 502 });
+
+    const first = await example.sendTransactionalEmail({ idempotencyKey: 'order-12345' });
+    const again = await example.sendTransactionalEmail({ idempotencyKey: 'order-12345' });
+
+    assert.equal(mock.calls('sendEmail').length, 3);
+    assert.equal(mock.calls('sendEmail')[0].body.headers['X-Idempotency-Key'], 'order-12345');
+    assert.equal(again.messageId, first.messageId);
+    assert.equal(mock.state.messages.length, 1);
+});
+
+test('a wrong API key is an authentication error and is not retried', async (t) => {
+    const { mock, example } = await setup(t, { mock: { accountApiKey: 'another-key' } });
+    quiet(t);
+
+    const error = await example.listSubAccounts().catch((caught) => caught);
+
+    assert.ok(error instanceof AuthenticationError);
+    assert.equal(error.status, 401);
+    assert.equal(mock.calls('getAllSubAccounts').length, 1);
+});
+
+test('a dropped connection is a network error and is retried', async (t) => {
+    const { mock, example } = await setup(t);
+    quiet(t);
+    mock.fail('getAllDomains', { network: true });
+
+    await example.listDomains();
+    assert.equal(mock.calls('getAllDomains').length, 2);
+
+    mock.fail('getAllDomains', { network: true, times: Infinity });
+    await assert.rejects(example.listDomains(), NetworkError);
+});
+
+test('an unreachable API is a network error', async (t) => {
+    const { mock, example } = await setup(t);
+    quiet(t);
+    await mock.stop();
+
+    await assert.rejects(example.listIPs(), NetworkError);
+});
+
+test('local errors with a code are not network errors and are not retried', async (t) => {
+    const { example } = await setup(t);
+    quiet(t);
+    let calls = 0;
+
+    const error = await example.callApi('read template', async () => {
+        calls++;
+        throw Object.assign(new Error('ENOENT: no such file or directory, open \'missing.html\''), { code: 'ENOENT' });
+    }).catch((caught) => caught);
+
+    assert.equal(error.name, 'EspError');
+    assert.ok(!(error instanceof NetworkError));
+    assert.equal(calls, 1);
+});
+
+test('invalid requests are validation errors with the response body', async (t) => {
+    const { example } = await setup(t);
+    quiet(t);
+
+    const error = await example.sendTransactionalEmail({ from: 'not-an-address' }).catch((caught) => caught);
+
+    assert.equal(error.name, 'ValidationError');
+    assert.deepEqual(error.body, { error: 'from.email must be an email address' });
+});
+
+test('invalid IP pool settings are caught before calling the API', async (t) => {
+    const { mock, example } = await setup(t, { config: { pool: { warmupInterval: 1 } } });
+    quiet(t);
+    example.config.pool.warmupInterval = 0;
+
+    const error = await example.createIPPool().catch((caught) => caught);
+
+    assert.equal(error.name, 'PoolSettingsError');
+    assert.equal(error.exitCode, 2);
+    assert.match(error.message, /warmup interval must be a number of hours greater than 0/);
+    assert.equal(mock.calls('createIPPool').length, 0);
+});
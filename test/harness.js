@@ -0,0 +1,88 @@
+/**
+ * Shared setup for the test suites: an ESPExample wired to a fresh
+ * MockSendPost, with its storage in a temporary directory
+ */
+
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { ESPExample } from '../ESPExample.js';
+import { loadConfig } from '../src/config.js';
+import { ACCOUNT_API_KEY, MockSendPost, SUB_ACCOUNT_API_KEY } from './mock-sendpost.js';
+
+/**
+ * Start a mock and an example pointed at it; both are torn down after the test
+ *
+ * @param {import('node:test').TestContext} t
+ * @param {object} [options]
+ * @param {object} [options.config] - Config file layer merged over the test defaults
+ * @param {object} [options.mock] - MockSendPost options
+ * @returns {Promise<{mock: MockSendPost, example: ESPExample, config: object, env: object}>} env: SENDPOST_* variables for running the CLI against the mock
+ */
+export async function setup(t, { config: file = {}, mock: mockOptions = {} } = {}) {
+    const mock = new MockSendPost(mockOptions);
+    const basePath = await mock.start();
+    const dir = await mkdtemp(join(tmpdir(), 'esp-test-'));
+    t.after(async () => {
+        await mock.stop();
+        await rm(dir, { recursive: true, force: true });
+    });
+
+    const env = {
+        SENDPOST_BASE_PATH: basePath,
+        SENDPOST_STORAGE_DIR: dir,
+        SENDPOST_ACCOUNT_API_KEY: ACCOUNT_API_KEY,
+        SENDPOST_SUB_ACCOUNT_API_KEY: SUB_ACCOUNT_API_KEY
+    };
+    const config = loadConfig({
+        file: {
+            basePath,
+            storage: { dir },
+            // Keep retries and polling fast
+            retry: { baseDelayMs: 1, maxDelayMs: 100, jitter: 0 },
+            messages: { pollIntervalMs: 10, pollTimeoutMs: 2000 },
+            domains: { pollIntervalMs: 10, pollTimeoutMs: 2000 },
+            ...file
+        },
+        env
+    });
+    return { mock, example: new ESPExample(config), config, env };
+}
+
+/**
+ * Silence console output for the rest of the test; returns the captured lines
+ */
+export function quiet(t) {
+    const lines = [];
+    const capture = (...args) => lines.push(args.join(' '));
+    t.mock.method(console, 'log', capture);
+    t.mock.method(console, 'error', capture);
+    return lines;
+}
+
+/**
+ * Capture console output for the rest of the test, stdout and stderr apart
+ *
+ * @returns {{stdout: string[], stderr: string[]}}
+ */
+export function capture(t) {
+    const output = { stdout: [], stderr: [] };
+    t.mock.method(console, 'log', (...args) => output.stdout.push(args.join(' ')));
+    t.mock.method(console, 'error', (...args) => output.stderr.push(args.join(' ')));
+    return output;
+}
+
+/**
+ * Resolver answering from a fixed table, standing in for DNS
+ *
+ * @param {object} answers - { host: string[] } for CNAMEs, { host: string[][] } for TXT
+ */
+export function stubResolver(answers) {
+    const lookup = async (host) => {
+        if (!Object.hasOwn(answers, host)) {
+            throw Object.assign(new Error(`queryTxt ENOTFOUND ${host}`), { code: 'ENOTFOUND' });
+        }
+        return answers[host];
+    };
+    return { resolveTxt: lookup, resolveCname: lookup };
+}
@@ -0,0 +1,86 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { test } from 'node:test';
+import { ESPExample } from '../ESPExample.js';
+import { run } from '../src/cli.js';
+import { parseCsv } from '../src/csv.js';
+import { queryLedger } from '../src/ledger.js';
+import { capture, quiet, setup } from './harness.js';
+
+const cli = (argv, env) => run(argv, (config) => new ESPExample(config), env);
+
+const entry = (messageId, to, fields = {}) => ({ messageId, to, sentAt: '2024-03-09T12:00:00.000Z', subAccountId: 1, groups: [], headers: {}, ...fields });
+
+test('ledger entries are found by recipient, order, campaign, group, sub-account and day', () => {
+    const entries = [
+        entry('m1', 'Ana@Example.com', { orderId: '12345', headers: { 'X-Order-ID': '12345' } }),
+        entry('m2', 'ben@example.org', { groups: ['marketing'], campaignId: 'spring', subAccountId: 2, sentAt: '2024-03-10T23:30:00.000Z' }),
+        entry('m3', 'ana@example.com', { groups: ['marketing'], headers: { 'x-order-id': '777' } }),
+        // Sent again with the same idempotency key
+        entry('m1', 'Ana@Example.com', { orderId: '12345', sentAt: '2024-03-11T08:00:00.000Z' })
+    ];
+    const ids = (filters) => queryLedger(entries, filters).map((match) => match.messageId);
+
+    assert.deepEqual(ids({ recipient: 'ana@example.com' }), ['m3', 'm1']);
+    assert.deepEqual(ids({ recipient: '@example.org' }), ['m2']);
+    // Entries without the field fall back to the header
+    assert.deepEqual(ids({ orderId: '777' }), ['m3']);
+    assert.deepEqual(ids({ orderId: 12345 }), ['m1']);
+    assert.deepEqual(ids({ campaignId: 'spring', group: 'marketing' }), ['m2']);
+    // Entries with no order or campaign are not matched by the text "undefined"
+    assert.deepEqual(ids({ orderId: 'undefined' }), []);
+    assert.deepEqual(ids({ campaignId: 'undefined' }), []);
+    assert.deepEqual(ids({ subAccountId: '1' }), ['m3', 'm1']);
+    assert.deepEqual(ids({ since: '2024-03-10' }), ['m2']);
+    // 23:30 UTC on the 10th is the 11th in Berlin
+    assert.deepEqual(ids({ since: '2024-03-11', timeZone: 'Europe/Berlin' }), ['m2']);
+    assert.deepEqual(ids({ until: '2024-03-09' }), ['m3', 'm1']);
+});
+
+test('every send is recorded with its sub-account, campaign, order and pool', async (t) => {
+    const { example } = await setup(t);
+    quiet(t);
+    await example.createSubAccount('Ledger');
+    await example.createIPPool('Ledger Pool');
+    const transactional = await example.sendTransactionalEmail({ idempotencyKey: 'order-12345' });
+    await example.sendTransactionalEmail({ idempotencyKey: 'order-12345' });
+    const marketing = await example.sendMarketingEmail({ to: 'ben@example.com' });
+
+    const entries = await example.listSends();
+    assert.deepEqual(entries.map((match) => match.messageId), [marketing.messageId, transactional.messageId]);
+    const [sent] = await example.listSends({ orderId: '12345' });
+    assert.equal(sent.subAccountId, example.createdSubAccountId);
+    assert.equal(sent.ipPool, 'Ledger Pool');
+    assert.equal(sent.idempotencyKey, 'order-12345');
+    assert.deepEqual(sent.headers, { 'X-Order-ID': '12345', 'X-Email-Type': 'transactional' });
+    const [campaign] = await example.listSends({ campaignId: 'campaign-001' });
+    assert.deepEqual([campaign.to, campaign.groups], ['ben@example.com', ['marketing', 'promotional']]);
+});
+
+test('sends export writes the ledger as CSV or JSON', async (t) => {
+    const { example, config, env } = await setup(t);
+    quiet(t);
+    await example.sendTransactionalEmail({ to: 'ana@example.com' });
+    await example.sendMarketingEmail({ to: 'ben@example.com' });
+
+    const file = join(config.storage.dir, 'ledger.csv');
+    assert.equal(await cli(['sends', 'export', '--out', file], env), 0);
+    const rows = parseCsv(await readFile(file, 'utf8'));
+    assert.deepEqual(rows.map((row) => [row.to, row.campaignId, row.orderId, row.groups]), [
+        ['ben@example.com', 'campaign-001', '', 'marketing;promotional'],
+        ['ana@example.com', '', '12345', '']
+    ]);
+    assert.equal(JSON.parse(rows[1].headers)['X-Email-Type'], 'transactional');
+
+    t.mock.restoreAll();
+    const output = capture(t);
+    const write = t.mock.method(process.stdout, 'write', () => true);
+    assert.equal(await cli(['sends', 'export', '--format', 'json', '--campaign', 'campaign-001'], env), 0);
+    const exported = JSON.parse(write.mock.calls[0].arguments[0]);
+    assert.deepEqual(exported.map((match) => match.to), ['ben@example.com']);
+    assert.deepEqual(output.stdout, []);
+
+    assert.equal(await cli(['sends', 'list', '--since', 'last week'], env), 2);
+    assert.equal(await cli(['sends', 'list', '--since', 'today', '--to', '@example.com'], env), 0);
+});
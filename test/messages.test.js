@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { ESPExample } from '../ESPExample.js';
+import { run } from '../src/cli.js';
+import { buildTimeline } from '../src/messages.js';
+import { buildReceiver } from '../src/webhooks/listen.js';
+import { quiet, setup } from './harness.js';
+
+const cli = (argv, env) => run(argv, (config) => new ESPExample(config), env);
+
+const ledgerEntry = (messageId, to, fields = {}) => ({ messageId, to, sentAt: '2024-03-09T12:00:00.000Z', groups: [], headers: {}, ...fields });
+
+test('the timeline orders what SendPost and the webhooks report', () => {
+    const at = (seconds) => new Date(Date.UTC(2024, 2, 9, 12, 0, seconds)).toISOString();
+    const timeline = buildTimeline({
+        record: ledgerEntry('m1', 'ana@example.com', { sentAt: at(0), subject: 'Your order' }),
+        message: { submittedAt: Date.UTC(2024, 2, 9, 12, 0, 1), publicIP: '203.0.113.10', ipPool: 'Marketing', attempt: 1 },
+        events: [
+            { eventId: 'e3', type: 'clicked', timestamp: at(30), url: 'https://example.com/', ip: '192.0.2.1' },
+            { eventId: 'e2', type: 'delivered', timestamp: at(2) },
+            { eventId: 'e1', type: 'processed', timestamp: at(2) },
+            { eventId: 'e2', type: 'delivered', timestamp: at(2) }
+        ]
+    });
+    assert.deepEqual(timeline.map((entry) => [entry.stage, entry.source]), [
+        ['sent', 'local'],
+        ['submitted', 'sendpost'],
+        ['processed', 'webhook'],
+        ['delivered', 'webhook'],
+        ['clicked', 'webhook']
+    ]);
+    assert.equal(timeline[1].detail, 'IP 203.0.113.10, pool Marketing, attempt 1');
+    assert.equal(timeline[4].detail, 'https://example.com/, 192.0.2.1');
+});
+
+test('messages show merges the API record with stored webhook events', async (t) => {
+    const { example, config, env } = await setup(t);
+    const lines = quiet(t);
+    const sent = await example.sendTransactionalEmail({ to: 'ana@example.com' });
+    await example.sendMarketingEmail({ to: 'ben@example.com' });
+
+    const receiver = await buildReceiver(config);
+    const later = (seconds) => Math.floor(Date.now() / 1000) + seconds;
+    await receiver.receive([
+        { type: 'processed', eventID: 'e1', messageID: sent.messageId, to: 'ana@example.com', timestamp: later(1) },
+        { type: 'delivered', eventID: 'e2', messageID: sent.messageId, to: 'ana@example.com', timestamp: later(2) },
+        { type: 'opened', eventID: 'e3', messageID: sent.messageId, to: 'ana@example.com', timestamp: later(60) },
+        { type: 'delivered', eventID: 'e4', messageID: 'someone-else', to: 'ben@example.com', timestamp: later(2) }
+    ]);
+
+    const shown = await example.showMessage(sent.messageId);
+    assert.deepEqual(shown.timeline.map((entry) => entry.stage), ['sent', 'submitted', 'processed', 'delivered', 'opened']);
+    assert.equal(shown.record.headers['X-Order-ID'], '12345');
+    assert.ok(lines.some((line) => line.includes('X-Order-ID: 12345')));
+
+    const [found] = await example.listSends({ orderId: '12345' });
+    assert.equal(found.messageId, sent.messageId);
+    assert.equal((await example.listSends({ group: 'marketing' }))[0].to, 'ben@example.com');
+
+    assert.equal(await cli(['messages', 'search', '--to', 'ana@example.com'], env), 0);
+    assert.equal(await cli(['messages', 'search'], env), 2);
+    assert.equal(await cli(['messages', 'show', 'no-such-message'], env), 1);
+});
+
+test('a message SendPost has not stored yet is shown from the local records', async (t) => {
+    const { example } = await setup(t, { mock: { messageDelayMs: 60000 } });
+    const lines = quiet(t);
+    const sent = await example.sendTransactionalEmail({ idempotencyKey: 'order-12345' });
+
+    const shown = await example.showMessage(sent.messageId);
+    assert.equal(shown.message, null);
+    assert.deepEqual(shown.timeline.map((entry) => entry.stage), ['sent']);
+    assert.equal(shown.record.idempotencyKey, 'order-12345');
+    assert.equal(shown.record.headers['X-Idempotency-Key'], undefined);
+    assert.ok(lines.some((line) => line.includes('SendPost has no record of this message')));
+});
@@ -0,0 +1,663 @@
+/**
+ * In-process mock of the SendPost API endpoints this example uses
+ *
+ * MockSendPost serves sub-accounts, webhooks, domains, email sends, message
+ * lookup, stats, IPs and IP pools over plain node:http, so ESPExample can be
+ * pointed at it through `basePath` and run without network access:
+ *
+ *   const mock = new MockSendPost();
+ *   const basePath = await mock.start();   // http://127.0.0.1:<port>/api/v1
+ *   ...
+ *   await mock.stop();
+ *
+ * State is kept the way SendPost keeps it: domains belong to the sub-account
+ * whose key added them, sent messages are stored per recipient and feed the
+ * stats, deleting a sub-account removes its domains, and sends repeating an
+ * X-Idempotency-Key header get the first response back. Requests are checked
+ * for the right API key and for the fields SendPost requires.
+ *
+ * Operations are named after the SDK methods that call them (`sendEmail`,
+ * `createIPPool`, ...). fail() makes the next calls of an operation answer
+ * with an error status or drop the connection; every request is logged in
+ * `requests`.
+ */
+
+import { randomUUID } from 'node:crypto';
+import { createServer } from 'node:http';
+
+export const ACCOUNT_API_KEY = 'mock-account-key';
+export const SUB_ACCOUNT_API_KEY = 'mock-sub-account-key';
+
+const BASE_PATH = '/api/v1';
+
+const MAX_RECIPIENTS = 1000;
+
+/**
+ * Routes: method, path (`:id` matches one segment), operation, key required
+ */
+const ROUTES = [
+    ['POST', '/subaccount/email', 'sendEmail', 'subAccount'],
+    ['GET', '/subaccount/domain', 'getAllDomains', 'subAccount'],
+    ['POST', '/subaccount/domain', 'subaccountDomainPost', 'subAccount'],
+    ['GET', '/subaccount/domain/:id', 'subaccountDomainDomainIdGet', 'subAccount'],
+    ['DELETE', '/subaccount/domain/:id', 'subaccountDomainDomainIdDelete', 'subAccount'],
+    ['GET', '/account/subaccount', 'getAllSubAccounts', 'account'],
+    ['POST', '/account/subaccount', 'createSubAccount', 'account'],
+    ['GET', '/account/subaccount/:id', 'getSubAccount', 'account'],
+    ['DELETE', '/account/subaccount/:id', 'deleteSubAccount', 'account'],
+    ['GET', '/account/subaccount/stat/:id', 'accountSubaccountStatSubaccountIdGet', 'account'],
+    ['GET', '/account/subaccount/stat/:id/aggregate', 'accountSubaccountStatSubaccountIdAggregateGet', 'account'],
+    ['GET', '/account/stat', 'getAllAccountStats', 'account'],
+    ['GET', '/account/webhook', 'getAllWebhooks', 'account'],
+    ['POST', '/account/webhook', 'createWebhook', 'account'],
+    ['GET', '/account/webhook/:id', 'getWebhook', 'account'],
+    ['PUT', '/account/webhook/:id', 'updateWebhook', 'account'],
+    ['DELETE', '/account/webhook/:id', 'deleteWebhook', 'account'],
+    ['GET', '/account/message/:id', 'getMessageById', 'account'],
+    ['GET', '/account/ip', 'getAllIps', 'account'],
+    ['GET', '/account/ippool', 'getAllIPPools', 'account'],
+    ['POST', '/account/ippool', 'createIPPool', 'account'],
+    ['GET', '/account/ippool/:id', 'getIPPoolById', 'account'],
+    ['PUT', '/account/ippool/:id', 'updateIPPool', 'account'],
+    ['DELETE', '/account/ippool/:id', 'deleteIPPool', 'account']
+];
+
+const WEBHOOK_EVENTS = ['processed', 'delivered', 'dropped', 'softBounced', 'hardBounced', 'opened', 'clicked', 'unsubscribed', 'spam'];
+
+const STAT_FIELDS = ['processed', 'delivered', 'dropped', 'hardBounced', 'softBounced', 'opened', 'clicked', 'unsubscribed', 'spam'];
+
+const isEmail = (value) => typeof value === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+const isDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+
+/**
+ * An error answer; thrown by operations and turned into the response
+ */
+class MockHttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function matchRoute(method, path) {
+    const segments = path.split('/').filter(Boolean);
+    let pathMatched = false;
+    for (const [routeMethod, pattern, operation, auth] of ROUTES) {
+        const parts = pattern.split('/').filter(Boolean);
+        if (parts.length !== segments.length) {
+            continue;
+        }
+        const params = {};
+        const matches = parts.every((part, index) => {
+            if (part.startsWith(':')) {
+                params[part.slice(1)] = decodeURIComponent(segments[index]);
+                return true;
+            }
+            return part === segments[index];
+        });
+        if (matches && routeMethod === method) {
+            return { operation, auth, params };
+        }
+        pathMatched = pathMatched || matches;
+    }
+    return pathMatched ? { methodNotAllowed: true } : null;
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        request.on('data', (chunk) => chunks.push(chunk));
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+}
+
+function respond(response, status, body, headers = {}) {
+    response.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    response.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function datesBetween(from, to) {
+    const dates = [];
+    for (let day = new Date(`${from}T00:00:00Z`); day <= new Date(`${to}T00:00:00Z`); day.setUTCDate(day.getUTCDate() + 1)) {
+        dates.push(day.toISOString().slice(0, 10));
+    }
+    return dates;
+}
+
+function emptyStats() {
+    return Object.fromEntries(STAT_FIELDS.map((field) => [field, 0]));
+}
+
+function mergeTags(text, fields = {}) {
+    return String(text).replace(/\{\{\{?\s*([\w.-]+)\s*\}?\}\}/g, (tag, field) => (fields[field] === undefined ? tag : String(fields[field])));
+}
+
+export class MockSendPost {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.accountApiKey]
+     * @param {string} [options.subAccountApiKey] - Key of the sub-account the mock starts with
+     * @param {string[]} [options.ips] - Public IPs allocated to the account
+     * @param {number} [options.messageDelayMs=0] - How long a sent message takes to show up in getMessageById
+     */
+    constructor({
+        accountApiKey = ACCOUNT_API_KEY,
+        subAccountApiKey = SUB_ACCOUNT_API_KEY,
+        ips = ['203.0.113.10', '203.0.113.11'],
+        messageDelayMs = 0
+    } = {}) {
+        this.accountApiKey = accountApiKey;
+        this.messageDelayMs = messageDelayMs;
+        this.nextIds = { subAccount: 1, webhook: 1, domain: 1, ip: 1, ipPool: 1 };
+        this.state = {
+            subAccounts: [],
+            webhooks: [],
+            domains: [],
+            ips: ips.map((publicIP) => ({
+                id: this.nextId('ip'),
+                publicIP,
+                reverseDNSHostname: `mta${publicIP.split('.').pop()}.mock.sendpost.test`,
+                created: Date.now()
+            })),
+            ipPools: [],
+            messages: [],
+            events: [],
+            idempotent: new Map()
+        };
+        this.addSubAccount('Default', subAccountApiKey);
+        this.requests = [];
+        this.faults = [];
+        this.server = null;
+    }
+
+    nextId(kind) {
+        return this.nextIds[kind]++;
+    }
+
+    /**
+     * Add a sub-account directly, as if it had been created earlier
+     */
+    addSubAccount(name, apiKey = `mock-sub-${randomUUID()}`) {
+        const subAccount = { id: this.nextId('subAccount'), name, apiKey, type: 0, blocked: false, created: Date.now() };
+        this.state.subAccounts.push(subAccount);
+        return subAccount;
+    }
+
+    /**
+     * Mark a domain verified, as SendPost does once its DNS records check out
+     */
+    verifyDomain(name) {
+        const domain = this.state.domains.find((candidate) => candidate.name === name);
+        if (!domain) {
+            throw new Error(`No domain ${name}`);
+        }
+        Object.assign(domain, { verified: true, dkimVerified: true, spfVerified: true, returnPathVerified: true, trackVerified: true, dmarcVerified: true });
+        return domain;
+    }
+
+    /**
+     * Add counts to a sub-account's stats for a day, e.g. bounces and spam
+     * complaints, which sending through the mock never produces
+     *
+     * @param {number} subAccountId
+     * @param {object} counts - e.g. { processed: 100, delivered: 90, hardBounced: 10 }
+     * @param {string} [date] - YYYY-MM-DD, today (UTC) by default
+     */
+    recordStats(subAccountId, counts, date = new Date().toISOString().slice(0, 10)) {
+        this.state.events.push({ subAccountID: subAccountId, date, counts });
+    }
+
+    /**
+     * Make the next calls of an operation fail
+     *
+     * @param {string} operation - SDK method name, e.g. 'sendEmail'
+     * @param {object} [options]
+     * @param {number} [options.status=500] - Status to answer with
+     * @param {object} [options.body] - Response body; an error message by default
+     * @param {object} [options.headers] - Extra response headers, e.g. { 'Retry-After': '0' }
+     * @param {boolean} [options.network=false] - Drop the connection instead of answering
+     * @param {number} [options.times=1] - Calls affected; Infinity for all of them
+     * @returns {this}
+     */
+    fail(operation, { status = 500, body, headers = {}, network = false, times = 1 } = {}) {
+        if (!ROUTES.some((route) => route[2] === operation)) {
+            throw new Error(`Unknown operation ${operation}`);
+        }
+        this.faults.push({ operation, status, body: body ?? { error: `Injected ${status} for ${operation}` }, headers, network, remaining: times });
+        return this;
+    }
+
+    /**
+     * Logged requests, optionally only those of one operation
+     */
+    calls(operation) {
+        return operation ? this.requests.filter((request) => request.operation === operation) : this.requests;
+    }
+
+    /**
+     * Listen on a free local port
+     *
+     * @returns {Promise<string>} The basePath to give the SDK
+     */
+    async start() {
+        this.server = createServer((request, response) => {
+            this.handle(request, response).catch((error) => respond(response, 500, { error: error.message }));
+        });
+        await new Promise((resolve) => this.server.listen(0, '127.0.0.1', resolve));
+        return this.basePath;
+    }
+
+    get basePath() {
+        return `http://127.0.0.1:${this.server.address().port}${BASE_PATH}`;
+    }
+
+    async stop() {
+        if (this.server) {
+            this.server.closeAllConnections();
+            await new Promise((resolve) => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+
+    async handle(request, response) {
+        const url = new URL(request.url, 'http://localhost');
+        if (!url.pathname.startsWith(`${BASE_PATH}/`)) {
+            respond(response, 404, { error: 'Not found' });
+            return;
+        }
+        const route = matchRoute(request.method, url.pathname.slice(BASE_PATH.length));
+        if (!route || route.methodNotAllowed) {
+            respond(response, route ? 405 : 404, { error: route ? 'Method not allowed' : 'Not found' });
+            return;
+        }
+
+        const text = await readBody(request);
+        let body = null;
+        if (text !== '') {
+            try {
+                body = JSON.parse(text);
+            } catch {
+                respond(response, 400, { error: 'Body is not valid JSON' });
+                return;
+            }
+        }
+        const query = Object.fromEntries(url.searchParams);
+        this.requests.push({ operation: route.operation, method: request.method, path: url.pathname, query, headers: request.headers, body });
+
+        const fault = this.faults.find((candidate) => candidate.operation === route.operation && candidate.remaining > 0);
+        if (fault) {
+            fault.remaining--;
+            if (fault.network) {
+                request.socket.destroy();
+                return;
+            }
+            respond(response, fault.status, fault.body, fault.headers);
+            return;
+        }
+
+        try {
+            const context = { params: route.params, query, body: body || {}, subAccount: this.authenticate(route.auth, request.headers) };
+            const result = this[route.operation](context);
+            respond(response, 200, result === undefined ? {} : result);
+        } catch (error) {
+            if (!(error instanceof MockHttpError)) {
+                throw error;
+            }
+            respond(response, error.status, { error: error.message });
+        }
+    }
+
+    authenticate(auth, headers) {
+        if (auth === 'account') {
+            if (headers['x-account-apikey'] !== this.accountApiKey) {
+                throw new MockHttpError(401, 'Invalid or missing X-Account-ApiKey');
+            }
+            return null;
+        }
+        const subAccount = this.state.subAccounts.find((candidate) => candidate.apiKey === headers['x-subaccount-apikey']);
+        if (!subAccount) {
+            throw new MockHttpError(401, 'Invalid or missing X-SubAccount-ApiKey');
+        }
+        if (subAccount.blocked) {
+            throw new MockHttpError(403, `Sub-account ${subAccount.id} is blocked`);
+        }
+        return subAccount;
+    }
+
+    find(collection, id, label) {
+        const item = this.state[collection].find((candidate) => String(candidate.id) === String(id));
+        if (!item) {
+            throw new MockHttpError(404, `${label} ${id} not found`);
+        }
+        return item;
+    }
+
+    remove(collection, id, label) {
+        const item = this.find(collection, id, label);
+        this.state[collection] = this.state[collection].filter((candidate) => candidate !== item);
+        return item;
+    }
+
+    // Sub-accounts
+
+    getAllSubAccounts() {
+        return this.state.subAccounts;
+    }
+
+    getSubAccount({ params }) {
+        return this.find('subAccounts', params.id, 'Sub-account');
+    }
+
+    createSubAccount({ body }) {
+        if (typeof body.name !== 'string' || body.name.trim() === '') {
+            throw new MockHttpError(422, 'name is required');
+        }
+        if (this.state.subAccounts.some((candidate) => candidate.name === body.name)) {
+            throw new MockHttpError(409, `A sub-account named "${body.name}" already exists`);
+        }
+        return this.addSubAccount(body.name);
+    }
+
+    deleteSubAccount({ params }) {
+        const subAccount = this.remove('subAccounts', params.id, 'Sub-account');
+        this.state.domains = this.state.domains.filter((domain) => domain.subAccountId !== subAccount.id);
+        return { id: subAccount.id, message: 'Sub-account deleted' };
+    }
+
+    // Webhooks
+
+    webhookFields(body) {
+        if (typeof body.url !== 'string' || !/^https?:\/\//.test(body.url)) {
+            throw new MockHttpError(422, 'url must be an http(s) URL');
+        }
+        return {
+            url: body.url,
+            enabled: body.enabled !== false,
+            ...Object.fromEntries(WEBHOOK_EVENTS.map((event) => [event, Boolean(body[event])]))
+        };
+    }
+
+    getAllWebhooks() {
+        return this.state.webhooks;
+    }
+
+    getWebhook({ params }) {
+        return this.find('webhooks', params.id, 'Webhook');
+    }
+
+    createWebhook({ body }) {
+        const webhook = { id: this.nextId('webhook'), ...this.webhookFields(body), created: Date.now() };
+        this.state.webhooks.push(webhook);
+        return webhook;
+    }
+
+    updateWebhook({ params, body }) {
+        return Object.assign(this.find('webhooks', params.id, 'Webhook'), this.webhookFields(body));
+    }
+
+    deleteWebhook({ params }) {
+        const webhook = this.remove('webhooks', params.id, 'Webhook');
+        return { id: webhook.id, message: 'Webhook deleted' };
+    }
+
+    // Domains, per sub-account
+
+    getAllDomains({ subAccount }) {
+        return this.state.domains.filter((domain) => domain.subAccountId === subAccount.id);
+    }
+
+    subaccountDomainDomainIdGet({ params, subAccount }) {
+        return this.ownDomain(params.id, subAccount);
+    }
+
+    subaccountDomainPost({ body, subAccount }) {
+        const name = typeof body.name === 'string' ? body.name.toLowerCase() : '';
+        if (!/^(?!-)[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(name)) {
+            throw new MockHttpError(422, 'name must be a domain name');
+        }
+        if (this.state.domains.some((domain) => domain.name === name)) {
+            throw new MockHttpError(409, `Domain ${name} already exists`);
+        }
+        const domain = {
+            id: this.nextId('domain'),
+            subAccountId: subAccount.id,
+            name,
+            verified: false,
+            dkim: { host: `sp._domainkey.${name}`, textValue: 'k=rsa; p=MIGfMA0GCSqGSIb3DQEBAQUAA4GNADCBiQKBgQDmock' },
+            spf: { host: name, textValue: 'v=spf1 include:spf.sendpost.io ~all' },
+            returnPath: { host: `sp-bounces.${name}`, textValue: 'rp.sendpost.io' },
+            track: { host: `sp-track.${name}`, textValue: 'track.sendpost.io' },
+            dmarc: { host: `_dmarc.${name}`, textValue: 'v=DMARC1; p=none' },
+            dkimVerified: false,
+            spfVerified: false,
+            returnPathVerified: false,
+            trackVerified: false,
+            dmarcVerified: false,
+            created: Date.now()
+        };
+        this.state.domains.push(domain);
+        return domain;
+    }
+
+    subaccountDomainDomainIdDelete({ params, subAccount }) {
+        const domain = this.ownDomain(params.id, subAccount);
+        this.state.domains = this.state.domains.filter((candidate) => candidate !== domain);
+        return { id: domain.id, message: 'Domain deleted' };
+    }
+
+    ownDomain(id, subAccount) {
+        const domain = this.state.domains.find((candidate) => String(candidate.id) === String(id) && candidate.subAccountId === subAccount.id);
+        if (!domain) {
+            throw new MockHttpError(404, `Domain ${id} not found`);
+        }
+        return domain;
+    }
+
+    // Email and messages
+
+    sendEmail({ body, subAccount }) {
+        const key = body.headers && body.headers['X-Idempotency-Key'];
+        if (key && this.state.idempotent.has(`${subAccount.id}:${key}`)) {
+            return this.state.idempotent.get(`${subAccount.id}:${key}`);
+        }
+
+        if (!body.from || !isEmail(body.from.email)) {
+            throw new MockHttpError(422, 'from.email must be an email address');
+        }
+        if (!Array.isArray(body.to) || body.to.length === 0) {
+            throw new MockHttpError(422, 'to must list at least one recipient');
+        }
+        if (body.to.length > MAX_RECIPIENTS) {
+            throw new MockHttpError(422, `to lists ${body.to.length} recipients; at most ${MAX_RECIPIENTS} are allowed`);
+        }
+        const invalid = body.to.find((recipient) => !isEmail(recipient && recipient.email));
+        if (invalid) {
+            throw new MockHttpError(422, `Invalid recipient ${JSON.stringify(invalid)}`);
+        }
+        if (!body.subject) {
+            throw new MockHttpError(422, 'subject is required');
+        }
+        if (!body.htmlBody && !body.textBody) {
+            throw new MockHttpError(422, 'htmlBody or textBody is required');
+        }
+        const attachments = (body.attachments || []).map((attachment) => {
+            if (!attachment || !attachment.filename || typeof attachment.content !== 'string' || !/^[A-Za-z0-9+/]*={0,2}$/.test(attachment.content)) {
+                throw new MockHttpError(422, 'attachments need a filename and base64 content');
+            }
+            if (attachment.disposition === 'inline' && !(body.htmlBody || '').includes(`cid:${attachment.contentId}`)) {
+                throw new MockHttpError(422, `inline attachment ${attachment.filename} is not referenced by htmlBody`);
+            }
+            const { content, ...fields } = attachment;
+            return { ...fields, size: Buffer.from(content, 'base64').length };
+        });
+        let pool = null;
+        if (body.ippool) {
+            pool = this.state.ipPools.find((candidate) => candidate.name === body.ippool);
+            if (!pool) {
+                throw new MockHttpError(422, `IP pool "${body.ippool}" does not exist`);
+            }
+        }
+
+        const ip = pool && pool.ips.length > 0
+            ? this.state.ips.find((candidate) => candidate.publicIP === pool.ips[0].publicIP)
+            : this.state.ips[0];
+        const submittedAt = Date.now();
+        const responses = body.to.map((recipient) => {
+            const messageId = randomUUID();
+            this.state.messages.push({
+                messageID: messageId,
+                accountID: 1,
+                subAccountID: subAccount.id,
+                ipID: ip ? ip.id : null,
+                publicIP: ip ? ip.publicIP : null,
+                localIP: ip ? `10.0.0.${ip.id}` : null,
+                emailType: 'smtp',
+                submittedAt,
+                from: { email: body.from.email, name: body.from.name },
+                to: { email: recipient.email, name: recipient.name },
+                subject: mergeTags(body.subject, { email: recipient.email, name: recipient.name, ...recipient.customFields }),
+                ipPool: pool ? pool.name : '',
+                attempt: 1,
+                headers: body.headers || {},
+                groups: body.groups || [],
+                attachments,
+                availableAt: submittedAt + this.messageDelayMs
+            });
+            return { errorCode: 0, messageId, submittedAt, to: recipient.email };
+        });
+        if (key) {
+            this.state.idempotent.set(`${subAccount.id}:${key}`, responses);
+        }
+        return responses;
+    }
+
+    getMessageById({ params }) {
+        const message = this.state.messages.find((candidate) => candidate.messageID === params.id && candidate.availableAt <= Date.now());
+        if (!message) {
+            throw new MockHttpError(404, `Message ${params.id} not found`);
+        }
+        const { availableAt, ...stored } = message;
+        return stored;
+    }
+
+    // Stats, computed from the stored messages
+
+    statsRange(query) {
+        if (!isDate(query.from) || !isDate(query.to)) {
+            throw new MockHttpError(422, 'from and to must be dates (YYYY-MM-DD)');
+        }
+        if (query.from > query.to) {
+            throw new MockHttpError(422, 'from must not be after to');
+        }
+        return datesBetween(query.from, query.to);
+    }
+
+    dailyStats(dates, subAccountId = null) {
+        const days = new Map(dates.map((date) => [date, emptyStats()]));
+        for (const message of this.state.messages) {
+            const stats = days.get(new Date(message.submittedAt).toISOString().slice(0, 10));
+            if (stats && (subAccountId === null || message.subAccountID === subAccountId)) {
+                stats.processed++;
+                stats.delivered++;
+            }
+        }
+        for (const event of this.state.events) {
+            const stats = days.get(event.date);
+            if (stats && (subAccountId === null || event.subAccountID === subAccountId)) {
+                for (const [field, count] of Object.entries(event.counts)) {
+                    stats[field] += count;
+                }
+            }
+        }
+        return days;
+    }
+
+    accountSubaccountStatSubaccountIdGet({ params, query }) {
+        const subAccount = this.find('subAccounts', params.id, 'Sub-account');
+        return [...this.dailyStats(this.statsRange(query), subAccount.id)].map(([date, stats]) => ({ date, stats }));
+    }
+
+    accountSubaccountStatSubaccountIdAggregateGet({ params, query }) {
+        const subAccount = this.find('subAccounts', params.id, 'Sub-account');
+        const total = emptyStats();
+        for (const stats of this.dailyStats(this.statsRange(query), subAccount.id).values()) {
+            for (const field of STAT_FIELDS) {
+                total[field] += stats[field];
+            }
+        }
+        return total;
+    }
+
+    getAllAccountStats({ query }) {
+        return [...this.dailyStats(this.statsRange(query))].map(([date, { opened, clicked, ...stats }]) => ({
+            date,
+            stat: { ...stats, opens: opened, clicks: clicked }
+        }));
+    }
+
+    // IPs and IP pools
+
+    getAllIps() {
+        return this.state.ips;
+    }
+
+    poolFields(body) {
+        if (typeof body.name !== 'string' || body.name.trim() === '') {
+            throw new MockHttpError(422, 'name is required');
+        }
+        if (![0, 1].includes(body.routingStrategy)) {
+            throw new MockHttpError(422, 'routingStrategy must be 0 or 1');
+        }
+        if (!Number.isInteger(body.warmupInterval) || body.warmupInterval <= 0) {
+            throw new MockHttpError(422, 'warmupInterval must be greater than 0');
+        }
+        const ips = (body.ips || []).map(({ publicIP }) => {
+            const ip = this.state.ips.find((candidate) => candidate.publicIP === publicIP);
+            if (!ip) {
+                throw new MockHttpError(422, `IP ${publicIP} is not allocated to this account`);
+            }
+            return { id: ip.id, publicIP: ip.publicIP };
+        });
+        const overflowStrategy = body.overflowStrategy || 0;
+        if (overflowStrategy === 1 && !this.state.ipPools.some((candidate) => candidate.name === body.overflowPoolName)) {
+            throw new MockHttpError(422, `Overflow pool "${body.overflowPoolName}" does not exist`);
+        }
+        return {
+            name: body.name,
+            routingStrategy: body.routingStrategy,
+            routingMetaData: body.routingMetaData || '',
+            warmupInterval: body.warmupInterval,
+            overflowStrategy,
+            overflowPoolName: overflowStrategy === 1 ? body.overflowPoolName : '',
+            ips
+        };
+    }
+
+    getAllIPPools() {
+        return this.state.ipPools;
+    }
+
+    getIPPoolById({ params }) {
+        return this.find('ipPools', params.id, 'IP pool');
+    }
+
+    createIPPool({ body }) {
+        const fields = this.poolFields(body);
+        if (this.state.ipPools.some((candidate) => candidate.name === fields.name)) {
+            throw new MockHttpError(409, `An IP pool named "${fields.name}" already exists`);
+        }
+        const pool = { id: this.nextId('ipPool'), ...fields, created: Date.now() };
+        this.state.ipPools.push(pool);
+        return pool;
+    }
+
+    updateIPPool({ params, body }) {
+        return Object.assign(this.find('ipPools', params.id, 'IP pool'), this.poolFields(body));
+    }
+
+    deleteIPPool({ params }) {
+        const pool = this.remove('ipPools', params.id, 'IP pool');
+        return { id: pool.id, message: 'IP pool deleted' };
+    }
+}
@@ -0,0 +1,136 @@
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { test } from 'node:test';
+import { ESPExample } from '../ESPExample.js';
+import { run } from '../src/cli.js';
+import { ConfigError, loadConfig } from '../src/config.js';
+import { AlertState, createSinks, deliver, evaluate } from '../src/monitor.js';
+import { capture, quiet, setup } from './harness.js';
+
+const cli = (argv, env) => run(argv, (config) => new ESPExample(config), env);
+
+const THRESHOLDS = { bounceRate: 0.05, spamRate: 0.001 };
+
+const BREACH = { key: 'subAccount:7:bounceRate', scope: 'subAccount', id: 7, name: 'Acme', metric: 'bounceRate', value: 0.1, threshold: 0.05, processed: 200 };
+
+test('bounce and spam complaint rates are judged against the thresholds', () => {
+    const breaches = evaluate([
+        { scope: 'account', id: 'account', name: null, stats: { processed: 1000, delivered: 960, hardBounced: 30, softBounced: 10, spam: 2 } },
+        { scope: 'subAccount', id: 7, name: 'Acme', stats: { processed: 200, delivered: 180, hardBounced: 20 } },
+        // Too few emails to judge
+        { scope: 'subAccount', id: 8, name: 'Globex', stats: { processed: 10, delivered: 5, hardBounced: 5, spam: 5 } },
+        // No deliveries, so no spam rate
+        { scope: 'ipPool', id: 'shared', name: null, stats: { processed: 100, softBounced: 1 } }
+    ], { thresholds: THRESHOLDS, minProcessed: 100 });
+
+    assert.deepEqual(breaches.map(({ key, value }) => [key, value]), [
+        ['account:account:spamRate', 0.0021],
+        ['subAccount:7:bounceRate', 0.1]
+    ]);
+});
+
+test('a breach alerts once, reminds after renotifyMs and alerts again when resolved', async (t) => {
+    const dir = await mkdtemp(join(tmpdir(), 'esp-monitor-'));
+    t.after(() => rm(dir, { recursive: true, force: true }));
+    const state = AlertState.forConfig({ storage: { dir } });
+    const at = (minutes) => new Date(Date.UTC(2024, 2, 10, 12, minutes));
+    const types = async (breaches, minutes) => (await state.update(breaches, { renotifyMs: 30 * 60 * 1000, now: at(minutes) })).map((alert) => alert.type);
+
+    assert.deepEqual(await types([BREACH], 0), ['breach']);
+    assert.deepEqual(await types([{ ...BREACH, value: 0.12 }], 10), []);
+    assert.deepEqual(await types([BREACH], 30), ['reminder']);
+    assert.deepEqual(await types([BREACH], 40), []);
+
+    // A fresh state reads what was persisted
+    const [resolved] = await AlertState.forConfig({ storage: { dir } }).update([], { now: at(50) });
+    assert.equal(resolved.type, 'resolved');
+    assert.equal(resolved.since, at(0).toISOString());
+    assert.deepEqual(await types([], 60), []);
+});
+
+test('alerts reach every sink even when one of them fails', async (t) => {
+    const received = [];
+    const server = createServer((request, response) => {
+        let body = '';
+        request.on('data', (chunk) => {
+            body += chunk;
+        });
+        request.on('end', () => {
+            received.push(JSON.parse(body));
+            response.end();
+        });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise((resolve) => server.close(resolve)));
+
+    const dir = await mkdtemp(join(tmpdir(), 'esp-monitor-'));
+    t.after(() => rm(dir, { recursive: true, force: true }));
+    const config = loadConfig({
+        file: {
+            storage: { dir },
+            // A directory cannot be appended to, so the file sink fails
+            monitor: { sinks: 'file, webhook', alertFile: dir, webhookUrl: `http://127.0.0.1:${server.address().port}/alerts` }
+        },
+        env: {}
+    });
+    const warnings = [];
+    const logger = { json: false, warn: (message) => warnings.push(message) };
+
+    const alert = { type: 'breach', ...BREACH, since: '2024-03-10T12:00:00.000Z', from: '2024-03-09', to: '2024-03-10' };
+    assert.equal(await deliver([alert], createSinks(config, logger), logger), 1);
+
+    assert.equal(received.length, 1);
+    assert.equal(received[0].key, BREACH.key);
+    assert.equal(received[0].text, '⚠️  Sub-account 7 (Acme): bounce rate 10.00% exceeds 5.00% (200 processed, 2024-03-09 to 2024-03-10)');
+    assert.match(warnings[0], /Alert sink "file" failed/);
+
+    assert.throws(() => createSinks({ ...config, monitor: { ...config.monitor, sinks: 'webhook', webhookUrl: undefined } }, logger), /webhookUrl is not set/);
+    assert.throws(() => loadConfig({ file: { monitor: { sinks: 'stdout,pager' } }, env: {} }), ConfigError);
+});
+
+test('IP pools are judged as the sum of the sub-accounts routed through them', async (t) => {
+    const { mock, example } = await setup(t);
+    quiet(t);
+    const acme = mock.addSubAccount('Acme', 'acme-key');
+    const labs = mock.addSubAccount('Acme Labs', 'labs-key');
+    // Each too small to judge on its own
+    mock.recordStats(acme.id, { processed: 60, delivered: 56, hardBounced: 4 });
+    mock.recordStats(labs.id, { processed: 60, delivered: 57, softBounced: 3 });
+
+    const { targets } = await example.checkHealth({ pools: { acme: ['Acme', 'Acme Labs'], empty: ['Initech'] } });
+
+    assert.deepEqual(targets.map(({ scope, id }) => `${scope}:${id}`), ['account:account', 'subAccount:1', `subAccount:${acme.id}`, `subAccount:${labs.id}`, 'ipPool:acme']);
+    const pool = targets.at(-1).stats;
+    assert.deepEqual([pool.processed, pool.hardBounced, pool.softBounced], [120, 4, 3]);
+    assert.deepEqual(evaluate(targets, { thresholds: THRESHOLDS, minProcessed: 100 }).map((breach) => breach.key), ['account:account:bounceRate', 'ipPool:acme:bounceRate']);
+});
+
+test('monitor --once exits 1 on a breach and does not alert about it twice', async (t) => {
+    const { mock, config, env } = await setup(t);
+    const output = capture(t);
+    const acme = mock.addSubAccount('Acme', 'acme-key');
+    mock.recordStats(acme.id, { processed: 150, delivered: 140, hardBounced: 10 });
+
+    const spec = join(config.storage.dir, 'acme.json');
+    await writeFile(spec, JSON.stringify({ name: 'Acme', ipPool: { name: 'acme-pool', ips: ['203.0.113.10'] } }));
+    const monitor = ['monitor', '--once', '--spec', spec, '--set', 'monitor.sinks=stdout,file'];
+
+    assert.equal(await cli(monitor, env), 1);
+    const alerts = output.stdout.filter((line) => line.includes('exceeds'));
+    // The account, the sub-account and its pool
+    assert.equal(alerts.length, 3);
+    assert.ok(alerts.some((line) => line.startsWith('⚠️  IP pool acme-pool: bounce rate 6.67% exceeds 5.00%')));
+
+    assert.equal(await cli(monitor, env), 1);
+    assert.equal(output.stdout.filter((line) => line.includes('exceeds')).length, 3);
+
+    mock.state.events = [];
+    assert.equal(await cli(monitor, env), 0);
+    const stored = (await readFile(join(config.storage.dir, 'alerts.jsonl'), 'utf8')).trim().split('\n').map((line) => JSON.parse(line));
+    assert.deepEqual(stored.map((alert) => alert.type), ['breach', 'breach', 'breach', 'resolved', 'resolved', 'resolved']);
+
+    assert.equal(await cli(['monitor', '--interval', '10ms'], env), 2);
+});
@@ -0,0 +1,149 @@
+import assert from 'node:assert/strict';
+import { writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { test } from 'node:test';
+import { ESPExample } from '../ESPExample.js';
+import { run } from '../src/cli.js';
+import { describeConfig } from '../src/config.js';
+import { maskSecret, redact } from '../src/logger.js';
+import { capture, setup } from './harness.js';
+
+const cli = (argv, env) => run(argv, (config) => new ESPExample(config), env);
+
+test('redact masks API keys at any depth', () => {
+    assert.deepEqual(redact({ name: 'Acme', apiKey: 'abcdef123456', nested: [{ accountApiKey: 'xyz98765' }] }), {
+        name: 'Acme',
+        apiKey: '********3456',
+        nested: [{ accountApiKey: '****8765' }]
+    });
+    assert.equal(maskSecret('abc'), '***');
+});
+
+test('config show never reveals short secrets', () => {
+    const config = { accountApiKey: 'short-key', subAccountApiKey: 'sub-account-key-Y8Qs', credentials: { passphrase: 'abc' } };
+
+    const lines = describeConfig(config).split('\n');
+    assert.ok(lines.includes('credentials.passphrase = ****'));
+    assert.ok(lines.includes('accountApiKey = ****'));
+    assert.ok(lines.includes('subAccountApiKey = ****************Y8Qs'));
+});
+
+test('config show masks every secret in JSON mode', async (t) => {
+    const { env } = await setup(t);
+    const output = capture(t);
+
+    assert.equal(await cli(['config', 'show', '--output', 'json'], { ...env, SENDPOST_CREDENTIALS_PASSPHRASE: 'open sesame, please' }), 0);
+
+    const text = output.stdout.join('\n');
+    assert.ok(!text.includes('open sesame'));
+    assert.ok(!text.includes(env.SENDPOST_ACCOUNT_API_KEY));
+    const shown = JSON.parse(output.stdout.at(-1));
+    assert.equal(shown.credentials.passphrase, maskSecret('open sesame, please'));
+    assert.equal(shown.storage.dir, env.SENDPOST_STORAGE_DIR);
+});
+
+test('text output masks the API keys of sub-accounts', async (t) => {
+    const { mock, env } = await setup(t);
+    const output = capture(t);
+
+    assert.equal(await cli(['subaccounts', 'list'], env), 0);
+
+    const text = output.stdout.join('\n');
+    assert.ok(!text.includes(mock.state.subAccounts[0].apiKey));
+    assert.match(text, /API Key: \*+-key$/m);
+});
+
+test('list commands print a JSON array in JSON mode', async (t) => {
+    const { mock, env } = await setup(t);
+    const output = capture(t);
+
+    assert.equal(await cli(['ips', 'list', '--output', 'json'], env), 0);
+
+    assert.equal(output.stdout.length, 1);
+    assert.deepEqual(JSON.parse(output.stdout[0]).map((ip) => ip.publicIP), mock.state.ips.map((ip) => ip.publicIP));
+    assert.ok(output.stderr.every((line) => JSON.parse(line).level === 'info'));
+});
+
+test('JSON results never contain a full API key', async (t) => {
+    const { mock, env } = await setup(t);
+    const output = capture(t);
+
+    assert.equal(await cli(['--output=json', 'subaccounts', 'create', '--name', 'Acme'], env), 0);
+
+    const [record] = output.stdout.map((line) => JSON.parse(line));
+    const acme = mock.state.subAccounts.find((subAccount) => subAccount.name === 'Acme');
+    assert.equal(record.type, 'step');
+    assert.equal(record.step, 'subaccounts create');
+    assert.equal(record.status, 'ok');
+    assert.deepEqual(record.resources, { subAccountId: acme.id });
+    assert.equal(record.result.apiKey, maskSecret(acme.apiKey));
+    assert.ok(![...output.stdout, ...output.stderr].some((line) => line.includes(acme.apiKey)));
+});
+
+test('the workflow prints one record per step in JSON mode', async (t) => {
+    const { env } = await setup(t);
+    const output = capture(t);
+
+    assert.equal(await cli(['workflow', '--output', 'json'], env), 0);
+
+    const records = output.stdout.map((line) => JSON.parse(line));
+    assert.equal(records[0].step, 'listSubAccounts');
+    assert.equal(records.at(-1).step, 'getMessageDetails');
+    assert.ok(records.every((record) => record.type === 'step' && record.status === 'ok' && record.durationMs >= 0));
+    assert.ok(records.find((record) => record.step === 'createIPPool').resources.ipPoolId);
+    assert.ok(records.find((record) => record.step === 'sendTransactionalEmail').resources.messageId);
+});
+
+test('failures are step records with the error details', async (t) => {
+    const { mock, env } = await setup(t);
+    const output = capture(t);
+    mock.fail('getAllWebhooks', { status: 404, body: { error: 'gone' } });
+
+    assert.equal(await cli(['webhooks', 'list', '--output', 'json'], env), 1);
+
+    const [record] = output.stdout.map((line) => JSON.parse(line));
+    assert.equal(record.status, 'failed');
+    assert.deepEqual(record.error, {
+        name: 'NotFoundError',
+        message: 'SendPost API responded with 404',
+        action: 'list webhooks',
+        hint: record.error.hint,
+        exitCode: 1,
+        status: 404,
+        body: { error: 'gone' }
+    });
+    assert.ok(output.stderr.some((line) => JSON.parse(line).level === 'error'));
+});
+
+test('--log-level hides messages below the level', async (t) => {
+    const { env } = await setup(t);
+    const output = capture(t);
+
+    assert.equal(await cli(['pools', 'list', '--output', 'json', '--log-level', 'warn'], env), 0);
+
+    assert.deepEqual(output.stderr, []);
+    assert.deepEqual(JSON.parse(output.stdout[0]), []);
+});
+
+test('an unknown output format is a configuration error', async (t) => {
+    const { env } = await setup(t);
+    const output = capture(t);
+
+    assert.equal(await cli(['ips', 'list', '--output', 'xml'], env), 2);
+    assert.match(output.stderr.join('\n'), /log\.output/);
+});
+
+test('replayed webhook events are JSON records on stdout in JSON mode', async (t) => {
+    const { config, env } = await setup(t);
+    const output = capture(t);
+    const file = join(config.storage.dir, 'payloads.jsonl');
+    await writeFile(file, `${JSON.stringify({ type: 'hardBounced', eventID: 'e1', messageID: 'm1', to: 'ana@example.com', timestamp: 1710000000 })}\n`);
+
+    assert.equal(await cli(['--output=json', 'webhooks', 'replay', file], env), 0);
+
+    const records = output.stdout.map((line) => JSON.parse(line));
+    assert.deepEqual(records.map((record) => record.type), ['event', 'step']);
+    assert.deepEqual([records[0].event.type, records[0].event.messageId], ['hardBounced', 'm1']);
+    const messages = output.stderr.map((line) => JSON.parse(line).message);
+    assert.ok(messages.some((message) => message.startsWith('⊘ Suppressed ana@example.com')));
+});
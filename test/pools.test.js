@@ -0,0 +1,124 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { ESPExample } from '../ESPExample.js';
+import { run } from '../src/cli.js';
+import { PoolSettingsError, providerAssignments, resolvePoolSettings } from '../src/pools.js';
+import { quiet, setup } from './harness.js';
+
+const cli = (argv, env) => run(argv, (config) => new ESPExample(config), env);
+
+const IPS = ['203.0.113.10', '203.0.113.11', '203.0.113.12'];
+
+const DEFAULTS = { routingStrategy: 0, warmupInterval: 24, overflowStrategy: 0 };
+
+const POOL = {
+    id: 1,
+    name: 'Marketing',
+    routingStrategy: 1,
+    routingMetaData: JSON.stringify({ yahoo: ['203.0.113.11'], gmail: ['203.0.113.11', '203.0.113.10'] }),
+    warmupInterval: 24,
+    overflowStrategy: 0,
+    ips: [{ publicIP: '203.0.113.10' }, { publicIP: '203.0.113.11' }]
+};
+
+const TRANSACTIONAL = { id: 2, name: 'Transactional', routingStrategy: 0, warmupInterval: 24, overflowStrategy: 1, overflowPoolName: 'Marketing', ips: [{ publicIP: '203.0.113.12' }] };
+
+const resolve = (current, change) => resolvePoolSettings(current, change, { ips: IPS, pools: [POOL, TRANSACTIONAL] }, DEFAULTS);
+
+test('IPs leaving a pool leave their provider assignments, and round robin drops them', () => {
+    assert.deepEqual(providerAssignments(POOL), { gmail: ['203.0.113.10', '203.0.113.11'], yahoo: ['203.0.113.11'] });
+
+    const removed = resolve(POOL, { removeIps: ['203.0.113.11'], addIps: ['203.0.113.12'] });
+    assert.deepEqual(removed.ips, ['203.0.113.10', '203.0.113.12']);
+    assert.deepEqual(removed.providers, { gmail: ['203.0.113.10'] });
+
+    assert.deepEqual(resolve(POOL, { routingStrategy: 'round-robin' }).providers, {});
+    assert.deepEqual(resolve(POOL, { providers: { gmail: [] } }).providers, { yahoo: ['203.0.113.11'] });
+});
+
+test('provider assignments switch a pool to email-provider routing', () => {
+    const settings = resolve({ ...TRANSACTIONAL, overflowStrategy: 0 }, { providers: { microsoft: ['203.0.113.12'] }, overflow: 'Marketing' });
+
+    assert.equal(settings.routingStrategy, 1);
+    assert.deepEqual(settings.providers, { microsoft: ['203.0.113.12'] });
+    assert.deepEqual([settings.overflowStrategy, settings.overflowPoolName], [1, 'Marketing']);
+});
+
+test('every problem with a change is reported at once', () => {
+    assert.throws(() => resolve(POOL, {
+        routingStrategy: 'fastest',
+        addIps: ['198.51.100.1'],
+        removeIps: ['203.0.113.12'],
+        providers: { hotmail: ['203.0.113.10'], gmail: ['203.0.113.12'] },
+        overflow: 'Transactional'
+    }), (error) => {
+        assert.ok(error instanceof PoolSettingsError);
+        assert.equal(error.exitCode, 2);
+        assert.deepEqual(error.issues, [
+            'routing strategy must be round-robin (0) or email-provider (1), got "fastest"',
+            '198.51.100.1 is not an IP of this account',
+            '203.0.113.12 is not in the pool',
+            'unknown provider "hotmail"; expected one of gmail, yahoo, microsoft, apple, aol, other',
+            '203.0.113.12, assigned to gmail, is not in the pool',
+            '"Transactional" overflows into this pool; overflowing back would loop'
+        ]);
+        return true;
+    });
+    assert.throws(() => resolve(POOL, { overflow: 'Marketing', removeIps: ['203.0.113.10', '203.0.113.11'] }), /a pool needs at least one IP[\s\S]*cannot overflow into itself/);
+    assert.throws(() => resolve(null, { name: 'Transactional', ips: ['203.0.113.10'] }), /another pool is already named "Transactional"/);
+});
+
+test('pools are created, changed and deleted by name', async (t) => {
+    const { mock, example } = await setup(t, { mock: { ips: IPS } });
+    quiet(t);
+
+    await example.createIPPool('Marketing', { ips: ['203.0.113.10', '203.0.113.11'], routingStrategy: 'email-provider', providers: { gmail: ['203.0.113.10'] } });
+    await example.createIPPool('Overflow', { ips: ['203.0.113.12'] });
+    const [marketing] = mock.state.ipPools;
+    assert.equal(marketing.routingStrategy, 1);
+    assert.deepEqual(JSON.parse(marketing.routingMetaData), { gmail: ['203.0.113.10'] });
+
+    await example.updateIPPool('Marketing', { overflow: 'Overflow', warmupInterval: 48 });
+    await example.updateIPPool(marketing.id, { removeIps: ['203.0.113.10'] });
+    assert.deepEqual(
+        [marketing.overflowStrategy, marketing.overflowPoolName, marketing.warmupInterval, marketing.ips.map((ip) => ip.publicIP), marketing.routingMetaData],
+        [1, 'Overflow', 48, ['203.0.113.11'], '']
+    );
+
+    // Nothing to change, nothing sent
+    await example.updateIPPool('Marketing', { warmupInterval: 48 });
+    assert.equal(mock.calls('updateIPPool').length, 2);
+
+    await assert.rejects(example.deleteIPPool('Overflow'), /is the overflow pool of Marketing/);
+    await assert.rejects(example.updateIPPool('Overflow', { name: 'Spillover' }), /is the overflow pool of Marketing/);
+    await example.updateIPPool('Marketing', { overflow: 'none' });
+    await example.deleteIPPool('Overflow');
+    assert.deepEqual(mock.state.ipPools.map((pool) => pool.name), ['Marketing']);
+
+    // A renamed pool keeps its warmup plan
+    await example.planWarmup('Marketing', { targetDaily: 1000 });
+    await example.updateIPPool('Marketing', { name: 'Promotions' });
+    assert.deepEqual((await example.warmup.list()).map((plan) => plan.pool), ['Promotions']);
+    assert.equal((await example.warmupGate('Promotions')).pool, 'Promotions');
+});
+
+test('pool commands reject bad input before calling the API', async (t) => {
+    const { mock, env } = await setup(t);
+    quiet(t);
+    mock.createIPPool({ body: { name: 'Marketing', routingStrategy: 0, warmupInterval: 24, ips: [{ publicIP: '203.0.113.10' }] } });
+
+    assert.equal(await cli(['pools', 'update', 'Marketing', '--routing', 'fastest'], env), 2);
+    assert.equal(await cli(['pools', 'update', 'Marketing', '--provider', 'hotmail=203.0.113.10'], env), 2);
+    assert.equal(await cli(['pools', 'update', 'Marketing', '--warmup-interval', '0'], env), 2);
+    assert.equal(await cli(['pools', 'add-ips', 'Marketing', '203.0.113.300'], env), 2);
+    assert.equal(await cli(['pools', 'update', 'Marketing', '--overflow', 'Missing'], env), 2);
+    assert.equal(await cli(['pools', 'update', 'Missing', '--routing', '1'], env), 1);
+    assert.equal(await cli(['pools', 'delete', 'Marketing'], env), 2);
+    assert.equal(mock.calls('updateIPPool').length + mock.calls('deleteIPPool').length, 0);
+
+    assert.equal(await cli(['pools', 'add-ips', 'Marketing', '203.0.113.11'], env), 0);
+    assert.equal(await cli(['pools', 'update', 'Marketing', '--provider', 'gmail=203.0.113.11'], env), 0);
+    assert.equal(mock.state.ipPools[0].routingStrategy, 1);
+    assert.equal(await cli(['pools', 'delete', 'Marketing', '--yes'], env), 0);
+    assert.equal(mock.state.ipPools.length, 0);
+});
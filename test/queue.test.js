@@ -0,0 +1,184 @@
+import assert from 'node:assert/strict';
+import { readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { test } from 'node:test';
+import { ESPExample } from '../ESPExample.js';
+import { run } from '../src/cli.js';
+import { drainQueue, parseSendTime, RateLimiter, runWorker } from '../src/queue.js';
+import { quiet, setup } from './harness.js';
+
+const cli = (argv, env) => run(argv, (config) => new ESPExample(config), env);
+
+// One client attempt per send, so a failure reaches the queue at once
+const FAST = {
+    retry: { maxAttempts: 1, baseDelayMs: 1, maxDelayMs: 1, jitter: 0 },
+    queue: { maxAttempts: 2, retryDelayMs: 0 }
+};
+
+const limiters = (acquired = []) => (key) => ({ acquire: async (count) => acquired.push([key, count]) });
+
+test('send times are delays, times of day or local dates in a time zone', () => {
+    const now = new Date('2024-03-09T12:00:00Z');
+    const at = (text, timeZone) => parseSendTime(text, { timeZone, now })?.toISOString();
+
+    assert.equal(at('now'), now.toISOString());
+    assert.equal(at('+30m'), '2024-03-09T12:30:00.000Z');
+    assert.equal(at('13:00', 'UTC'), '2024-03-09T13:00:00.000Z');
+    assert.equal(at('09:00', 'Europe/Berlin'), '2024-03-10T08:00:00.000Z');
+    // New York moves to daylight saving time on 2024-03-10
+    assert.equal(at('2024-03-10 01:00', 'America/New_York'), '2024-03-10T06:00:00.000Z');
+    assert.equal(at('2024-03-10 09:00', 'America/New_York'), '2024-03-10T13:00:00.000Z');
+    assert.equal(at('2024-03-10T09:00:00+02:00'), '2024-03-10T07:00:00.000Z');
+    assert.equal(at('tomorrow'), undefined);
+    assert.equal(at('25:00'), undefined);
+});
+
+test('the rate limiter keeps each minute under its limit', async () => {
+    let clock = 0;
+    const waits = [];
+    const limiter = new RateLimiter(10, {
+        now: () => clock,
+        sleep: async (ms) => {
+            waits.push(ms);
+            clock += ms;
+        }
+    });
+
+    await limiter.acquire(6);
+    clock += 20000;
+    await limiter.acquire(4);
+    await limiter.acquire(5);
+    // The first 6 leave the window after a minute; the next 5 fit then
+    assert.deepEqual(waits, [40000]);
+    assert.equal(clock, 60000);
+    // More than the limit at once goes through an empty window
+    await new RateLimiter(10).acquire(25);
+});
+
+test('queued emails are sent when due, and can be paused, resumed and cancelled', async (t) => {
+    const { mock, example, env } = await setup(t);
+    quiet(t);
+
+    const due = await example.scheduleEmail('transactional', { to: 'due@example.com' }, { at: 'now' });
+    const later = await example.scheduleEmail('marketing', { to: 'later@example.com' }, { at: '2h' });
+    assert.deepEqual(await runWorker(example, { once: true }), { sent: 1, retrying: 0, dead: 0 });
+    assert.deepEqual(mock.state.messages.map((message) => message.to.email), ['due@example.com']);
+    assert.equal(mock.calls('sendEmail')[0].body.headers['X-Idempotency-Key'], due.id);
+
+    assert.equal(await cli(['queue', 'pause', 'all'], env), 0);
+    const inTwoHours = new Date(Date.now() + 3 * 60 * 60 * 1000);
+    await drainQueue(example, { queue: example.queue, limiter: limiters(), now: inTwoHours });
+    assert.equal(mock.state.messages.length, 1);
+    assert.equal(await cli(['queue', 'cancel', 'all'], env), 2);
+    assert.equal(await cli(['queue', 'retry', later.id], env), 1);
+    assert.equal(await cli(['queue', 'resume', later.id], env), 0);
+
+    const acquired = [];
+    await drainQueue(example, { queue: example.queue, limiter: limiters(acquired), now: inTwoHours });
+    assert.deepEqual(mock.state.messages.map((message) => message.to.email), ['due@example.com', 'later@example.com']);
+    assert.deepEqual(acquired, [['subAccount:default', 1]]);
+    assert.deepEqual((await example.queue.get(later.id)).history.map((entry) => entry.event), ['scheduled', 'paused', 'scheduled', 'sending', 'sent']);
+
+    await example.scheduleEmail('transactional', {}, { at: '1d' });
+    assert.equal(await cli(['queue', 'cancel', 'job-0-none'], env), 1);
+    assert.equal(await cli(['queue', 'add', 'email', '--at', 'soon'], env), 2);
+    assert.equal(await cli(['queue', 'add', 'email', '--at', '1h', '--local-time', '09:00'], env), 2);
+    assert.equal(await cli(['queue', 'add', 'email', '--attach', 'missing.pdf', '--at', '1h'], env), 1);
+    assert.deepEqual((await example.queue.list()).map((job) => job.status), ['sent', 'sent', 'scheduled']);
+});
+
+test('failing jobs are retried with backoff, then dead-lettered', async (t) => {
+    const { mock, example, env } = await setup(t, { config: FAST });
+    quiet(t);
+    const job = await example.scheduleEmail('transactional', {}, { at: 'now' });
+    const limiter = limiters();
+
+    mock.fail('sendEmail', { status: 503, times: 3 });
+    assert.deepEqual(await drainQueue(example, { queue: example.queue, limiter }), { sent: 0, retrying: 1, dead: 0 });
+    assert.deepEqual(await drainQueue(example, { queue: example.queue, limiter }), { sent: 0, retrying: 0, dead: 1 });
+    const dead = await example.queue.get(job.id);
+    assert.equal(dead.status, 'dead');
+    assert.equal(dead.attempts, 2);
+    assert.match(dead.lastError, /503/);
+
+    // Retried by hand, its attempts start over
+    assert.equal(await cli(['queue', 'retry', job.id], env), 0);
+    assert.deepEqual(await drainQueue(example, { queue: example.queue, limiter }), { sent: 0, retrying: 1, dead: 0 });
+    await drainQueue(example, { queue: example.queue, limiter });
+    assert.equal((await example.queue.get(job.id)).status, 'sent');
+
+    // A request SendPost rejects is not tried again
+    const rejected = await example.scheduleEmail('transactional', {}, { at: 'now' });
+    mock.fail('sendEmail', { status: 422 });
+    assert.deepEqual(await drainQueue(example, { queue: example.queue, limiter }), { sent: 0, retrying: 0, dead: 1 });
+    assert.equal((await example.queue.get(rejected.id)).attempts, 1);
+
+    // A worker stopped mid-send leaves the job to be sent again
+    const interrupted = await example.scheduleEmail('transactional', {}, { at: 'now' });
+    await example.queue.update(interrupted.id, (current) => {
+        current.status = 'sending';
+        return 'sending';
+    });
+    assert.equal(await cli(['queue', 'work', '--once'], env), 0);
+    assert.equal((await example.queue.get(interrupted.id)).status, 'sent');
+    assert.equal(mock.state.messages.length, 2);
+});
+
+test('a job failing with an unexpected error is dead-lettered, not left sending', async (t) => {
+    const { example } = await setup(t);
+    quiet(t);
+    const job = await example.scheduleEmail('transactional', {}, { at: 'now' });
+    t.mock.method(example, 'sendTransactionalEmail', async () => {
+        throw new TypeError('Cannot read properties of undefined');
+    });
+
+    assert.deepEqual(await drainQueue(example, { queue: example.queue, limiter: limiters() }), { sent: 0, retrying: 0, dead: 1 });
+    const dead = await example.queue.get(job.id);
+    assert.equal(dead.status, 'dead');
+    assert.match(dead.lastError, /Cannot read properties/);
+});
+
+test('jobs without a pool of their own are held to the rate of the pool they go out through', async (t) => {
+    const { example } = await setup(t);
+    quiet(t);
+    await example.createIPPool('Queue Pool');
+    await example.scheduleEmail('marketing', {}, { at: 'now' });
+
+    const acquired = [];
+    await drainQueue(example, { queue: example.queue, limiter: limiters(acquired) });
+    assert.deepEqual(acquired, [['subAccount:default', 1], ['pool:Queue Pool', 1]]);
+});
+
+test('a batch at a local time is split by the recipients\' time zones', async (t) => {
+    const { mock, example, config, env } = await setup(t);
+    quiet(t);
+    const file = join(config.storage.dir, 'recipients.csv');
+    await writeFile(file, [
+        'email,name,timezone',
+        'ana@example.com,Ana,Europe/Berlin',
+        'ben@example.com,Ben,America/New_York',
+        'cy@example.com,Cy,Europe/Berlin',
+        'dee@example.com,Dee,Mars/Olympus'
+    ].join('\n'));
+
+    const jobs = await example.scheduleBatch(file, {}, { localTime: '09:00', timeZone: 'Asia/Tokyo' });
+    assert.deepEqual(jobs.map((job) => [job.label, job.size]), [
+        ['batch recipients.csv (Europe/Berlin)', 2],
+        ['batch recipients.csv (America/New_York)', 1],
+        ['batch recipients.csv (Asia/Tokyo)', 1]
+    ]);
+    const localTime = (job, timeZone) => new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit' }).format(new Date(job.sendAt));
+    assert.deepEqual(jobs.map((job, index) => localTime(job, ['Europe/Berlin', 'America/New_York', 'Asia/Tokyo'][index])), ['09:00', '09:00', '09:00']);
+    assert.match(await readFile(jobs[0].params.file, 'utf8'), /ana@example\.com[^\n]*\n[^\n]*cy@example\.com/);
+
+    const acquired = [];
+    const tomorrow = new Date(Date.now() + 2 * 24 * 3600000);
+    assert.deepEqual(await drainQueue(example, { queue: example.queue, limiter: limiters(acquired), now: tomorrow }), { sent: 3, retrying: 0, dead: 0 });
+    assert.deepEqual(acquired.map(([, count]) => count).sort(), [1, 1, 2]);
+    assert.equal(mock.state.messages.length, 4);
+    assert.deepEqual(mock.calls('sendEmail').map((call) => call.body.headers['X-Idempotency-Key']).sort(), jobs.map((job) => `${job.id}-0`).sort());
+
+    assert.equal(await cli(['queue', 'add', 'batch', file, '--at', '2024-03-10 09:00', '--tz', 'Europe/Berlin'], env), 0);
+    assert.equal(await cli(['queue', 'add', 'batch', file, '--local-time', '9am'], env), 2);
+    assert.equal(await cli(['queue', 'list', '--status', 'scheduled'], env), 0);
+});
@@ -0,0 +1,112 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { test } from 'node:test';
+import { ESPExample } from '../ESPExample.js';
+import { run } from '../src/cli.js';
+import { ConfigError, loadConfig } from '../src/config.js';
+import { parseCsv } from '../src/csv.js';
+import { buildStatsReport, formatStatsReport, parseDateSpec, resolveRange, StatsRangeError, withRates } from '../src/stats.js';
+import { capture, quiet, setup } from './harness.js';
+
+const cli = (argv, env) => run(argv, (config) => new ESPExample(config), env);
+
+// Late evening in UTC, already the next day in Tokyo
+const NOW = new Date('2024-03-10T23:30:00Z');
+
+test('dates may be absolute or relative to today in a time zone', () => {
+    const parse = (text, timeZone) => parseDateSpec(text, { timeZone, now: NOW });
+
+    assert.equal(parse('2024-01-31'), '2024-01-31');
+    assert.equal(parse('today'), '2024-03-10');
+    assert.equal(parse('today', 'Asia/Tokyo'), '2024-03-11');
+    assert.equal(parse('yesterday', 'America/Los_Angeles'), '2024-03-09');
+    assert.equal(parse('7d'), '2024-03-03');
+    assert.equal(parse('2w', 'Asia/Tokyo'), '2024-02-26');
+    assert.equal(parse('last week'), null);
+    assert.equal(parse('2024-02-30x'), null);
+});
+
+test('the range defaults to the last stats.days days and must not be inverted', () => {
+    assert.deepEqual(resolveRange({ days: 7 }, NOW), { from: '2024-03-03', to: '2024-03-10', timezone: 'UTC' });
+    assert.deepEqual(resolveRange({ days: 7, to: '2024-01-31' }, NOW), { from: '2024-01-24', to: '2024-01-31', timezone: 'UTC' });
+    assert.deepEqual(resolveRange({ from: '30d', timezone: 'Asia/Tokyo' }, NOW), { from: '2024-02-10', to: '2024-03-11', timezone: 'Asia/Tokyo' });
+    assert.throws(() => resolveRange({ from: 'today', to: '7d' }, NOW), StatsRangeError);
+});
+
+test('rates are derived from the counts and null without a denominator', () => {
+    assert.deepEqual(withRates({ processed: 200, delivered: 190, hardBounced: 6, softBounced: 4, opened: 57, clicked: 19, spam: 1 }), {
+        processed: 200,
+        delivered: 190,
+        dropped: 0,
+        hardBounced: 6,
+        softBounced: 4,
+        opened: 57,
+        clicked: 19,
+        unsubscribed: 0,
+        spam: 1,
+        deliveryRate: 0.95,
+        bounceRate: 0.05,
+        openRate: 0.3,
+        clickRate: 0.1,
+        spamRate: 0.0053
+    });
+    assert.equal(withRates({}).deliveryRate, null);
+});
+
+test('reports export as CSV rows per day plus a total, and as Prometheus gauges', () => {
+    const report = buildStatsReport({ from: '2024-03-01', to: '2024-03-02', timezone: 'UTC' }, [{
+        subAccount: { id: 7, name: 'Acme "EU"' },
+        daily: [
+            { date: '2024-03-01', stats: { processed: 10, delivered: 9 } },
+            { date: '2024-03-02', stats: {} }
+        ]
+    }], NOW);
+
+    const rows = parseCsv(formatStatsReport(report, 'csv'));
+    assert.deepEqual(rows.map((row) => [row.period, row.processed, row.deliveryRate]), [
+        ['2024-03-01', '10', '0.9'],
+        ['2024-03-02', '0', ''],
+        ['total', '10', '0.9']
+    ]);
+    assert.equal(rows[0].subAccount, 'Acme "EU"');
+
+    const prometheus = formatStatsReport(report, 'prometheus');
+    assert.match(prometheus, /^# TYPE sendpost_hard_bounced gauge$/m);
+    assert.match(prometheus, /^sendpost_delivery_rate\{subaccount_id="7",subaccount="Acme \\"EU\\"",period="total"\} 0\.9$/m);
+    assert.match(prometheus, /^sendpost_open_rate\{subaccount_id="7",subaccount="Acme \\"EU\\"",period="2024-03-02"\} NaN$/m);
+
+    assert.equal(JSON.parse(formatStatsReport(report, 'json')).subAccounts[0].total.delivered, 9);
+});
+
+test('stats export writes the chosen format for the selected sub-accounts', async (t) => {
+    const { mock, example, config, env } = await setup(t);
+    quiet(t);
+    mock.addSubAccount('Acme', 'acme-key');
+    await example.sendTransactionalEmail();
+
+    const file = join(config.storage.dir, 'stats.json');
+    assert.equal(await cli(['stats', 'export', '--match', 'default', '--from', 'today', '--out', file], env), 0);
+
+    const report = JSON.parse(await readFile(file, 'utf8'));
+    assert.deepEqual(report.subAccounts.map((entry) => [entry.name, entry.total.processed, entry.total.deliveryRate]), [['Default', 1, 1]]);
+    assert.equal(report.from, report.to);
+});
+
+test('stats export to stdout prints only the export', async (t) => {
+    const { env } = await setup(t);
+    const output = capture(t);
+    const writes = [];
+    t.mock.method(process.stdout, 'write', (chunk) => writes.push(String(chunk)));
+
+    assert.equal(await cli(['stats', 'export', '--format', 'prometheus', '--from', '1d', '--output', 'json'], env), 0);
+
+    assert.equal(output.stdout.length, 0);
+    assert.match(writes.join(''), /^# HELP sendpost_processed /);
+    assert.equal(await cli(['stats', 'export', '--from', 'last-week'], env), 2);
+});
+
+test('stats.timezone must be a known time zone', () => {
+    assert.throws(() => loadConfig({ file: { stats: { timezone: 'Mars/Olympus' } }, env: {} }), ConfigError);
+    assert.equal(loadConfig({ file: { stats: { timezone: 'Europe/Berlin', from: '7d' } }, env: {} }).stats.timezone, 'Europe/Berlin');
+});
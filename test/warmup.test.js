@@ -0,0 +1,88 @@
+import assert from 'node:assert/strict';
+import { writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { test } from 'node:test';
+import { ESPExample } from '../ESPExample.js';
+import { sendBatch } from '../src/batch.js';
+import { run } from '../src/cli.js';
+import { dateIn } from '../src/stats.js';
+import { ipSchedule, planPool, poolCap, rampSchedule, warmupStatus } from '../src/warmup.js';
+import { quiet, setup } from './harness.js';
+
+const cli = (argv, env) => run(argv, (config) => new ESPExample(config), env);
+
+const PLAN = { pool: 'Warmup', targetDaily: 1000, startDaily: 50, growth: 2, intervalHours: 24 };
+
+test('each IP ramps up to its share of the target', () => {
+    assert.deepEqual(rampSchedule(1000, { startDaily: 50, growth: 2 }), [50, 100, 200, 400, 800, 1000]);
+    assert.deepEqual(rampSchedule(30, { startDaily: 50 }), [30]);
+
+    const plan = planPool(null, { ...PLAN, ips: ['203.0.113.11', '203.0.113.10'] }, '2024-03-01');
+    assert.deepEqual(ipSchedule(plan), [50, 100, 200, 400, 500]);
+    assert.deepEqual(plan.ips.map((entry) => entry.ip), ['203.0.113.10', '203.0.113.11']);
+    assert.equal(poolCap(plan, '2024-02-29'), 0);
+    assert.equal(poolCap(plan, '2024-03-01'), 100);
+    assert.equal(poolCap(plan, '2024-03-03'), 400);
+    assert.equal(poolCap(plan, '2024-04-01'), 1000);
+
+    // Steps last the pool's warmupInterval, in whole days
+    assert.equal(poolCap(planPool(null, { ...PLAN, ips: ['203.0.113.10'], intervalHours: 48 }, '2024-03-01'), '2024-03-02'), 50);
+});
+
+test('an IP added later starts its own ramp and holds the pool back', () => {
+    const first = planPool(null, { ...PLAN, ips: ['203.0.113.10'], subAccountIds: [4] }, '2024-03-01');
+    first.sent['2024-03-04'] = 150;
+    const plan = planPool(first, { ...PLAN, ips: ['203.0.113.10', '203.0.113.11'] }, '2024-03-04');
+
+    assert.deepEqual(plan.ips.map((entry) => entry.startDate), ['2024-03-01', '2024-03-04']);
+    assert.deepEqual(plan.subAccountIds, [4]);
+
+    const status = warmupStatus(plan, '2024-03-04', { '2024-03-03': 450 });
+    assert.deepEqual(status.ips.map(({ step, cap }) => [step, cap]), [[4, 400], [1, 50]]);
+    assert.equal(status.cap, 100);
+    assert.equal(status.sent, 150);
+    assert.equal(status.remaining, 0);
+    assert.equal(status.warmedUp, false);
+    assert.deepEqual(status.history.map(({ date, cap, sent, over }) => [date, cap, sent, over]), [
+        ['2024-03-01', 50, 0, false],
+        ['2024-03-02', 100, 0, false],
+        ['2024-03-03', 200, 450, true],
+        ['2024-03-04', 100, 150, true]
+    ]);
+});
+
+test('batch sends through a warmup pool stop at its daily cap', async (t) => {
+    const { mock, example, config, env } = await setup(t, { config: { warmup: { startDaily: 2 } } });
+    quiet(t);
+    mock.createIPPool({ body: { name: 'Warmup', routingStrategy: 0, warmupInterval: 24, ips: mock.state.ips.map(({ publicIP }) => ({ publicIP })) } });
+
+    const plan = await example.planWarmup('Warmup', { targetDaily: 100, subAccountIds: [1] });
+    assert.equal(poolCap(plan, dateIn('UTC')), 4);
+
+    const file = join(config.storage.dir, 'recipients.csv');
+    await writeFile(file, `email\n${Array.from({ length: 10 }, (_, index) => `user${index}@example.com`).join('\n')}\n`);
+
+    const first = await sendBatch(example, file, { pool: 'Warmup' });
+    assert.deepEqual(first.counts, { sent: 4, pending: 6 });
+    assert.equal(first.heldBack, 2);
+    assert.ok(mock.state.messages.every((message) => message.ipPool === 'Warmup'));
+
+    // The day's cap is used up, also for a later run
+    assert.equal(await cli(['email', 'batch', file, '--pool', 'Warmup'], env), 1);
+    assert.equal(mock.state.messages.length, 4);
+
+    const [status] = await example.getWarmupStatus();
+    assert.deepEqual([status.pool, status.sent, status.cap, status.remaining], ['Warmup', 4, 4, 0]);
+    assert.deepEqual(status.ips.map((ip) => ip.step), [1, 1]);
+});
+
+test('warmup commands check their arguments', async (t) => {
+    const { env } = await setup(t);
+    quiet(t);
+
+    assert.equal(await cli(['warmup', 'plan', 'Warmup'], env), 2);
+    assert.equal(await cli(['warmup', 'plan', 'Warmup', '--target', '0'], env), 2);
+    assert.equal(await cli(['warmup', 'plan', 'Missing', '--target', '1000'], env), 1);
+    assert.equal(await cli(['warmup', 'status', '--pool', 'Missing'], env), 1);
+    assert.equal(await cli(['warmup', 'status'], env), 0);
+});
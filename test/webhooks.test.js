@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { ESPExample } from '../ESPExample.js';
+import { run } from '../src/cli.js';
+import { WEBHOOK_EVENTS } from '../src/config.js';
+import { applyEventList, findDuplicates, findWebhook, WebhookSettingsError } from '../src/webhooks/manage.js';
+import { createWebhookServer, WebhookReceiver } from '../src/webhooks/receiver.js';
+import { quiet, setup } from './harness.js';
+
+const cli = (argv, env) => run(argv, (config) => new ESPExample(config), env);
+
+const URL = 'https://hooks.example.com/sendpost';
+
+const allEvents = (enabled) => Object.fromEntries(WEBHOOK_EVENTS.map((event) => [event, enabled]));
+
+test('event lists name the events to enable or change the current ones', () => {
+    const current = ['delivered', 'opened', 'clicked'];
+
+    assert.deepEqual(applyEventList(current, 'hardBounced,processed').events, ['processed', 'hardBounced']);
+    assert.deepEqual(applyEventList(current, '+spam, -clicked').events, ['delivered', 'opened', 'spam']);
+    assert.deepEqual(applyEventList(current, 'all').events, WEBHOOK_EVENTS);
+    assert.deepEqual(applyEventList(current, 'none').events, []);
+    assert.deepEqual(applyEventList(current, 'bounced,+spam').issues, [
+        'an event list either names the events to enable or changes them with +/-, not both',
+        'unknown event type "bounced"'
+    ]);
+});
+
+test('duplicates are merged into the oldest webhook with the events of all of them', () => {
+    const webhooks = [
+        { id: 3, url: `${URL}/`, enabled: true, created: 300, ...allEvents(false), opened: true },
+        { id: 1, url: URL, enabled: false, created: 100, ...allEvents(false), delivered: true },
+        { id: 2, url: 'https://other.example.com/hook', enabled: true, created: 200 },
+        { id: 4, url: 'HTTPS://HOOKS.example.com/sendpost', enabled: false, created: 400, ...allEvents(false), spam: true }
+    ];
+
+    const [group] = findDuplicates(webhooks);
+    assert.equal(findDuplicates(webhooks).length, 1);
+    assert.equal(group.keep.id, 1);
+    assert.deepEqual(group.remove.map((webhook) => webhook.id), [3, 4]);
+    assert.deepEqual(group.settings, { url: URL, enabled: true, events: ['delivered', 'opened', 'spam'] });
+
+    assert.equal(findWebhook(webhooks, 'https://other.example.com/hook').id, 2);
+    assert.throws(() => findWebhook(webhooks, URL), /3 webhooks have the URL/);
+});
+
+test('webhooks are updated, disabled and deleted', async (t) => {
+    const { mock, example } = await setup(t);
+    quiet(t);
+    const webhook = await example.createWebhook(URL, '-opened,-clicked');
+    assert.deepEqual(WEBHOOK_EVENTS.filter((event) => mock.state.webhooks[0][event]), ['processed', 'delivered', 'dropped', 'softBounced', 'hardBounced', 'unsubscribed', 'spam']);
+
+    await example.updateWebhook(webhook.id, { url: `${URL}/v2`, events: 'delivered,hardBounced' });
+    await example.updateWebhook(`${URL}/v2`, { enabled: false });
+    const [stored] = mock.state.webhooks;
+    assert.deepEqual([stored.url, stored.enabled, WEBHOOK_EVENTS.filter((event) => stored[event])], [`${URL}/v2`, false, ['delivered', 'hardBounced']]);
+
+    // Nothing to change, nothing sent
+    await example.updateWebhook(webhook.id, { enabled: false, events: '-opened' });
+    assert.equal(mock.calls('updateWebhook').length, 2);
+    await assert.rejects(example.updateWebhook(webhook.id, { url: 'ftp://example.com', events: 'bounced' }), (error) => {
+        assert.ok(error instanceof WebhookSettingsError);
+        assert.equal(error.issues.length, 2);
+        return true;
+    });
+
+    await example.deleteWebhook(webhook.id);
+    assert.equal(mock.state.webhooks.length, 0);
+    assert.deepEqual(await example.manifest.pending(), []);
+});
+
+test('a test event reaches the endpoint in the shape SendPost posts', async (t) => {
+    const { mock, example, env } = await setup(t);
+    quiet(t);
+    const received = [];
+    const server = createWebhookServer(new WebhookReceiver().use((event) => received.push(event)));
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise((resolve) => server.close(resolve)));
+
+    const webhook = await example.createWebhook(`http://127.0.0.1:${server.address().port}/webhook`);
+    const result = await example.testWebhook(webhook.id, { event: 'clicked' });
+    assert.equal(result.status, 200);
+    assert.equal(received.length, 1);
+    assert.equal(received[0].type, 'clicked');
+    assert.match(received[0].messageId, /^test-/);
+    assert.equal(received[0].url, 'https://example.com/');
+    assert.equal(received[0].raw.test, true);
+
+    // The receiver rejects what is not an event; a wrong path is not found
+    mock.createWebhook({ body: { url: `http://127.0.0.1:${server.address().port}/elsewhere`, ...allEvents(true) } });
+    assert.equal(await cli(['webhooks', 'test', `http://127.0.0.1:${server.address().port}/elsewhere`], env), 1);
+    assert.equal(await cli(['webhooks', 'test', String(webhook.id), '--event', 'bounced'], env), 2);
+});
+
+test('webhooks reconcile merges what repeated workflow runs created', async (t) => {
+    const { mock, example, env } = await setup(t);
+    quiet(t);
+    const first = await example.createWebhook(URL, 'delivered');
+    await example.createWebhook(URL, 'opened');
+    await example.createWebhook(URL);
+    await example.createWebhook('https://other.example.com/hook');
+
+    assert.equal(await cli(['webhooks', 'reconcile'], env), 2);
+    assert.equal(await cli(['webhooks', 'reconcile', '--dry-run'], env), 0);
+    assert.equal(mock.state.webhooks.length, 4);
+
+    assert.equal(await cli(['webhooks', 'reconcile', '--yes'], env), 0);
+    assert.deepEqual(mock.state.webhooks.map((webhook) => webhook.url), [URL, 'https://other.example.com/hook']);
+    assert.equal(mock.state.webhooks[0].id, first.id);
+    assert.ok(WEBHOOK_EVENTS.every((event) => mock.state.webhooks[0][event]));
+    assert.equal((await example.manifest.pending()).length, 2);
+
+    assert.equal(await cli(['webhooks', 'delete', URL], env), 2);
+    assert.equal(await cli(['webhooks', 'disable', URL], env), 0);
+    assert.equal(mock.state.webhooks[0].enabled, false);
+});
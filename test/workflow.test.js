@@ -0,0 +1,65 @@
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { test } from 'node:test';
+import { EXIT_CODES } from '../src/errors.js';
+import { setup, quiet } from './harness.js';
+
+test('the complete workflow runs every step against the mock', async (t) => {
+    const { mock, example, config } = await setup(t);
+    quiet(t);
+
+    const { results, exitCode } = await example.runCompleteWorkflow();
+
+    assert.equal(exitCode, EXIT_CODES.OK);
+    assert.deepEqual(results.filter((result) => result.status !== 'ok'), []);
+    assert.equal(mock.state.webhooks.length, 1);
+    assert.deepEqual(mock.state.domains.map((domain) => domain.name), [config.domainName]);
+    assert.equal(mock.state.ipPools.length, 1);
+
+    // Both sends went through the new pool, and the transactional one was looked up
+    assert.equal(mock.state.messages.length, 2);
+    assert.ok(mock.state.messages.every((message) => message.ipPool === mock.state.ipPools[0].name));
+    assert.equal(mock.calls('getMessageById').at(-1).path.endsWith(example.sentMessageId), true);
+
+    const manifest = JSON.parse(await readFile(join(config.storage.dir, 'manifest.json'), 'utf8'));
+    assert.deepEqual(manifest.resources.map((resource) => resource.kind).sort(), ['domain', 'ipPool', 'webhook']);
+});
+
+test('a fatal step skips the rest of the workflow', async (t) => {
+    const { mock, example } = await setup(t);
+    quiet(t);
+    mock.fail('getAllSubAccounts', { status: 401 });
+
+    const { results, exitCode } = await example.runCompleteWorkflow();
+
+    assert.equal(exitCode, EXIT_CODES.AUTH);
+    assert.equal(results[0].status, 'failed');
+    assert.ok(results.slice(1).every((result) => result.status === 'skipped'));
+    assert.equal(mock.calls().length, 1);
+});
+
+test('an existing domain does not stop the workflow', async (t) => {
+    const { mock, example, config } = await setup(t);
+    quiet(t);
+    await example.addDomain(config.domainName);
+
+    const { results, exitCode } = await example.runCompleteWorkflow();
+
+    assert.equal(results.find((result) => result.method === 'addDomain').error.name, 'ConflictError');
+    assert.equal(results.filter((result) => result.status === 'failed').length, 1);
+    assert.equal(exitCode, EXIT_CODES.FAILURE);
+    assert.equal(mock.state.messages.length, 2);
+});
+
+test('non-fatal failures are reported and the workflow goes on', async (t) => {
+    const { mock, example } = await setup(t);
+    quiet(t);
+    mock.fail('createWebhook', { status: 422 });
+
+    const { results, exitCode } = await example.runCompleteWorkflow();
+
+    assert.equal(exitCode, EXIT_CODES.FAILURE);
+    assert.deepEqual(results.filter((result) => result.status === 'failed').map((result) => result.method), ['createWebhook']);
+    assert.equal(results.filter((result) => result.status === 'skipped').length, 0);
+});